@@ -0,0 +1,70 @@
+// Admin tooling: the audit log every admin and moderator action is written to,
+// and the scoped data reset used on staging.
+const storage = require('./storage');
+
+// Record an action in admin_audit_log. Call it with the same client as the
+// change itself so the entry is only kept if the change commits.
+const recordAction = (db, { actorId, action, targetType = null, targetId = null, details = {} }) =>
+    db.query(`
+        INSERT INTO admin_audit_log (actor_id, action, target_type, target_id, details)
+        VALUES ($1, $2, $3, $4, $5)
+    `, [actorId, action, targetType, targetId, JSON.stringify(details)]);
+
+// What each reset scope clears. Users, profiles and portfolios are always
+// kept. Ratings belong to requests, so clearing requests clears them too;
+// messages, offers, changes and attachments go with their request. Escrow is
+// held against assignments, so clearing requests empties the ledger as well.
+const WALLET_TABLES = ['ledger_entries', 'ledger_transactions', 'ledger_accounts', 'payments'];
+
+const RESET_SCOPES = {
+    requests: ['ratings', ...WALLET_TABLES, 'assignments', 'assignment_requests'],
+    ratings: ['ratings'],
+    notifications: ['notifications', 'email_queue'],
+    wallets: WALLET_TABLES
+};
+
+// Tables are emptied in this order so nothing is left pointing at a deleted row
+const RESET_ORDER = ['ratings', ...WALLET_TABLES, 'assignments', 'assignment_requests', 'notifications', 'email_queue'];
+
+// Empty the tables for the given scopes. Returns the number of rows deleted
+// per table and the storage keys of deleted attachments, which the caller
+// removes with removeStoredFiles once the transaction has committed.
+async function resetData(db, scopes) {
+    const tables = new Set(scopes.flatMap(scope => RESET_SCOPES[scope]));
+    const deleted = {};
+    let storageKeys = [];
+
+    if (tables.has('assignment_requests')) {
+        const keys = await db.query('SELECT storage_key FROM attachments');
+        storageKeys = keys.rows.map(row => row.storage_key);
+    }
+
+    for (const table of RESET_ORDER.filter(t => tables.has(t))) {
+        const result = await db.query(`DELETE FROM ${table}`);
+        deleted[table] = result.rowCount;
+    }
+
+    if (tables.has('ratings')) {
+        await db.query('UPDATE users SET rating = 0, total_ratings = 0');
+    }
+
+    return { deleted, storageKeys };
+}
+
+// Best-effort: a file that can't be removed is logged and left behind
+async function removeStoredFiles(keys) {
+    for (const key of keys) {
+        try {
+            await storage.getStorage().remove(key);
+        } catch (error) {
+            console.error(`Error removing stored file ${key}:`, error);
+        }
+    }
+}
+
+module.exports = {
+    RESET_SCOPES,
+    recordAction,
+    resetData,
+    removeStoredFiles
+};
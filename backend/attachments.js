@@ -0,0 +1,147 @@
+// Files attached to requests and assignments. Uploads are parsed in memory,
+// checked against the size and type limits, written to the storage backend
+// and recorded in the attachments table.
+const storage = require('./storage');
+const { createUploadMiddleware } = require('./uploads');
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10 MB
+const MAX_FILES_PER_UPLOAD = 5;
+const MAX_FILES_PER_REQUEST = 20;
+
+// Accepted content types and the extensions each may use
+const ALLOWED_TYPES = {
+    'application/pdf': ['.pdf'],
+    'application/msword': ['.doc'],
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+    'application/vnd.ms-powerpoint': ['.ppt'],
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': ['.pptx'],
+    'application/vnd.ms-excel': ['.xls'],
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+    'text/plain': ['.txt'],
+    'image/png': ['.png'],
+    'image/jpeg': ['.jpg', '.jpeg'],
+    'image/gif': ['.gif'],
+    'image/webp': ['.webp'],
+    'application/zip': ['.zip']
+};
+
+// Types the browser can show inline rather than download
+const PREVIEWABLE_TYPES = ['application/pdf', 'image/png', 'image/jpeg', 'image/gif', 'image/webp', 'text/plain'];
+
+const upload = createUploadMiddleware({
+    field: 'files',
+    maxFiles: MAX_FILES_PER_UPLOAD,
+    maxFileSize: MAX_FILE_SIZE,
+    allowedTypes: ALLOWED_TYPES
+});
+
+// The public shape of an attachment row
+const format = (row) => ({
+    id: row.id,
+    request_id: row.request_id,
+    assignment_id: row.assignment_id,
+    dispute_id: row.dispute_id,
+    kind: row.kind,
+    name: row.original_name,
+    content_type: row.content_type,
+    size: row.size_bytes,
+    previewable: PREVIEWABLE_TYPES.includes(row.content_type),
+    uploaded_by: row.uploaded_by,
+    uploader_name: row.uploader_name,
+    created_at: row.created_at
+});
+
+// Store uploaded files and record them. Returns { attachments } or { error, status }.
+async function saveFiles(db, files, { requestId, assignmentId = null, disputeId = null, kind, user }) {
+    const countResult = await db.query('SELECT COUNT(*)::int as count FROM attachments WHERE request_id = $1', [requestId]);
+    if (countResult.rows[0].count + files.length > MAX_FILES_PER_REQUEST) {
+        return { error: `A request can have at most ${MAX_FILES_PER_REQUEST} files`, status: 400 };
+    }
+
+    const backend = storage.getStorage();
+    const saved = [];
+
+    try {
+        for (const file of files) {
+            const key = storage.generateKey(`requests/${requestId}`, file.originalname);
+            await backend.save(key, file.buffer, file.mimetype);
+            saved.push({ key, file });
+        }
+
+        const attachments = [];
+        for (const { key, file } of saved) {
+            const result = await db.query(`
+                INSERT INTO attachments (request_id, assignment_id, dispute_id, uploaded_by, kind, original_name, content_type, size_bytes, storage_key)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                RETURNING *
+            `, [requestId, assignmentId, disputeId, user.id, kind, file.originalname.substring(0, 255), file.mimetype, file.size, key]);
+            attachments.push(format({ ...result.rows[0], uploader_name: user.name }));
+        }
+
+        return { attachments };
+    } catch (error) {
+        // Don't leave orphaned files behind when the upload fails part way
+        await Promise.all(saved.map(({ key }) => backend.remove(key).catch(() => {})));
+        throw error;
+    }
+}
+
+// Every attachment on a request, oldest first
+async function listForRequest(db, requestId) {
+    const result = await db.query(`
+        SELECT at.*, u.name as uploader_name
+        FROM attachments at
+        JOIN users u ON u.id = at.uploaded_by
+        WHERE at.request_id = $1
+        ORDER BY at.created_at ASC, at.id ASC
+    `, [requestId]);
+
+    return result.rows.map(format);
+}
+
+// The evidence uploaded to a dispute, oldest first
+async function listForDispute(db, disputeId) {
+    const result = await db.query(`
+        SELECT at.*, u.name as uploader_name
+        FROM attachments at
+        JOIN users u ON u.id = at.uploaded_by
+        WHERE at.dispute_id = $1
+        ORDER BY at.created_at ASC, at.id ASC
+    `, [disputeId]);
+
+    return result.rows.map(format);
+}
+
+// Stream a stored file to the response, inline for previews or as a download
+async function send(res, attachment, inline = false) {
+    const stream = await storage.getStorage().read(attachment.storage_key);
+    const disposition = inline && PREVIEWABLE_TYPES.includes(attachment.content_type) ? 'inline' : 'attachment';
+
+    res.setHeader('Content-Type', attachment.content_type);
+    res.setHeader('Content-Length', attachment.size_bytes);
+    res.setHeader('Content-Disposition', `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.original_name)}`);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    stream.pipe(res);
+}
+
+// Delete the row, then the stored file
+async function remove(db, attachment) {
+    await db.query('DELETE FROM attachments WHERE id = $1', [attachment.id]);
+    try {
+        await storage.getStorage().remove(attachment.storage_key);
+    } catch (error) {
+        console.error(`Error removing stored file ${attachment.storage_key}:`, error);
+    }
+}
+
+module.exports = {
+    MAX_FILE_SIZE,
+    MAX_FILES_PER_UPLOAD,
+    ALLOWED_TYPES,
+    upload,
+    saveFiles,
+    listForRequest,
+    listForDispute,
+    send,
+    remove
+};
@@ -0,0 +1,149 @@
+// Writer availability. A writer has at most their capacity of open
+// assignments at a time, and writer_status follows that workload: 'busy' at
+// capacity, 'active' below it. A writer who switched to 'inactive' is left
+// alone. Vacation is kept separately in vacation_until, so the status is
+// right again the moment the writer is back.
+const { OPEN_STATUSES } = require('./lifecycle');
+
+const DEFAULT_CAPACITY = 3;
+// The most a writer can set for themselves
+const MAX_CAPACITY = 10;
+// How far ahead a vacation can be booked
+const MAX_VACATION_DAYS = 365;
+
+// The capacity for writers who haven't set their own, from WRITER_MAX_CONCURRENT_ASSIGNMENTS
+const getDefaultCapacity = (env = process.env) => {
+    const parsed = parseInt(env.WRITER_MAX_CONCURRENT_ASSIGNMENTS, 10);
+    return parsed > 0 ? parsed : DEFAULT_CAPACITY;
+};
+
+// SQL condition for writers who can be given new work right now
+const isAvailable = (table) =>
+    `(${table}.writer_status = 'active' AND (${table}.vacation_until IS NULL OR ${table}.vacation_until <= NOW()))`;
+
+const OPEN_COUNT = `(
+    SELECT COUNT(*) FROM assignments a
+    WHERE a.writer_id = u.id AND a.status = ANY($3)
+)`;
+
+// A writer's status, capacity and how many open assignments they have
+async function getWorkload(db, writerId) {
+    const result = await db.query(`
+        SELECT u.writer_status,
+            CASE WHEN u.vacation_until > NOW() THEN u.vacation_until END as vacation_until,
+            u.max_concurrent_assignments,
+            COALESCE(u.max_concurrent_assignments, $2) as capacity,
+            ${OPEN_COUNT}::int as open_assignments
+        FROM users u
+        WHERE u.id = $1
+    `, [writerId, getDefaultCapacity(), OPEN_STATUSES]);
+
+    return result.rows[0] || null;
+}
+
+// The workload as the writer sees it on their profile; null for non-writers
+const formatWorkload = (workload) => workload && workload.writer_status ? {
+    open_assignments: workload.open_assignments,
+    capacity: workload.capacity,
+    default_capacity: getDefaultCapacity()
+} : null;
+
+const formatDate = (date) => new Date(date).toISOString().substring(0, 10);
+
+// Check, inside the transaction that hands over the work, that the writer can
+// take on one more assignment. Their row stays locked until the transaction
+// ends so two accepts can't both take the last slot. self says whether the
+// writer is the one accepting, which only changes the wording.
+async function checkCanTakeWork(db, writerId, { self = false } = {}) {
+    await db.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [writerId]);
+
+    const workload = await getWorkload(db, writerId);
+    if (!workload) {
+        return { error: 'Writer not found', status: 404 };
+    }
+
+    if (workload.vacation_until) {
+        const until = formatDate(workload.vacation_until);
+        return {
+            error: self
+                ? `You are on vacation until ${until}. End your vacation from your profile to take on work.`
+                : `This writer is on vacation until ${until}`,
+            status: 409
+        };
+    }
+
+    if (workload.open_assignments >= workload.capacity) {
+        return {
+            error: self
+                ? `You already have ${workload.open_assignments} open assignments, which is your limit. Finish one or raise your limit in your profile.`
+                : 'This writer has no room for another assignment right now',
+            status: 409
+        };
+    }
+
+    return { workload };
+}
+
+// Bring writer_status in line with the writer's open workload. Call it
+// whenever an assignment starts, ends or changes hands, and after the writer
+// changes their capacity.
+async function syncStatus(db, writerId) {
+    await db.query(`
+        UPDATE users u
+        SET writer_status = CASE
+            WHEN ${OPEN_COUNT} >= COALESCE(u.max_concurrent_assignments, $2) THEN 'busy'
+            ELSE 'active'
+        END
+        WHERE u.id = $1 AND u.writer_status IN ('active', 'busy')
+    `, [writerId, getDefaultCapacity(), OPEN_STATUSES]);
+}
+
+// Validate the availability settings from the writer's profile. Only the
+// fields that are present are checked. max_concurrent_assignments and
+// vacation_until can be null to go back to the default or end a vacation.
+const validateSettings = (fields) => {
+    const settings = {};
+
+    if (fields.max_concurrent_assignments !== undefined) {
+        if (fields.max_concurrent_assignments === null || fields.max_concurrent_assignments === '') {
+            settings.max_concurrent_assignments = null;
+        } else {
+            const capacity = Number(fields.max_concurrent_assignments);
+            if (!Number.isInteger(capacity) || capacity < 1 || capacity > MAX_CAPACITY) {
+                return { error: `The assignment limit must be a whole number from 1 to ${MAX_CAPACITY}` };
+            }
+            settings.max_concurrent_assignments = capacity;
+        }
+    }
+
+    if (fields.vacation_until !== undefined) {
+        if (fields.vacation_until === null || fields.vacation_until === '') {
+            settings.vacation_until = null;
+        } else {
+            if (isNaN(Date.parse(fields.vacation_until))) {
+                return { error: 'The return date must be a valid date' };
+            }
+            const until = new Date(fields.vacation_until);
+            if (until <= new Date()) {
+                return { error: 'The return date must be in the future' };
+            }
+            if (until - Date.now() > MAX_VACATION_DAYS * 24 * 60 * 60 * 1000) {
+                return { error: `A vacation can last at most ${MAX_VACATION_DAYS} days` };
+            }
+            settings.vacation_until = until.toISOString();
+        }
+    }
+
+    return { settings };
+};
+
+module.exports = {
+    MAX_CAPACITY,
+    getDefaultCapacity,
+    isAvailable,
+    getWorkload,
+    formatWorkload,
+    checkCanTakeWork,
+    syncStatus,
+    validateSettings
+};
@@ -0,0 +1,299 @@
+// Server configuration, read once from the environment at startup. NODE_ENV
+// must be set, and every other setting has a default for the environment it
+// names, so a local run needs little more than DATABASE_URL and the Google
+// credentials, while production has to supply its secrets. Anything missing
+// or malformed stops the server with a list of every problem rather than
+// failing on the first request.
+//
+// Modules that build their own backend from the environment (mailer, storage,
+// payments, availability, jobs, pricing) still read it themselves; their
+// variables are checked here too so mistakes surface at startup. The exception
+// is PRICING_RATES_FILE, which pricing.js checks when server.js loads the rates.
+
+const ENVIRONMENTS = ['development', 'test', 'production'];
+
+// Per-environment defaults. Production keeps the hosted URLs the app has
+// always been deployed at.
+const DEFAULTS = {
+    development: {
+        frontendUrl: 'http://localhost:3000',
+        backendUrl: 'http://localhost:5000',
+        databaseSsl: 'off',
+        cookieSecure: false,
+        cookieSameSite: 'lax'
+    },
+    test: {
+        frontendUrl: 'http://localhost:3000',
+        backendUrl: 'http://localhost:5000',
+        databaseSsl: 'off',
+        cookieSecure: false,
+        cookieSameSite: 'lax'
+    },
+    production: {
+        frontendUrl: 'https://writify-frontend.vercel.app',
+        backendUrl: 'https://writify-backend-fj0i.onrender.com',
+        databaseSsl: 'no-verify',
+        cookieSecure: true,
+        // The frontend and backend are on different sites, so the session
+        // cookie has to be sent on cross-site requests
+        cookieSameSite: 'none'
+    }
+};
+
+// Session secrets that only ever appeared in examples
+const PLACEHOLDER_SECRETS = ['your-secret-key', 'your-session-secret'];
+const DEV_SESSION_SECRET = 'writify-development-secret';
+
+// on: verify the server certificate; no-verify: encrypt without verifying
+// (hosted Postgres like Neon); off: plain connections for a local database
+const DATABASE_SSL_MODES = {
+    on: { rejectUnauthorized: true },
+    'no-verify': { rejectUnauthorized: false },
+    off: false
+};
+
+const MAIL_TRANSPORTS = ['smtp', 'file', 'console', 'memory'];
+const STORAGE_DRIVERS = ['local'];
+const PAYMENT_PROVIDERS = ['fake'];
+const SAME_SITE_VALUES = ['lax', 'strict', 'none'];
+
+const isSet = (value) => value !== undefined && value.trim() !== '';
+
+const list = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+// NODE_ENV picks the defaults for everything else, so it has no default of its
+// own: guessing development would quietly turn off secure cookies and the
+// session secret check on a server that forgot to set it
+const getNodeEnv = (env) => {
+    const nodeEnv = isSet(env.NODE_ENV || '') ? env.NODE_ENV.trim() : null;
+    if (!ENVIRONMENTS.includes(nodeEnv)) {
+        throw new Error(`Invalid configuration:\n- NODE_ENV must be set to one of: ${ENVIRONMENTS.join(', ')}`);
+    }
+    return nodeEnv;
+};
+
+// The pg ssl option for DATABASE_SSL. The migration scripts use this on its
+// own, since they don't need the rest of the configuration.
+const getDatabaseSsl = (env = process.env) => {
+    const mode = isSet(env.DATABASE_SSL || '') ? env.DATABASE_SSL.trim() : DEFAULTS[getNodeEnv(env)].databaseSsl;
+    if (!(mode in DATABASE_SSL_MODES)) {
+        throw new Error(`DATABASE_SSL must be one of: ${Object.keys(DATABASE_SSL_MODES).join(', ')}`);
+    }
+    return DATABASE_SSL_MODES[mode];
+};
+
+// Read and validate the configuration. Throws one error naming every problem;
+// settings that are allowed but probably unintended are logged as warnings.
+const loadConfig = (env = process.env) => {
+    const problems = [];
+    const warnings = [];
+
+    const nodeEnv = getNodeEnv(env);
+    const defaults = DEFAULTS[nodeEnv];
+    const isProduction = nodeEnv === 'production';
+
+    const str = (name, fallback) => isSet(env[name] || '') ? env[name].trim() : fallback;
+
+    const bool = (name, fallback) => {
+        const value = str(name, null);
+        if (value === null) return fallback;
+        if (value !== 'true' && value !== 'false') {
+            problems.push(`${name} must be true or false`);
+            return fallback;
+        }
+        return value === 'true';
+    };
+
+    const int = (name, fallback, { min, max }) => {
+        const value = str(name, null);
+        if (value === null) return fallback;
+        const parsed = Number(value);
+        if (!Number.isInteger(parsed) || parsed < min || parsed > max) {
+            problems.push(`${name} must be a whole number from ${min} to ${max}`);
+            return fallback;
+        }
+        return parsed;
+    };
+
+    const oneOf = (name, fallback, allowed) => {
+        const value = str(name, fallback);
+        if (!allowed.includes(value)) {
+            problems.push(`${name} must be one of: ${allowed.join(', ')}`);
+            return fallback;
+        }
+        return value;
+    };
+
+    const url = (name, fallback) => {
+        const value = str(name, fallback);
+        try {
+            const parsed = new URL(value);
+            if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error();
+            // Origins are compared as strings, so drop any trailing slash
+            return value.replace(/\/+$/, '');
+        } catch (error) {
+            problems.push(`${name} must be an http(s) URL`);
+            return fallback;
+        }
+    };
+
+    const required = (name, { inProduction = false } = {}) => {
+        const value = str(name, null);
+        if (value === null && (!inProduction || isProduction)) {
+            problems.push(`${name} is required${inProduction ? ' in production' : ''}`);
+        }
+        return value;
+    };
+
+    // Server
+    const port = int('PORT', 5000, { min: 1, max: 65535 });
+    const frontendUrl = url('FRONTEND_URL', defaults.frontendUrl);
+    const backendUrl = url('BACKEND_URL', defaults.backendUrl);
+
+    const corsOrigins = str('CORS_ORIGINS', null)
+        ? list(env.CORS_ORIGINS).map(origin => origin.replace(/\/+$/, ''))
+        : [frontendUrl];
+    corsOrigins.forEach(origin => {
+        if (!/^https?:\/\/[^/]+$/.test(origin)) {
+            problems.push(`CORS_ORIGINS entries must be origins like https://example.com, not "${origin}"`);
+        }
+    });
+
+    // Database
+    const databaseUrl = required('DATABASE_URL');
+    const databaseSslMode = oneOf('DATABASE_SSL', defaults.databaseSsl, Object.keys(DATABASE_SSL_MODES));
+
+    // Sessions
+    let sessionSecret = required('SESSION_SECRET', { inProduction: true });
+    if (sessionSecret && isProduction && (PLACEHOLDER_SECRETS.includes(sessionSecret) || sessionSecret.length < 32)) {
+        problems.push('SESSION_SECRET must be a random string of at least 32 characters in production');
+    }
+    if (!sessionSecret) {
+        sessionSecret = DEV_SESSION_SECRET;
+    }
+
+    const cookieSecure = bool('COOKIE_SECURE', defaults.cookieSecure);
+    const cookieSameSite = oneOf('COOKIE_SAME_SITE', defaults.cookieSameSite, SAME_SITE_VALUES);
+    if (cookieSameSite === 'none' && !cookieSecure) {
+        problems.push('COOKIE_SAME_SITE=none needs COOKIE_SECURE=true, or browsers drop the cookie');
+    }
+    const sessionMaxAgeHours = int('SESSION_MAX_AGE_HOURS', 24, { min: 1, max: 24 * 90 });
+
+    // Sign-in. With the development sign-in on, Google credentials are
+    // optional so the app can run offline; Google sign-in then just fails.
+    const devAuthEnabled = bool('DEV_AUTH_ENABLED', false);
+    if (devAuthEnabled && isProduction) {
+        problems.push('DEV_AUTH_ENABLED cannot be used in production');
+    }
+    let googleClientId;
+    let googleClientSecret;
+    if (devAuthEnabled) {
+        googleClientId = str('GOOGLE_CLIENT_ID', null);
+        googleClientSecret = str('GOOGLE_CLIENT_SECRET', null);
+        if (!googleClientId || !googleClientSecret) {
+            warnings.push('GOOGLE_CLIENT_ID or GOOGLE_CLIENT_SECRET is not set, so only the development sign-in works');
+            googleClientId = googleClientId || 'unset';
+            googleClientSecret = googleClientSecret || 'unset';
+        }
+    } else {
+        googleClientId = required('GOOGLE_CLIENT_ID');
+        googleClientSecret = required('GOOGLE_CLIENT_SECRET');
+    }
+    const allowedEmailDomains = list(str('ALLOWED_EMAIL_DOMAINS', 'student.iul.ac.in')).map(domain => domain.toLowerCase().replace(/^@/, ''));
+    if (allowedEmailDomains.length === 0) {
+        problems.push('ALLOWED_EMAIL_DOMAINS must list at least one domain');
+    }
+    allowedEmailDomains.forEach(domain => {
+        if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain)) {
+            problems.push(`ALLOWED_EMAIL_DOMAINS entries must be domains like student.iul.ac.in, not "${domain}"`);
+        }
+    });
+
+    // Email
+    const mailTransport = oneOf('MAIL_TRANSPORT', isSet(env.SMTP_HOST || '') ? 'smtp' : 'console', MAIL_TRANSPORTS);
+    if (mailTransport === 'smtp') {
+        required('SMTP_HOST');
+    }
+    int('SMTP_PORT', 587, { min: 1, max: 65535 });
+    bool('SMTP_SECURE', false);
+    int('MAIL_DIGEST_HOUR', 8, { min: 0, max: 23 });
+
+    // Uploads and payments
+    oneOf('STORAGE_DRIVER', 'local', STORAGE_DRIVERS);
+    const paymentProvider = oneOf('PAYMENT_PROVIDER', 'fake', PAYMENT_PROVIDERS);
+    if (paymentProvider === 'fake' && isProduction) {
+        // The rest of the app runs without payments rather than not at all
+        warnings.push('PAYMENT_PROVIDER=fake is refused in production, so payments are off: no deposits, payouts or escrow');
+    }
+    const failAbove = str('FAKE_PAYMENT_FAIL_ABOVE', null);
+    if (failAbove !== null && !(Number(failAbove) > 0)) {
+        problems.push('FAKE_PAYMENT_FAIL_ABOVE must be a positive number');
+    }
+
+    // Writers, background jobs and admin
+    int('WRITER_MAX_CONCURRENT_ASSIGNMENTS', 3, { min: 1, max: 100 });
+    const schedulerEnabled = bool('SCHEDULER_ENABLED', true);
+    const reminderHours = str('DEADLINE_REMINDER_HOURS', null);
+    if (reminderHours !== null && list(reminderHours).some(hours => !/^\d+$/.test(hours))) {
+        problems.push('DEADLINE_REMINDER_HOURS must be a comma-separated list of whole hours');
+    }
+    const allowDataReset = bool('ALLOW_DATA_RESET', false);
+    if (allowDataReset && isProduction) {
+        warnings.push('ALLOW_DATA_RESET=true lets admins clear data on this production server');
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid configuration:\n${problems.map(problem => `- ${problem}`).join('\n')}`);
+    }
+    warnings.forEach(warning => console.warn(`Configuration warning: ${warning}`));
+
+    return Object.freeze({
+        env: nodeEnv,
+        isProduction,
+        port,
+        frontendUrl,
+        backendUrl,
+        corsOrigins,
+        database: {
+            url: databaseUrl,
+            sslMode: databaseSslMode,
+            ssl: DATABASE_SSL_MODES[databaseSslMode]
+        },
+        session: {
+            secret: sessionSecret,
+            maxAgeMs: sessionMaxAgeHours * 60 * 60 * 1000,
+            cookie: {
+                secure: cookieSecure,
+                sameSite: cookieSameSite
+            }
+        },
+        google: {
+            clientId: googleClientId,
+            clientSecret: googleClientSecret,
+            callbackUrl: `${backendUrl}/auth/google/callback`
+        },
+        allowedEmailDomains,
+        devAuthEnabled,
+        schedulerEnabled,
+        allowDataReset
+    });
+};
+
+// A one-line summary for the startup log, without secrets
+const describe = (config) => [
+    `env=${config.env}`,
+    `frontend=${config.frontendUrl}`,
+    `backend=${config.backendUrl}`,
+    `cors=${config.corsOrigins.join(',')}`,
+    `db_ssl=${config.database.sslMode}`,
+    `cookie=${config.session.cookie.secure ? 'secure' : 'insecure'}/${config.session.cookie.sameSite}`,
+    `email_domains=${config.allowedEmailDomains.join(',')}`,
+    `dev_auth=${config.devAuthEnabled ? 'on' : 'off'}`,
+    `scheduler=${config.schedulerEnabled ? 'on' : 'off'}`
+].join(' ');
+
+module.exports = {
+    getDatabaseSsl,
+    loadConfig,
+    describe
+};
@@ -0,0 +1,127 @@
+const { loadConfig, getDatabaseSsl } = require('./config');
+
+const DEVELOPMENT = {
+    NODE_ENV: 'development',
+    DATABASE_URL: 'postgresql://localhost/writify',
+    GOOGLE_CLIENT_ID: 'client-id',
+    GOOGLE_CLIENT_SECRET: 'client-secret'
+};
+
+const PRODUCTION = {
+    ...DEVELOPMENT,
+    NODE_ENV: 'production',
+    SESSION_SECRET: 'a'.repeat(32)
+};
+
+// The problems loadConfig lists for an environment, or [] if it loads
+const problemsFor = (env) => {
+    try {
+        loadConfig(env);
+        return [];
+    } catch (error) {
+        return error.message.split('\n').slice(1).map(line => line.replace(/^- /, ''));
+    }
+};
+
+let warn;
+
+beforeEach(() => {
+    warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    warn.mockRestore();
+});
+
+describe('loadConfig', () => {
+    it('requires NODE_ENV rather than assuming development', () => {
+        const { NODE_ENV, ...withoutNodeEnv } = DEVELOPMENT;
+
+        expect(problemsFor(withoutNodeEnv)).toEqual(['NODE_ENV must be set to one of: development, test, production']);
+        expect(problemsFor({ ...DEVELOPMENT, NODE_ENV: 'staging' })).toHaveLength(1);
+    });
+
+    it('fills in local defaults for development', () => {
+        const config = loadConfig(DEVELOPMENT);
+
+        expect(config).toMatchObject({
+            env: 'development',
+            isProduction: false,
+            port: 5000,
+            frontendUrl: 'http://localhost:3000',
+            corsOrigins: ['http://localhost:3000'],
+            database: { sslMode: 'off', ssl: false },
+            session: { cookie: { secure: false, sameSite: 'lax' } },
+            google: { callbackUrl: 'http://localhost:5000/auth/google/callback' },
+            allowedEmailDomains: ['student.iul.ac.in'],
+            devAuthEnabled: false,
+            schedulerEnabled: true
+        });
+        expect(Object.isFrozen(config)).toBe(true);
+    });
+
+    it('lists every problem at once', () => {
+        expect(problemsFor({ NODE_ENV: 'development', PORT: 'eighty', COOKIE_SECURE: 'yes' })).toEqual([
+            'PORT must be a whole number from 1 to 65535',
+            'DATABASE_URL is required',
+            'COOKIE_SECURE must be true or false',
+            'GOOGLE_CLIENT_ID is required',
+            'GOOGLE_CLIENT_SECRET is required'
+        ]);
+    });
+
+    it('normalises URLs, origins and email domains', () => {
+        const config = loadConfig({
+            ...DEVELOPMENT,
+            FRONTEND_URL: 'https://app.example.com/',
+            CORS_ORIGINS: 'https://app.example.com/, https://admin.example.com',
+            ALLOWED_EMAIL_DOMAINS: '@Student.IUL.ac.in, example.edu'
+        });
+
+        expect(config.frontendUrl).toBe('https://app.example.com');
+        expect(config.corsOrigins).toEqual(['https://app.example.com', 'https://admin.example.com']);
+        expect(config.allowedEmailDomains).toEqual(['student.iul.ac.in', 'example.edu']);
+        expect(problemsFor({ ...DEVELOPMENT, CORS_ORIGINS: 'https://app.example.com/login' })).toHaveLength(1);
+    });
+
+    it('refuses a SameSite=none cookie that is not secure', () => {
+        expect(problemsFor({ ...DEVELOPMENT, COOKIE_SAME_SITE: 'none' }))
+            .toEqual(['COOKIE_SAME_SITE=none needs COOKIE_SECURE=true, or browsers drop the cookie']);
+    });
+
+    it('holds production to a real session secret', () => {
+        expect(problemsFor({ ...PRODUCTION, SESSION_SECRET: undefined })).toEqual(['SESSION_SECRET is required in production']);
+        expect(problemsFor({ ...PRODUCTION, SESSION_SECRET: 'your-session-secret' }))
+            .toEqual(['SESSION_SECRET must be a random string of at least 32 characters in production']);
+    });
+
+    it('starts production with payments off rather than not at all when only the fake provider is set', () => {
+        const config = loadConfig({ ...PRODUCTION, ALLOW_DATA_RESET: 'true' });
+
+        expect(config.isProduction).toBe(true);
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('PAYMENT_PROVIDER=fake is refused in production, so payments are off'));
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('ALLOW_DATA_RESET=true'));
+    });
+
+    it('picks database SSL from NODE_ENV unless DATABASE_SSL says otherwise', () => {
+        expect(getDatabaseSsl({ NODE_ENV: 'production' })).toEqual({ rejectUnauthorized: false });
+        expect(getDatabaseSsl({ NODE_ENV: 'production', DATABASE_SSL: 'on' })).toEqual({ rejectUnauthorized: true });
+        expect(() => getDatabaseSsl({})).toThrow('NODE_ENV must be set');
+    });
+
+    it('only allows the development sign-in outside production', () => {
+        expect(problemsFor({ ...PRODUCTION, DEV_AUTH_ENABLED: 'true' })).toEqual(['DEV_AUTH_ENABLED cannot be used in production']);
+
+        const config = loadConfig({ ...DEVELOPMENT, DEV_AUTH_ENABLED: 'true', GOOGLE_CLIENT_ID: '', GOOGLE_CLIENT_SECRET: '' });
+        expect(config.devAuthEnabled).toBe(true);
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('only the development sign-in works'));
+    });
+
+    it('checks the settings of modules that read the environment themselves', () => {
+        expect(problemsFor({ ...DEVELOPMENT, MAIL_TRANSPORT: 'smtp', DEADLINE_REMINDER_HOURS: '24, soon' })).toEqual([
+            'SMTP_HOST is required',
+            'DEADLINE_REMINDER_HOURS must be a comma-separated list of whole hours'
+        ]);
+        expect(problemsFor({ ...DEVELOPMENT, STORAGE_DRIVER: 's3' })).toEqual(['STORAGE_DRIVER must be one of: local']);
+    });
+});
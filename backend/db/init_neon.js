@@ -1,6 +1,6 @@
 const { Pool } = require('pg');
-const fs = require('fs');
 const path = require('path');
+const { migrateUp } = require('./migrate');
 require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
 
 async function initializeNeonDatabase() {
@@ -17,16 +17,12 @@ async function initializeNeonDatabase() {
     const testResult = await pool.query('SELECT NOW()');
     console.log('Successfully connected to Neon database at:', testResult.rows[0].now);
     
-    // Read the init.sql file
-    const initSqlPath = path.join(__dirname, 'init.sql');
-    const initSql = fs.readFileSync(initSqlPath, 'utf8');
+    console.log('Applying pending migrations...');
     
-    console.log('Executing database initialization script...');
+    // Migrations only ever add to the schema, so this is safe to re-run
+    const applied = await migrateUp(pool);
     
-    // Execute the SQL script
-    await pool.query(initSql);
-    
-    console.log('Database initialization completed successfully!');
+    console.log(`Database initialization completed successfully! (${applied.length} migration(s) applied)`);
     
     // Optional: Insert test data if needed
     // await insertTestData(pool);
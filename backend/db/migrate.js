@@ -0,0 +1,200 @@
+const { Pool } = require('pg');
+const fs = require('fs').promises;
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const { getDatabaseSsl } = require('../config');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Arbitrary key shared by every migration run so that two deploys starting at
+// the same time cannot apply the same migration twice.
+const MIGRATION_LOCK_KEY = 72417001;
+
+// Read the migrations directory and pair up each version's up/down files
+async function loadMigrations() {
+    const files = await fs.readdir(MIGRATIONS_DIR);
+    const migrations = new Map();
+
+    for (const file of files) {
+        const match = file.match(MIGRATION_FILE_PATTERN);
+        if (!match) {
+            continue;
+        }
+
+        const [, version, name, direction] = match;
+        if (!migrations.has(version)) {
+            migrations.set(version, { version, name, up: null, down: null });
+        }
+        migrations.get(version)[direction] = path.join(MIGRATIONS_DIR, file);
+    }
+
+    const sorted = [...migrations.values()].sort((a, b) => parseInt(a.version) - parseInt(b.version));
+    for (const migration of sorted) {
+        if (!migration.up || !migration.down) {
+            throw new Error(`Migration ${migration.version}_${migration.name} must have both an up and a down file`);
+        }
+    }
+    return sorted;
+}
+
+async function ensureMigrationsTable(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version VARCHAR(50) PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+async function getAppliedVersions(client) {
+    const result = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+    return new Set(result.rows.map(row => row.version));
+}
+
+// Run a single migration file and record (or remove) it in one transaction
+async function runMigration(client, migration, direction) {
+    const sql = await fs.readFile(migration[direction], 'utf8');
+
+    await client.query('BEGIN');
+    try {
+        await client.query(sql);
+        if (direction === 'up') {
+            await client.query(
+                'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+                [migration.version, migration.name]
+            );
+        } else {
+            await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        }
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${migration.version}_${migration.name} (${direction}) failed: ${error.message}`);
+    }
+}
+
+// Acquire the migration lock for the duration of fn
+async function withMigrationLock(pool, fn) {
+    const client = await pool.connect();
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+        await ensureMigrationsTable(client);
+        return await fn(client);
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+        client.release();
+    }
+}
+
+// Apply every pending migration in order. Returns the applied migrations.
+async function migrateUp(pool) {
+    const migrations = await loadMigrations();
+
+    return withMigrationLock(pool, async (client) => {
+        const applied = await getAppliedVersions(client);
+        const pending = migrations.filter(m => !applied.has(m.version));
+
+        for (const migration of pending) {
+            console.log(`Applying ${migration.version}_${migration.name}...`);
+            await runMigration(client, migration, 'up');
+        }
+        return pending;
+    });
+}
+
+// Roll back the most recently applied migrations. Returns the reverted migrations.
+async function migrateDown(pool, steps = 1) {
+    const migrations = await loadMigrations();
+
+    return withMigrationLock(pool, async (client) => {
+        const applied = await getAppliedVersions(client);
+        const toRevert = migrations
+            .filter(m => applied.has(m.version))
+            .reverse()
+            .slice(0, steps);
+
+        for (const migration of toRevert) {
+            console.log(`Reverting ${migration.version}_${migration.name}...`);
+            await runMigration(client, migration, 'down');
+        }
+        return toRevert;
+    });
+}
+
+// List every known migration with whether it has been applied
+async function migrationStatus(pool) {
+    const migrations = await loadMigrations();
+
+    return withMigrationLock(pool, async (client) => {
+        const result = await client.query('SELECT version, applied_at FROM schema_migrations');
+        const appliedAt = new Map(result.rows.map(row => [row.version, row.applied_at]));
+
+        return migrations.map(m => ({
+            version: m.version,
+            name: m.name,
+            applied: appliedAt.has(m.version),
+            applied_at: appliedAt.get(m.version) || null
+        }));
+    });
+}
+
+function printUsage() {
+    console.log('Usage: node db/migrate.js <command>');
+    console.log('');
+    console.log('Commands:');
+    console.log('  up            Apply all pending migrations');
+    console.log('  down [steps]  Revert the last applied migration (or the last <steps> migrations)');
+    console.log('  status        Show applied and pending migrations');
+}
+
+async function main() {
+    const [command, arg] = process.argv.slice(2);
+
+    if (!['up', 'down', 'status'].includes(command)) {
+        printUsage();
+        process.exit(1);
+    }
+
+    const pool = new Pool({
+        connectionString: process.env.DATABASE_URL,
+        ssl: getDatabaseSsl()
+    });
+
+    try {
+        if (command === 'up') {
+            const applied = await migrateUp(pool);
+            console.log(applied.length > 0
+                ? `✅ Applied ${applied.length} migration(s)`
+                : '✅ Database is already up to date');
+        } else if (command === 'down') {
+            const steps = arg === undefined ? 1 : parseInt(arg);
+            if (isNaN(steps) || steps < 1) {
+                throw new Error('Steps must be a positive number');
+            }
+            const reverted = await migrateDown(pool, steps);
+            console.log(reverted.length > 0
+                ? `✅ Reverted ${reverted.length} migration(s)`
+                : '✅ No applied migrations to revert');
+        } else {
+            const status = await migrationStatus(pool);
+            for (const m of status) {
+                const state = m.applied ? `applied ${new Date(m.applied_at).toISOString()}` : 'pending';
+                console.log(`${m.version}_${m.name}: ${state}`);
+            }
+        }
+    } catch (error) {
+        console.error('❌ Migration error:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+// Run the CLI if this file is executed directly
+if (require.main === module) {
+    main();
+}
+
+module.exports = { migrateUp, migrateDown, migrationStatus };
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const { createTestDatabase, dropTestDatabase } = require('./testDatabase');
+const { migrateUp, migrateDown, migrationStatus } = require('./migrate');
+
+// Every version in the migrations directory, oldest first
+const VERSIONS = fs.readdirSync(path.join(__dirname, 'migrations'))
+    .filter(file => file.endsWith('.up.sql'))
+    .map(file => file.split('_')[0])
+    .sort();
+
+const versionsOf = (migrations) => migrations.map(migration => migration.version);
+
+let pool;
+
+const tables = async () => {
+    const result = await pool.query(`
+        SELECT table_name FROM information_schema.tables
+        WHERE table_schema = 'public'
+        ORDER BY table_name
+    `);
+    return result.rows.map(row => row.table_name);
+};
+
+beforeAll(async () => {
+    pool = await createTestDatabase({ migrate: false });
+});
+
+afterAll(() => dropTestDatabase(pool));
+
+// Each test starts from an empty database
+beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await pool.query('DROP SCHEMA public CASCADE; CREATE SCHEMA public');
+});
+
+afterEach(() => {
+    console.log.mockRestore();
+});
+
+describe('migrateUp', () => {
+    it('applies every migration in order and records each one', async () => {
+        expect(versionsOf(await migrateUp(pool))).toEqual(VERSIONS);
+
+        const status = await migrationStatus(pool);
+        expect(status.every(migration => migration.applied)).toBe(true);
+        expect(await tables()).toEqual(expect.arrayContaining(['users', 'assignment_requests', 'schema_migrations']));
+    });
+
+    it('leaves an up-to-date database alone', async () => {
+        await migrateUp(pool);
+
+        expect(await migrateUp(pool)).toEqual([]);
+    });
+
+    it('applies each migration once when two runs start together', async () => {
+        const [first, second] = await Promise.all([migrateUp(pool), migrateUp(pool)]);
+
+        expect(versionsOf([...first, ...second]).sort()).toEqual(VERSIONS);
+        const result = await pool.query('SELECT COUNT(*)::int as count FROM schema_migrations');
+        expect(result.rows[0].count).toBe(VERSIONS.length);
+    });
+});
+
+describe('migrateDown', () => {
+    it('reverts the latest migrations, newest first, so they can be applied again', async () => {
+        await migrateUp(pool);
+
+        const reverted = await migrateDown(pool, 2);
+        expect(versionsOf(reverted)).toEqual(VERSIONS.slice(-2).reverse());
+
+        const pending = (await migrationStatus(pool)).filter(migration => !migration.applied);
+        expect(versionsOf(pending)).toEqual(VERSIONS.slice(-2));
+        expect(versionsOf(await migrateUp(pool))).toEqual(VERSIONS.slice(-2));
+    });
+
+    it('takes the schema all the way back to empty', async () => {
+        await migrateUp(pool);
+
+        expect(await migrateDown(pool, VERSIONS.length)).toHaveLength(VERSIONS.length);
+        expect(await tables()).toEqual(['schema_migrations']);
+        expect(versionsOf(await migrateUp(pool))).toEqual(VERSIONS);
+    });
+
+    it('does nothing when no migration has been applied', async () => {
+        expect(await migrateDown(pool)).toEqual([]);
+    });
+});
@@ -0,0 +1,6 @@
+DROP TABLE IF EXISTS "session";
+DROP TABLE IF EXISTS ratings;
+DROP TABLE IF EXISTS assignments;
+DROP TABLE IF EXISTS assignment_requests;
+DROP TABLE IF EXISTS writer_portfolios;
+DROP TABLE IF EXISTS users;
@@ -1,12 +1,7 @@
--- Drop existing tables if they exist
-DROP TABLE IF EXISTS ratings CASCADE;
-DROP TABLE IF EXISTS writer_portfolios CASCADE;
-DROP TABLE IF EXISTS assignments CASCADE;
-DROP TABLE IF EXISTS assignment_requests CASCADE;
-DROP TABLE IF EXISTS users CASCADE;
+-- Baseline schema. Every statement is guarded so this migration can be
+-- recorded against databases that were originally created from init.sql.
 
--- Create users table
-CREATE TABLE users (
+CREATE TABLE IF NOT EXISTS users (
     id SERIAL PRIMARY KEY,
     google_id VARCHAR(255) UNIQUE NOT NULL,
     email VARCHAR(255) UNIQUE NOT NULL,
@@ -21,8 +16,7 @@ CREATE TABLE users (
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
--- Create writer_portfolios table
-CREATE TABLE writer_portfolios (
+CREATE TABLE IF NOT EXISTS writer_portfolios (
     writer_id INTEGER PRIMARY KEY REFERENCES users(id),
     sample_work_image TEXT,
     description TEXT,
@@ -30,8 +24,7 @@ CREATE TABLE writer_portfolios (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
--- Create assignment_requests table
-CREATE TABLE assignment_requests (
+CREATE TABLE IF NOT EXISTS assignment_requests (
     id SERIAL PRIMARY KEY,
     client_id INTEGER REFERENCES users(id),
     course_name VARCHAR(255) NOT NULL,
@@ -41,12 +34,10 @@ CREATE TABLE assignment_requests (
     deadline TIMESTAMP WITH TIME ZONE NOT NULL,
     estimated_cost NUMERIC(10,2) NOT NULL,
     status VARCHAR(50) DEFAULT 'open' CHECK (status IN ('open', 'assigned', 'completed', 'cancelled')),
-    expiration_deadline TIMESTAMP WITH TIME ZONE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
--- Create assignments table
-CREATE TABLE assignments (
+CREATE TABLE IF NOT EXISTS assignments (
     id SERIAL PRIMARY KEY,
     request_id INTEGER REFERENCES assignment_requests(id),
     writer_id INTEGER REFERENCES users(id),
@@ -56,8 +47,7 @@ CREATE TABLE assignments (
     completed_at TIMESTAMP WITH TIME ZONE
 );
 
--- Create ratings table
-CREATE TABLE ratings (
+CREATE TABLE IF NOT EXISTS ratings (
     id SERIAL PRIMARY KEY,
     rater_id INTEGER REFERENCES users(id),
     rated_id INTEGER REFERENCES users(id),
@@ -66,4 +56,14 @@ CREATE TABLE ratings (
     assignment_request_id INTEGER REFERENCES assignment_requests(id),
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     UNIQUE (rater_id, assignment_request_id)
-);
\ No newline at end of file
+);
+
+-- Session store used by connect-pg-simple
+CREATE TABLE IF NOT EXISTS "session" (
+    "sid" varchar NOT NULL COLLATE "default",
+    "sess" json NOT NULL,
+    "expire" timestamp(6) NOT NULL,
+    CONSTRAINT "session_pkey" PRIMARY KEY ("sid")
+);
+
+CREATE INDEX IF NOT EXISTS "IDX_session_expire" ON "session" ("expire");
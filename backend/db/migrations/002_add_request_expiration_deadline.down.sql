@@ -0,0 +1 @@
+ALTER TABLE assignment_requests DROP COLUMN IF EXISTS expiration_deadline;
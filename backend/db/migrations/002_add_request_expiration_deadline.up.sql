@@ -0,0 +1,3 @@
+-- Databases created from pgAdmin.sql never got this column
+ALTER TABLE assignment_requests
+    ADD COLUMN IF NOT EXISTS expiration_deadline TIMESTAMP WITH TIME ZONE;
@@ -0,0 +1,13 @@
+-- One conversation thread per assignment request, between the client and
+-- the writer who accepted it. read_at doubles as the read receipt.
+CREATE TABLE IF NOT EXISTS messages (
+    id SERIAL PRIMARY KEY,
+    request_id INTEGER NOT NULL REFERENCES assignment_requests(id) ON DELETE CASCADE,
+    sender_id INTEGER NOT NULL REFERENCES users(id),
+    body TEXT NOT NULL CHECK (char_length(body) BETWEEN 1 AND 2000),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    read_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_messages_request_created ON messages (request_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_messages_unread ON messages (request_id, sender_id) WHERE read_at IS NULL;
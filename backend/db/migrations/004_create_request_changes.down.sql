@@ -0,0 +1,10 @@
+ALTER TABLE assignments
+    DROP COLUMN IF EXISTS cancellation_reason,
+    DROP COLUMN IF EXISTS cancelled_by,
+    DROP COLUMN IF EXISTS cancelled_at;
+
+ALTER TABLE assignment_requests
+    DROP COLUMN IF EXISTS cancelled_at,
+    DROP COLUMN IF EXISTS updated_at;
+
+DROP TABLE IF EXISTS request_changes;
@@ -0,0 +1,26 @@
+-- Edits and cancellations of an assigned request need the other party's
+-- consent, so they are stored as proposals until accepted or rejected.
+CREATE TABLE IF NOT EXISTS request_changes (
+    id SERIAL PRIMARY KEY,
+    request_id INTEGER NOT NULL REFERENCES assignment_requests(id) ON DELETE CASCADE,
+    proposed_by INTEGER NOT NULL REFERENCES users(id),
+    change_type VARCHAR(20) NOT NULL CHECK (change_type IN ('edit', 'cancel')),
+    changes JSONB,
+    reason TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'rejected', 'withdrawn')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    responded_at TIMESTAMP WITH TIME ZONE
+);
+
+-- At most one open proposal per request at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_request_changes_one_pending
+    ON request_changes (request_id) WHERE status = 'pending';
+
+ALTER TABLE assignment_requests
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE assignments
+    ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS cancelled_by INTEGER REFERENCES users(id),
+    ADD COLUMN IF NOT EXISTS cancellation_reason TEXT;
@@ -0,0 +1,6 @@
+DROP INDEX IF EXISTS idx_assignment_requests_open_deadline;
+DROP INDEX IF EXISTS idx_assignment_requests_open_cost;
+DROP INDEX IF EXISTS idx_assignment_requests_open_created;
+DROP INDEX IF EXISTS idx_assignment_requests_search;
+
+ALTER TABLE assignment_requests DROP COLUMN IF EXISTS search_vector;
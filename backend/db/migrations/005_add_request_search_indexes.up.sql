@@ -0,0 +1,13 @@
+-- Full-text search over course name and code for the request board
+ALTER TABLE assignment_requests
+    ADD COLUMN IF NOT EXISTS search_vector tsvector
+    GENERATED ALWAYS AS (
+        to_tsvector('simple', coalesce(course_name, '') || ' ' || coalesce(course_code, ''))
+    ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_assignment_requests_search ON assignment_requests USING GIN (search_vector);
+
+-- Keyset pagination for each supported sort order on the open board
+CREATE INDEX IF NOT EXISTS idx_assignment_requests_open_created ON assignment_requests (created_at DESC, id DESC) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_assignment_requests_open_cost ON assignment_requests (estimated_cost, id) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_assignment_requests_open_deadline ON assignment_requests (deadline, id) WHERE status = 'open';
@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS idx_users_writer_stream;
+DROP INDEX IF EXISTS idx_users_writer_rating;
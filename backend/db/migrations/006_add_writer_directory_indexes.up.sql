@@ -0,0 +1,3 @@
+-- Writer directory: default sort order and the columns used as facets
+CREATE INDEX IF NOT EXISTS idx_users_writer_rating ON users ((COALESCE(rating, 0)) DESC, id DESC) WHERE writer_status IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_users_writer_stream ON users (university_stream) WHERE writer_status IS NOT NULL;
@@ -0,0 +1,13 @@
+DROP INDEX IF EXISTS idx_assignment_requests_target_writer;
+
+UPDATE assignment_requests SET status = 'cancelled' WHERE status = 'declined';
+
+ALTER TABLE assignment_requests DROP CONSTRAINT IF EXISTS assignment_requests_status_check;
+ALTER TABLE assignment_requests ADD CONSTRAINT assignment_requests_status_check
+    CHECK (status IN ('open', 'assigned', 'completed', 'cancelled'));
+
+ALTER TABLE assignment_requests
+    DROP COLUMN IF EXISTS decline_reason,
+    DROP COLUMN IF EXISTS declined_at,
+    DROP COLUMN IF EXISTS direct_response_deadline,
+    DROP COLUMN IF EXISTS target_writer_id;
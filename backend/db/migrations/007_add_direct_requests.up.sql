@@ -0,0 +1,14 @@
+-- A request can be addressed to a single writer. It stays off the open board
+-- until that writer accepts it, or the client publishes it after a decline or timeout.
+ALTER TABLE assignment_requests
+    ADD COLUMN IF NOT EXISTS target_writer_id INTEGER REFERENCES users(id),
+    ADD COLUMN IF NOT EXISTS direct_response_deadline TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS declined_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS decline_reason TEXT;
+
+ALTER TABLE assignment_requests DROP CONSTRAINT IF EXISTS assignment_requests_status_check;
+ALTER TABLE assignment_requests ADD CONSTRAINT assignment_requests_status_check
+    CHECK (status IN ('open', 'assigned', 'completed', 'cancelled', 'declined'));
+
+CREATE INDEX IF NOT EXISTS idx_assignment_requests_target_writer
+    ON assignment_requests (target_writer_id) WHERE target_writer_id IS NOT NULL;
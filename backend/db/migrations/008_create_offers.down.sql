@@ -0,0 +1,6 @@
+ALTER TABLE assignments
+    DROP COLUMN IF EXISTS delivery_date,
+    DROP COLUMN IF EXISTS agreed_price,
+    DROP COLUMN IF EXISTS offer_id;
+
+DROP TABLE IF EXISTS offers;
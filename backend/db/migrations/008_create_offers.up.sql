@@ -0,0 +1,28 @@
+-- Writers can offer their own price and delivery date on an open request.
+-- Either side may answer an offer with a counter-offer, which is stored as a
+-- new row pointing at the offer it replaces.
+CREATE TABLE IF NOT EXISTS offers (
+    id SERIAL PRIMARY KEY,
+    request_id INTEGER NOT NULL REFERENCES assignment_requests(id) ON DELETE CASCADE,
+    writer_id INTEGER NOT NULL REFERENCES users(id),
+    proposed_by INTEGER NOT NULL REFERENCES users(id),
+    parent_offer_id INTEGER REFERENCES offers(id),
+    price NUMERIC(10,2) NOT NULL CHECK (price > 0),
+    delivery_date TIMESTAMP WITH TIME ZONE NOT NULL,
+    message TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'accepted', 'rejected', 'withdrawn', 'expired', 'countered')),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    responded_at TIMESTAMP WITH TIME ZONE
+);
+
+-- One live negotiation per writer and request
+CREATE UNIQUE INDEX IF NOT EXISTS idx_offers_one_pending
+    ON offers (request_id, writer_id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_offers_writer ON offers (writer_id, created_at DESC);
+
+ALTER TABLE assignments
+    ADD COLUMN IF NOT EXISTS offer_id INTEGER REFERENCES offers(id),
+    ADD COLUMN IF NOT EXISTS agreed_price NUMERIC(10,2),
+    ADD COLUMN IF NOT EXISTS delivery_date TIMESTAMP WITH TIME ZONE;
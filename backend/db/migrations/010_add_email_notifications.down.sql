@@ -0,0 +1,8 @@
+DROP TABLE IF EXISTS email_queue;
+
+ALTER TABLE assignment_requests DROP COLUMN IF EXISTS expiry_warning_sent_at;
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_email_frequency_check;
+ALTER TABLE users DROP COLUMN IF EXISTS email_frequency;
+
+ALTER TABLE notification_preferences DROP COLUMN IF EXISTS email;
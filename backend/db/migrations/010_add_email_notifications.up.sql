@@ -0,0 +1,35 @@
+-- Email delivery for notifications. Each type can be turned off for email
+-- separately from in-app, and users choose between immediate mail, a daily
+-- digest or no email at all.
+ALTER TABLE notification_preferences
+    ADD COLUMN IF NOT EXISTS email BOOLEAN NOT NULL DEFAULT TRUE;
+
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS email_frequency VARCHAR(10) NOT NULL DEFAULT 'immediate';
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_email_frequency_check;
+ALTER TABLE users ADD CONSTRAINT users_email_frequency_check
+    CHECK (email_frequency IN ('immediate', 'daily', 'off'));
+
+-- Set once the client has been warned that the listing is about to expire
+ALTER TABLE assignment_requests
+    ADD COLUMN IF NOT EXISTS expiry_warning_sent_at TIMESTAMP WITH TIME ZONE;
+
+-- Outgoing mail. Request handlers only insert here; a background worker sends.
+CREATE TABLE IF NOT EXISTS email_queue (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    to_address VARCHAR(255) NOT NULL,
+    type VARCHAR(50) NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    body TEXT NOT NULL,
+    digest BOOLEAN NOT NULL DEFAULT FALSE,
+    status VARCHAR(10) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    send_after TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_queue_pending ON email_queue (send_after) WHERE status = 'pending';
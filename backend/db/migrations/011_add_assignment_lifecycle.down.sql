@@ -0,0 +1,13 @@
+DROP TABLE IF EXISTS assignment_status_history;
+
+UPDATE assignments SET status = 'in_progress' WHERE status IN ('submitted', 'revision_requested', 'disputed');
+
+ALTER TABLE assignments DROP CONSTRAINT IF EXISTS assignments_status_check;
+ALTER TABLE assignments ADD CONSTRAINT assignments_status_check
+    CHECK (status IN ('in_progress', 'completed', 'cancelled'));
+
+ALTER TABLE assignments
+    DROP COLUMN IF EXISTS revision_count,
+    DROP COLUMN IF EXISTS disputed_at,
+    DROP COLUMN IF EXISTS revision_requested_at,
+    DROP COLUMN IF EXISTS submitted_at;
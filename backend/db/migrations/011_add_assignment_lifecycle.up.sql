@@ -0,0 +1,44 @@
+-- Assignments move through explicit states: the writer submits the work, the
+-- client accepts it or asks for a revision, and either side can raise a dispute.
+ALTER TABLE assignments DROP CONSTRAINT IF EXISTS assignments_status_check;
+ALTER TABLE assignments ADD CONSTRAINT assignments_status_check
+    CHECK (status IN ('in_progress', 'submitted', 'revision_requested', 'completed', 'cancelled', 'disputed'));
+
+ALTER TABLE assignments
+    ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS revision_requested_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS disputed_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS revision_count INTEGER NOT NULL DEFAULT 0;
+
+-- One row per status change, oldest first, for the assignment timeline
+CREATE TABLE IF NOT EXISTS assignment_status_history (
+    id SERIAL PRIMARY KEY,
+    assignment_id INTEGER NOT NULL REFERENCES assignments(id) ON DELETE CASCADE,
+    from_status VARCHAR(50),
+    to_status VARCHAR(50) NOT NULL,
+    action VARCHAR(30) NOT NULL,
+    actor_id INTEGER REFERENCES users(id),
+    note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_assignment_status_history_assignment
+    ON assignment_status_history (assignment_id, created_at);
+
+-- Give existing assignments a timeline from the timestamps they already have
+INSERT INTO assignment_status_history (assignment_id, from_status, to_status, action, actor_id, created_at)
+SELECT a.id, NULL, 'in_progress', 'start', a.writer_id, a.created_at
+FROM assignments a
+WHERE NOT EXISTS (SELECT 1 FROM assignment_status_history h WHERE h.assignment_id = a.id);
+
+INSERT INTO assignment_status_history (assignment_id, from_status, to_status, action, actor_id, created_at)
+SELECT a.id, 'in_progress', 'completed', 'accept', NULL, a.completed_at
+FROM assignments a
+WHERE a.status = 'completed' AND a.completed_at IS NOT NULL
+    AND NOT EXISTS (SELECT 1 FROM assignment_status_history h WHERE h.assignment_id = a.id AND h.to_status = 'completed');
+
+INSERT INTO assignment_status_history (assignment_id, from_status, to_status, action, actor_id, note, created_at)
+SELECT a.id, 'in_progress', 'cancelled', 'cancel', a.cancelled_by, a.cancellation_reason, a.cancelled_at
+FROM assignments a
+WHERE a.status = 'cancelled' AND a.cancelled_at IS NOT NULL
+    AND NOT EXISTS (SELECT 1 FROM assignment_status_history h WHERE h.assignment_id = a.id AND h.to_status = 'cancelled');
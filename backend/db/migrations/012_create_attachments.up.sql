@@ -0,0 +1,18 @@
+-- Files attached to a request. The client uploads briefs, rubrics and
+-- reference material; the writer uploads deliverables against their
+-- assignment. The bytes live in the storage backend under storage_key.
+CREATE TABLE IF NOT EXISTS attachments (
+    id SERIAL PRIMARY KEY,
+    request_id INTEGER NOT NULL REFERENCES assignment_requests(id) ON DELETE CASCADE,
+    assignment_id INTEGER REFERENCES assignments(id) ON DELETE CASCADE,
+    uploaded_by INTEGER NOT NULL REFERENCES users(id),
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('brief', 'deliverable')),
+    original_name VARCHAR(255) NOT NULL,
+    content_type VARCHAR(100) NOT NULL,
+    size_bytes INTEGER NOT NULL CHECK (size_bytes > 0),
+    storage_key VARCHAR(255) NOT NULL UNIQUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK (kind = 'brief' OR assignment_id IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_attachments_request ON attachments (request_id, created_at);
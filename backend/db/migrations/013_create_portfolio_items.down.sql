@@ -0,0 +1,2 @@
+-- sample_work_image was never changed, so the old single-image portfolio still works
+DROP TABLE IF EXISTS portfolio_items;
@@ -0,0 +1,27 @@
+-- A writer's portfolio is now a list of samples, each with its own uploaded
+-- image, caption and subject, shown in the order the writer chooses.
+-- writer_portfolios keeps the overall description, and its old single
+-- sample_work_image column is left in place so nothing is lost.
+CREATE TABLE IF NOT EXISTS portfolio_items (
+    id SERIAL PRIMARY KEY,
+    writer_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    caption TEXT,
+    subject VARCHAR(100),
+    position INTEGER NOT NULL DEFAULT 0,
+    image_key VARCHAR(255),
+    thumbnail_key VARCHAR(255),
+    -- Set for samples carried over from sample_work_image, which were links to external hosts
+    legacy_image_url TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK (image_key IS NOT NULL OR legacy_image_url IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_portfolio_items_writer ON portfolio_items (writer_id, position, id);
+
+-- Carry each existing sample image over as the writer's first portfolio item
+INSERT INTO portfolio_items (writer_id, legacy_image_url, position)
+SELECT wp.writer_id, wp.sample_work_image, 0
+FROM writer_portfolios wp
+WHERE COALESCE(TRIM(wp.sample_work_image), '') <> ''
+  AND NOT EXISTS (SELECT 1 FROM portfolio_items pi WHERE pi.writer_id = wp.writer_id);
@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS idx_ratings_rated_role;
+ALTER TABLE ratings DROP COLUMN IF EXISTS rated_role;
@@ -0,0 +1,20 @@
+-- Record which side of the assignment the rated user was on, so ratings
+-- received as a writer and as a client can be shown separately.
+ALTER TABLE ratings
+    ADD COLUMN IF NOT EXISTS rated_role VARCHAR(10) CHECK (rated_role IN ('writer', 'client'));
+
+UPDATE ratings r
+SET rated_role = CASE WHEN a.writer_id = r.rated_id THEN 'writer' ELSE 'client' END
+FROM (
+    SELECT DISTINCT ON (request_id) request_id, writer_id
+    FROM assignments
+    ORDER BY request_id, created_at DESC
+) a
+WHERE a.request_id = r.assignment_request_id AND r.rated_role IS NULL;
+
+-- Anything left has no assignment to go by; count it on the writer side, the common case
+UPDATE ratings SET rated_role = 'writer' WHERE rated_role IS NULL;
+
+ALTER TABLE ratings ALTER COLUMN rated_role SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_ratings_rated_role ON ratings (rated_id, rated_role, created_at DESC, id DESC);
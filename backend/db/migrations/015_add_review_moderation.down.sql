@@ -0,0 +1,8 @@
+DROP TABLE IF EXISTS review_reports;
+
+ALTER TABLE ratings
+    DROP COLUMN IF EXISTS reply,
+    DROP COLUMN IF EXISTS replied_at,
+    DROP COLUMN IF EXISTS hidden_at,
+    DROP COLUMN IF EXISTS hidden_by,
+    DROP COLUMN IF EXISTS hidden_reason;
@@ -0,0 +1,23 @@
+-- The rated user can post one public reply to each review, anyone can report
+-- a review, and moderators can hide it. Hidden reviews stay in the table but
+-- no longer count towards users.rating and users.total_ratings.
+ALTER TABLE ratings
+    ADD COLUMN IF NOT EXISTS reply TEXT,
+    ADD COLUMN IF NOT EXISTS replied_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS hidden_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS hidden_by INTEGER REFERENCES users(id),
+    ADD COLUMN IF NOT EXISTS hidden_reason TEXT;
+
+CREATE TABLE IF NOT EXISTS review_reports (
+    id SERIAL PRIMARY KEY,
+    rating_id INTEGER NOT NULL REFERENCES ratings(id) ON DELETE CASCADE,
+    reporter_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    reason TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'actioned', 'dismissed')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    resolved_at TIMESTAMP WITH TIME ZONE,
+    resolved_by INTEGER REFERENCES users(id),
+    UNIQUE (rating_id, reporter_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_review_reports_pending ON review_reports (rating_id) WHERE status = 'pending';
@@ -0,0 +1,9 @@
+DROP TABLE IF EXISTS admin_audit_log;
+
+ALTER TABLE users
+    DROP COLUMN IF EXISTS account_status,
+    DROP COLUMN IF EXISTS suspended_until,
+    DROP COLUMN IF EXISTS account_status_reason;
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users ALTER COLUMN role DROP NOT NULL;
@@ -0,0 +1,28 @@
+-- users.role used to be free text. Pin it to the roles the server knows about.
+UPDATE users SET role = 'student' WHERE role IS NULL OR role NOT IN ('student', 'writer', 'moderator', 'admin');
+
+ALTER TABLE users ALTER COLUMN role SET DEFAULT 'student';
+ALTER TABLE users ALTER COLUMN role SET NOT NULL;
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users ADD CONSTRAINT users_role_check CHECK (role IN ('student', 'writer', 'moderator', 'admin'));
+
+-- Suspended accounts are locked out until suspended_until, banned ones for good
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS account_status VARCHAR(20) NOT NULL DEFAULT 'active'
+        CHECK (account_status IN ('active', 'suspended', 'banned')),
+    ADD COLUMN IF NOT EXISTS suspended_until TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS account_status_reason TEXT;
+
+-- One row per admin or moderator action, newest first in the console
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+    id SERIAL PRIMARY KEY,
+    actor_id INTEGER REFERENCES users(id),
+    action VARCHAR(50) NOT NULL,
+    target_type VARCHAR(30),
+    target_id INTEGER,
+    details JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created ON admin_audit_log (created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_target ON admin_audit_log (target_type, target_id);
@@ -0,0 +1,9 @@
+DELETE FROM attachments WHERE kind = 'evidence';
+
+ALTER TABLE attachments DROP CONSTRAINT IF EXISTS attachments_evidence_check;
+ALTER TABLE attachments DROP CONSTRAINT IF EXISTS attachments_kind_check;
+ALTER TABLE attachments ADD CONSTRAINT attachments_kind_check CHECK (kind IN ('brief', 'deliverable'));
+ALTER TABLE attachments DROP COLUMN IF EXISTS dispute_id;
+
+DROP TABLE IF EXISTS dispute_messages;
+DROP TABLE IF EXISTS disputes;
@@ -0,0 +1,57 @@
+-- Either party can dispute an assignment. The assignment stays frozen in the
+-- disputed state until an admin resolves the dispute as completed, completed
+-- with a partial refund, or cancelled.
+CREATE TABLE IF NOT EXISTS disputes (
+    id SERIAL PRIMARY KEY,
+    assignment_id INTEGER NOT NULL REFERENCES assignments(id) ON DELETE CASCADE,
+    opened_by INTEGER NOT NULL REFERENCES users(id),
+    reason TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved')),
+    outcome VARCHAR(20) CHECK (outcome IN ('completed', 'partial_refund', 'cancelled')),
+    refund_amount NUMERIC(10,2) CHECK (refund_amount > 0),
+    resolution_note TEXT,
+    ratings_voided BOOLEAN NOT NULL DEFAULT FALSE,
+    resolved_by INTEGER REFERENCES users(id),
+    resolved_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK (status = 'open' OR outcome IS NOT NULL),
+    CHECK (outcome IS DISTINCT FROM 'partial_refund' OR refund_amount IS NOT NULL)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_disputes_open_assignment ON disputes (assignment_id) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_disputes_status ON disputes (status, created_at DESC, id DESC);
+
+-- The thread between the two parties and the admin mediating
+CREATE TABLE IF NOT EXISTS dispute_messages (
+    id SERIAL PRIMARY KEY,
+    dispute_id INTEGER NOT NULL REFERENCES disputes(id) ON DELETE CASCADE,
+    sender_id INTEGER NOT NULL REFERENCES users(id),
+    body TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_dispute_messages_dispute ON dispute_messages (dispute_id, created_at);
+
+-- Evidence is uploaded as attachments against the dispute
+ALTER TABLE attachments ADD COLUMN IF NOT EXISTS dispute_id INTEGER REFERENCES disputes(id) ON DELETE CASCADE;
+
+ALTER TABLE attachments DROP CONSTRAINT IF EXISTS attachments_kind_check;
+ALTER TABLE attachments ADD CONSTRAINT attachments_kind_check
+    CHECK (kind IN ('brief', 'deliverable', 'evidence'));
+
+ALTER TABLE attachments DROP CONSTRAINT IF EXISTS attachments_evidence_check;
+ALTER TABLE attachments ADD CONSTRAINT attachments_evidence_check
+    CHECK (kind <> 'evidence' OR dispute_id IS NOT NULL);
+
+-- Assignments that were already disputed get an open dispute from their timeline
+INSERT INTO disputes (assignment_id, opened_by, reason, created_at)
+SELECT a.id, COALESCE(h.actor_id, a.client_id), COALESCE(h.note, 'No reason recorded'), COALESCE(a.disputed_at, h.created_at, NOW())
+FROM assignments a
+LEFT JOIN LATERAL (
+    SELECT actor_id, note, created_at FROM assignment_status_history
+    WHERE assignment_id = a.id AND to_status = 'disputed'
+    ORDER BY created_at DESC
+    LIMIT 1
+) h ON true
+WHERE a.status = 'disputed'
+    AND NOT EXISTS (SELECT 1 FROM disputes d WHERE d.assignment_id = a.id AND d.status = 'open');
@@ -0,0 +1,66 @@
+-- Double-entry ledger. Every movement of money is a ledger transaction with
+-- two or more entries that sum to zero. Each account caches its balance,
+-- which is updated in the same database transaction as its entries.
+--
+-- Account types:
+--   wallet   - a user's spendable balance
+--   escrow   - money held for one assignment until it is completed or cancelled
+--   external - the outside world: deposits come from here, payouts go to it
+--   payouts  - payouts that have been requested but not yet paid
+CREATE TABLE IF NOT EXISTS ledger_accounts (
+    id SERIAL PRIMARY KEY,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('wallet', 'escrow', 'external', 'payouts')),
+    user_id INTEGER REFERENCES users(id),
+    assignment_id INTEGER REFERENCES assignments(id),
+    balance NUMERIC(12,2) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((type = 'wallet') = (user_id IS NOT NULL)),
+    CHECK ((type = 'escrow') = (assignment_id IS NOT NULL)),
+    -- Only the system accounts can go negative
+    CHECK (type IN ('external', 'payouts') OR balance >= 0)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ledger_accounts_wallet ON ledger_accounts (user_id) WHERE type = 'wallet';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ledger_accounts_escrow ON ledger_accounts (assignment_id) WHERE type = 'escrow';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ledger_accounts_system ON ledger_accounts (type) WHERE type IN ('external', 'payouts');
+
+-- Deposits and payouts through the payment provider
+CREATE TABLE IF NOT EXISTS payments (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id),
+    direction VARCHAR(10) NOT NULL CHECK (direction IN ('deposit', 'payout')),
+    amount NUMERIC(12,2) NOT NULL CHECK (amount > 0),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed')),
+    provider VARCHAR(50) NOT NULL,
+    provider_reference VARCHAR(255),
+    destination VARCHAR(255),
+    failure_reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_payments_user ON payments (user_id, direction, created_at DESC, id DESC);
+
+CREATE TABLE IF NOT EXISTS ledger_transactions (
+    id SERIAL PRIMARY KEY,
+    kind VARCHAR(30) NOT NULL CHECK (kind IN ('deposit', 'escrow_hold', 'escrow_release', 'escrow_refund', 'payout_request', 'payout_paid', 'payout_reversal')),
+    assignment_id INTEGER REFERENCES assignments(id) ON DELETE SET NULL,
+    payment_id INTEGER REFERENCES payments(id) ON DELETE SET NULL,
+    description TEXT,
+    created_by INTEGER REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS ledger_entries (
+    id SERIAL PRIMARY KEY,
+    transaction_id INTEGER NOT NULL REFERENCES ledger_transactions(id) ON DELETE CASCADE,
+    account_id INTEGER NOT NULL REFERENCES ledger_accounts(id),
+    amount NUMERIC(12,2) NOT NULL CHECK (amount <> 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_account ON ledger_entries (account_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_transaction ON ledger_entries (transaction_id);
+
+INSERT INTO ledger_accounts (type) VALUES ('external'), ('payouts')
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,3 @@
+ALTER TABLE users
+    DROP COLUMN IF EXISTS max_concurrent_assignments,
+    DROP COLUMN IF EXISTS vacation_until;
@@ -0,0 +1,17 @@
+-- Writers choose how many assignments they take on at once (NULL uses the
+-- platform default) and can go on vacation until a return date. From now on
+-- writer_status follows the open workload: 'busy' at capacity and 'active'
+-- below it. 'inactive' remains the writer's own choice.
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS max_concurrent_assignments INTEGER CHECK (max_concurrent_assignments > 0),
+    ADD COLUMN IF NOT EXISTS vacation_until TIMESTAMP WITH TIME ZONE;
+
+-- Accepting work used to leave writers busy for good. Free up everyone below
+-- the default capacity of three open assignments.
+UPDATE users u
+SET writer_status = 'active'
+WHERE u.writer_status = 'busy'
+    AND (
+        SELECT COUNT(*) FROM assignments a
+        WHERE a.writer_id = u.id AND a.status IN ('in_progress', 'submitted', 'revision_requested', 'disputed')
+    ) < 3;
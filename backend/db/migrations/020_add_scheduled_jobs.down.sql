@@ -0,0 +1,15 @@
+DROP TABLE IF EXISTS deadline_reminders;
+
+ALTER TABLE assignments DROP COLUMN IF EXISTS overdue_at;
+
+DROP INDEX IF EXISTS idx_assignment_requests_open_expiration;
+
+UPDATE assignment_requests SET status = 'cancelled' WHERE status = 'expired';
+
+ALTER TABLE assignment_requests DROP CONSTRAINT IF EXISTS assignment_requests_status_check;
+ALTER TABLE assignment_requests ADD CONSTRAINT assignment_requests_status_check
+    CHECK (status IN ('open', 'assigned', 'completed', 'cancelled', 'declined'));
+
+ALTER TABLE assignment_requests DROP COLUMN IF EXISTS expired_at;
+
+DROP TABLE IF EXISTS scheduled_jobs;
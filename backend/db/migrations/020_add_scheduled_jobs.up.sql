@@ -0,0 +1,34 @@
+-- Background jobs run by scheduler.js. Each job has a row here; a server takes
+-- a lease on the row before running the job, so that only one instance runs it
+-- at a time and no more often than its interval.
+CREATE TABLE IF NOT EXISTS scheduled_jobs (
+    name VARCHAR(50) PRIMARY KEY,
+    locked_by VARCHAR(255),
+    locked_until TIMESTAMP WITH TIME ZONE,
+    last_started_at TIMESTAMP WITH TIME ZONE,
+    last_finished_at TIMESTAMP WITH TIME ZONE,
+    last_error TEXT
+);
+
+-- Open requests whose listing period has run out are moved to expired
+ALTER TABLE assignment_requests DROP CONSTRAINT IF EXISTS assignment_requests_status_check;
+ALTER TABLE assignment_requests ADD CONSTRAINT assignment_requests_status_check
+    CHECK (status IN ('open', 'assigned', 'completed', 'cancelled', 'declined', 'expired'));
+
+ALTER TABLE assignment_requests ADD COLUMN IF NOT EXISTS expired_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_assignment_requests_open_expiration
+    ON assignment_requests (expiration_deadline) WHERE status = 'open';
+
+-- Set when the work is still outstanding after the request's deadline
+ALTER TABLE assignments ADD COLUMN IF NOT EXISTS overdue_at TIMESTAMP WITH TIME ZONE;
+
+-- Each deadline reminder goes out once per deadline. A new row is needed if
+-- the deadline is moved, so the writer is reminded about the new one.
+CREATE TABLE IF NOT EXISTS deadline_reminders (
+    assignment_id INTEGER NOT NULL REFERENCES assignments(id) ON DELETE CASCADE,
+    deadline TIMESTAMP WITH TIME ZONE NOT NULL,
+    hours_before INTEGER NOT NULL,
+    sent_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (assignment_id, deadline, hours_before)
+);
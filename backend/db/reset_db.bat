@@ -1,2 +0,0 @@
-@echo off
-"C:\Program Files\PostgreSQL\15\bin\psql.exe" -U postgres -f init.sql
@@ -1,33 +1,27 @@
 const { Pool } = require('pg');
-const fs = require('fs').promises;
 const path = require('path');
+const { migrateUp } = require('./migrate');
 require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const { getDatabaseSsl } = require('../config');
 
 const pool = new Pool({
     connectionString: process.env.DATABASE_URL,
-    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    ssl: getDatabaseSsl()
 });
 
 async function setupDatabase() {
     try {
         console.log('Connecting to database...');
-        const client = await pool.connect();
+        await pool.query('SELECT NOW()');
         console.log('✅ Connected to PostgreSQL database');
         
-        // Read and execute SQL file
-        const sqlPath = path.join(__dirname, 'init.sql');
-        console.log(`Reading SQL file from: ${sqlPath}`);
-        const sqlContent = await fs.readFile(sqlPath, 'utf8');
-        
-        // Execute SQL commands
-        console.log('Executing SQL commands...');
-        await client.query(sqlContent);
-        console.log('✅ Database tables created successfully');
-        
-        client.release();
+        // Bring the schema up to date. Existing tables and data are never dropped.
+        console.log('Applying pending migrations...');
+        const applied = await migrateUp(pool);
+        console.log(`✅ Database schema is up to date (${applied.length} migration(s) applied)`);
     } catch (error) {
-        console.error('❌ Error creating database tables:', error);
-        process.exit(1);
+        console.error('❌ Error setting up database:', error);
+        process.exitCode = 1;
     } finally {
         await pool.end();
     }
@@ -38,4 +32,4 @@ if (require.main === module) {
     setupDatabase();
 }
 
-module.exports = { setupDatabase };
\ No newline at end of file
+module.exports = { setupDatabase };
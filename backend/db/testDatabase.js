@@ -0,0 +1,48 @@
+// A database of its own for each test file, on the server testSetup.js
+// provides, so test files can run side by side without seeing each other's rows
+const crypto = require('crypto');
+const { Client, Pool } = require('pg');
+const { migrateUp } = require('./migrate');
+
+// Run fn with a connection to the server's maintenance database
+async function withServer(fn) {
+    const client = new Client({ connectionString: process.env.TEST_DATABASE_URL });
+    await client.connect();
+    try {
+        return await fn(client);
+    } finally {
+        await client.end();
+    }
+}
+
+// Create an empty database and return a pool on it. Unless migrate is false,
+// every migration is applied first.
+async function createTestDatabase({ migrate = true } = {}) {
+    const name = `writify_test_${crypto.randomUUID().replace(/-/g, '')}`;
+    await withServer(client => client.query(`CREATE DATABASE ${name}`));
+
+    const url = new URL(process.env.TEST_DATABASE_URL);
+    url.pathname = `/${name}`;
+    const pool = new Pool({ connectionString: url.toString() });
+
+    if (migrate) {
+        // The runner logs every migration it applies
+        const log = console.log;
+        console.log = () => {};
+        try {
+            await migrateUp(pool);
+        } finally {
+            console.log = log;
+        }
+    }
+    return pool;
+}
+
+// Close a pool from createTestDatabase and drop its database
+async function dropTestDatabase(pool) {
+    const name = new URL(pool.options.connectionString).pathname.slice(1);
+    await pool.end();
+    await withServer(client => client.query(`DROP DATABASE ${name}`));
+}
+
+module.exports = { createTestDatabase, dropTestDatabase };
@@ -0,0 +1,55 @@
+// Rows for database tests. Each builder fills in the columns its table
+// requires with placeholder values; pass any column to set it yourself.
+let count = 0;
+
+async function insert(db, table, row) {
+    const columns = Object.keys(row);
+    const result = await db.query(
+        `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING *`,
+        Object.values(row)
+    );
+    return result.rows[0];
+}
+
+const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+function createUser(db, fields = {}) {
+    count += 1;
+    return insert(db, 'users', {
+        google_id: `test:${count}`,
+        email: `user${count}@writify.test`,
+        name: `Test User ${count}`,
+        ...fields
+    });
+}
+
+// An open request due in a week. client_id is required.
+function createRequest(db, fields) {
+    return insert(db, 'assignment_requests', {
+        course_name: 'Data Structures',
+        course_code: 'CS201',
+        assignment_type: 'class_assignment',
+        num_pages: 5,
+        deadline: inDays(7),
+        estimated_cost: 500,
+        ...fields
+    });
+}
+
+// An assignment in progress on a request, which moves to assigned.
+// writer_id is required.
+async function createAssignment(db, request, fields) {
+    await db.query(`UPDATE assignment_requests SET status = 'assigned' WHERE id = $1`, [request.id]);
+    return insert(db, 'assignments', {
+        request_id: request.id,
+        client_id: request.client_id,
+        ...fields
+    });
+}
+
+module.exports = {
+    inDays,
+    createUser,
+    createRequest,
+    createAssignment
+};
@@ -0,0 +1,6 @@
+// Jest global teardown: stop the embedded server testSetup.js started, if any
+module.exports = async () => {
+    if (globalThis.testPostgresServer) {
+        await globalThis.testPostgresServer.stop();
+    }
+};
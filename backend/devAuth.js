@@ -0,0 +1,99 @@
+// Sign-in without Google, for local development and end-to-end tests. It is
+// only mounted when DEV_AUTH_ENABLED=true, which config.js refuses in
+// production. Users signed in this way live in the same users table as
+// everyone else, marked by a google_id starting with "dev:", and go through the
+// same passport session, so the rest of the app can't tell them apart.
+const passport = require('passport');
+
+const DEV_ID_PREFIX = 'dev:';
+
+// Created the first time the login page lists them. The .test domain is
+// reserved, so these can never collide with a real account.
+const SEED_USERS = [
+    { email: 'client@writify.test', name: 'Dev Client', role: 'student', writer_status: null, university_stream: null },
+    { email: 'writer@writify.test', name: 'Dev Writer', role: 'writer', writer_status: 'active', university_stream: 'Computer Science' },
+    { email: 'writer2@writify.test', name: 'Dev Writer Two', role: 'writer', writer_status: 'active', university_stream: 'Mechanical Engineering' },
+    { email: 'moderator@writify.test', name: 'Dev Moderator', role: 'moderator', writer_status: null, university_stream: null },
+    { email: 'admin@writify.test', name: 'Dev Admin', role: 'admin', writer_status: null, university_stream: null }
+];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+async function insertUser(db, { email, name, role = 'student', writer_status = null, university_stream = null }) {
+    const result = await db.query(`
+        INSERT INTO users (google_id, email, name, role, writer_status, university_stream)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (email) DO NOTHING
+        RETURNING *
+    `, [`${DEV_ID_PREFIX}${email}`, email, name, role, writer_status, university_stream]);
+
+    return result.rows[0] || null;
+}
+
+// The development users, creating the seeded ones if they are missing
+async function listUsers(db) {
+    for (const seed of SEED_USERS) {
+        await insertUser(db, seed);
+    }
+
+    const result = await db.query(`
+        SELECT id, name, email, role, writer_status, account_status
+        FROM users
+        WHERE google_id LIKE $1
+        ORDER BY id
+    `, [`${DEV_ID_PREFIX}%`]);
+
+    return result.rows;
+}
+
+// Load a development user by email, creating them on first sign-in. Seeded
+// emails get their seeded role; any other email starts out as a student.
+// Accounts that signed up through Google are off limits.
+async function findOrCreateUser(db, { email, name }) {
+    const normalizedEmail = String(email || '').trim().toLowerCase();
+    if (!EMAIL_PATTERN.test(normalizedEmail) || normalizedEmail.length > 255) {
+        return { error: 'Enter a valid email address' };
+    }
+
+    const existing = await db.query('SELECT * FROM users WHERE email = $1', [normalizedEmail]);
+    if (existing.rows.length > 0) {
+        if (!existing.rows[0].google_id.startsWith(DEV_ID_PREFIX)) {
+            return { error: 'This email belongs to a Google account. Sign in with Google instead.' };
+        }
+        return { user: existing.rows[0] };
+    }
+
+    const seed = SEED_USERS.find(user => user.email === normalizedEmail);
+    const displayName = String(name || '').trim().substring(0, 255) || (seed ? seed.name : normalizedEmail.split('@')[0]);
+    const user = await insertUser(db, { ...seed, email: normalizedEmail, name: displayName });
+    if (!user) {
+        // Someone else created it in the meantime
+        return findOrCreateUser(db, { email: normalizedEmail });
+    }
+
+    return { user };
+}
+
+// Passport strategy that signs in the user named in the request body: { email, name }
+class DevStrategy extends passport.Strategy {
+    constructor(pool) {
+        super();
+        this.name = 'dev';
+        this.pool = pool;
+    }
+
+    authenticate(req) {
+        findOrCreateUser(this.pool, req.body || {})
+            .then(result => result.error ? this.fail({ message: result.error }, 400) : this.success(result.user))
+            .catch(error => this.error(error));
+    }
+}
+
+const createStrategy = (pool) => new DevStrategy(pool);
+
+module.exports = {
+    SEED_USERS,
+    listUsers,
+    findOrCreateUser,
+    createStrategy
+};
@@ -0,0 +1,51 @@
+const devAuth = require('./devAuth');
+const { createTestDatabase, dropTestDatabase } = require('./db/testDatabase');
+const { createUser } = require('./db/testFixtures');
+
+let pool;
+
+beforeAll(async () => {
+    pool = await createTestDatabase();
+});
+
+afterAll(() => dropTestDatabase(pool));
+
+describe('listUsers', () => {
+    it('seeds the development users once and lists only them', async () => {
+        await createUser(pool);
+
+        await devAuth.listUsers(pool);
+        const users = await devAuth.listUsers(pool);
+
+        expect(users.map(user => [user.email, user.role])).toEqual(
+            devAuth.SEED_USERS.map(seed => [seed.email, seed.role])
+        );
+    });
+});
+
+describe('findOrCreateUser', () => {
+    it('signs in a seeded user with their seeded role', async () => {
+        const { user } = await devAuth.findOrCreateUser(pool, { email: 'Admin@Writify.test' });
+
+        expect(user).toMatchObject({ email: 'admin@writify.test', role: 'admin', google_id: 'dev:admin@writify.test' });
+    });
+
+    it('creates any other email as a student on first sign-in and finds it after', async () => {
+        const { user: created } = await devAuth.findOrCreateUser(pool, { email: 'new.person@writify.test' });
+        const { user: found } = await devAuth.findOrCreateUser(pool, { email: 'new.person@writify.test', name: 'Ignored' });
+
+        expect(created).toMatchObject({ name: 'new.person', role: 'student' });
+        expect(found.id).toBe(created.id);
+    });
+
+    it('refuses an invalid email', async () => {
+        expect(await devAuth.findOrCreateUser(pool, { email: 'not an email' })).toEqual({ error: 'Enter a valid email address' });
+    });
+
+    it('keeps accounts that signed up through Google off limits', async () => {
+        const googleUser = await createUser(pool);
+
+        expect(await devAuth.findOrCreateUser(pool, { email: googleUser.email }))
+            .toEqual({ error: 'This email belongs to a Google account. Sign in with Google instead.' });
+    });
+});
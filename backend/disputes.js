@@ -0,0 +1,199 @@
+// Disputes. Opening one freezes the assignment in the disputed state; the two
+// parties and an admin talk it through in the dispute thread, and the admin
+// settles it with resolve(), which moves the assignment on.
+const lifecycle = require('./lifecycle');
+const wallet = require('./wallet');
+const availability = require('./availability');
+
+// The lifecycle action each outcome takes. A partial refund still closes the
+// work as completed; the refund goes back to the client from escrow.
+const OUTCOMES = {
+    completed: 'resolve_complete',
+    partial_refund: 'resolve_complete',
+    cancelled: 'resolve_cancel'
+};
+
+const MAX_MESSAGE_LENGTH = 2000;
+
+// Record the dispute for an assignment that has just moved to disputed
+async function open(db, assignment, userId, reason) {
+    const result = await db.query(`
+        INSERT INTO disputes (assignment_id, opened_by, reason)
+        VALUES ($1, $2, $3)
+        RETURNING *
+    `, [assignment.id, userId, String(reason).trim().substring(0, 2000)]);
+
+    return result.rows[0];
+}
+
+const DISPUTE_QUERY = `
+    -- sort_value is the cursor for the admin dispute list
+    SELECT d.*, d.created_at::text as sort_value,
+        a.request_id, a.client_id, a.writer_id, a.status as assignment_status,
+        COALESCE(a.agreed_price, ar.estimated_cost) as price,
+        ar.course_name, ar.course_code,
+        client.name as client_name, writer.name as writer_name,
+        opener.name as opened_by_name, resolver.name as resolved_by_name
+    FROM disputes d
+    JOIN assignments a ON a.id = d.assignment_id
+    JOIN assignment_requests ar ON ar.id = a.request_id
+    JOIN users client ON client.id = a.client_id
+    JOIN users writer ON writer.id = a.writer_id
+    JOIN users opener ON opener.id = d.opened_by
+    LEFT JOIN users resolver ON resolver.id = d.resolved_by
+`;
+
+// The public shape of a dispute row from DISPUTE_QUERY
+const format = (row) => ({
+    id: row.id,
+    assignment_id: row.assignment_id,
+    request_id: row.request_id,
+    course_name: row.course_name,
+    course_code: row.course_code,
+    price: row.price,
+    client: { id: row.client_id, name: row.client_name },
+    writer: { id: row.writer_id, name: row.writer_name },
+    opened_by: { id: row.opened_by, name: row.opened_by_name },
+    reason: row.reason,
+    status: row.status,
+    outcome: row.outcome,
+    refund_amount: row.refund_amount,
+    resolution_note: row.resolution_note,
+    ratings_voided: row.ratings_voided,
+    resolved_by: row.resolved_by ? { id: row.resolved_by, name: row.resolved_by_name } : null,
+    resolved_at: row.resolved_at,
+    created_at: row.created_at
+});
+
+// One dispute with its assignment and both parties, or null
+async function get(db, disputeId) {
+    const result = await db.query(`${DISPUTE_QUERY} WHERE d.id = $1`, [disputeId]);
+    return result.rows[0] || null;
+}
+
+// The latest dispute on each of several assignments, as a map of assignment id -> dispute
+async function getForAssignments(db, assignmentIds) {
+    const disputes = new Map();
+    if (assignmentIds.length === 0) {
+        return disputes;
+    }
+
+    const result = await db.query(`
+        ${DISPUTE_QUERY}
+        WHERE d.assignment_id = ANY($1)
+        ORDER BY d.created_at ASC
+    `, [assignmentIds]);
+
+    for (const row of result.rows) {
+        disputes.set(row.assignment_id, format(row));
+    }
+
+    return disputes;
+}
+
+// The dispute thread, oldest first
+async function getMessages(db, disputeId) {
+    const result = await db.query(`
+        SELECT m.id, m.body, m.created_at, u.id as sender_id, u.name as sender_name
+        FROM dispute_messages m
+        JOIN users u ON u.id = m.sender_id
+        WHERE m.dispute_id = $1
+        ORDER BY m.created_at ASC, m.id ASC
+    `, [disputeId]);
+
+    return result.rows;
+}
+
+// Post to the thread while the dispute is open. Returns { message } or { error, status }.
+async function addMessage(db, dispute, user, body) {
+    const text = typeof body === 'string' ? body.trim() : '';
+    if (!text) {
+        return { error: 'Message cannot be empty', status: 400 };
+    }
+    if (text.length > MAX_MESSAGE_LENGTH) {
+        return { error: `Messages are limited to ${MAX_MESSAGE_LENGTH} characters`, status: 400 };
+    }
+    if (dispute.status !== 'open') {
+        return { error: 'This dispute has been resolved', status: 409 };
+    }
+
+    const result = await db.query(`
+        INSERT INTO dispute_messages (dispute_id, sender_id, body)
+        VALUES ($1, $2, $3)
+        RETURNING id, body, created_at
+    `, [dispute.id, user.id, text]);
+
+    return { message: { ...result.rows[0], sender_id: user.id, sender_name: user.name } };
+}
+
+// Settle an open dispute: { outcome, refundAmount, note, voidRatings }. Moves
+// the assignment and its request to completed or cancelled. Voiding the
+// ratings only sets the flag; hiding the ratings themselves is up to the
+// caller. Returns { dispute, assignment } or { error, status }.
+async function resolve(db, dispute, adminId, { outcome, refundAmount, note, voidRatings }) {
+    if (dispute.status !== 'open') {
+        return { error: 'This dispute has already been resolved', status: 409 };
+    }
+
+    const action = OUTCOMES[outcome];
+    if (!action) {
+        return { error: `outcome must be one of: ${Object.keys(OUTCOMES).join(', ')}`, status: 400 };
+    }
+
+    let refund = null;
+    if (outcome === 'partial_refund') {
+        refund = parseFloat(refundAmount);
+        if (isNaN(refund) || refund <= 0 || refund >= parseFloat(dispute.price)) {
+            return { error: `The refund must be more than 0 and less than the price of ₹${dispute.price}`, status: 400 };
+        }
+    }
+
+    const assignmentResult = await db.query('SELECT * FROM assignments WHERE id = $1 FOR UPDATE', [dispute.assignment_id]);
+    const moved = await lifecycle.transition(db, assignmentResult.rows[0], action, adminId, note, 'admin');
+    if (moved.error) {
+        return moved;
+    }
+
+    await db.query(`
+        UPDATE assignment_requests
+        SET status = $1,
+            cancelled_at = CASE WHEN $1 = 'cancelled' THEN CURRENT_TIMESTAMP ELSE cancelled_at END,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+    `, [moved.assignment.status, dispute.request_id]);
+
+    await wallet.settleEscrow(db, moved.assignment, { refundAmount: refund, actorId: adminId });
+    await availability.syncStatus(db, moved.assignment.writer_id);
+
+    await db.query(`
+        UPDATE disputes
+        SET status = 'resolved', outcome = $1, refund_amount = $2, resolution_note = $3,
+            ratings_voided = $4, resolved_by = $5, resolved_at = CURRENT_TIMESTAMP
+        WHERE id = $6
+    `, [outcome, refund, String(note).trim().substring(0, 2000), Boolean(voidRatings), adminId, dispute.id]);
+
+    return { dispute: format(await get(db, dispute.id)), assignment: moved.assignment };
+}
+
+// Close the open dispute on an assignment an admin cancelled outright
+async function closeOnCancel(db, assignmentId, adminId, note) {
+    await db.query(`
+        UPDATE disputes
+        SET status = 'resolved', outcome = 'cancelled', resolution_note = $1,
+            resolved_by = $2, resolved_at = CURRENT_TIMESTAMP
+        WHERE assignment_id = $3 AND status = 'open'
+    `, [note, adminId, assignmentId]);
+}
+
+module.exports = {
+    OUTCOMES,
+    DISPUTE_QUERY,
+    open,
+    get,
+    getForAssignments,
+    format,
+    getMessages,
+    addMessage,
+    resolve,
+    closeOnCancel
+};
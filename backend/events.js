@@ -0,0 +1,104 @@
+// Live updates pushed to browsers over Server-Sent Events. Events are sent
+// through Postgres NOTIFY so every server instance can deliver them to the
+// connections it holds.
+const CHANNEL = 'writify_events';
+const HEARTBEAT_MS = 25000;
+const RECONNECT_MS = 5000;
+
+// Open event streams on this instance, by user id
+const connections = new Map();
+let listener = null;
+
+// Write an event to the matching streams on this instance. Without userIds it
+// goes to everyone connected.
+const dispatch = ({ type, data, userIds }) => {
+    const message = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+    const targets = userIds
+        ? userIds.map(id => connections.get(id)).filter(Boolean)
+        : [...connections.values()];
+
+    for (const streams of targets) {
+        for (const res of streams) {
+            res.write(message);
+        }
+    }
+};
+
+// LISTEN on a dedicated connection. If it drops, events only reach this
+// instance until the listener reconnects.
+async function start(pool) {
+    let client;
+    try {
+        client = await pool.connect();
+        client.on('notification', (msg) => {
+            try {
+                dispatch(JSON.parse(msg.payload));
+            } catch (error) {
+                console.error('Error dispatching live event:', error);
+            }
+        });
+        client.on('error', (error) => {
+            console.error('Live event listener lost its connection:', error);
+            listener = null;
+            client.release(error);
+            setTimeout(() => start(pool), RECONNECT_MS).unref();
+        });
+        await client.query(`LISTEN ${CHANNEL}`);
+        listener = client;
+    } catch (error) {
+        console.error('Error starting live event listener:', error);
+        if (client) {
+            client.release(error);
+        }
+        setTimeout(() => start(pool), RECONNECT_MS).unref();
+    }
+}
+
+// Send an event to the given users, or to everyone when userIds is omitted.
+// Like notifications this is best-effort and never throws.
+async function publish(db, type, data, userIds = null) {
+    const event = { type, data, userIds: userIds && userIds.filter(Boolean) };
+
+    if (!listener) {
+        dispatch(event);
+        return;
+    }
+
+    try {
+        await db.query('SELECT pg_notify($1, $2)', [CHANNEL, JSON.stringify(event)]);
+    } catch (error) {
+        console.error(`Error publishing ${type} event:`, error);
+        dispatch(event);
+    }
+}
+
+// Hold the response open as an event stream for the signed-in user
+const subscribe = (req, res) => {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+    const userId = req.user.id;
+    if (!connections.has(userId)) {
+        connections.set(userId, new Set());
+    }
+    connections.get(userId).add(res);
+
+    // Comments keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        const streams = connections.get(userId);
+        streams.delete(res);
+        if (streams.size === 0) {
+            connections.delete(userId);
+        }
+    });
+};
+
+module.exports = { start, publish, subscribe };
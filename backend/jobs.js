@@ -0,0 +1,195 @@
+// The background jobs. Each one does a single pass over whatever is due and
+// can safely run again at any time; register() hands them to scheduler.js.
+const notifications = require('./notifications');
+const events = require('./events');
+const mailer = require('./mailer');
+const lifecycle = require('./lifecycle');
+
+const MINUTE_MS = 60 * 1000;
+
+// Statuses in which the writer still owes the work
+const OUTSTANDING_STATUSES = lifecycle.TRANSITIONS.submit.from;
+
+// How many hours before the deadline writers are reminded, from
+// DEADLINE_REMINDER_HOURS (comma-separated, largest first). 0 turns reminders off.
+const getReminderHours = (env = process.env) => {
+    const hours = String(env.DEADLINE_REMINDER_HOURS || '48,24,2')
+        .split(',')
+        .map(value => parseInt(value.trim(), 10))
+        .filter(value => value > 0);
+    return [...new Set(hours)].sort((a, b) => b - a);
+};
+
+// Open requests whose listing period has run out come off the board for good,
+// along with any offers still waiting on them
+async function expireRequests(pool) {
+    const client = await pool.connect();
+    let expired;
+
+    try {
+        await client.query('BEGIN');
+
+        const result = await client.query(`
+            UPDATE assignment_requests
+            SET status = 'expired', expired_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE status = 'open' AND expiration_deadline <= NOW()
+            RETURNING id, client_id, target_writer_id, course_name
+        `);
+        expired = result.rows;
+
+        if (expired.length > 0) {
+            await client.query(`
+                UPDATE offers
+                SET status = 'expired', responded_at = CURRENT_TIMESTAMP
+                WHERE request_id = ANY($1) AND status = 'pending'
+            `, [expired.map(request => request.id)]);
+        }
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    for (const request of expired) {
+        await notifications.notify(pool, request.client_id, 'request_expired', {
+            course_name: request.course_name,
+            request_id: request.id
+        });
+        await events.publish(pool, 'request_expired', { request_id: request.id });
+        await events.publish(pool, 'assignment_updated', { request_id: request.id, status: 'expired' },
+            [request.client_id, request.target_writer_id].filter(Boolean));
+    }
+
+    return expired.length;
+}
+
+// Warn clients whose open requests will come off the board soon
+const EXPIRY_WARNING_HOURS = 24;
+
+async function warnExpiringRequests(pool) {
+    const result = await pool.query(`
+        UPDATE assignment_requests
+        SET expiry_warning_sent_at = CURRENT_TIMESTAMP
+        WHERE status = 'open'
+            AND expiry_warning_sent_at IS NULL
+            AND expiration_deadline > NOW()
+            AND expiration_deadline <= NOW() + $1 * INTERVAL '1 hour'
+        RETURNING id, client_id, course_name, expiration_deadline
+    `, [EXPIRY_WARNING_HOURS]);
+
+    for (const request of result.rows) {
+        await notifications.notify(pool, request.client_id, 'request_expiring', {
+            course_name: request.course_name,
+            expires_at: request.expiration_deadline,
+            request_id: request.id
+        });
+    }
+
+    return result.rows.length;
+}
+
+// Mark offers whose answer window has passed as expired. Also called before
+// offers are listed, so nobody sees a stale one between runs.
+async function expireStaleOffers(db) {
+    await db.query(`
+        UPDATE offers
+        SET status = 'expired', responded_at = CURRENT_TIMESTAMP
+        WHERE status = 'pending' AND expires_at <= NOW()
+    `);
+}
+
+// Flag assignments that are still being worked on after the deadline and let
+// both parties know. The flag is cleared if the deadline is moved later.
+async function flagOverdueAssignments(pool) {
+    const result = await pool.query(`
+        UPDATE assignments a
+        SET overdue_at = CURRENT_TIMESTAMP
+        FROM assignment_requests ar
+        WHERE ar.id = a.request_id
+            AND a.status = ANY($1)
+            AND a.overdue_at IS NULL
+            AND ar.deadline <= NOW()
+        RETURNING a.id, a.request_id, a.writer_id, a.client_id, ar.course_name, ar.deadline
+    `, [OUTSTANDING_STATUSES]);
+
+    for (const assignment of result.rows) {
+        const data = {
+            course_name: assignment.course_name,
+            deadline: assignment.deadline,
+            request_id: assignment.request_id
+        };
+        await notifications.notify(pool, assignment.writer_id, 'assignment_overdue', { ...data, for_writer: true });
+        await notifications.notify(pool, assignment.client_id, 'assignment_overdue', data);
+        await events.publish(pool, 'assignment_updated', { request_id: assignment.request_id, overdue: true },
+            [assignment.client_id, assignment.writer_id]);
+    }
+
+    return result.rows.length;
+}
+
+// Remind writers of upcoming deadlines. Only the tightest reminder window the
+// deadline has reached is sent, so a writer who takes on work due in ten hours
+// gets one reminder rather than every one at once. Windows that had already
+// opened when the assignment started are skipped for the same reason.
+async function sendDeadlineReminders(pool, hours = getReminderHours()) {
+    if (hours.length === 0) {
+        return 0;
+    }
+
+    const result = await pool.query(`
+        WITH due AS (
+            SELECT a.id, a.request_id, a.writer_id, ar.course_name, ar.deadline,
+                (
+                    SELECT MIN(h) FROM unnest($2::int[]) h
+                    WHERE ar.deadline <= NOW() + h * INTERVAL '1 hour'
+                        AND a.created_at < ar.deadline - h * INTERVAL '1 hour'
+                ) as hours_before
+            FROM assignments a
+            JOIN assignment_requests ar ON ar.id = a.request_id
+            WHERE a.status = ANY($1)
+                AND ar.deadline > NOW()
+                AND ar.deadline <= NOW() + $3 * INTERVAL '1 hour'
+        ), sent AS (
+            INSERT INTO deadline_reminders (assignment_id, deadline, hours_before)
+            SELECT id, deadline, hours_before FROM due WHERE hours_before IS NOT NULL
+            ON CONFLICT DO NOTHING
+            RETURNING assignment_id, hours_before
+        )
+        SELECT due.* FROM due
+        JOIN sent ON sent.assignment_id = due.id AND sent.hours_before = due.hours_before
+    `, [OUTSTANDING_STATUSES, hours, Math.max(...hours)]);
+
+    for (const assignment of result.rows) {
+        await notifications.notify(pool, assignment.writer_id, 'deadline_reminder', {
+            course_name: assignment.course_name,
+            deadline: assignment.deadline,
+            hours_before: assignment.hours_before,
+            request_id: assignment.request_id
+        });
+    }
+
+    return result.rows.length;
+}
+
+// Hand every job to the scheduler
+const register = (scheduler) => {
+    scheduler.register('email_queue', 15 * 1000, mailer.processQueue);
+    scheduler.register('expire_requests', 5 * MINUTE_MS, expireRequests);
+    scheduler.register('warn_expiring_requests', 15 * MINUTE_MS, warnExpiringRequests);
+    scheduler.register('expire_offers', 5 * MINUTE_MS, expireStaleOffers);
+    scheduler.register('flag_overdue_assignments', 5 * MINUTE_MS, flagOverdueAssignments);
+    scheduler.register('deadline_reminders', 5 * MINUTE_MS, (pool) => sendDeadlineReminders(pool));
+};
+
+module.exports = {
+    getReminderHours,
+    expireRequests,
+    warnExpiringRequests,
+    expireStaleOffers,
+    flagOverdueAssignments,
+    sendDeadlineReminders,
+    register
+};
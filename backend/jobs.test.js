@@ -0,0 +1,99 @@
+const jobs = require('./jobs');
+const { createTestDatabase, dropTestDatabase } = require('./db/testDatabase');
+const { inDays, createUser, createRequest, createAssignment } = require('./db/testFixtures');
+
+let pool;
+let client;
+let writer;
+
+beforeAll(async () => {
+    pool = await createTestDatabase();
+    client = await createUser(pool);
+    writer = await createUser(pool);
+});
+
+afterAll(() => dropTestDatabase(pool));
+
+const inHours = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000);
+
+const getRequest = async (id) => (await pool.query('SELECT * FROM assignment_requests WHERE id = $1', [id])).rows[0];
+
+const notificationsOf = async (userId, type) => {
+    const result = await pool.query('SELECT data FROM notifications WHERE user_id = $1 AND type = $2 ORDER BY id', [userId, type]);
+    return result.rows.map(row => row.data);
+};
+
+describe('expireRequests', () => {
+    it('takes open requests off the board once their listing period is over', async () => {
+        const expired = await createRequest(pool, { client_id: client.id, expiration_deadline: inHours(-1) });
+        const listed = await createRequest(pool, { client_id: client.id, expiration_deadline: inHours(1) });
+        const taken = await createRequest(pool, { client_id: client.id, expiration_deadline: inHours(-1) });
+        await createAssignment(pool, taken, { writer_id: writer.id });
+
+        expect(await jobs.expireRequests(pool)).toBe(1);
+
+        expect(await getRequest(expired.id)).toMatchObject({ status: 'expired', expired_at: expect.any(Date) });
+        expect((await getRequest(listed.id)).status).toBe('open');
+        expect((await getRequest(taken.id)).status).toBe('assigned');
+        expect(await notificationsOf(client.id, 'request_expired')).toEqual([expect.objectContaining({ request_id: expired.id })]);
+    });
+
+    it('expires the offers still waiting on an expired request', async () => {
+        const request = await createRequest(pool, { client_id: client.id, expiration_deadline: inHours(-1) });
+        const offer = await pool.query(`
+            INSERT INTO offers (request_id, writer_id, proposed_by, price, delivery_date, expires_at)
+            VALUES ($1, $2, $2, 450, $3, $4)
+            RETURNING id
+        `, [request.id, writer.id, inDays(5), inDays(1)]);
+
+        await jobs.expireRequests(pool);
+
+        const result = await pool.query('SELECT status FROM offers WHERE id = $1', [offer.rows[0].id]);
+        expect(result.rows[0].status).toBe('expired');
+    });
+
+    it('has nothing to do when no listing has run out', async () => {
+        await createRequest(pool, { client_id: client.id, expiration_deadline: inHours(1) });
+
+        expect(await jobs.expireRequests(pool)).toBe(0);
+    });
+});
+
+describe('flagOverdueAssignments', () => {
+    it('flags work still outstanding after the deadline, once', async () => {
+        const late = await createAssignment(pool, await createRequest(pool, { client_id: client.id, deadline: inHours(-2) }), { writer_id: writer.id });
+        const delivered = await createAssignment(pool, await createRequest(pool, { client_id: client.id, deadline: inHours(-2) }), { writer_id: writer.id, status: 'submitted' });
+
+        expect(await jobs.flagOverdueAssignments(pool)).toBe(1);
+        expect(await jobs.flagOverdueAssignments(pool)).toBe(0);
+
+        const result = await pool.query('SELECT id, overdue_at FROM assignments WHERE id = ANY($1) ORDER BY id', [[late.id, delivered.id]]);
+        expect(result.rows).toEqual([
+            { id: late.id, overdue_at: expect.any(Date) },
+            { id: delivered.id, overdue_at: null }
+        ]);
+    });
+});
+
+describe('sendDeadlineReminders', () => {
+    it('sends only the tightest reminder the deadline has reached, and only once', async () => {
+        const request = await createRequest(pool, { client_id: client.id, deadline: inHours(10) });
+        await createAssignment(pool, request, { writer_id: writer.id, created_at: inDays(-3) });
+
+        await jobs.sendDeadlineReminders(pool, [48, 24, 2]);
+        await jobs.sendDeadlineReminders(pool, [48, 24, 2]);
+
+        const reminders = (await notificationsOf(writer.id, 'deadline_reminder')).filter(data => data.request_id === request.id);
+        expect(reminders).toEqual([expect.objectContaining({ hours_before: 24 })]);
+    });
+
+    it("skips reminders whose window had already opened when the work started", async () => {
+        const request = await createRequest(pool, { client_id: client.id, deadline: inHours(10) });
+        await createAssignment(pool, request, { writer_id: writer.id });
+
+        await jobs.sendDeadlineReminders(pool, [48, 24, 2]);
+
+        const reminders = (await notificationsOf(writer.id, 'deadline_reminder')).filter(data => data.request_id === request.id);
+        expect(reminders).toEqual([]);
+    });
+});
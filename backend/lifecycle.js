@@ -0,0 +1,243 @@
+// Assignment lifecycle. Every status change goes through transition(), which
+// checks that the move is allowed for the actor's role, stamps the matching
+// timestamp column and records the change in assignment_status_history.
+
+const ASSIGNMENT_STATUSES = ['in_progress', 'submitted', 'revision_requested', 'completed', 'cancelled', 'disputed'];
+
+// Each action: the statuses it can start from, the status it leads to and who may take it
+const TRANSITIONS = {
+    submit: {
+        from: ['in_progress', 'revision_requested'],
+        to: 'submitted',
+        roles: ['writer']
+    },
+    request_revision: {
+        from: ['submitted'],
+        to: 'revision_requested',
+        roles: ['client'],
+        noteRequired: true
+    },
+    accept: {
+        from: ['submitted'],
+        to: 'completed',
+        roles: ['client']
+    },
+    dispute: {
+        from: ['in_progress', 'submitted', 'revision_requested'],
+        to: 'disputed',
+        roles: ['client', 'writer'],
+        noteRequired: true
+    },
+    // The writer backs out; the request goes back on the board
+    withdraw: {
+        from: ['in_progress', 'revision_requested'],
+        to: 'cancelled',
+        roles: ['writer']
+    },
+    // Only taken once the other party agrees to a cancellation proposal
+    cancel: {
+        from: ['in_progress', 'submitted', 'revision_requested'],
+        to: 'cancelled',
+        roles: ['client', 'writer']
+    },
+    // An admin settles a dispute one way or the other (see disputes.js)
+    resolve_complete: {
+        from: ['disputed'],
+        to: 'completed',
+        roles: ['admin'],
+        noteRequired: true
+    },
+    resolve_cancel: {
+        from: ['disputed'],
+        to: 'cancelled',
+        roles: ['admin'],
+        noteRequired: true
+    },
+    // An admin stops an assignment without either party's consent
+    force_cancel: {
+        from: ['in_progress', 'submitted', 'revision_requested', 'disputed'],
+        to: 'cancelled',
+        roles: ['admin'],
+        noteRequired: true
+    }
+};
+
+// Statuses an assignment can still be worked on from
+const OPEN_STATUSES = ['in_progress', 'submitted', 'revision_requested', 'disputed'];
+
+const TIMESTAMP_COLUMNS = {
+    submitted: 'submitted_at',
+    revision_requested: 'revision_requested_at',
+    completed: 'completed_at',
+    cancelled: 'cancelled_at',
+    disputed: 'disputed_at'
+};
+
+const getRole = (assignment, userId) => {
+    if (assignment.writer_id === userId) return 'writer';
+    if (assignment.client_id === userId) return 'client';
+    return null;
+};
+
+// Actions the user can take on the assignment right now
+const getAvailableActions = (assignment, userId) => {
+    const role = getRole(assignment, userId);
+    if (!role) {
+        return [];
+    }
+
+    return Object.keys(TRANSITIONS).filter(action =>
+        TRANSITIONS[action].roles.includes(role) && TRANSITIONS[action].from.includes(assignment.status)
+    );
+};
+
+const recordHistory = (db, { assignmentId, fromStatus, toStatus, action, actorId, note }) =>
+    db.query(`
+        INSERT INTO assignment_status_history (assignment_id, from_status, to_status, action, actor_id, note)
+        VALUES ($1, $2, $3, $4, $5, $6)
+    `, [assignmentId, fromStatus, toStatus, action, actorId, note || null]);
+
+// Record the start of a newly created assignment
+const recordStart = (db, assignment, actorId) =>
+    recordHistory(db, {
+        assignmentId: assignment.id,
+        fromStatus: null,
+        toStatus: assignment.status,
+        action: 'start',
+        actorId
+    });
+
+// Move an assignment on by one action. Returns { assignment } with the updated
+// row, or { error, status } with the HTTP status to answer with. Admins aren't
+// part of the assignment, so their role is passed in as actorRole.
+async function transition(db, assignment, action, actorId, note = null, actorRole = null) {
+    const rule = TRANSITIONS[action];
+    if (!rule) {
+        return { error: `Unknown action: ${action}`, status: 400 };
+    }
+
+    const role = actorRole || getRole(assignment, actorId);
+    if (!role || !rule.roles.includes(role)) {
+        return { error: `Only the ${rule.roles.join(' or ')} can ${action.replace('_', ' ')} this assignment`, status: 403 };
+    }
+
+    if (!rule.from.includes(assignment.status)) {
+        return { error: `Can't ${action.replace('_', ' ')} an assignment that is ${assignment.status.replace('_', ' ')}`, status: 409 };
+    }
+
+    const trimmedNote = note ? String(note).trim().substring(0, 2000) : null;
+    if (rule.noteRequired && !trimmedNote) {
+        return { error: 'Please explain the reason', status: 400 };
+    }
+
+    const sets = ['status = $1', `${TIMESTAMP_COLUMNS[rule.to]} = CURRENT_TIMESTAMP`];
+    if (rule.to === 'revision_requested') {
+        sets.push('revision_count = revision_count + 1');
+    }
+    if (rule.to === 'cancelled') {
+        sets.push('cancelled_by = $4', 'cancellation_reason = $5');
+    }
+
+    const params = [rule.to, assignment.id, assignment.status];
+    if (rule.to === 'cancelled') {
+        params.push(actorId, trimmedNote);
+    }
+
+    // The status condition guards against two changes racing each other
+    const result = await db.query(`
+        UPDATE assignments
+        SET ${sets.join(', ')}
+        WHERE id = $2 AND status = $3
+        RETURNING *
+    `, params);
+
+    if (result.rows.length === 0) {
+        return { error: 'This assignment was updated in the meantime. Please reload and try again.', status: 409 };
+    }
+
+    await recordHistory(db, {
+        assignmentId: assignment.id,
+        fromStatus: assignment.status,
+        toStatus: rule.to,
+        action,
+        actorId,
+        note: trimmedNote
+    });
+
+    return { assignment: result.rows[0] };
+}
+
+// Hand an assignment over to another writer. The status is kept and the
+// change shows up in the timeline like any other step.
+async function reassign(db, assignment, writerId, actorId, note = null) {
+    if (!OPEN_STATUSES.includes(assignment.status)) {
+        return { error: `Can't reassign an assignment that is ${assignment.status.replace('_', ' ')}`, status: 409 };
+    }
+
+    const result = await db.query(`
+        UPDATE assignments
+        SET writer_id = $1
+        WHERE id = $2 AND status = $3 AND writer_id = $4
+        RETURNING *
+    `, [writerId, assignment.id, assignment.status, assignment.writer_id]);
+
+    if (result.rows.length === 0) {
+        return { error: 'This assignment was updated in the meantime. Please reload and try again.', status: 409 };
+    }
+
+    await recordHistory(db, {
+        assignmentId: assignment.id,
+        fromStatus: assignment.status,
+        toStatus: assignment.status,
+        action: 'reassign',
+        actorId,
+        note: note ? String(note).trim().substring(0, 2000) : null
+    });
+
+    return { assignment: result.rows[0] };
+}
+
+// Timelines for several assignments at once, as a map of assignment id -> entries
+async function getHistory(db, assignmentIds) {
+    const history = new Map();
+    if (assignmentIds.length === 0) {
+        return history;
+    }
+
+    const result = await db.query(`
+        SELECT h.assignment_id, h.from_status, h.to_status, h.action, h.note, h.created_at,
+            u.id as actor_id, u.name as actor_name
+        FROM assignment_status_history h
+        LEFT JOIN users u ON u.id = h.actor_id
+        WHERE h.assignment_id = ANY($1)
+        ORDER BY h.created_at ASC, h.id ASC
+    `, [assignmentIds]);
+
+    for (const row of result.rows) {
+        if (!history.has(row.assignment_id)) {
+            history.set(row.assignment_id, []);
+        }
+        history.get(row.assignment_id).push({
+            from_status: row.from_status,
+            to_status: row.to_status,
+            action: row.action,
+            note: row.note,
+            created_at: row.created_at,
+            actor: row.actor_id ? { id: row.actor_id, name: row.actor_name } : null
+        });
+    }
+
+    return history;
+}
+
+module.exports = {
+    ASSIGNMENT_STATUSES,
+    TRANSITIONS,
+    OPEN_STATUSES,
+    getRole,
+    getAvailableActions,
+    recordStart,
+    transition,
+    reassign,
+    getHistory
+};
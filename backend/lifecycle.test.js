@@ -0,0 +1,118 @@
+const lifecycle = require('./lifecycle');
+const { createTestDatabase, dropTestDatabase } = require('./db/testDatabase');
+const { createUser, createRequest, createAssignment } = require('./db/testFixtures');
+
+let pool;
+let client;
+let writer;
+let admin;
+
+beforeAll(async () => {
+    pool = await createTestDatabase();
+    client = await createUser(pool);
+    writer = await createUser(pool);
+    admin = await createUser(pool);
+});
+
+afterAll(() => dropTestDatabase(pool));
+
+// A fresh assignment between the client and the writer in the given status
+const createInStatus = async (status) =>
+    createAssignment(pool, await createRequest(pool, { client_id: client.id }), { writer_id: writer.id, status });
+
+const historyOf = async (assignmentId) => {
+    const result = await pool.query(`
+        SELECT from_status, to_status, action, actor_id, note
+        FROM assignment_status_history WHERE assignment_id = $1 ORDER BY id
+    `, [assignmentId]);
+    return result.rows;
+};
+
+describe('transition', () => {
+    it('moves the assignment on, stamps the time and records the step', async () => {
+        const assignment = await createInStatus('in_progress');
+
+        const result = await lifecycle.transition(pool, assignment, 'submit', writer.id);
+
+        expect(result.assignment).toMatchObject({ id: assignment.id, status: 'submitted' });
+        expect(result.assignment.submitted_at).toBeInstanceOf(Date);
+        expect(await historyOf(assignment.id)).toEqual([
+            { from_status: 'in_progress', to_status: 'submitted', action: 'submit', actor_id: writer.id, note: null }
+        ]);
+    });
+
+    it('refuses an unknown action', async () => {
+        const assignment = await createInStatus('in_progress');
+
+        expect(await lifecycle.transition(pool, assignment, 'publish', writer.id))
+            .toEqual({ error: 'Unknown action: publish', status: 400 });
+    });
+
+    it("refuses an action that isn't the actor's to take and changes nothing", async () => {
+        const assignment = await createInStatus('submitted');
+
+        expect(await lifecycle.transition(pool, assignment, 'accept', writer.id))
+            .toEqual({ error: 'Only the client can accept this assignment', status: 403 });
+        expect(await lifecycle.transition(pool, assignment, 'dispute', admin.id, 'Not mine'))
+            .toMatchObject({ status: 403 });
+        expect(await historyOf(assignment.id)).toEqual([]);
+    });
+
+    it('refuses an action from the wrong status', async () => {
+        const assignment = await createInStatus('completed');
+
+        expect(await lifecycle.transition(pool, assignment, 'submit', writer.id))
+            .toEqual({ error: "Can't submit an assignment that is completed", status: 409 });
+    });
+
+    it('needs a reason for a revision request and counts the revisions', async () => {
+        const assignment = await createInStatus('submitted');
+
+        expect(await lifecycle.transition(pool, assignment, 'request_revision', client.id, '   '))
+            .toEqual({ error: 'Please explain the reason', status: 400 });
+
+        const result = await lifecycle.transition(pool, assignment, 'request_revision', client.id, ' Add sources ');
+        expect(result.assignment).toMatchObject({ status: 'revision_requested', revision_count: 1 });
+        expect((await historyOf(assignment.id))[0].note).toBe('Add sources');
+    });
+
+    it('records who cancelled and why', async () => {
+        const assignment = await createInStatus('in_progress');
+
+        const result = await lifecycle.transition(pool, assignment, 'withdraw', writer.id, 'Fell ill');
+
+        expect(result.assignment).toMatchObject({ status: 'cancelled', cancelled_by: writer.id, cancellation_reason: 'Fell ill' });
+    });
+
+    it('lets an admin act through the role passed in', async () => {
+        const assignment = await createInStatus('in_progress');
+
+        const result = await lifecycle.transition(pool, assignment, 'force_cancel', admin.id, 'Duplicate order', 'admin');
+
+        expect(result.assignment).toMatchObject({ status: 'cancelled', cancelled_by: admin.id });
+    });
+
+    it('lets only one of two racing changes through', async () => {
+        const assignment = await createInStatus('submitted');
+
+        const results = await Promise.all([
+            lifecycle.transition(pool, assignment, 'accept', client.id),
+            lifecycle.transition(pool, assignment, 'dispute', writer.id, 'Changed my mind')
+        ]);
+
+        expect(results.filter(result => result.error)).toEqual([
+            { error: expect.stringContaining('updated in the meantime'), status: 409 }
+        ]);
+        expect(await historyOf(assignment.id)).toHaveLength(1);
+    });
+});
+
+describe('getAvailableActions', () => {
+    it("lists only the actions open to the user's side", () => {
+        const assignment = { client_id: client.id, writer_id: writer.id, status: 'submitted' };
+
+        expect(lifecycle.getAvailableActions(assignment, client.id)).toEqual(['request_revision', 'accept', 'dispute', 'cancel']);
+        expect(lifecycle.getAvailableActions(assignment, writer.id)).toEqual(['dispute', 'cancel']);
+        expect(lifecycle.getAvailableActions(assignment, admin.id)).toEqual([]);
+    });
+});
@@ -0,0 +1,289 @@
+// Outgoing email. Request handlers render messages into the email_queue table;
+// the email_queue job (see jobs.js) sends them through whichever transport is
+// configured.
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// A transport is any object with a name and an async send({ from, to, subject, text }).
+
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined
+    });
+
+    return {
+        name: 'smtp',
+        send: (message) => transporter.sendMail(message)
+    };
+};
+
+// Writes each message to its own file, for development
+const createFileTransport = ({ dir }) => ({
+    name: 'file',
+    send: async (message) => {
+        await fs.promises.mkdir(dir, { recursive: true });
+        const filename = `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, '_')}.txt`;
+        const contents = `From: ${message.from}\nTo: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n`;
+        await fs.promises.writeFile(path.join(dir, filename), contents);
+    }
+});
+
+const createConsoleTransport = () => ({
+    name: 'console',
+    send: async (message) => {
+        console.log(`--- Email to ${message.to} ---\nSubject: ${message.subject}\n\n${message.text}\n---`);
+    }
+});
+
+// Keeps sent messages in memory, for tests
+const createMemoryTransport = () => {
+    const sent = [];
+    return {
+        name: 'memory',
+        sent,
+        send: async (message) => {
+            sent.push(message);
+        },
+        clear: () => {
+            sent.length = 0;
+        }
+    };
+};
+
+// Pick a transport from MAIL_TRANSPORT, falling back to SMTP when SMTP_HOST is set
+const createTransportFromEnv = (env = process.env) => {
+    const type = env.MAIL_TRANSPORT || (env.SMTP_HOST ? 'smtp' : 'console');
+
+    switch (type) {
+        case 'smtp':
+            return createSmtpTransport({
+                host: env.SMTP_HOST,
+                port: parseInt(env.SMTP_PORT, 10) || 587,
+                secure: env.SMTP_SECURE === 'true',
+                user: env.SMTP_USER,
+                pass: env.SMTP_PASS
+            });
+        case 'file':
+            return createFileTransport({ dir: env.MAIL_OUTBOX_DIR || path.join(__dirname, 'outbox') });
+        case 'console':
+            return createConsoleTransport();
+        case 'memory':
+            return createMemoryTransport();
+        default:
+            throw new Error(`Unknown MAIL_TRANSPORT: ${type}`);
+    }
+};
+
+const settings = {
+    transport: null,
+    from: process.env.MAIL_FROM || 'Writify <no-reply@writify.app>',
+    appUrl: '',
+    digestHour: parseInt(process.env.MAIL_DIGEST_HOUR, 10) || 8
+};
+
+// Override the transport, sender address, app URL used in links or digest hour
+const configure = (options = {}) => {
+    Object.assign(settings, options);
+    return settings.transport;
+};
+
+const getTransport = () => {
+    if (!settings.transport) {
+        settings.transport = createTransportFromEnv();
+    }
+    return settings.transport;
+};
+
+// Events that are also sent by email. Keys match the notification types.
+const EMAIL_TEMPLATES = {
+    request_accepted: {
+        subject: (data) => `Your request for ${data.course_name} was accepted`,
+        text: (data) => `${data.actor_name} accepted your assignment request for ${data.course_name}. You can message them from your assignments page.`
+    },
+    assignment_completed: {
+        subject: (data) => `${data.course_name} is complete`,
+        text: (data) => `${data.actor_name} accepted your work on ${data.course_name}, so the assignment is complete. You can now rate the client.`
+    },
+    rating_received: {
+        subject: (data) => `You received a ${data.rating}-star rating`,
+        text: (data) => `${data.actor_name} rated your work on ${data.course_name} ${data.rating} star${Number(data.rating) === 1 ? '' : 's'}.`
+    },
+    request_expiring: {
+        subject: (data) => `Your request for ${data.course_name} expires soon`,
+        text: (data) => `No writer has taken your request for ${data.course_name} yet, and it will come off the board on ${new Date(data.expires_at).toUTCString()}. Raising the price or extending the deadline can help.`
+    },
+    request_expired: {
+        subject: (data) => `Your request for ${data.course_name} expired`,
+        text: (data) => `No writer took your request for ${data.course_name} before its listing ran out, so it is no longer on the board. You can repost it from your assignments page.`
+    },
+    deadline_reminder: {
+        subject: (data) => `${data.course_name} is due in ${data.hours_before} hour${Number(data.hours_before) === 1 ? '' : 's'}`,
+        text: (data) => `A reminder that ${data.course_name} is due on ${new Date(data.deadline).toUTCString()}. If you need more time, propose a new deadline to the client from your assignments page.`
+    },
+    assignment_overdue: {
+        subject: (data) => `${data.course_name} is past its deadline`,
+        text: (data) => data.for_writer
+            ? `The deadline for ${data.course_name} passed on ${new Date(data.deadline).toUTCString()} and the work hasn't been submitted. Submit it or agree a new deadline with the client.`
+            : `The deadline for ${data.course_name} passed on ${new Date(data.deadline).toUTCString()} and the writer hasn't submitted the work yet. You can message them or propose a new deadline from your assignments page.`
+    }
+};
+
+const EMAIL_TYPES = Object.keys(EMAIL_TEMPLATES);
+const EMAIL_FREQUENCIES = ['immediate', 'daily', 'off'];
+
+// The next time daily digests go out
+const nextDigestAt = (now = new Date()) => {
+    const next = new Date(now);
+    next.setHours(settings.digestHour, 0, 0, 0);
+    if (next <= now) {
+        next.setDate(next.getDate() + 1);
+    }
+    return next;
+};
+
+// Queue an email for a user if the type has an email template and the user
+// hasn't turned email off. Daily-digest users get it held until the next digest.
+async function queueEmail(db, userId, type, data = {}) {
+    const template = EMAIL_TEMPLATES[type];
+    if (!template) {
+        return null;
+    }
+
+    const userResult = await db.query(
+        'SELECT email, email_frequency FROM users WHERE id = $1',
+        [userId]
+    );
+    const user = userResult.rows[0];
+    if (!user || !user.email || user.email_frequency === 'off') {
+        return null;
+    }
+
+    const digest = user.email_frequency === 'daily';
+    const body = data.link
+        ? `${template.text(data)}\n\n${settings.appUrl}${data.link}`
+        : template.text(data);
+
+    const result = await db.query(`
+        INSERT INTO email_queue (user_id, to_address, type, subject, body, digest, send_after)
+        VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, CURRENT_TIMESTAMP))
+        RETURNING *
+    `, [userId, user.email, type, template.subject(data), body, digest, digest ? nextDigestAt() : null]);
+
+    return result.rows[0];
+}
+
+const MAX_ATTEMPTS = 5;
+const BATCH_SIZE = 100;
+
+const footer = () =>
+    `\n\n--\nYou can choose which emails you get, or switch to a daily digest, on your profile: ${settings.appUrl}/profile`;
+
+// Turn one queued row, or all of a user's digest rows, into a single message
+const composeMessage = (rows) => {
+    const [first] = rows;
+
+    if (!first.digest) {
+        return {
+            from: settings.from,
+            to: first.to_address,
+            subject: first.subject,
+            text: `Hi ${first.user_name},\n\n${first.body}${footer()}`
+        };
+    }
+
+    const items = rows.map(row => `* ${row.subject}\n  ${row.body.replace(/\n(?=.)/g, '\n  ')}`);
+    return {
+        from: settings.from,
+        to: first.to_address,
+        subject: `Your Writify daily digest: ${rows.length} update${rows.length === 1 ? '' : 's'}`,
+        text: `Hi ${first.user_name},\n\nHere's what happened on Writify since your last digest:\n\n${items.join('\n\n')}${footer()}`
+    };
+};
+
+// Send one message and record the outcome. Failures are retried with backoff
+// until MAX_ATTEMPTS, then left as failed.
+const deliver = async (db, rows) => {
+    const ids = rows.map(row => row.id);
+
+    try {
+        await getTransport().send(composeMessage(rows));
+        await db.query(`
+            UPDATE email_queue
+            SET status = 'sent', sent_at = CURRENT_TIMESTAMP, attempts = attempts + 1, last_error = NULL
+            WHERE id = ANY($1)
+        `, [ids]);
+    } catch (error) {
+        console.error(`Error sending email to ${rows[0].to_address}:`, error);
+        await db.query(`
+            UPDATE email_queue
+            SET attempts = attempts + 1,
+                last_error = $2,
+                status = CASE WHEN attempts + 1 >= $3 THEN 'failed' ELSE 'pending' END,
+                send_after = NOW() + INTERVAL '1 minute' * POWER(2, attempts)
+            WHERE id = ANY($1)
+        `, [ids, error.message, MAX_ATTEMPTS]);
+    }
+};
+
+// Send everything that is due. Rows are locked with SKIP LOCKED so several
+// server instances can work the queue without sending the same mail twice.
+async function processQueue(pool) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const result = await client.query(`
+            SELECT q.*, u.name AS user_name
+            FROM email_queue q
+            JOIN users u ON q.user_id = u.id
+            WHERE q.status = 'pending' AND q.send_after <= NOW()
+            ORDER BY q.user_id, q.id
+            LIMIT $1
+            FOR UPDATE OF q SKIP LOCKED
+        `, [BATCH_SIZE]);
+
+        // Immediate mail goes out one message per row; digest rows are grouped per user
+        const batches = [];
+        const digests = new Map();
+        for (const row of result.rows) {
+            if (!row.digest) {
+                batches.push([row]);
+            } else {
+                if (!digests.has(row.user_id)) {
+                    digests.set(row.user_id, []);
+                }
+                digests.get(row.user_id).push(row);
+            }
+        }
+        batches.push(...digests.values());
+
+        for (const rows of batches) {
+            await deliver(client, rows);
+        }
+
+        await client.query('COMMIT');
+        return result.rows.length;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = {
+    EMAIL_TYPES,
+    EMAIL_FREQUENCIES,
+    createSmtpTransport,
+    createFileTransport,
+    createConsoleTransport,
+    createMemoryTransport,
+    createTransportFromEnv,
+    configure,
+    queueEmail,
+    processQueue
+};
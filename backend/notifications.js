@@ -0,0 +1,227 @@
+// In-app notifications. Each event type has a template that turns the event
+// data into the title, body and link stored in the notifications table.
+// Types with an email template in mailer.js are also queued for email.
+const mailer = require('./mailer');
+const events = require('./events');
+
+const NOTIFICATION_TEMPLATES = {
+    request_accepted: {
+        label: 'A writer accepted your request',
+        title: (data) => 'Your request was accepted',
+        body: (data) => `${data.actor_name} accepted your request for ${data.course_name}.`
+    },
+    direct_request_received: {
+        label: 'A client sent a request to you',
+        title: (data) => 'New request for you',
+        body: (data) => `${data.actor_name} would like you to work on ${data.course_name}.`
+    },
+    direct_request_declined: {
+        label: 'A writer declined your direct request',
+        title: (data) => 'Request declined',
+        body: (data) => `${data.actor_name} declined your request for ${data.course_name}. You can publish it to all writers.`
+    },
+    offer_received: {
+        label: 'A writer made an offer on your request',
+        title: (data) => 'New offer',
+        body: (data) => `${data.actor_name} offered ₹${data.price} for ${data.course_name}.`
+    },
+    offer_countered: {
+        label: 'Someone countered your offer',
+        title: (data) => 'Counter-offer received',
+        body: (data) => `${data.actor_name} countered with ₹${data.price} for ${data.course_name}.`
+    },
+    offer_accepted: {
+        label: 'Your offer was accepted',
+        title: (data) => 'Offer accepted',
+        body: (data) => `${data.actor_name} accepted ₹${data.price} for ${data.course_name}.`
+    },
+    change_proposed: {
+        label: 'The other party proposed a change',
+        title: (data) => data.change_type === 'cancel' ? 'Cancellation requested' : 'Change proposed',
+        body: (data) => data.change_type === 'cancel'
+            ? `${data.actor_name} wants to cancel ${data.course_name}.`
+            : `${data.actor_name} proposed changes to ${data.course_name}.`
+    },
+    change_answered: {
+        label: 'Your proposed change was answered',
+        title: (data) => data.accepted ? 'Change accepted' : 'Change declined',
+        body: (data) => `${data.actor_name} ${data.accepted ? 'accepted' : 'declined'} your proposed change to ${data.course_name}.`
+    },
+    assignment_withdrawn: {
+        label: 'A writer withdrew from your assignment',
+        title: (data) => 'Writer withdrew',
+        body: (data) => `${data.actor_name} withdrew from ${data.course_name}. Your request is back on the board.`
+    },
+    work_submitted: {
+        label: 'The writer submitted work for review',
+        title: (data) => 'Work submitted',
+        body: (data) => `${data.actor_name} submitted the work for ${data.course_name}. Accept it or ask for a revision.`
+    },
+    revision_requested: {
+        label: 'The client asked for a revision',
+        title: (data) => 'Revision requested',
+        body: (data) => `${data.actor_name} asked for changes to ${data.course_name}: "${data.note}"`
+    },
+    assignment_completed: {
+        label: 'The client accepted your work',
+        title: (data) => 'Work accepted',
+        body: (data) => `${data.actor_name} accepted your work on ${data.course_name}. The assignment is complete.`
+    },
+    assignment_disputed: {
+        label: 'An assignment was disputed',
+        title: (data) => 'Dispute opened',
+        body: (data) => `${data.actor_name} opened a dispute on ${data.course_name}: "${data.note}"`
+    },
+    dispute_message: {
+        label: 'New message in a dispute',
+        title: (data) => 'Dispute update',
+        body: (data) => `${data.actor_name} wrote in the dispute on ${data.course_name}.`
+    },
+    dispute_resolved: {
+        label: 'A dispute was resolved',
+        title: (data) => 'Dispute resolved',
+        body: (data) => `The dispute on ${data.course_name} was resolved (${data.outcome.replace('_', ' ')}): "${data.note}"`
+    },
+    rating_received: {
+        label: 'You received a rating',
+        title: (data) => 'New rating',
+        body: (data) => `${data.actor_name} rated you ${data.rating} star${Number(data.rating) === 1 ? '' : 's'} for ${data.course_name}.`
+    },
+    review_replied: {
+        label: 'Someone replied to your review',
+        title: (data) => 'Reply to your review',
+        body: (data) => `${data.actor_name} replied to your review for ${data.course_name}.`
+    },
+    review_hidden: {
+        label: 'A moderator hid your review',
+        title: (data) => 'Review hidden',
+        body: (data) => `Your review for ${data.course_name} was hidden by a moderator: "${data.reason}"`
+    },
+    request_cancelled_by_admin: {
+        label: 'An admin cancelled your request or assignment',
+        title: (data) => 'Cancelled by an admin',
+        body: (data) => `${data.course_name} was cancelled by an admin: "${data.reason}"`
+    },
+    assignment_reassigned: {
+        label: 'An admin moved an assignment to another writer',
+        title: (data) => data.assigned_to_you ? 'New assignment' : 'Assignment reassigned',
+        body: (data) => data.assigned_to_you
+            ? `An admin assigned ${data.course_name} to you.`
+            : `An admin reassigned ${data.course_name} to ${data.writer_name}.`
+    },
+    request_expiring: {
+        label: 'Your open request is about to expire',
+        title: (data) => 'Request expiring soon',
+        body: (data) => `Your request for ${data.course_name} expires on ${new Date(data.expires_at).toLocaleString()}.`
+    },
+    request_expired: {
+        label: 'Your open request expired',
+        title: (data) => 'Request expired',
+        body: (data) => `No writer took your request for ${data.course_name} in time, so it came off the board. You can repost it.`
+    },
+    deadline_reminder: {
+        label: 'A deadline is coming up',
+        title: (data) => 'Deadline coming up',
+        body: (data) => `${data.course_name} is due in ${data.hours_before} hour${Number(data.hours_before) === 1 ? '' : 's'} or less, on ${new Date(data.deadline).toLocaleString()}.`
+    },
+    assignment_overdue: {
+        label: 'An assignment is past its deadline',
+        title: (data) => 'Assignment overdue',
+        body: (data) => data.for_writer
+            ? `The deadline for ${data.course_name} has passed. Submit the work or agree a new deadline with the client.`
+            : `The deadline for ${data.course_name} has passed and the work hasn't been submitted yet.`
+    }
+};
+
+const NOTIFICATION_TYPES = Object.keys(NOTIFICATION_TEMPLATES);
+
+// Where a notification takes the user when clicked
+const DEFAULT_LINK = '/my-assignments';
+
+// The user's in-app and email settings for a type (both on unless opted out)
+async function getTypeSettings(db, userId, type) {
+    const result = await db.query(
+        'SELECT in_app, email FROM notification_preferences WHERE user_id = $1 AND type = $2',
+        [userId, type]
+    );
+    return result.rows[0] || { in_app: true, email: true };
+}
+
+// Record a notification for a user and queue its email. Notifications are
+// best-effort: a failure is logged and never breaks the action that triggered
+// it. Returns the in-app row, or null if nothing was stored.
+async function notify(db, userId, type, data = {}) {
+    const template = NOTIFICATION_TEMPLATES[type];
+    if (!template) {
+        console.error(`Unknown notification type: ${type}`);
+        return null;
+    }
+
+    try {
+        if (!userId) {
+            return null;
+        }
+
+        const settings = await getTypeSettings(db, userId, type);
+        const payload = { ...data, link: data.link || DEFAULT_LINK };
+        let notification = null;
+
+        if (settings.in_app) {
+            const result = await db.query(`
+                INSERT INTO notifications (user_id, type, title, body, link, data)
+                VALUES ($1, $2, $3, $4, $5, $6)
+                RETURNING *
+            `, [userId, type, template.title(payload), template.body(payload), payload.link, JSON.stringify(data)]);
+            notification = result.rows[0];
+            await events.publish(db, 'notification_created', { notification }, [userId]);
+        }
+
+        if (settings.email) {
+            await mailer.queueEmail(db, userId, type, payload);
+        }
+
+        return notification;
+    } catch (error) {
+        console.error(`Error creating ${type} notification:`, error);
+        return null;
+    }
+}
+
+// Every notification type with the user's settings for it. `email` is null for
+// types that are only shown in-app.
+async function getPreferences(db, userId) {
+    const result = await db.query(
+        'SELECT type, in_app, email FROM notification_preferences WHERE user_id = $1',
+        [userId]
+    );
+    const saved = new Map(result.rows.map(row => [row.type, row]));
+
+    return NOTIFICATION_TYPES.map(type => ({
+        type,
+        label: NOTIFICATION_TEMPLATES[type].label,
+        in_app: saved.has(type) ? saved.get(type).in_app : true,
+        email: mailer.EMAIL_TYPES.includes(type) ? (saved.has(type) ? saved.get(type).email : true) : null
+    }));
+}
+
+// Save the user's settings. Takes a map of type -> in_app boolean, or
+// type -> { in_app, email } to change either channel; unknown types are ignored.
+async function updatePreferences(db, userId, settings) {
+    for (const [type, value] of Object.entries(settings)) {
+        if (!NOTIFICATION_TEMPLATES[type]) {
+            continue;
+        }
+
+        const { in_app: inApp, email } = typeof value === 'object' && value !== null ? value : { in_app: value };
+        await db.query(`
+            INSERT INTO notification_preferences (user_id, type, in_app, email)
+            VALUES ($1, $2, COALESCE($3, TRUE), COALESCE($4, TRUE))
+            ON CONFLICT (user_id, type) DO UPDATE SET
+                in_app = COALESCE($3, notification_preferences.in_app),
+                email = COALESCE($4, notification_preferences.email)
+        `, [userId, type, inApp === undefined ? null : Boolean(inApp), email === undefined ? null : Boolean(email)]);
+    }
+    return getPreferences(db, userId);
+}
+
+module.exports = { NOTIFICATION_TYPES, notify, getPreferences, updatePreferences };
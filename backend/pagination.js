@@ -0,0 +1,48 @@
+// Keyset pagination and search helpers for the listing endpoints
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+// Cursors are opaque to clients: base64url-encoded JSON of the last row's sort value and id.
+// Listings select the sort value as text (sort_value) rather than using the
+// column itself: pg turns timestamps into JS Dates, which drop the microseconds
+// Postgres keeps, and the keyset comparison would then skip rows.
+const encodeCursor = (value, id) => {
+    return Buffer.from(JSON.stringify([value, id])).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+    try {
+        const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (!Array.isArray(decoded) || decoded.length !== 2 || !Number.isInteger(decoded[1])) {
+            return null;
+        }
+        return { value: decoded[0], id: decoded[1] };
+    } catch (error) {
+        return null;
+    }
+};
+
+// Parse the page size query parameter, falling back to the default
+const parsePageSize = (limit) => {
+    const parsed = parseInt(limit);
+    if (isNaN(parsed) || parsed <= 0) {
+        return DEFAULT_PAGE_SIZE;
+    }
+    return Math.min(parsed, MAX_PAGE_SIZE);
+};
+
+// Turn free text into a prefix-matching tsquery, e.g. "data struct" -> "data:* & struct:*"
+const toPrefixTsQuery = (text) => {
+    const words = String(text).match(/[\p{L}\p{N}]+/gu) || [];
+    return words.map(word => `${word}:*`).join(' & ');
+};
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    encodeCursor,
+    decodeCursor,
+    parsePageSize,
+    toPrefixTsQuery
+};
@@ -0,0 +1,35 @@
+const { encodeCursor, decodeCursor, parsePageSize, toPrefixTsQuery, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } = require('./pagination');
+
+describe('cursors', () => {
+    it('decode back to the sort value and id they were made from', () => {
+        expect(decodeCursor(encodeCursor('2026-03-01 10:00:00.123456+00', 42))).toEqual({ value: '2026-03-01 10:00:00.123456+00', id: 42 });
+        expect(decodeCursor(encodeCursor(null, 7))).toEqual({ value: null, id: 7 });
+    });
+
+    it('are refused when they were not made by encodeCursor', () => {
+        const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+        expect(decodeCursor('not a cursor')).toBeNull();
+        expect(decodeCursor(encode({ value: 1, id: 2 }))).toBeNull();
+        expect(decodeCursor(encode([1, 2, 3]))).toBeNull();
+        expect(decodeCursor(encode([1, '2']))).toBeNull();
+    });
+});
+
+describe('parsePageSize', () => {
+    it('falls back to the default and caps at the maximum', () => {
+        expect(parsePageSize(undefined)).toBe(DEFAULT_PAGE_SIZE);
+        expect(parsePageSize('0')).toBe(DEFAULT_PAGE_SIZE);
+        expect(parsePageSize('ten')).toBe(DEFAULT_PAGE_SIZE);
+        expect(parsePageSize('5')).toBe(5);
+        expect(parsePageSize('1000')).toBe(MAX_PAGE_SIZE);
+    });
+});
+
+describe('toPrefixTsQuery', () => {
+    it('matches the start of every word and drops punctuation', () => {
+        expect(toPrefixTsQuery('data struct')).toBe('data:* & struct:*');
+        expect(toPrefixTsQuery("C++ & 'OS' |")).toBe('C:* & OS:*');
+        expect(toPrefixTsQuery('!!')).toBe('');
+    });
+});
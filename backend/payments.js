@@ -0,0 +1,86 @@
+// Payment providers. Money only enters and leaves the platform through the
+// provider configured here: a deposit charges the user, a payout pays them.
+// Everything in between is moved on the ledger in wallet.js.
+const crypto = require('crypto');
+
+// A provider is any object with a name and:
+//   async charge({ userId, amount, reference }) -> result
+//   async payout({ userId, amount, destination, reference }) -> result
+// where result is { status: 'succeeded' | 'failed', providerReference, failureReason }.
+// A real gateway would wrap its SDK here; amounts are in rupees.
+
+// Settles everything straight away without moving real money, for local
+// development and tests. Amounts above failAbove are declined so failures can
+// be tried out. Every call is kept in calls.
+const createFakeProvider = ({ failAbove = null } = {}) => {
+    const calls = [];
+
+    const settle = (type, request) => {
+        calls.push({ type, ...request });
+        const declined = failAbove !== null && Number(request.amount) > failAbove;
+        return {
+            status: declined ? 'failed' : 'succeeded',
+            providerReference: `fake_${type}_${crypto.randomUUID()}`,
+            failureReason: declined ? `The fake provider declines amounts over ₹${failAbove}` : null
+        };
+    };
+
+    return {
+        name: 'fake',
+        calls,
+        charge: async (request) => settle('charge', request),
+        payout: async (request) => settle('payout', request)
+    };
+};
+
+// Pick a provider from PAYMENT_PROVIDER. The fake provider is refused in
+// production so that nobody is credited for money that never arrived.
+const createProviderFromEnv = (env = process.env) => {
+    const type = env.PAYMENT_PROVIDER || 'fake';
+
+    switch (type) {
+        case 'fake':
+            if (env.NODE_ENV === 'production') {
+                throw new Error('The fake payment provider cannot be used in production');
+            }
+            return createFakeProvider({
+                failAbove: env.FAKE_PAYMENT_FAIL_ABOVE ? parseFloat(env.FAKE_PAYMENT_FAIL_ABOVE) : null
+            });
+        default:
+            throw new Error(`Unknown PAYMENT_PROVIDER: ${type}`);
+    }
+};
+
+let provider = null;
+
+// Override the provider, e.g. in tests
+const configure = (override) => {
+    provider = override;
+};
+
+const getProvider = () => {
+    if (!provider) {
+        provider = createProviderFromEnv();
+    }
+    return provider;
+};
+
+// Whether money can move at all. Without a usable provider, e.g. the fake one
+// in production, the rest of the platform keeps running without payments:
+// deposits and payouts are refused and nothing is held in escrow.
+const isEnabled = () => {
+    try {
+        getProvider();
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+module.exports = {
+    createFakeProvider,
+    createProviderFromEnv,
+    configure,
+    getProvider,
+    isEnabled
+};
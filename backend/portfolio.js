@@ -0,0 +1,206 @@
+// Writer portfolios: an ordered list of work samples. Uploaded images are
+// re-encoded (which also strips metadata such as GPS tags), a thumbnail is
+// generated for the gallery grid, and both are kept in the storage backend.
+const sharp = require('sharp');
+const storage = require('./storage');
+const { createUploadMiddleware } = require('./uploads');
+
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024; // 5 MB
+const MAX_ITEMS = 12;
+const IMAGE_WIDTH = 1600;
+const THUMBNAIL_SIZE = { width: 400, height: 300 };
+
+const upload = createUploadMiddleware({
+    field: 'image',
+    maxFiles: 1,
+    maxFileSize: MAX_IMAGE_SIZE,
+    allowedTypes: {
+        'image/png': ['.png'],
+        'image/jpeg': ['.jpg', '.jpeg'],
+        'image/gif': ['.gif'],
+        'image/webp': ['.webp']
+    }
+});
+
+// Trim the editable text fields. Returns { caption, subject } or { error }.
+const validateDetails = ({ caption, subject }) => {
+    const trimmedCaption = typeof caption === 'string' ? caption.trim() : '';
+    const trimmedSubject = typeof subject === 'string' ? subject.trim() : '';
+
+    if (trimmedCaption.length > 500) {
+        return { error: 'Caption must be 500 characters or less' };
+    }
+    if (trimmedSubject.length > 100) {
+        return { error: 'Subject must be 100 characters or less' };
+    }
+
+    return { caption: trimmedCaption || null, subject: trimmedSubject || null };
+};
+
+// The public shape of a portfolio item. Uploaded images are served by the API;
+// samples carried over from the old single-image field still point at their
+// external host.
+const format = (row) => ({
+    id: row.id,
+    caption: row.caption,
+    subject: row.subject,
+    position: row.position,
+    image_url: row.image_key ? `/api/portfolio-items/${row.id}/image` : row.legacy_image_url,
+    thumbnail_url: row.thumbnail_key ? `/api/portfolio-items/${row.id}/thumbnail` : row.legacy_image_url,
+    created_at: row.created_at
+});
+
+async function list(db, writerId) {
+    const result = await db.query(`
+        SELECT * FROM portfolio_items
+        WHERE writer_id = $1
+        ORDER BY position ASC, id ASC
+    `, [writerId]);
+
+    return result.rows.map(format);
+}
+
+// Add an uploaded sample at the end of the writer's portfolio.
+// Returns { item } or { error, status }.
+async function create(db, writerId, file, details) {
+    const fields = validateDetails(details);
+    if (fields.error) {
+        return { error: fields.error, status: 400 };
+    }
+
+    const countResult = await db.query(`
+        SELECT COUNT(*)::int as count, COALESCE(MAX(position) + 1, 0) as next_position
+        FROM portfolio_items WHERE writer_id = $1
+    `, [writerId]);
+    const { count, next_position } = countResult.rows[0];
+
+    if (count >= MAX_ITEMS) {
+        return { error: `A portfolio can have at most ${MAX_ITEMS} samples`, status: 400 };
+    }
+
+    let image;
+    let thumbnail;
+    try {
+        const source = sharp(file.buffer).rotate();
+        [image, thumbnail] = await Promise.all([
+            source.clone().resize({ width: IMAGE_WIDTH, withoutEnlargement: true }).webp({ quality: 85 }).toBuffer(),
+            source.clone().resize({ ...THUMBNAIL_SIZE, fit: 'cover' }).webp({ quality: 75 }).toBuffer()
+        ]);
+    } catch (error) {
+        return { error: `${file.originalname} could not be read as an image`, status: 400 };
+    }
+
+    const backend = storage.getStorage();
+    const imageKey = storage.generateKey(`portfolio/${writerId}`, 'image.webp');
+    const thumbnailKey = storage.generateKey(`portfolio/${writerId}`, 'thumbnail.webp');
+
+    try {
+        await backend.save(imageKey, image, 'image/webp');
+        await backend.save(thumbnailKey, thumbnail, 'image/webp');
+
+        const result = await db.query(`
+            INSERT INTO portfolio_items (writer_id, caption, subject, position, image_key, thumbnail_key)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING *
+        `, [writerId, fields.caption, fields.subject, next_position, imageKey, thumbnailKey]);
+
+        return { item: format(result.rows[0]) };
+    } catch (error) {
+        await Promise.all([imageKey, thumbnailKey].map(key => backend.remove(key).catch(() => {})));
+        throw error;
+    }
+}
+
+// Change a sample's caption or subject. Returns { item } or { error, status }.
+async function update(db, writerId, itemId, details) {
+    const fields = validateDetails(details);
+    if (fields.error) {
+        return { error: fields.error, status: 400 };
+    }
+
+    const result = await db.query(`
+        UPDATE portfolio_items
+        SET caption = $1, subject = $2, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $3 AND writer_id = $4
+        RETURNING *
+    `, [fields.caption, fields.subject, itemId, writerId]);
+
+    if (result.rows.length === 0) {
+        return { error: 'Portfolio item not found', status: 404 };
+    }
+
+    return { item: format(result.rows[0]) };
+}
+
+// Put the writer's samples in the given order. itemIds must list every sample.
+// Returns { items } or { error, status }.
+async function reorder(db, writerId, itemIds) {
+    if (!Array.isArray(itemIds) || itemIds.some(id => !Number.isInteger(id))) {
+        return { error: 'Order must be a list of portfolio item ids', status: 400 };
+    }
+
+    const current = await db.query('SELECT id FROM portfolio_items WHERE writer_id = $1', [writerId]);
+    const currentIds = current.rows.map(row => row.id);
+
+    if (itemIds.length !== currentIds.length || !currentIds.every(id => itemIds.includes(id))) {
+        return { error: 'Order must include each of your portfolio items exactly once', status: 400 };
+    }
+
+    await db.query(`
+        UPDATE portfolio_items pi
+        SET position = ordered.position - 1, updated_at = CURRENT_TIMESTAMP
+        FROM unnest($1::int[]) WITH ORDINALITY AS ordered(id, position)
+        WHERE pi.id = ordered.id AND pi.writer_id = $2
+    `, [itemIds, writerId]);
+
+    return { items: await list(db, writerId) };
+}
+
+// Delete a sample and its stored images. Returns { removed } or { error, status }.
+async function remove(db, writerId, itemId) {
+    const result = await db.query(`
+        DELETE FROM portfolio_items
+        WHERE id = $1 AND writer_id = $2
+        RETURNING image_key, thumbnail_key
+    `, [itemId, writerId]);
+
+    if (result.rows.length === 0) {
+        return { error: 'Portfolio item not found', status: 404 };
+    }
+
+    const backend = storage.getStorage();
+    for (const key of [result.rows[0].image_key, result.rows[0].thumbnail_key].filter(Boolean)) {
+        await backend.remove(key).catch(error => console.error(`Error removing stored file ${key}:`, error));
+    }
+
+    return { removed: true };
+}
+
+// Stream a sample's full image or thumbnail to the response.
+// Returns false when there is no uploaded image to send.
+async function sendImage(db, res, itemId, variant) {
+    const result = await db.query('SELECT image_key, thumbnail_key FROM portfolio_items WHERE id = $1', [itemId]);
+    const key = result.rows[0] && result.rows[0][variant === 'thumbnail' ? 'thumbnail_key' : 'image_key'];
+
+    if (!key) {
+        return false;
+    }
+
+    const stream = await storage.getStorage().read(key);
+    res.setHeader('Content-Type', 'image/webp');
+    // Keys are never reused, so an image can be cached for as long as it exists
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+    stream.pipe(res);
+    return true;
+}
+
+module.exports = {
+    MAX_ITEMS,
+    upload,
+    list,
+    create,
+    update,
+    reorder,
+    remove,
+    sendImage
+};
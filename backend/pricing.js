@@ -0,0 +1,216 @@
+// Price suggestions for new requests. A suggestion starts from a rate table:
+// a price per page for each assignment type, scaled up the closer the
+// deadline is. It is then pulled towards what writers actually accepted for
+// similar requests, more strongly the more of them there are.
+const fs = require('fs');
+
+// Request prices are whole multiples of this many rupees
+const PRICE_STEP = 50;
+
+// Used unless PRICING_RATES_FILE points at a JSON file with the same shape.
+// Any key left out of the file keeps its default.
+const DEFAULT_RATES = {
+    // Rupees per page by assignment type; default covers any other type
+    per_page: {
+        class_assignment: 100,
+        lab_files: 120,
+        workshop_files: 150,
+        graphic_design: 200,
+        default: 100
+    },
+    // The first tier whose window the deadline falls within applies; later deadlines get 1
+    urgency: [
+        { within_hours: 24, multiplier: 1.5 },
+        { within_hours: 72, multiplier: 1.25 },
+        { within_hours: 168, multiplier: 1.1 }
+    ],
+    // How far either side of the table price the range reaches when there is no history
+    spread: 0.2
+};
+
+// Accepted prices from further back than this are ignored
+const HISTORY_MONTHS = 12;
+// Below this many similar requests the history is not used at all...
+const MIN_HISTORY = 3;
+// ...and from this many on it replaces the rate table entirely
+const FULL_HISTORY = 20;
+const MAX_PAGES = 500;
+
+const isPositiveNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+// Check a rate table read from a file, so a typo fails loudly rather than
+// producing nonsense prices
+const validateRates = (rates) => {
+    if (!rates.per_page || typeof rates.per_page !== 'object' || !isPositiveNumber(rates.per_page.default)) {
+        return 'per_page must be an object with a positive default rate';
+    }
+    const badType = Object.keys(rates.per_page).find(type => !isPositiveNumber(rates.per_page[type]));
+    if (badType) {
+        return `per_page.${badType} must be a positive number`;
+    }
+    if (!Array.isArray(rates.urgency) || rates.urgency.some(tier => !isPositiveNumber(tier.within_hours) || !isPositiveNumber(tier.multiplier))) {
+        return 'urgency must be a list of { within_hours, multiplier } with positive numbers';
+    }
+    if (typeof rates.spread !== 'number' || rates.spread < 0 || rates.spread >= 1) {
+        return 'spread must be a number from 0 up to 1';
+    }
+    return null;
+};
+
+// Read a rate table file and merge it over the defaults. Returns { rates }, or
+// { error } if the file can't be read, isn't a JSON object or doesn't
+// validate.
+const readRatesFile = (file) => {
+    let overrides;
+    try {
+        overrides = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        return { error: `could not be read: ${error.message}` };
+    }
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        return { error: 'must hold a JSON object' };
+    }
+
+    const rates = {
+        ...DEFAULT_RATES,
+        ...overrides,
+        per_page: { ...DEFAULT_RATES.per_page, ...overrides.per_page }
+    };
+    const error = validateRates(rates);
+    return error ? { error } : { rates };
+};
+
+let cachedRates = null;
+
+// The rate table in use, from PRICING_RATES_FILE merged over the defaults
+const getRates = (env = process.env) => {
+    if (cachedRates) {
+        return cachedRates;
+    }
+
+    let rates = DEFAULT_RATES;
+    if (env.PRICING_RATES_FILE) {
+        const file = readRatesFile(env.PRICING_RATES_FILE);
+        if (file.error) {
+            throw new Error(`Invalid PRICING_RATES_FILE: ${file.error}`);
+        }
+        rates = file.rates;
+    }
+
+    cachedRates = {
+        ...rates,
+        urgency: [...rates.urgency].sort((a, b) => a.within_hours - b.within_hours)
+    };
+    return cachedRates;
+};
+
+// Validate the query of GET /api/pricing/suggest. The deadline is optional;
+// without one no urgency applies.
+const validateQuery = ({ assignment_type, num_pages, deadline }) => {
+    if (!assignment_type || String(assignment_type).length > 100) {
+        return { error: 'assignment_type is required' };
+    }
+
+    const pages = Number(num_pages);
+    if (!Number.isInteger(pages) || pages < 1 || pages > MAX_PAGES) {
+        return { error: `num_pages must be a whole number from 1 to ${MAX_PAGES}` };
+    }
+
+    let hoursLeft = null;
+    if (deadline !== undefined && deadline !== '') {
+        if (isNaN(Date.parse(deadline))) {
+            return { error: 'deadline must be a valid date' };
+        }
+        hoursLeft = (new Date(deadline).getTime() - Date.now()) / (60 * 60 * 1000);
+        if (hoursLeft <= 0) {
+            return { error: 'deadline must be in the future' };
+        }
+    }
+
+    return { query: { assignmentType: String(assignment_type), pages, hoursLeft } };
+};
+
+// The urgency tier a deadline this many hours away falls into, if any
+const getUrgencyTier = (rates, hoursLeft) =>
+    hoursLeft === null ? null : rates.urgency.find(tier => hoursLeft <= tier.within_hours) || null;
+
+const roundPrice = (price) => Math.max(PRICE_STEP, Math.round(price / PRICE_STEP) * PRICE_STEP);
+
+// Per-page prices writers accepted for requests of the same type with a
+// deadline in the same urgency tier. The price is the agreed offer price if
+// there was one, otherwise the listed price.
+async function getHistory(db, rates, assignmentType, tier) {
+    const tierIndex = tier ? rates.urgency.indexOf(tier) : rates.urgency.length;
+    const lower = tierIndex > 0 ? rates.urgency[tierIndex - 1].within_hours : 0;
+    const upper = tier ? tier.within_hours : null;
+
+    const result = await db.query(`
+        WITH accepted AS (
+            SELECT COALESCE(a.agreed_price, ar.estimated_cost)::numeric / NULLIF(ar.num_pages, 0) as per_page
+            FROM assignments a
+            JOIN assignment_requests ar ON ar.id = a.request_id
+            WHERE ar.assignment_type = $1
+                AND a.created_at >= NOW() - $2 * INTERVAL '1 month'
+                AND a.status <> 'cancelled'
+                AND EXTRACT(EPOCH FROM (ar.deadline - a.created_at)) / 3600 > $3
+                AND ($4::numeric IS NULL OR EXTRACT(EPOCH FROM (ar.deadline - a.created_at)) / 3600 <= $4)
+        )
+        SELECT COUNT(per_page)::int as count,
+            percentile_cont(0.25) WITHIN GROUP (ORDER BY per_page) as low,
+            percentile_cont(0.5) WITHIN GROUP (ORDER BY per_page) as median,
+            percentile_cont(0.75) WITHIN GROUP (ORDER BY per_page) as high
+        FROM accepted
+    `, [assignmentType, HISTORY_MONTHS, lower, upper]);
+
+    const row = result.rows[0];
+    return {
+        count: row.count,
+        low: row.low === null ? null : Number(row.low),
+        median: row.median === null ? null : Number(row.median),
+        high: row.high === null ? null : Number(row.high)
+    };
+}
+
+// Suggest a price range for a validated query
+async function suggest(db, { assignmentType, pages, hoursLeft }) {
+    const rates = getRates();
+    const perPage = Object.prototype.hasOwnProperty.call(rates.per_page, assignmentType)
+        ? rates.per_page[assignmentType]
+        : rates.per_page.default;
+    const tier = getUrgencyTier(rates, hoursLeft);
+    const multiplier = tier ? tier.multiplier : 1;
+
+    const tablePrice = perPage * multiplier;
+    let low = tablePrice * (1 - rates.spread);
+    let median = tablePrice;
+    let high = tablePrice * (1 + rates.spread);
+
+    const history = await getHistory(db, rates, assignmentType, tier);
+    if (history.count >= MIN_HISTORY) {
+        const weight = Math.min(1, history.count / FULL_HISTORY);
+        low = low * (1 - weight) + history.low * weight;
+        median = median * (1 - weight) + history.median * weight;
+        high = high * (1 - weight) + history.high * weight;
+    }
+
+    const suggested = roundPrice(median * pages);
+    return {
+        suggested,
+        low: Math.min(roundPrice(low * pages), suggested),
+        high: Math.max(roundPrice(high * pages), suggested),
+        basis: {
+            rate_per_page: perPage,
+            urgency_multiplier: multiplier,
+            similar_requests: history.count,
+            historical_median: history.count >= MIN_HISTORY ? roundPrice(history.median * pages) : null
+        }
+    };
+}
+
+module.exports = {
+    PRICE_STEP,
+    readRatesFile,
+    getRates,
+    validateQuery,
+    suggest
+};
@@ -0,0 +1,109 @@
+const path = require('path');
+const pricing = require('./pricing');
+const { createTestDatabase, dropTestDatabase } = require('./db/testDatabase');
+const { inDays, createUser, createRequest, createAssignment } = require('./db/testFixtures');
+
+let pool;
+let client;
+let writer;
+
+beforeAll(async () => {
+    pool = await createTestDatabase();
+    client = await createUser(pool);
+    writer = await createUser(pool);
+});
+
+afterAll(() => dropTestDatabase(pool));
+
+const inHours = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+// Requests of a type that writers took on at the given price per page, due
+// well over a week after they were accepted
+const acceptAtPerPage = async (assignmentType, perPage, count) => {
+    for (let i = 0; i < count; i++) {
+        const request = await createRequest(pool, {
+            client_id: client.id,
+            assignment_type: assignmentType,
+            num_pages: 4,
+            estimated_cost: perPage * 4,
+            deadline: inDays(10)
+        });
+        await createAssignment(pool, request, { writer_id: writer.id });
+    }
+};
+
+const suggestFor = (query) => pricing.suggest(pool, pricing.validateQuery(query).query);
+
+describe('readRatesFile', () => {
+    it('merges a rate table file over the defaults', () => {
+        const { rates } = pricing.readRatesFile(path.join(__dirname, 'pricing-rates.example.json'));
+        expect(rates.per_page).toMatchObject({ lab_files: 120, default: 100 });
+        expect(rates.spread).toBe(0.2);
+    });
+
+    it('refuses a file it cannot read', () => {
+        expect(pricing.readRatesFile(path.join(__dirname, 'no-such-rates.json')))
+            .toEqual({ error: expect.stringMatching(/^could not be read/) });
+    });
+});
+
+describe('validateQuery', () => {
+    it('needs a type and a sensible page count', () => {
+        expect(pricing.validateQuery({ num_pages: '3' })).toEqual({ error: 'assignment_type is required' });
+        expect(pricing.validateQuery({ assignment_type: 'lab_files', num_pages: '2.5' }).error).toMatch(/^num_pages must be a whole number/);
+        expect(pricing.validateQuery({ assignment_type: 'lab_files', num_pages: '0' }).error).toMatch(/^num_pages must be a whole number/);
+    });
+
+    it('only takes a deadline that is still ahead', () => {
+        expect(pricing.validateQuery({ assignment_type: 'lab_files', num_pages: '3', deadline: 'soon' }))
+            .toEqual({ error: 'deadline must be a valid date' });
+        expect(pricing.validateQuery({ assignment_type: 'lab_files', num_pages: '3', deadline: inHours(-1) }))
+            .toEqual({ error: 'deadline must be in the future' });
+        expect(pricing.validateQuery({ assignment_type: 'lab_files', num_pages: '3' }).query)
+            .toEqual({ assignmentType: 'lab_files', pages: 3, hoursLeft: null });
+    });
+});
+
+describe('suggest', () => {
+    it('prices from the rate table when there is no history', async () => {
+        expect(await suggestFor({ assignment_type: 'class_assignment', num_pages: '5' })).toEqual({
+            suggested: 500,
+            low: 400,
+            high: 600,
+            basis: { rate_per_page: 100, urgency_multiplier: 1, similar_requests: 0, historical_median: null }
+        });
+    });
+
+    it('falls back to the default rate for a type the table does not list', async () => {
+        const suggestion = await suggestFor({ assignment_type: 'poster', num_pages: '2' });
+
+        expect(suggestion.basis.rate_per_page).toBe(100);
+    });
+
+    it('charges more the closer the deadline is', async () => {
+        const dayAway = await suggestFor({ assignment_type: 'lab_files', num_pages: '5', deadline: inHours(12) });
+        const weekAway = await suggestFor({ assignment_type: 'lab_files', num_pages: '5', deadline: inHours(100) });
+
+        expect(dayAway).toMatchObject({ suggested: 900, basis: { urgency_multiplier: 1.5 } });
+        expect(weekAway).toMatchObject({ suggested: 650, basis: { urgency_multiplier: 1.1 } });
+    });
+
+    it('ignores accepted prices until there are enough of them', async () => {
+        await acceptAtPerPage('workshop_files', 300, 2);
+
+        expect(await suggestFor({ assignment_type: 'workshop_files', num_pages: '4' }))
+            .toMatchObject({ suggested: 600, basis: { similar_requests: 2, historical_median: null } });
+    });
+
+    it('leans towards what writers accepted, the more so the more history there is', async () => {
+        await acceptAtPerPage('graphic_design', 300, 5);
+        const someHistory = await suggestFor({ assignment_type: 'graphic_design', num_pages: '4' });
+
+        await acceptAtPerPage('graphic_design', 300, 15);
+        const fullHistory = await suggestFor({ assignment_type: 'graphic_design', num_pages: '4' });
+
+        // Table price 200 a page, accepted 300 a page
+        expect(someHistory).toMatchObject({ suggested: 900, basis: { similar_requests: 5, historical_median: 1200 } });
+        expect(fullHistory).toMatchObject({ suggested: 1200, low: 1200, high: 1200, basis: { similar_requests: 20 } });
+    });
+});
@@ -0,0 +1,52 @@
+// Role-based access control. Every user has one role from ROLES, and each role
+// grants a fixed set of permissions. Routes ask for a permission rather than a
+// role, so giving moderators or admins more powers is a change to this table.
+
+const ROLES = ['student', 'writer', 'moderator', 'admin'];
+
+const PERMISSIONS = {
+    student: [],
+    writer: [],
+    moderator: ['moderate_reviews'],
+    admin: ['moderate_reviews', 'manage_users', 'manage_requests', 'resolve_disputes', 'view_audit_log', 'reset_data']
+};
+
+const ACCOUNT_STATUSES = ['active', 'suspended', 'banned'];
+
+const getPermissions = (user) => (user && PERMISSIONS[user.role]) || [];
+
+const can = (user, permission) => getPermissions(user).includes(permission);
+
+// Middleware that lets the request through only if the user has the
+// permission. Use after isAuthenticated.
+const requirePermission = (permission) => (req, res, next) => {
+    if (can(req.user, permission)) {
+        return next();
+    }
+    res.status(403).json({ error: 'You do not have access to this page' });
+};
+
+// Why the user is locked out, or null if they can use the site. Suspensions
+// lapse on their own once suspended_until has passed.
+const getAccountBlock = (user) => {
+    if (user.account_status === 'banned') {
+        return `This account has been banned${user.account_status_reason ? `: ${user.account_status_reason}` : ''}`;
+    }
+
+    if (user.account_status === 'suspended' && new Date(user.suspended_until) > new Date()) {
+        const until = new Date(user.suspended_until).toLocaleString();
+        return `This account is suspended until ${until}${user.account_status_reason ? `: ${user.account_status_reason}` : ''}`;
+    }
+
+    return null;
+};
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    ACCOUNT_STATUSES,
+    getPermissions,
+    can,
+    requirePermission,
+    getAccountBlock
+};
@@ -0,0 +1,149 @@
+// The open request board: filters, full-text search, sort orders and keyset
+// pagination over assignment_requests
+const { encodeCursor, decodeCursor, parsePageSize, toPrefixTsQuery } = require('./pagination');
+
+// Sort orders for the request board. Each sorts on one column with the id as a
+// tie-breaker so the pair can be used as a keyset pagination cursor.
+const REQUEST_SORTS = {
+    newest: { column: 'ar.created_at', direction: 'DESC' },
+    cost_asc: { column: 'ar.estimated_cost', direction: 'ASC' },
+    cost_desc: { column: 'ar.estimated_cost', direction: 'DESC' },
+    deadline: { column: 'ar.deadline', direction: 'ASC' },
+    client_rating: { column: 'COALESCE(u.rating, 0)', direction: 'DESC' }
+};
+
+// Build the WHERE conditions for the request board from the query string.
+// Returns { error } for invalid input, otherwise { conditions, params }.
+const buildRequestFilters = (query) => {
+    const conditions = [
+        `ar.status = 'open'`,
+        `ar.target_writer_id IS NULL`,
+        `(ar.expiration_deadline IS NULL OR ar.expiration_deadline > NOW())`
+    ];
+    const params = [];
+    const addParam = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+    };
+
+    if (query.course_code) {
+        conditions.push(`ar.course_code ILIKE ${addParam(String(query.course_code).trim())}`);
+    }
+
+    if (query.assignment_type) {
+        conditions.push(`ar.assignment_type = ${addParam(String(query.assignment_type))}`);
+    }
+
+    const numericFilters = [
+        ['min_pages', 'ar.num_pages >='],
+        ['max_pages', 'ar.num_pages <='],
+        ['min_cost', 'ar.estimated_cost >='],
+        ['max_cost', 'ar.estimated_cost <=']
+    ];
+    for (const [key, comparison] of numericFilters) {
+        if (query[key] === undefined || query[key] === '') continue;
+        const value = parseFloat(query[key]);
+        if (isNaN(value)) {
+            return { error: `${key} must be a number` };
+        }
+        conditions.push(`${comparison} ${addParam(value)}`);
+    }
+
+    const dateFilters = [
+        ['deadline_from', 'ar.deadline >='],
+        ['deadline_to', 'ar.deadline <=']
+    ];
+    for (const [key, comparison] of dateFilters) {
+        if (!query[key]) continue;
+        if (isNaN(Date.parse(query[key]))) {
+            return { error: `${key} must be a valid date` };
+        }
+        conditions.push(`${comparison} ${addParam(new Date(query[key]).toISOString())}`);
+    }
+
+    if (query.q) {
+        const tsQuery = toPrefixTsQuery(query.q);
+        if (tsQuery) {
+            conditions.push(`ar.search_vector @@ to_tsquery('simple', ${addParam(tsQuery)})`);
+        }
+    }
+
+    return { conditions, params };
+};
+
+// One page of open requests for the board's query string: filters, q, sort,
+// cursor and limit. With fundedOnly, requests whose client's wallet can't
+// cover the price are left out, since accepting one would fail on escrow.
+// Returns { error } for invalid input, otherwise { rows, nextCursor }, each
+// row a request with its client's details.
+async function listOpenRequests(db, query, { fundedOnly = false } = {}) {
+    const sortKey = query.sort || 'newest';
+    const sort = REQUEST_SORTS[sortKey];
+    if (!sort) {
+        return { error: `sort must be one of: ${Object.keys(REQUEST_SORTS).join(', ')}` };
+    }
+
+    const { error, conditions, params } = buildRequestFilters(query);
+    if (error) {
+        return { error };
+    }
+
+    if (fundedOnly) {
+        conditions.push(`ar.estimated_cost <= COALESCE((
+            SELECT la.balance FROM ledger_accounts la WHERE la.type = 'wallet' AND la.user_id = ar.client_id
+        ), 0)`);
+    }
+
+    if (query.cursor) {
+        const cursor = decodeCursor(query.cursor);
+        if (!cursor) {
+            return { error: 'Invalid cursor' };
+        }
+        const comparison = sort.direction === 'DESC' ? '<' : '>';
+        params.push(cursor.value, cursor.id);
+        conditions.push(`(${sort.column}, ar.id) ${comparison} ($${params.length - 1}, $${params.length})`);
+    }
+
+    const pageSize = parsePageSize(query.limit);
+    params.push(pageSize + 1);
+
+    const result = await db.query(`
+        SELECT
+            ar.id,
+            ar.course_name,
+            ar.course_code,
+            ar.assignment_type,
+            ar.num_pages,
+            ar.deadline,
+            ar.estimated_cost,
+            ar.status,
+            ar.created_at,
+            ar.expiration_deadline,
+            u.id as client_id,
+            u.name as client_name,
+            u.rating as client_rating,
+            u.total_ratings as client_total_ratings,
+            u.profile_picture as client_profile_picture,
+            (${sort.column})::text as sort_value
+        FROM assignment_requests ar
+        JOIN users u ON u.id = ar.client_id
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY ${sort.column} ${sort.direction}, ar.id ${sort.direction}
+        LIMIT $${params.length}
+    `, params);
+
+    // We fetched one extra row to know whether another page exists
+    const hasMore = result.rows.length > pageSize;
+    const rows = hasMore ? result.rows.slice(0, pageSize) : result.rows;
+    const lastRow = rows[rows.length - 1];
+
+    return {
+        rows,
+        nextCursor: hasMore ? encodeCursor(lastRow.sort_value, lastRow.id) : null
+    };
+}
+
+module.exports = {
+    REQUEST_SORTS,
+    listOpenRequests
+};
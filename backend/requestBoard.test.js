@@ -0,0 +1,128 @@
+const requestBoard = require('./requestBoard');
+const { createTestDatabase, dropTestDatabase } = require('./db/testDatabase');
+const { inDays, createUser, createRequest } = require('./db/testFixtures');
+
+let pool;
+let client;
+
+beforeAll(async () => {
+    pool = await createTestDatabase();
+    client = await createUser(pool);
+});
+
+afterAll(() => dropTestDatabase(pool));
+
+beforeEach(async () => {
+    await pool.query('TRUNCATE assignment_requests CASCADE');
+});
+
+const listIds = async (query) => {
+    const page = await requestBoard.listOpenRequests(pool, query);
+    return page.rows.map(row => row.id);
+};
+
+// Every page of the board for a query, following the cursors to the end
+const listPages = async (query) => {
+    const pages = [];
+    let cursor = null;
+    do {
+        const page = await requestBoard.listOpenRequests(pool, cursor ? { ...query, cursor } : query);
+        pages.push(page.rows.map(row => row.id));
+        cursor = page.nextCursor;
+    } while (cursor);
+    return pages;
+};
+
+describe('listOpenRequests', () => {
+    it('pages through every open request exactly once in each sort order', async () => {
+        const costs = [300, 300, 500, 500, 500, 800, 100];
+        for (const [i, cost] of costs.entries()) {
+            await createRequest(pool, {
+                client_id: client.id,
+                estimated_cost: cost,
+                deadline: inDays(1 + (i % 3)),
+                created_at: new Date(Date.UTC(2026, 0, 1, 10, 0, i % 4))
+            });
+        }
+
+        for (const [sortKey, sort] of Object.entries(requestBoard.REQUEST_SORTS)) {
+            const expected = await pool.query(`
+                SELECT ar.id FROM assignment_requests ar JOIN users u ON u.id = ar.client_id
+                ORDER BY ${sort.column} ${sort.direction}, ar.id ${sort.direction}
+            `);
+
+            const pages = await listPages({ sort: sortKey, limit: '3' });
+
+            expect(pages.map(page => page.length)).toEqual([3, 3, 1]);
+            expect(pages.flat()).toEqual(expected.rows.map(row => row.id));
+        }
+    });
+
+    it('keeps the microseconds of timestamps in the cursor so no request is skipped', async () => {
+        for (let i = 0; i < 4; i++) {
+            const request = await createRequest(pool, { client_id: client.id });
+            await pool.query(`UPDATE assignment_requests SET created_at = '2026-01-01 10:00:00.123456+00'::timestamptz + $2 * interval '1 microsecond' WHERE id = $1`, [request.id, i]);
+        }
+
+        const pages = await listPages({ sort: 'newest', limit: '2' });
+
+        expect(pages.map(page => page.length)).toEqual([2, 2]);
+    });
+
+    it('leaves requests that were taken, cancelled or whose listing ran out off the board', async () => {
+        const open = await createRequest(pool, { client_id: client.id, expiration_deadline: inDays(2) });
+        await createRequest(pool, { client_id: client.id, status: 'assigned' });
+        await createRequest(pool, { client_id: client.id, status: 'cancelled' });
+        await createRequest(pool, { client_id: client.id, expiration_deadline: inDays(-1) });
+
+        expect(await listIds({})).toEqual([open.id]);
+    });
+
+    it('leaves direct requests to a single writer off the board', async () => {
+        const writer = await createUser(pool);
+        const open = await createRequest(pool, { client_id: client.id });
+        await createRequest(pool, { client_id: client.id, target_writer_id: writer.id, direct_response_deadline: inDays(1) });
+
+        expect(await listIds({})).toEqual([open.id]);
+    });
+
+    it("can leave out requests the client's wallet does not cover", async () => {
+        const funded = await createUser(pool);
+        await pool.query(`INSERT INTO ledger_accounts (type, user_id, balance) VALUES ('wallet', $1, 500)`, [funded.id]);
+        const covered = await createRequest(pool, { client_id: funded.id, estimated_cost: 500 });
+        await createRequest(pool, { client_id: funded.id, estimated_cost: 550 });
+        await createRequest(pool, { client_id: client.id });
+
+        expect(await listIds({})).toHaveLength(3);
+        const page = await requestBoard.listOpenRequests(pool, {}, { fundedOnly: true });
+        expect(page.rows.map(row => row.id)).toEqual([covered.id]);
+    });
+
+    it('filters by course code, type, length, price and deadline', async () => {
+        const lab = await createRequest(pool, { client_id: client.id, course_code: 'PH101', assignment_type: 'lab_files', num_pages: 3, estimated_cost: 300, deadline: inDays(2) });
+        const essay = await createRequest(pool, { client_id: client.id, course_code: 'EN205', num_pages: 10, estimated_cost: 900, deadline: inDays(9) });
+
+        expect(await listIds({ course_code: 'ph101' })).toEqual([lab.id]);
+        expect(await listIds({ assignment_type: 'class_assignment' })).toEqual([essay.id]);
+        expect(await listIds({ min_pages: '5' })).toEqual([essay.id]);
+        expect(await listIds({ max_cost: '500' })).toEqual([lab.id]);
+        expect(await listIds({ deadline_to: inDays(5).toISOString() })).toEqual([lab.id]);
+    });
+
+    it('finds requests by the start of words in the course name or code', async () => {
+        const structures = await createRequest(pool, { client_id: client.id, course_name: 'Data Structures', course_code: 'CS201' });
+        await createRequest(pool, { client_id: client.id, course_name: 'Thermodynamics', course_code: 'ME210' });
+
+        expect(await listIds({ q: 'data struc' })).toEqual([structures.id]);
+        expect(await listIds({ q: 'cs2' })).toEqual([structures.id]);
+        expect(await listIds({ q: 'organic' })).toEqual([]);
+    });
+
+    it('refuses an unknown sort, a malformed filter or a cursor it did not make', async () => {
+        expect(await requestBoard.listOpenRequests(pool, { sort: 'random' }))
+            .toEqual({ error: expect.stringMatching(/^sort must be one of: newest/) });
+        expect(await requestBoard.listOpenRequests(pool, { min_cost: 'cheap' })).toEqual({ error: 'min_cost must be a number' });
+        expect(await requestBoard.listOpenRequests(pool, { deadline_from: 'someday' })).toEqual({ error: 'deadline_from must be a valid date' });
+        expect(await requestBoard.listOpenRequests(pool, { cursor: 'abc' })).toEqual({ error: 'Invalid cursor' });
+    });
+});
@@ -0,0 +1,122 @@
+// Background job scheduler. Every server instance ticks through the registered
+// jobs, but before running one it has to take the lease on the job's row in
+// scheduled_jobs. The lease is only granted when no other instance holds it
+// and the job hasn't started within its interval, so with any number of
+// instances each job runs once per interval.
+const os = require('os');
+const crypto = require('crypto');
+
+const TICK_MS = 5000;
+// A job that runs longer than this, or whose instance dies mid-run, loses its
+// lease and can be picked up elsewhere
+const LEASE_MS = 5 * 60 * 1000;
+
+const instanceId = `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+
+const jobs = new Map();
+
+// Add a job, run as run(pool) every intervalMs. Registering a name again replaces it.
+const register = (name, intervalMs, run) => {
+    jobs.set(name, { name, intervalMs, run, nextRunAt: 0 });
+};
+
+// Take the lease on a job, creating its row the first time. Returns false when
+// another instance holds it or has run it recently.
+async function claim(pool, job) {
+    const result = await pool.query(`
+        INSERT INTO scheduled_jobs (name, locked_by, locked_until, last_started_at)
+        VALUES ($1, $2, NOW() + $3 * INTERVAL '1 millisecond', NOW())
+        ON CONFLICT (name) DO UPDATE
+        SET locked_by = EXCLUDED.locked_by,
+            locked_until = EXCLUDED.locked_until,
+            last_started_at = EXCLUDED.last_started_at
+        WHERE (scheduled_jobs.locked_until IS NULL OR scheduled_jobs.locked_until < NOW())
+            AND (scheduled_jobs.last_started_at IS NULL
+                OR scheduled_jobs.last_started_at <= NOW() - $4 * INTERVAL '1 millisecond')
+        RETURNING name
+    `, [job.name, instanceId, LEASE_MS, job.intervalMs]);
+
+    return result.rows.length > 0;
+}
+
+async function release(pool, job, error) {
+    await pool.query(`
+        UPDATE scheduled_jobs
+        SET locked_by = NULL, locked_until = NULL, last_finished_at = NOW(), last_error = $3
+        WHERE name = $1 AND locked_by = $2
+    `, [job.name, instanceId, error ? String(error.message || error).substring(0, 2000) : null]);
+}
+
+// Run one job if this instance gets the lease. Returns whether it ran.
+async function runJob(pool, name) {
+    const job = jobs.get(name);
+    if (!job) {
+        throw new Error(`Unknown job: ${name}`);
+    }
+
+    if (!(await claim(pool, job))) {
+        return false;
+    }
+
+    let failure = null;
+    try {
+        await job.run(pool);
+    } catch (error) {
+        failure = error;
+        console.error(`Error running scheduled job ${name}:`, error);
+    }
+    await release(pool, job, failure);
+    return true;
+}
+
+// Run every job that is due on this instance, one after another
+async function tick(pool) {
+    for (const job of jobs.values()) {
+        if (Date.now() < job.nextRunAt) {
+            continue;
+        }
+        // Whether this instance ran it or another one did, it isn't due again for an interval
+        job.nextRunAt = Date.now() + job.intervalMs;
+        try {
+            await runJob(pool, job.name);
+        } catch (error) {
+            console.error(`Error scheduling job ${job.name}:`, error);
+        }
+    }
+}
+
+let timer = null;
+
+// Start ticking in the background. Safe to call more than once.
+const start = (pool, tickMs = TICK_MS) => {
+    if (timer) {
+        return;
+    }
+
+    let running = false;
+    timer = setInterval(async () => {
+        if (running) {
+            return;
+        }
+        running = true;
+        try {
+            await tick(pool);
+        } finally {
+            running = false;
+        }
+    }, tickMs);
+    timer.unref();
+};
+
+const stop = () => {
+    clearInterval(timer);
+    timer = null;
+};
+
+module.exports = {
+    register,
+    runJob,
+    tick,
+    start,
+    stop
+};
@@ -0,0 +1,130 @@
+const { createTestDatabase, dropTestDatabase } = require('./db/testDatabase');
+
+let pool;
+
+beforeAll(async () => {
+    pool = await createTestDatabase();
+});
+
+afterAll(() => dropTestDatabase(pool));
+
+// Each call loads the scheduler afresh, as a separate server instance would:
+// its own registered jobs and its own instance id for the leases
+const startInstance = () => {
+    let scheduler;
+    jest.isolateModules(() => {
+        scheduler = require('./scheduler');
+    });
+    return scheduler;
+};
+
+let jobCount = 0;
+
+// Register a job with a fresh name on each instance; run() is shared
+const registerJob = (instances, intervalMs, run = jest.fn()) => {
+    jobCount += 1;
+    const name = `job_${jobCount}`;
+    instances.forEach(instance => instance.register(name, intervalMs, run));
+    return { name, run };
+};
+
+const getLease = async (name) => (await pool.query('SELECT * FROM scheduled_jobs WHERE name = $1', [name])).rows[0];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('runJob', () => {
+    it('runs a job and gives up the lease when it is done', async () => {
+        const scheduler = startInstance();
+        const job = registerJob([scheduler], HOUR_MS);
+
+        expect(await scheduler.runJob(pool, job.name)).toBe(true);
+
+        expect(job.run).toHaveBeenCalledWith(pool);
+        const lease = await getLease(job.name);
+        expect(lease).toMatchObject({ locked_by: null, locked_until: null, last_error: null });
+        expect(lease.last_finished_at).toBeInstanceOf(Date);
+    });
+
+    it("doesn't run a job again until its interval has passed", async () => {
+        const scheduler = startInstance();
+        const job = registerJob([scheduler], HOUR_MS);
+
+        await scheduler.runJob(pool, job.name);
+        expect(await scheduler.runJob(pool, job.name)).toBe(false);
+
+        await pool.query(`UPDATE scheduled_jobs SET last_started_at = NOW() - INTERVAL '61 minutes' WHERE name = $1`, [job.name]);
+        expect(await scheduler.runJob(pool, job.name)).toBe(true);
+        expect(job.run).toHaveBeenCalledTimes(2);
+    });
+
+    it('runs a job on only one of several instances that try at once', async () => {
+        const instances = [startInstance(), startInstance(), startInstance()];
+        const job = registerJob(instances, HOUR_MS);
+
+        const ran = await Promise.all(instances.map(instance => instance.runJob(pool, job.name)));
+
+        expect(ran.filter(Boolean)).toHaveLength(1);
+        expect(job.run).toHaveBeenCalledTimes(1);
+    });
+
+    it('leaves a job alone while another instance holds its lease', async () => {
+        const [holder, other] = [startInstance(), startInstance()];
+        let finish;
+        const unfinished = new Promise(resolve => {
+            finish = resolve;
+        });
+        const job = registerJob([holder, other], 0, jest.fn(() => unfinished));
+
+        const running = holder.runJob(pool, job.name);
+        while (job.run.mock.calls.length === 0) {
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+
+        // Even with no interval to wait out, the lease keeps it to one runner
+        expect(await other.runJob(pool, job.name)).toBe(false);
+        finish();
+        expect(await running).toBe(true);
+        expect(await other.runJob(pool, job.name)).toBe(true);
+    });
+
+    it('takes over a lease that ran out without being given up', async () => {
+        const scheduler = startInstance();
+        const job = registerJob([scheduler], HOUR_MS);
+        await pool.query(`
+            INSERT INTO scheduled_jobs (name, locked_by, locked_until, last_started_at)
+            VALUES ($1, 'crashed-instance', NOW() - INTERVAL '1 second', NOW() - INTERVAL '2 hours')
+        `, [job.name]);
+
+        expect(await scheduler.runJob(pool, job.name)).toBe(true);
+        expect((await getLease(job.name)).locked_by).toBeNull();
+    });
+
+    it('records why a job failed and still gives up the lease', async () => {
+        const scheduler = startInstance();
+        const job = registerJob([scheduler], HOUR_MS, () => Promise.reject(new Error('Mail server down')));
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        expect(await scheduler.runJob(pool, job.name)).toBe(true);
+
+        expect(await getLease(job.name)).toMatchObject({ locked_by: null, last_error: 'Mail server down' });
+        consoleError.mockRestore();
+    });
+
+    it('refuses a job that was never registered', async () => {
+        await expect(startInstance().runJob(pool, 'no_such_job')).rejects.toThrow('Unknown job: no_such_job');
+    });
+});
+
+describe('tick', () => {
+    it('runs each registered job once per interval on this instance', async () => {
+        const scheduler = startInstance();
+        const hourly = registerJob([scheduler], HOUR_MS);
+        const constant = registerJob([scheduler], 0);
+
+        await scheduler.tick(pool);
+        await scheduler.tick(pool);
+
+        expect(hourly.run).toHaveBeenCalledTimes(1);
+        expect(constant.run).toHaveBeenCalledTimes(2);
+    });
+});
@@ -6,27 +6,51 @@ const session = require('express-session');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
 const pgSession = require('connect-pg-simple')(session);
 require('dotenv').config();
+const { loadConfig, describe: describeConfig } = require('./config');
+const { encodeCursor, decodeCursor, parsePageSize, toPrefixTsQuery } = require('./pagination');
+const requestBoard = require('./requestBoard');
+const notifications = require('./notifications');
+const mailer = require('./mailer');
+const events = require('./events');
+const lifecycle = require('./lifecycle');
+const attachments = require('./attachments');
+const portfolio = require('./portfolio');
+const rbac = require('./rbac');
+const admin = require('./admin');
+const disputes = require('./disputes');
+const wallet = require('./wallet');
+const payments = require('./payments');
+const stats = require('./stats');
+const availability = require('./availability');
+const scheduler = require('./scheduler');
+const jobs = require('./jobs');
+const pricing = require('./pricing');
+const devAuth = require('./devAuth');
+
+// Stop here with a list of problems if the environment is incomplete
+const config = loadConfig();
+console.log(`Configuration: ${describeConfig(config)}`);
 
 const app = express();
 
-// Configure PostgreSQL connection with Neon
 const pool = new Pool({
-    connectionString: process.env.DATABASE_URL,
-    ssl: { rejectUnauthorized: false }
+    connectionString: config.database.url,
+    ssl: config.database.ssl
 });
 
 pool.connect()
-    .then(() => console.log('Connected to PostgreSQL on Neon'))
+    .then(() => console.log('Connected to PostgreSQL'))
     .catch(err => console.error('Error connecting to PostgreSQL:', err));
 
-// Improved session configuration for cross-domain authentication
-const BACKEND_URL = 'https://writify-backend-fj0i.onrender.com';
-const FRONTEND_URL = 'https://writify-frontend.vercel.app';
-const isProduction = true;
+// Links in outgoing email point at the frontend
+mailer.configure({ appUrl: config.frontendUrl });
+
+// Load the pricing rate table up front so a bad PRICING_RATES_FILE stops the server from starting
+pricing.getRates();
 
 // Middleware setup - Update CORS configuration first
 app.use(cors({
-    origin: FRONTEND_URL,
+    origin: config.corsOrigins,
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
     allowedHeaders: [
@@ -41,32 +65,22 @@ app.use(cors({
 
 app.set('trust proxy', 1);
 
-// Create session table
-pool.query(`
-    CREATE TABLE IF NOT EXISTS "session" (
-        "sid" varchar NOT NULL COLLATE "default",
-        "sess" json NOT NULL,
-        "expire" timestamp(6) NOT NULL,
-        CONSTRAINT "session_pkey" PRIMARY KEY ("sid")
-    );
-`).catch(err => console.error('Error creating session table:', err));
-
-// Session configuration
+// Session configuration (the session table is created by db/migrations)
 app.use(session({
     store: new pgSession({
         pool,
         tableName: 'session'
     }),
-    secret: process.env.SESSION_SECRET || 'your-secret-key',
+    secret: config.session.secret,
     name: 'writify.sid',
     resave: false,
     saveUninitialized: false,
     proxy: true,
     cookie: {
-        secure: isProduction,
+        secure: config.session.cookie.secure,
         httpOnly: true,
-        sameSite: isProduction ? 'none' : 'lax',
-        maxAge: 24 * 60 * 60 * 1000 // 24 hours
+        sameSite: config.session.cookie.sameSite,
+        maxAge: config.session.maxAgeMs
     }
 }));
 
@@ -82,21 +96,18 @@ app.use((req, res, next) => {
     next();
 });
 
-// Add this before your passport strategy
-const GOOGLE_CALLBACK_URL = `${BACKEND_URL}/auth/google/callback`;
-
-// Function to validate university email
+// Function to validate university email against ALLOWED_EMAIL_DOMAINS
 const isValidUniversityEmail = (email) => {
-    const isValid = email.endsWith('@student.iul.ac.in');
+    const isValid = config.allowedEmailDomains.some(domain => email.toLowerCase().endsWith(`@${domain}`));
     console.log(`Email validation for ${email}: ${isValid}`);
     return isValid;
 };
 
 // Google OAuth Strategy
 passport.use(new GoogleStrategy({
-    clientID: process.env.GOOGLE_CLIENT_ID,
-    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-    callbackURL: GOOGLE_CALLBACK_URL,
+    clientID: config.google.clientId,
+    clientSecret: config.google.clientSecret,
+    callbackURL: config.google.callbackUrl,
     userProfileURL: "https://www.googleapis.com/oauth2/v3/userinfo"
 }, async (accessToken, refreshToken, profile, done) => {
     try {
@@ -170,22 +181,27 @@ app.get('/auth/google/callback',
             
             if (err) {
                 console.error('Authentication error:', err);
-                return res.redirect(`${FRONTEND_URL}/login?error=server`);
+                return res.redirect(`${config.frontendUrl}/login?error=server`);
             }
             
             if (!user) {
                 console.log('Authentication failed:', info?.message);
-                return res.redirect(`${FRONTEND_URL}/login?error=unauthorized`);
+                return res.redirect(`${config.frontendUrl}/login?error=unauthorized`);
+            }
+
+            if (rbac.getAccountBlock(user)) {
+                console.log('Login refused for blocked account:', user.id);
+                return res.redirect(`${config.frontendUrl}/login?error=suspended`);
             }
 
             req.login(user, (err) => {
                 if (err) {
                     console.error('Login error:', err);
-                    return res.redirect(`${FRONTEND_URL}/login?error=server`);
+                    return res.redirect(`${config.frontendUrl}/login?error=server`);
                 }
                 console.log('User logged in successfully. Session ID:', req.sessionID);
                 console.log('Session data:', req.session);
-                res.redirect(`${FRONTEND_URL}/dashboard`);
+                res.redirect(`${config.frontendUrl}/dashboard`);
             });
         })(req, res, next);
     }
@@ -210,19 +226,68 @@ app.get('/auth/logout', (req, res) => {
                 res.clearCookie('writify.sid', {
                     path: '/',
                     httpOnly: true,
-                    secure: isProduction,
-                    sameSite: isProduction ? 'none' : 'lax'
+                    secure: config.session.cookie.secure,
+                    sameSite: config.session.cookie.sameSite
                 });
                 
                 console.log('User logged out successfully');
-                res.redirect(`${FRONTEND_URL}/login`);
+                res.redirect(`${config.frontendUrl}/login`);
             });
         } else {
-            res.redirect(`${FRONTEND_URL}/login`);
+            res.redirect(`${config.frontendUrl}/login`);
         }
     });
 });
 
+// Development sign-in (DEV_AUTH_ENABLED, never in production): pick a seeded
+// user or sign in with any email, no Google account needed
+if (config.devAuthEnabled) {
+    passport.use(devAuth.createStrategy(pool));
+
+    app.get('/auth/dev/users', async (req, res) => {
+        try {
+            res.json({ users: await devAuth.listUsers(pool) });
+        } catch (error) {
+            console.error('Error listing development users:', error);
+            res.status(500).json({ error: 'Failed to list development users' });
+        }
+    });
+
+    app.post('/auth/dev/login', (req, res, next) => {
+        passport.authenticate('dev', (err, user, info) => {
+            if (err) {
+                console.error('Development sign-in error:', err);
+                return res.status(500).json({ error: 'Failed to sign in' });
+            }
+
+            if (!user) {
+                return res.status(400).json({ error: info?.message || 'Failed to sign in' });
+            }
+
+            const block = rbac.getAccountBlock(user);
+            if (block) {
+                return res.status(403).json({ error: block, account_blocked: true });
+            }
+
+            req.login(user, (err) => {
+                if (err) {
+                    console.error('Login error:', err);
+                    return res.status(500).json({ error: 'Failed to sign in' });
+                }
+                console.log('Development user logged in:', user.id);
+                res.json({
+                    user: {
+                        id: user.id,
+                        name: user.name,
+                        email: user.email,
+                        role: user.role
+                    }
+                });
+            });
+        })(req, res, next);
+    });
+}
+
 // Auth status route
 app.get('/api/auth/status', (req, res) => {
     console.log('Auth status check for user:', req.user?.id);
@@ -240,6 +305,9 @@ app.get('/api/auth/status', (req, res) => {
             name: req.user.name,
             email: req.user.email,
             role: req.user.role,
+            permissions: rbac.getPermissions(req.user),
+            account_status: req.user.account_status,
+            account_block: rbac.getAccountBlock(req.user),
             profile_picture: req.user.profile_picture
         } : null
     });
@@ -249,22 +317,169 @@ app.get('/api/auth/status', (req, res) => {
 function isAuthenticated(req, res, next) {
     console.log('Authentication check:', req.isAuthenticated(), req.user);
     if (req.isAuthenticated()) {
+        // Suspended and banned users keep their session but can't do anything with it
+        const block = rbac.getAccountBlock(req.user);
+        if (block) {
+            return res.status(403).json({ error: block, account_blocked: true });
+        }
         return next();
     }
     res.status(401).json({ error: 'Not authenticated' });
 }
 
+const WRITER_STATUSES = ['active', 'busy', 'inactive'];
+
+// SQL condition for accounts that aren't suspended or banned right now, like rbac.getAccountBlock
+const accountIsActive = (table) =>
+    `(${table}.account_status = 'active' OR (${table}.account_status = 'suspended' AND ${table}.suspended_until <= NOW()))`;
+
+// Build the WHERE conditions for the writer directory. Facet counts need the
+// same filters minus the facet's own one, so a filter can be left out by name.
+// Returns { error } for invalid input, otherwise { conditions, params }.
+const buildWriterFilters = (query, exclude = null) => {
+    // Suspended and banned writers drop out of the directory until they're let back in
+    const conditions = ['u.writer_status IS NOT NULL', accountIsActive('u')];
+    const params = [];
+    const addParam = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+    };
+
+    if (query.university_stream && exclude !== 'university_stream') {
+        conditions.push(`u.university_stream = ${addParam(String(query.university_stream))}`);
+    }
+
+    if (query.writer_status && exclude !== 'writer_status') {
+        if (!WRITER_STATUSES.includes(query.writer_status)) {
+            return { error: `writer_status must be one of: ${WRITER_STATUSES.join(', ')}` };
+        }
+        conditions.push(`u.writer_status = ${addParam(query.writer_status)}`);
+    }
+
+    // available=true leaves out writers who are busy, inactive or on vacation.
+    // It narrows the status facet, so it's left out along with writer_status.
+    if (query.available === 'true' && exclude !== 'writer_status') {
+        conditions.push(availability.isAvailable('u'));
+    }
+
+    if (query.min_rating !== undefined && query.min_rating !== '') {
+        const minRating = parseFloat(query.min_rating);
+        if (isNaN(minRating) || minRating < 0 || minRating > 5) {
+            return { error: 'min_rating must be a number between 0 and 5' };
+        }
+        conditions.push(`COALESCE(u.rating, 0) >= ${addParam(minRating)}`);
+    }
+
+    if (query.min_ratings !== undefined && query.min_ratings !== '') {
+        const minRatings = parseInt(query.min_ratings);
+        if (isNaN(minRatings) || minRatings < 0) {
+            return { error: 'min_ratings must be a non-negative number' };
+        }
+        conditions.push(`COALESCE(u.total_ratings, 0) >= ${addParam(minRatings)}`);
+    }
+
+    if (query.q) {
+        const tsQuery = toPrefixTsQuery(query.q);
+        if (tsQuery) {
+            conditions.push(`to_tsvector('simple', coalesce(u.name, '') || ' ' || coalesce(wp.description, '')) @@ to_tsquery('simple', ${addParam(tsQuery)})`);
+        }
+    }
+
+    return { conditions, params };
+};
+
+// Count matching writers per value of a column, ignoring the filter on that column
+const getWriterFacet = async (query, column) => {
+    const { conditions, params } = buildWriterFilters(query, column);
+    const result = await pool.query(`
+        SELECT u.${column} as value, COUNT(*)::int as count
+        FROM users u
+        LEFT JOIN writer_portfolios wp ON wp.writer_id = u.id
+        WHERE ${conditions.join(' AND ')}
+        GROUP BY u.${column}
+        ORDER BY count DESC, value
+    `, params);
+    return result.rows;
+};
+
 // API Routes
+// Writer directory. Supports filters, free-text search (q), cursor pagination and facet counts.
 app.get('/api/writers', isAuthenticated, async (req, res) => {
     try {
+        const { error, conditions, params } = buildWriterFilters(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        // Total before the cursor condition is added, so it covers every page
+        const countResult = await pool.query(`
+            SELECT COUNT(*)::int as total
+            FROM users u
+            LEFT JOIN writer_portfolios wp ON wp.writer_id = u.id
+            WHERE ${conditions.join(' AND ')}
+        `, params);
+
+        if (req.query.cursor) {
+            const cursor = decodeCursor(req.query.cursor);
+            if (!cursor) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
+            params.push(cursor.value, cursor.id);
+            conditions.push(`(COALESCE(u.rating, 0), u.id) < ($${params.length - 1}, $${params.length})`);
+        }
+
+        const pageSize = parsePageSize(req.query.limit);
+        params.push(pageSize + 1);
+
         const result = await pool.query(`
-            SELECT u.*, wp.sample_work_image 
+            SELECT 
+                u.id,
+                u.name,
+                u.profile_picture,
+                u.university_stream,
+                u.writer_status,
+                CASE WHEN u.vacation_until > NOW() THEN u.vacation_until END as vacation_until,
+                u.rating,
+                u.total_ratings,
+                CASE
+                    WHEN cover.thumbnail_key IS NOT NULL THEN '/api/portfolio-items/' || cover.id || '/thumbnail'
+                    ELSE cover.legacy_image_url
+                END as cover_image_url,
+                wp.description,
+                COALESCE(u.rating, 0)::text as sort_value
             FROM users u
             LEFT JOIN writer_portfolios wp ON wp.writer_id = u.id
-            WHERE u.writer_status IS NOT NULL
-            ORDER BY u.rating DESC
-        `);
-        res.json(result.rows);
+            -- The first sample in the writer's portfolio is shown on their card
+            LEFT JOIN LATERAL (
+                SELECT id, thumbnail_key, legacy_image_url FROM portfolio_items
+                WHERE writer_id = u.id
+                ORDER BY position ASC, id ASC
+                LIMIT 1
+            ) cover ON true
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY COALESCE(u.rating, 0) DESC, u.id DESC
+            LIMIT $${params.length}
+        `, params);
+
+        // We fetched one extra row to know whether another page exists
+        const hasMore = result.rows.length > pageSize;
+        const rows = hasMore ? result.rows.slice(0, pageSize) : result.rows;
+        const lastRow = rows[rows.length - 1];
+
+        const [streamFacet, statusFacet] = await Promise.all([
+            getWriterFacet(req.query, 'university_stream'),
+            getWriterFacet(req.query, 'writer_status')
+        ]);
+
+        res.json({
+            writers: rows.map(({ sort_value, ...writer }) => writer),
+            total: countResult.rows[0].total,
+            next_cursor: hasMore ? encodeCursor(lastRow.sort_value, lastRow.id) : null,
+            facets: {
+                university_stream: streamFacet,
+                writer_status: statusFacet
+            }
+        });
     } catch (error) {
         console.error('Error fetching writers:', error);
         res.status(500).json({ error: 'Server error' });
@@ -274,7 +489,7 @@ app.get('/api/writers', isAuthenticated, async (req, res) => {
 app.get('/api/writers/:id', isAuthenticated, async (req, res) => {
     try {
         const result = await pool.query(`
-            SELECT u.*, wp.sample_work_image 
+            SELECT u.*, wp.sample_work_image, wp.description as portfolio_description
             FROM users u
             LEFT JOIN writer_portfolios wp ON wp.writer_id = u.id
             WHERE u.id = $1
@@ -284,15 +499,58 @@ app.get('/api/writers/:id', isAuthenticated, async (req, res) => {
             return res.status(404).json({ error: 'Writer not found' });
         }
         
-        res.json(result.rows[0]);
+        // Contact happens in message threads, so the writer's phone number stays private
+        const { portfolio_description, whatsapp_number, ...writer } = result.rows[0];
+        const [items, ratingSummary, reviews] = await Promise.all([
+            portfolio.list(pool, writer.id),
+            getRatingSummary(writer.id, 'writer'),
+            getRatingsPage(writer.id, 'writer', {}, req.user.id)
+        ]);
+
+        res.json({
+            ...writer,
+            portfolio: {
+                description: portfolio_description,
+                items
+            },
+            rating_summary: ratingSummary,
+            reviews: reviews.ratings,
+            reviews_next_cursor: reviews.next_cursor
+        });
     } catch (error) {
         console.error('Error fetching writer:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
+// How long a writer has to respond to a request addressed to them
+const DIRECT_REQUEST_RESPONSE_HOURS = 48;
+
+// How many days a request stays on the board unless the client picks otherwise
+const DEFAULT_LISTING_DAYS = 7;
+const MAX_LISTING_DAYS = 30;
+
+// Validate the listing duration a client picked, falling back to the default
+const parseListingDays = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return { days: DEFAULT_LISTING_DAYS };
+    }
+    const days = Number(value);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_LISTING_DAYS) {
+        return { error: `Listing duration must be a whole number of days from 1 to ${MAX_LISTING_DAYS}` };
+    }
+    return { days };
+};
+
+// When a request listed now comes off the board. There is no point listing it
+// past the deadline, so that caps the chosen duration.
+const getListingExpiry = (days, deadline) => {
+    const expiry = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    return new Date(deadline) < expiry ? new Date(deadline) : expiry;
+};
+
 app.post('/api/assignment-requests', isAuthenticated, async (req, res) => {
-    const { course_name, course_code, assignment_type, num_pages, deadline, estimated_cost } = req.body;
+    const { course_name, course_code, assignment_type, num_pages, deadline, estimated_cost, target_writer_id } = req.body;
     
     try {
         // Validate required fields
@@ -318,15 +576,56 @@ app.post('/api/assignment-requests', isAuthenticated, async (req, res) => {
             return res.status(400).json({ error: 'Assignment type must be less than 100 characters' });
         }
 
-        // Calculate expiration deadline (7 days from now by default)
+        if (isNaN(Date.parse(deadline))) {
+            return res.status(400).json({ error: 'Deadline must be a valid date' });
+        }
+        if (new Date(deadline) <= new Date()) {
+            return res.status(400).json({ error: 'Deadline must be in the future' });
+        }
+
+        const listing = parseListingDays(req.body.listing_days);
+        if (listing.error) {
+            return res.status(400).json({ error: listing.error });
+        }
+
+        // Direct requests must be addressed to someone listed as a writer
+        let targetWriterId = null;
+        if (target_writer_id !== undefined && target_writer_id !== null && target_writer_id !== '') {
+            targetWriterId = parseInt(target_writer_id);
+            if (isNaN(targetWriterId)) {
+                return res.status(400).json({ error: 'Invalid writer' });
+            }
+            if (targetWriterId === req.user.id) {
+                return res.status(400).json({ error: 'You cannot send a request to yourself' });
+            }
+
+            const writerResult = await pool.query(
+                `SELECT id, vacation_until FROM users WHERE id = $1 AND writer_status IS NOT NULL AND ${accountIsActive('users')}`,
+                [targetWriterId]
+            );
+            if (writerResult.rows.length === 0) {
+                return res.status(404).json({ error: 'Writer not found' });
+            }
+            // Busy writers can still be asked; their capacity is checked when they accept
+            const vacationUntil = writerResult.rows[0].vacation_until;
+            if (vacationUntil && new Date(vacationUntil) > new Date()) {
+                return res.status(409).json({
+                    error: `This writer is on vacation until ${new Date(vacationUntil).toISOString().substring(0, 10)}`
+                });
+            }
+        }
+
         const now = new Date();
-        const expirationDeadline = new Date(now);
-        expirationDeadline.setDate(now.getDate() + 7);
-        
-        // Format deadline as ISO string if it's not already
-        let formattedDeadline = deadline;
-        if (!(deadline instanceof Date) && !isNaN(Date.parse(deadline))) {
-            formattedDeadline = new Date(deadline).toISOString();
+        const formattedDeadline = new Date(deadline).toISOString();
+        const expirationDeadline = getListingExpiry(listing.days, formattedDeadline);
+
+        // The writer has a limited time to respond, but never past the assignment deadline
+        let directResponseDeadline = null;
+        if (targetWriterId) {
+            directResponseDeadline = new Date(now.getTime() + DIRECT_REQUEST_RESPONSE_HOURS * 60 * 60 * 1000);
+            if (new Date(formattedDeadline) < directResponseDeadline) {
+                directResponseDeadline = new Date(formattedDeadline);
+            }
         }
 
         // Ensure values are properly formatted and truncated to match database constraints
@@ -339,15 +638,24 @@ app.post('/api/assignment-requests', isAuthenticated, async (req, res) => {
             deadline: formattedDeadline,
             // Round estimated cost to the nearest multiple of 50
             estimated_cost: Math.round(parseFloat(estimated_cost) / 50) * 50,
-            expiration_deadline: expirationDeadline.toISOString()
+            expiration_deadline: expirationDeadline.toISOString(),
+            target_writer_id: targetWriterId,
+            direct_response_deadline: directResponseDeadline ? directResponseDeadline.toISOString() : null
         };
 
+        // Writers can only take a request whose price the client can hold in escrow
+        const funding = await wallet.checkCanFund(pool, req.user.id, sanitizedData.estimated_cost);
+        if (funding.error) {
+            return res.status(funding.status).json({ error: funding.error });
+        }
+
         console.log('Creating assignment request with data:', sanitizedData);
 
         const result = await pool.query(`
             INSERT INTO assignment_requests 
-            (client_id, course_name, course_code, assignment_type, num_pages, deadline, estimated_cost, status, expiration_deadline)
-            VALUES ($1, $2, $3, $4, $5, $6, $7, 'open', $8)
+            (client_id, course_name, course_code, assignment_type, num_pages, deadline, estimated_cost, status, expiration_deadline,
+             target_writer_id, direct_response_deadline)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, 'open', $8, $9, $10)
             RETURNING *
         `, [
             sanitizedData.client_id, 
@@ -357,8 +665,20 @@ app.post('/api/assignment-requests', isAuthenticated, async (req, res) => {
             sanitizedData.num_pages, 
             sanitizedData.deadline, 
             sanitizedData.estimated_cost, 
-            sanitizedData.expiration_deadline
+            sanitizedData.expiration_deadline,
+            sanitizedData.target_writer_id,
+            sanitizedData.direct_response_deadline
         ]);
+
+        if (targetWriterId) {
+            await notifications.notify(pool, targetWriterId, 'direct_request_received', {
+                actor_name: req.user.name,
+                course_name: result.rows[0].course_name,
+                request_id: result.rows[0].id
+            });
+        } else {
+            await events.publish(pool, 'request_created', { request_id: result.rows[0].id });
+        }
         
         res.status(201).json(result.rows[0]);
     } catch (error) {
@@ -367,6 +687,7 @@ app.post('/api/assignment-requests', isAuthenticated, async (req, res) => {
     }
 });
 
+// Browse open requests. Supports filters, full-text search (q), sort and cursor pagination.
 app.get('/api/assignment-requests', isAuthenticated, async (req, res) => {
     try {
         // Comment out the writer role check to allow all authenticated users to browse requests
@@ -374,31 +695,17 @@ app.get('/api/assignment-requests', isAuthenticated, async (req, res) => {
         //     return res.status(403).json({ error: 'Only writers can browse assignment requests' });
         // }
 
-        const result = await pool.query(`
-            SELECT 
-                ar.id,
-                ar.course_name,
-                ar.course_code,
-                ar.assignment_type,
-                ar.num_pages,
-                ar.deadline,
-                ar.estimated_cost,
-                ar.status,
-                ar.created_at,
-                ar.expiration_deadline,
-                u.id as client_id,
-                u.name as client_name,
-                u.rating as client_rating,
-                u.total_ratings as client_total_ratings,
-                u.profile_picture as client_profile_picture
-            FROM assignment_requests ar
-            JOIN users u ON u.id = ar.client_id
-            WHERE ar.status = 'open' AND (ar.expiration_deadline IS NULL OR ar.expiration_deadline > NOW())
-            ORDER BY ar.created_at DESC
-        `);
+        // Requests whose client can't pay for them stay off the board while payments are on
+        const { error, rows, nextCursor } = await requestBoard.listOpenRequests(pool, req.query, {
+            fundedOnly: payments.isEnabled()
+        });
+        if (error) {
+            return res.status(400).json({ error });
+        }
         
         // Transform the data to match the expected format in the frontend
-        const transformedRequests = result.rows.map(req => ({
+        const userId = req.user.id;
+        const transformedRequests = rows.map(req => ({
             id: req.id,
             client: {
                 id: req.client_id,
@@ -415,11 +722,15 @@ app.get('/api/assignment-requests', isAuthenticated, async (req, res) => {
             expiration_deadline: req.expiration_deadline,
             estimated_cost: req.estimated_cost,
             status: req.status,
-            created_at: req.created_at
+            created_at: req.created_at,
+            is_mine: req.client_id === userId
         }));
 
         console.log(`Found ${transformedRequests.length} open assignment requests`);
-        res.json(transformedRequests);
+        res.json({
+            requests: transformedRequests,
+            next_cursor: nextCursor
+        });
     } catch (error) {
         console.error('Error fetching assignment requests:', error);
         res.status(500).json({ error: 'Server error' });
@@ -428,586 +739,3857 @@ app.get('/api/assignment-requests', isAuthenticated, async (req, res) => {
 
 app.post('/api/assignment-requests/:id/accept', isAuthenticated, async (req, res) => {
     const requestId = req.params.id;
+    const client = await pool.connect();
     
     try {
         // Start transaction
-        await pool.query('BEGIN');
+        await client.query('BEGIN');
         
         // Update request status
-        const requestResult = await pool.query(`
+        const requestResult = await client.query(`
             UPDATE assignment_requests 
             SET status = 'assigned'
-            WHERE id = $1 AND status = 'open'
+            WHERE id = $1 AND status = 'open' AND target_writer_id IS NULL
             RETURNING *
         `, [requestId]);
         
         if (requestResult.rows.length === 0) {
-            await pool.query('ROLLBACK');
+            await client.query('ROLLBACK');
             return res.status(404).json({ error: 'Request not found or already assigned' });
         }
+
+        const capacity = await availability.checkCanTakeWork(client, req.user.id, { self: true });
+        if (capacity.error) {
+            await client.query('ROLLBACK');
+            return res.status(capacity.status).json({ error: capacity.error });
+        }
         
         // Create assignment
-        await pool.query(`
+        const assignmentResult = await client.query(`
             INSERT INTO assignments (request_id, writer_id, client_id, status)
             VALUES ($1, $2, $3, 'in_progress')
+            RETURNING *
         `, [requestId, req.user.id, requestResult.rows[0].client_id]);
+        await lifecycle.recordStart(client, assignmentResult.rows[0], req.user.id);
+
+        // The listed price is held in escrow until the work is accepted
+        const held = await wallet.holdEscrow(client, assignmentResult.rows[0], requestResult.rows[0].estimated_cost, req.user.id);
+        if (held.error) {
+            await client.query('ROLLBACK');
+            return res.status(held.status).json({ error: held.error });
+        }
+
+        // Taking the request at the listed price closes any open offers on it
+        await client.query(`
+            UPDATE offers
+            SET status = 'rejected', responded_at = CURRENT_TIMESTAMP
+            WHERE request_id = $1 AND status = 'pending'
+        `, [requestId]);
         
-        // Update writer status
-        await pool.query(`
-            UPDATE users 
-            SET writer_status = 'busy'
-            WHERE id = $1
-        `, [req.user.id]);
-        
-        await pool.query('COMMIT');
-        
-        // Get client's WhatsApp number
-        const clientResult = await pool.query(`
-            SELECT whatsapp_number 
-            FROM users 
-            WHERE id = $1
-        `, [requestResult.rows[0].client_id]);
+        // The writer shows as busy once this fills their last slot
+        await availability.syncStatus(client, req.user.id);
         
-        res.json({
-            ...requestResult.rows[0],
-            client_whatsapp: clientResult.rows[0].whatsapp_number
+        await client.query('COMMIT');
+
+        await notifications.notify(pool, requestResult.rows[0].client_id, 'request_accepted', {
+            actor_name: req.user.name,
+            course_name: requestResult.rows[0].course_name,
+            request_id: requestResult.rows[0].id
         });
+        await events.publish(pool, 'request_taken', { request_id: requestResult.rows[0].id });
+        await events.publish(pool, 'assignment_updated', { request_id: requestResult.rows[0].id, status: 'assigned' },
+            [requestResult.rows[0].client_id, req.user.id]);
+        
+        // Coordination happens in the request's message thread, so the client's
+        // phone number is no longer shared here
+        res.json(requestResult.rows[0]);
     } catch (error) {
-        await pool.query('ROLLBACK');
+        await client.query('ROLLBACK');
         console.error('Error accepting assignment request:', error);
         res.status(500).json({ error: 'Server error' });
+    } finally {
+        client.release();
     }
 });
 
-// Get user's assignments
-app.get('/api/my-assignments', isAuthenticated, async (req, res) => {
-    try {
-        const userId = req.user.id;
-        const userRole = req.user.role;
+// Fields a client is allowed to change on an existing request
+const EDITABLE_REQUEST_FIELDS = ['course_name', 'course_code', 'assignment_type', 'num_pages', 'deadline', 'estimated_cost'];
 
-        // Check if user is authenticated and has a valid role
-        if (!userId) {
-            return res.status(401).json({ error: 'User not authenticated' });
+// Validate and normalise an edit to an assignment request. Only the fields that
+// are present are checked, so partial edits are allowed.
+const validateRequestChanges = (fields) => {
+    const changes = {};
+    EDITABLE_REQUEST_FIELDS.forEach(key => {
+        if (fields[key] !== undefined && fields[key] !== null && fields[key] !== '') {
+            changes[key] = fields[key];
         }
+    });
 
-        console.log(`Fetching assignments for user ${userId} with role ${userRole}`);
+    if (Object.keys(changes).length === 0) {
+        return { error: 'No changes provided' };
+    }
 
-        // For student role, treat them as a client
-        const effectiveRole = userRole === 'student' ? 'client' : userRole;
+    ['course_name', 'course_code', 'assignment_type'].forEach(key => {
+        if (changes[key] !== undefined) {
+            changes[key] = String(changes[key]).trim();
+        }
+    });
 
-        if (effectiveRole === 'client') {
-            // Get client assignments
-            const result = await pool.query(`
-                SELECT 
-                    ar.id as request_id,
-                    ar.course_name,
-                    ar.course_code,
-                    ar.assignment_type,
-                    ar.num_pages,
-                    ar.deadline,
-                    ar.estimated_cost,
-                    a.created_at,
-                    COALESCE(a.status, 'pending') as status,
-                    a.completed_at,
-                    writer.id as writer_id,
-                    writer.name as writer_name,
-                    writer.email as writer_email,
-                    writer.profile_picture as writer_profile_picture,
-                    COALESCE(writer.rating::numeric, 0.0) as writer_rating,
-                    COALESCE(writer.total_ratings, 0) as writer_total_ratings,
-                    writer.whatsapp_number as writer_whatsapp_number,
-                    client.id as client_id,
-                    client.name as client_name,
-                    client.email as client_email,
-                    client.profile_picture as client_profile_picture,
-                    COALESCE(client.rating::numeric, 0.0) as client_rating,
-                    COALESCE(client.total_ratings, 0) as client_total_ratings,
-                    client.whatsapp_number as client_whatsapp_number
-                FROM assignment_requests ar
-                LEFT JOIN assignments a ON ar.id = a.request_id
-                LEFT JOIN users writer ON a.writer_id = writer.id
-                JOIN users client ON ar.client_id = client.id
-                WHERE ar.client_id = $1
-                ORDER BY ar.created_at DESC
-            `, [userId]);
-            
-            console.log(`Found ${result.rows.length} assignments for client ${userId}`);
-
-            // Get ratings submitted by this user
-            const ratingsResult = await pool.query(`
-                SELECT assignment_request_id, rated_id 
-                FROM ratings 
-                WHERE rater_id = $1
-            `, [userId]);
-            
-            // Create a map of rated assignments for quick lookup
-            const ratedAssignments = new Map();
-            ratingsResult.rows.forEach(rating => {
-                ratedAssignments.set(rating.assignment_request_id, rating.rated_id);
-            });
+    if (changes.course_name !== undefined && changes.course_name.length > 255) {
+        return { error: 'Course name must be less than 255 characters' };
+    }
 
-            // Transform the data
-            const transformedAssignments = result.rows.map(a => ({
-                id: a.request_id,
-                request_id: a.request_id,
-                writer: a.writer_id ? {
-                    id: a.writer_id,
-                    name: a.writer_name,
-                    email: a.writer_email,
-                    profile_picture: a.writer_profile_picture,
-                    rating: a.writer_rating,
-                    total_ratings: a.writer_total_ratings,
-                    whatsapp_number: a.writer_whatsapp_number
-                } : null,
-                client: {
-                    id: a.client_id,
-                    name: a.client_name,
-                    email: a.client_email,
-                    profile_picture: a.client_profile_picture,
-                    rating: a.client_rating,
-                    total_ratings: a.client_total_ratings,
-                    whatsapp_number: a.client_whatsapp_number
-                },
-                status: a.status,
-                created_at: a.created_at,
-                completed_at: a.completed_at,
-                course_name: a.course_name,
-                course_code: a.course_code,
-                assignment_type: a.assignment_type,
-                num_pages: a.num_pages,
-                deadline: a.deadline,
-                estimated_cost: a.estimated_cost,
-                // Check if client has rated the writer
-                has_rated_writer: a.writer_id ? ratedAssignments.has(a.request_id) && ratedAssignments.get(a.request_id) === a.writer_id : false,
-                has_rated_client: false // Clients don't rate themselves
-            }));
-
-            res.json({ 
-                role: 'client',
-                assignments: transformedAssignments 
-            });
-        } else if (effectiveRole === 'writer') {
-            // Get writer assignments
-            const result = await pool.query(`
-                SELECT 
-                    ar.id as request_id,
-                    ar.course_name,
-                    ar.course_code,
-                    ar.assignment_type,
-                    ar.num_pages,
-                    ar.deadline,
-                    ar.estimated_cost,
-                    a.created_at,
-                    a.status,
-                    a.completed_at,
-                    writer.id as writer_id,
-                    writer.name as writer_name,
-                    writer.email as writer_email,
-                    writer.profile_picture as writer_profile_picture,
-                    COALESCE(writer.rating::numeric, 0.0) as writer_rating,
-                    COALESCE(writer.total_ratings, 0) as writer_total_ratings,
-                    writer.whatsapp_number as writer_whatsapp_number,
-                    client.id as client_id,
-                    client.name as client_name,
-                    client.email as client_email,
-                    client.profile_picture as client_profile_picture,
-                    COALESCE(client.rating::numeric, 0.0) as client_rating,
-                    COALESCE(client.total_ratings, 0) as client_total_ratings,
-                    client.whatsapp_number as client_whatsapp_number
-                FROM assignments a
-                JOIN assignment_requests ar ON a.request_id = ar.id
-                JOIN users writer ON a.writer_id = writer.id
-                JOIN users client ON ar.client_id = client.id
-                WHERE a.writer_id = $1
-                ORDER BY a.created_at DESC
-            `, [userId]);
-            
-            console.log(`Found ${result.rows.length} assignments for writer ${userId}`);
-
-            // Get ratings submitted by this user
-            const ratingsResult = await pool.query(`
-                SELECT assignment_request_id, rated_id 
-                FROM ratings 
-                WHERE rater_id = $1
-            `, [userId]);
-            
-            // Create a map of rated assignments for quick lookup
-            const ratedAssignments = new Map();
-            ratingsResult.rows.forEach(rating => {
-                ratedAssignments.set(rating.assignment_request_id, rating.rated_id);
-            });
+    if (changes.course_code !== undefined && changes.course_code.length > 50) {
+        return { error: 'Course code must be less than 50 characters' };
+    }
 
-            // Transform the data
-            const transformedAssignments = result.rows.map(a => ({
-                id: a.request_id,
-                request_id: a.request_id,
-                writer: {
-                    id: a.writer_id,
-                    name: a.writer_name,
-                    email: a.writer_email,
-                    profile_picture: a.writer_profile_picture,
-                    rating: a.writer_rating,
-                    total_ratings: a.writer_total_ratings,
-                    whatsapp_number: a.writer_whatsapp_number
-                },
-                client: {
-                    id: a.client_id,
-                    name: a.client_name,
-                    email: a.client_email,
-                    profile_picture: a.client_profile_picture,
-                    rating: a.client_rating,
-                    total_ratings: a.client_total_ratings,
-                    whatsapp_number: a.client_whatsapp_number
-                },
-                status: a.status,
-                created_at: a.created_at,
-                completed_at: a.completed_at,
-                course_name: a.course_name,
-                course_code: a.course_code,
-                assignment_type: a.assignment_type,
-                num_pages: a.num_pages,
-                deadline: a.deadline,
-                estimated_cost: a.estimated_cost,
-                has_rated_writer: false, // Writers don't rate themselves
-                // Check if writer has rated the client
-                has_rated_client: ratedAssignments.has(a.request_id) && ratedAssignments.get(a.request_id) === a.client_id
-            }));
-
-            res.json({ 
-                role: effectiveRole,
-                assignments: transformedAssignments 
-            });
-        } else {
-            return res.status(403).json({ error: 'Invalid user role' });
-        }
-    } catch (error) {
-        console.error('Error fetching assignments:', error);
-        res.status(500).json({ error: 'Server error' });
+    if (changes.assignment_type !== undefined && changes.assignment_type.length > 100) {
+        return { error: 'Assignment type must be less than 100 characters' };
     }
-});
 
-// Get user's ratings and reviews
-app.get('/api/my-ratings', isAuthenticated, async (req, res) => {
-    try {
-        const userId = req.user.id;
-        
-        console.log(`Fetching ratings for user ${userId}`);
-        
-        // Get the user's current average rating
-        const userResult = await pool.query(`
-            SELECT rating, total_ratings FROM users WHERE id = $1
-        `, [userId]);
-        
-        const averageRating = parseFloat(userResult.rows[0]?.rating) || 0;
-        const totalRatings = parseInt(userResult.rows[0]?.total_ratings) || 0;
-        
-        console.log(`User ${userId} has average rating ${averageRating} from ${totalRatings} ratings`);
-        
-        // Return just the user's average rating for now
-        // This simplified endpoint should work even if the detailed ratings query fails
-        res.json({
-            ratings: [],
-            averageRating,
-            totalRatings
-        });
-    } catch (error) {
-        console.error('Error fetching ratings:', error);
-        res.status(500).json({ error: 'Server error: ' + error.message });
+    if (changes.num_pages !== undefined) {
+        const numPages = parseInt(changes.num_pages);
+        if (isNaN(numPages) || numPages <= 0) {
+            return { error: 'Number of pages must be a positive number' };
+        }
+        changes.num_pages = numPages;
     }
-});
 
-// Get user profile
-app.get('/api/profile', isAuthenticated, async (req, res) => {
-    try {
-        const result = await pool.query(`
-            SELECT u.*, wp.sample_work_image, wp.description as portfolio_description
-            FROM users u
-            LEFT JOIN writer_portfolios wp ON wp.writer_id = u.id
-            WHERE u.id = $1
-        `, [req.user.id]);
-        
-        if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'User not found' });
+    if (changes.estimated_cost !== undefined) {
+        const cost = parseFloat(changes.estimated_cost);
+        if (isNaN(cost) || cost <= 0) {
+            return { error: 'Estimated cost must be a positive number' };
         }
-        
-        const user = result.rows[0];
-        const { portfolio_description, sample_work_image, ...userData } = user;
-        
-        res.json({
-            ...userData,
-            portfolio: portfolio_description || sample_work_image ? {
-                description: portfolio_description,
-                sample_work_image
-            } : null
-        });
-    } catch (error) {
-        console.error('Error fetching profile:', error);
-        res.status(500).json({ error: 'Server error' });
+        // Round estimated cost to the nearest multiple of 50, same as on creation
+        changes.estimated_cost = Math.max(50, Math.round(cost / 50) * 50);
     }
-});
 
-// Update writer profile
-app.put('/api/profile/writer', isAuthenticated, async (req, res) => {
-    const { university_stream, whatsapp_number, writer_status } = req.body;
-    
-    try {
-        console.log('Updating writer profile with data:', { university_stream, whatsapp_number, writer_status });
-        console.log('User ID:', req.user.id);
-        
-        // Validate writer_status
-        if (writer_status && !['active', 'busy', 'inactive'].includes(writer_status)) {
-            console.log('Invalid writer status:', writer_status);
-            return res.status(400).json({ error: 'Invalid writer status' });
+    if (changes.deadline !== undefined) {
+        if (isNaN(Date.parse(changes.deadline))) {
+            return { error: 'Deadline must be a valid date' };
         }
-        
-        const result = await pool.query(`
-            UPDATE users 
-            SET university_stream = $1,
-                whatsapp_number = $2,
-                writer_status = $3
-            WHERE id = $4
-            RETURNING *
-        `, [university_stream, whatsapp_number, writer_status, req.user.id]);
-        
-        if (result.rows.length === 0) {
-            console.log('User not found for ID:', req.user.id);
-            return res.status(404).json({ error: 'User not found' });
+        if (new Date(changes.deadline) <= new Date()) {
+            return { error: 'Deadline must be in the future' };
         }
-        
-        console.log('Writer profile updated successfully:', result.rows[0]);
-        res.json(result.rows[0]);
-    } catch (error) {
-        console.error('Error updating writer profile:', error);
-        res.status(500).json({ error: 'Server error: ' + error.message });
+        changes.deadline = new Date(changes.deadline).toISOString();
     }
-});
 
-// Update writer portfolio
-app.post('/api/profile/portfolio', isAuthenticated, async (req, res) => {
-    const { sample_work_image, description } = req.body;
-    
-    try {
-        const result = await pool.query(`
-            INSERT INTO writer_portfolios (writer_id, sample_work_image, description)
-            VALUES ($1, $2, $3)
-            ON CONFLICT (writer_id) 
-            DO UPDATE SET 
-                sample_work_image = EXCLUDED.sample_work_image,
-                description = EXCLUDED.description
-            RETURNING *
-        `, [req.user.id, sample_work_image, description]);
-        
-        res.json(result.rows[0]);
-    } catch (error) {
-        console.error('Error updating writer portfolio:', error);
-        res.status(500).json({ error: 'Server error' });
-    }
-});
+    return { changes };
+};
 
-// Update user's WhatsApp number (for testing)
-app.post('/api/update-whatsapp', isAuthenticated, async (req, res) => {
-    try {
-        const { whatsapp_number } = req.body;
-        const userId = req.user.id;
-        
-        if (!whatsapp_number) {
-            return res.status(400).json({ error: 'WhatsApp number is required' });
-        }
-        
-        console.log(`Updating WhatsApp number for user ${userId} to ${whatsapp_number}`);
-        
-        await pool.query(
-            'UPDATE users SET whatsapp_number = $1 WHERE id = $2',
-            [whatsapp_number, userId]
-        );
-        
-        res.json({ message: 'WhatsApp number updated successfully' });
-    } catch (error) {
-        console.error('Error updating WhatsApp number:', error);
-        res.status(500).json({ error: 'Server error' });
-    }
-});
+// Apply validated changes to a request. Keys come from EDITABLE_REQUEST_FIELDS only.
+const applyRequestChanges = async (db, requestId, changes) => {
+    const keys = Object.keys(changes).filter(key => EDITABLE_REQUEST_FIELDS.includes(key));
+    const assignments = keys.map((key, index) => `${key} = $${index + 2}`).join(', ');
+
+    const result = await db.query(`
+        UPDATE assignment_requests
+        SET ${assignments}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+    `, [requestId, ...keys.map(key => changes[key])]);
+
+    return result.rows[0];
+};
+
+// The writer's assignment for a request, ignoring assignments that were cancelled
+const getActiveAssignment = async (db, requestId) => {
+    const result = await db.query(`
+        SELECT * FROM assignments
+        WHERE request_id = $1 AND status <> 'cancelled'
+        ORDER BY created_at DESC
+        LIMIT 1
+    `, [requestId]);
+
+    return result.rows[0] || null;
+};
+
+// Create a change proposal that the other party has to accept
+const proposeRequestChange = async (db, { requestId, proposedBy, changeType, changes, reason }) => {
+    const existing = await db.query(
+        `SELECT id FROM request_changes WHERE request_id = $1 AND status = 'pending'`,
+        [requestId]
+    );
+
+    if (existing.rows.length > 0) {
+        return { error: 'There is already a pending change for this request' };
+    }
+
+    const result = await db.query(`
+        INSERT INTO request_changes (request_id, proposed_by, change_type, changes, reason)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+    `, [requestId, proposedBy, changeType, changes ? JSON.stringify(changes) : null, reason || null]);
+
+    return { change: result.rows[0] };
+};
+
+// Pending change proposals for a set of requests, keyed by request id
+const getPendingChanges = async (requestIds, userId) => {
+    const result = await pool.query(`
+        SELECT id, request_id, proposed_by, change_type, changes, reason, created_at
+        FROM request_changes
+        WHERE status = 'pending' AND request_id = ANY($1::int[])
+    `, [requestIds]);
+
+    const byRequest = new Map();
+    result.rows.forEach(change => {
+        byRequest.set(change.request_id, {
+            ...change,
+            proposed_by_me: change.proposed_by === userId
+        });
+    });
+    return byRequest;
+};
+
+// Edit an assignment request. Open requests are updated immediately by the
+// client; assigned requests need the other party's consent.
+app.put('/api/assignment-requests/:id', isAuthenticated, async (req, res) => {
+    try {
+        const requestResult = await pool.query('SELECT * FROM assignment_requests WHERE id = $1', [req.params.id]);
+
+        if (requestResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Request not found' });
+        }
+
+        const request = requestResult.rows[0];
+        const { error, changes } = validateRequestChanges(req.body);
+
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        if (request.status === 'open') {
+            if (request.client_id !== req.user.id) {
+                return res.status(403).json({ error: 'Only the client can edit this request' });
+            }
+
+            // Lock the request so that a writer can't accept it at the old
+            // terms while the edit is being written
+            const client = await pool.connect();
+            let updated;
+
+            try {
+                await client.query('BEGIN');
+
+                const locked = await client.query(
+                    'SELECT status FROM assignment_requests WHERE id = $1 FOR UPDATE',
+                    [request.id]
+                );
+                if (locked.rows[0].status !== 'open') {
+                    await client.query('ROLLBACK');
+                    return res.status(409).json({ error: 'Request was accepted by a writer in the meantime' });
+                }
+
+                if (changes.estimated_cost !== undefined) {
+                    const funding = await wallet.checkCanFund(client, req.user.id, changes.estimated_cost, { excludeRequestId: request.id });
+                    if (funding.error) {
+                        await client.query('ROLLBACK');
+                        return res.status(funding.status).json({ error: funding.error });
+                    }
+                }
+
+                updated = await applyRequestChanges(client, request.id, changes);
+
+                // An earlier deadline also ends the listing earlier
+                if (changes.deadline !== undefined) {
+                    const capped = await client.query(`
+                        UPDATE assignment_requests
+                        SET expiration_deadline = LEAST(expiration_deadline, deadline)
+                        WHERE id = $1
+                        RETURNING *
+                    `, [request.id]);
+                    updated = capped.rows[0];
+                }
+
+                await client.query('COMMIT');
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw error;
+            } finally {
+                client.release();
+            }
+
+            return res.json({ request: updated });
+        }
+
+        if (request.status === 'assigned') {
+            const assignment = await getActiveAssignment(pool, request.id);
+            const isParticipant = request.client_id === req.user.id || assignment?.writer_id === req.user.id;
+
+            if (!assignment || !isParticipant) {
+                return res.status(403).json({ error: 'You are not part of this assignment' });
+            }
+
+            if (assignment.status === 'disputed') {
+                return res.status(409).json({ error: "A disputed assignment can't be edited until an admin resolves the dispute" });
+            }
+
+            const proposal = await proposeRequestChange(pool, {
+                requestId: request.id,
+                proposedBy: req.user.id,
+                changeType: 'edit',
+                changes,
+                reason: req.body.reason
+            });
+
+            if (proposal.error) {
+                return res.status(409).json({ error: proposal.error });
+            }
+
+            await notifications.notify(pool, req.user.id === request.client_id ? assignment.writer_id : request.client_id, 'change_proposed', {
+                actor_name: req.user.name,
+                course_name: request.course_name,
+                change_type: 'edit',
+                request_id: request.id
+            });
+
+            return res.status(202).json({ change: proposal.change });
+        }
+
+        res.status(409).json({ error: `A ${request.status} request can no longer be edited` });
+    } catch (error) {
+        console.error('Error editing assignment request:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Cancel an assignment request. Open requests are withdrawn immediately;
+// assigned requests need the writer's consent.
+app.post('/api/assignment-requests/:id/cancel', isAuthenticated, async (req, res) => {
+    const { reason } = req.body;
+
+    try {
+        const requestResult = await pool.query('SELECT * FROM assignment_requests WHERE id = $1', [req.params.id]);
+
+        if (requestResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Request not found' });
+        }
+
+        const request = requestResult.rows[0];
+
+        if (request.client_id !== req.user.id) {
+            return res.status(403).json({ error: 'Only the client can cancel this request' });
+        }
+
+        if (request.status === 'open' || request.status === 'declined') {
+            const result = await pool.query(`
+                UPDATE assignment_requests
+                SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND status IN ('open', 'declined')
+                RETURNING *
+            `, [request.id]);
+
+            if (result.rows.length === 0) {
+                return res.status(409).json({ error: 'Request was accepted by a writer in the meantime' });
+            }
+
+            await pool.query(`
+                UPDATE offers
+                SET status = 'rejected', responded_at = CURRENT_TIMESTAMP
+                WHERE request_id = $1 AND status = 'pending'
+            `, [request.id]);
+
+            await events.publish(pool, 'request_cancelled', { request_id: request.id });
+
+            return res.json({ request: result.rows[0] });
+        }
+
+        if (request.status === 'assigned') {
+            const activeAssignment = await getActiveAssignment(pool, request.id);
+            if (activeAssignment && !lifecycle.TRANSITIONS.cancel.from.includes(activeAssignment.status)) {
+                return res.status(409).json({ error: `A ${activeAssignment.status.replace('_', ' ')} assignment can't be cancelled` });
+            }
+
+            const proposal = await proposeRequestChange(pool, {
+                requestId: request.id,
+                proposedBy: req.user.id,
+                changeType: 'cancel',
+                reason
+            });
+
+            if (proposal.error) {
+                return res.status(409).json({ error: proposal.error });
+            }
+
+            await notifications.notify(pool, activeAssignment?.writer_id, 'change_proposed', {
+                actor_name: req.user.name,
+                course_name: request.course_name,
+                change_type: 'cancel',
+                request_id: request.id
+            });
+
+            return res.status(202).json({ change: proposal.change });
+        }
+
+        res.status(409).json({ error: `A ${request.status} request can no longer be cancelled` });
+    } catch (error) {
+        console.error('Error cancelling assignment request:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Accept or reject a pending change. The proposer may reject their own change to withdraw it.
+app.post('/api/assignment-requests/:id/changes/:changeId/:action', isAuthenticated, async (req, res) => {
+    const { action } = req.params;
+
+    if (!['accept', 'reject'].includes(action)) {
+        return res.status(404).json({ error: 'Not Found' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const changeResult = await client.query(`
+            SELECT rc.*, ar.client_id, ar.status as request_status, ar.course_name
+            FROM request_changes rc
+            JOIN assignment_requests ar ON ar.id = rc.request_id
+            WHERE rc.id = $1 AND rc.request_id = $2 AND rc.status = 'pending'
+            FOR UPDATE OF rc, ar
+        `, [req.params.changeId, req.params.id]);
+
+        if (changeResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Pending change not found' });
+        }
+
+        const change = changeResult.rows[0];
+        const assignment = await getActiveAssignment(client, change.request_id);
+        const isParticipant = change.client_id === req.user.id || assignment?.writer_id === req.user.id;
+
+        if (!assignment || !isParticipant) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ error: 'You are not part of this assignment' });
+        }
+
+        const isProposer = change.proposed_by === req.user.id;
+
+        if (action === 'reject') {
+            const result = await client.query(`
+                UPDATE request_changes
+                SET status = $1, responded_at = CURRENT_TIMESTAMP
+                WHERE id = $2
+                RETURNING *
+            `, [isProposer ? 'withdrawn' : 'rejected', change.id]);
+
+            await client.query('COMMIT');
+
+            if (!isProposer) {
+                await notifications.notify(pool, change.proposed_by, 'change_answered', {
+                    actor_name: req.user.name,
+                    course_name: change.course_name,
+                    accepted: false,
+                    request_id: change.request_id
+                });
+            }
+
+            return res.json({ change: result.rows[0] });
+        }
+
+        if (isProposer) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ error: 'The other party has to accept this change' });
+        }
+
+        // The request may have been finished or cancelled since the change was proposed
+        if (change.request_status !== 'assigned') {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: `A ${change.request_status} request can no longer be changed` });
+        }
+
+        if (change.change_type === 'edit') {
+            if (change.changes.deadline !== undefined && new Date(change.changes.deadline) <= new Date()) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({ error: 'The proposed deadline has already passed; propose a new one instead' });
+            }
+
+            const updated = await applyRequestChanges(client, change.request_id, change.changes);
+
+            // A new listed price changes what is held, unless an offer fixed the price
+            if (change.changes.estimated_cost !== undefined && assignment.agreed_price === null) {
+                const adjusted = await wallet.adjustEscrow(client, assignment, updated.estimated_cost, req.user.id);
+                if (adjusted.error) {
+                    await client.query('ROLLBACK');
+                    return res.status(adjusted.status).json({ error: adjusted.error });
+                }
+            }
+
+            // A later deadline means the work is no longer overdue
+            if (change.changes.deadline !== undefined) {
+                await client.query(`
+                    UPDATE assignments SET overdue_at = NULL
+                    WHERE id = $1 AND $2::timestamptz > NOW()
+                `, [assignment.id, updated.deadline]);
+            }
+        } else {
+            const cancelled = await lifecycle.transition(client, assignment, 'cancel', change.proposed_by, change.reason);
+            if (cancelled.error) {
+                await client.query('ROLLBACK');
+                return res.status(cancelled.status).json({ error: cancelled.error });
+            }
+            await wallet.settleEscrow(client, cancelled.assignment, { actorId: req.user.id });
+            await availability.syncStatus(client, cancelled.assignment.writer_id);
+
+            await client.query(`
+                UPDATE assignment_requests
+                SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+            `, [change.request_id]);
+        }
+
+        const result = await client.query(`
+            UPDATE request_changes
+            SET status = 'accepted', responded_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+            RETURNING *
+        `, [change.id]);
+
+        await client.query('COMMIT');
+
+        await notifications.notify(pool, change.proposed_by, 'change_answered', {
+            actor_name: req.user.name,
+            course_name: change.course_name,
+            accepted: true,
+            request_id: change.request_id
+        });
+        await events.publish(pool, 'assignment_updated', {
+            request_id: change.request_id,
+            status: change.change_type === 'cancel' ? 'cancelled' : 'assigned'
+        }, [change.client_id, assignment.writer_id]);
+
+        res.json({ change: result.rows[0] });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error responding to request change:', error);
+        res.status(500).json({ error: 'Server error' });
+    } finally {
+        client.release();
+    }
+});
+
+// Writer backs out of an accepted assignment. The request goes back on the open board.
+app.post('/api/assignments/:id/withdraw', isAuthenticated, async (req, res) => {
+    const { reason } = req.body;
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const assignmentResult = await client.query(
+            'SELECT * FROM assignments WHERE id = $1 AND writer_id = $2 FOR UPDATE',
+            [req.params.id, req.user.id]
+        );
+
+        if (assignmentResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Assignment not found' });
+        }
+
+        const withdrawn = await lifecycle.transition(client, assignmentResult.rows[0], 'withdraw', req.user.id, reason);
+        if (withdrawn.error) {
+            await client.query('ROLLBACK');
+            return res.status(withdrawn.status).json({ error: withdrawn.error });
+        }
+
+        const assignment = withdrawn.assignment;
+        await wallet.settleEscrow(client, assignment, { actorId: req.user.id });
+        await availability.syncStatus(client, req.user.id);
+
+        // Reopen the request with a fresh listing period and drop any pending
+        // proposals. A direct request goes onto the open board too, rather than
+        // staying reserved for the writer who just backed out.
+        const reopenResult = await client.query(`
+            UPDATE assignment_requests
+            SET status = 'open', expiration_deadline = LEAST(NOW() + $2 * INTERVAL '1 day', deadline),
+                target_writer_id = NULL, direct_response_deadline = NULL,
+                expiry_warning_sent_at = NULL, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND status = 'assigned'
+            RETURNING course_name
+        `, [assignment.request_id, DEFAULT_LISTING_DAYS]);
+
+        await client.query(`
+            UPDATE request_changes
+            SET status = 'withdrawn', responded_at = CURRENT_TIMESTAMP
+            WHERE request_id = $1 AND status = 'pending'
+        `, [assignment.request_id]);
+
+        await client.query('COMMIT');
+
+        await notifications.notify(pool, assignment.client_id, 'assignment_withdrawn', {
+            actor_name: req.user.name,
+            course_name: reopenResult.rows[0]?.course_name,
+            request_id: assignment.request_id
+        });
+        await events.publish(pool, 'assignment_updated', { request_id: assignment.request_id, status: 'open' },
+            [assignment.client_id, assignment.writer_id]);
+        if (reopenResult.rows.length > 0) {
+            await events.publish(pool, 'request_created', { request_id: assignment.request_id });
+        }
+
+        res.json(assignment);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error withdrawing from assignment:', error);
+        res.status(500).json({ error: 'Server error' });
+    } finally {
+        client.release();
+    }
+});
+
+// Writer accepts a request that was addressed to them
+app.post('/api/direct-requests/:id/accept', isAuthenticated, async (req, res) => {
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const requestResult = await client.query(`
+            UPDATE assignment_requests
+            SET status = 'assigned', updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND target_writer_id = $2 AND status = 'open'
+                AND (direct_response_deadline IS NULL OR direct_response_deadline > NOW())
+            RETURNING *
+        `, [req.params.id, req.user.id]);
+
+        if (requestResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Request not found, already answered or no longer waiting for you' });
+        }
+
+        const request = requestResult.rows[0];
+
+        const capacity = await availability.checkCanTakeWork(client, req.user.id, { self: true });
+        if (capacity.error) {
+            await client.query('ROLLBACK');
+            return res.status(capacity.status).json({ error: capacity.error });
+        }
+
+        const assignmentResult = await client.query(`
+            INSERT INTO assignments (request_id, writer_id, client_id, status)
+            VALUES ($1, $2, $3, 'in_progress')
+            RETURNING *
+        `, [request.id, req.user.id, request.client_id]);
+        await lifecycle.recordStart(client, assignmentResult.rows[0], req.user.id);
+
+        const held = await wallet.holdEscrow(client, assignmentResult.rows[0], request.estimated_cost, req.user.id);
+        if (held.error) {
+            await client.query('ROLLBACK');
+            return res.status(held.status).json({ error: held.error });
+        }
+
+        await client.query(`
+            UPDATE offers
+            SET status = 'rejected', responded_at = CURRENT_TIMESTAMP
+            WHERE request_id = $1 AND status = 'pending'
+        `, [request.id]);
+
+        await availability.syncStatus(client, req.user.id);
+
+        await client.query('COMMIT');
+
+        await notifications.notify(pool, request.client_id, 'request_accepted', {
+            actor_name: req.user.name,
+            course_name: request.course_name,
+            request_id: request.id
+        });
+        await events.publish(pool, 'assignment_updated', { request_id: request.id, status: 'assigned' },
+            [request.client_id, req.user.id]);
+
+        res.json(request);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error accepting direct request:', error);
+        res.status(500).json({ error: 'Server error' });
+    } finally {
+        client.release();
+    }
+});
+
+// Writer declines a request that was addressed to them. The client can then publish it.
+app.post('/api/direct-requests/:id/decline', isAuthenticated, async (req, res) => {
+    const { reason } = req.body;
+
+    try {
+        const result = await pool.query(`
+            UPDATE assignment_requests
+            SET status = 'declined', declined_at = CURRENT_TIMESTAMP, decline_reason = $3, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND target_writer_id = $2 AND status = 'open'
+            RETURNING *
+        `, [req.params.id, req.user.id, reason ? String(reason).trim().substring(0, 1000) : null]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Request not found or already answered' });
+        }
+
+        await notifications.notify(pool, result.rows[0].client_id, 'direct_request_declined', {
+            actor_name: req.user.name,
+            course_name: result.rows[0].course_name,
+            request_id: result.rows[0].id
+        });
+        await events.publish(pool, 'assignment_updated', { request_id: result.rows[0].id, status: 'declined' },
+            [result.rows[0].client_id, req.user.id]);
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        console.error('Error declining direct request:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Client moves a declined or unanswered direct request onto the open board
+app.post('/api/assignment-requests/:id/publish', isAuthenticated, async (req, res) => {
+    const listing = parseListingDays(req.body.listing_days);
+    if (listing.error) {
+        return res.status(400).json({ error: listing.error });
+    }
+
+    try {
+        const requestResult = await pool.query(
+            'SELECT id, estimated_cost FROM assignment_requests WHERE id = $1 AND client_id = $2',
+            [req.params.id, req.user.id]
+        );
+        if (requestResult.rows.length > 0) {
+            const { id, estimated_cost } = requestResult.rows[0];
+            const funding = await wallet.checkCanFund(pool, req.user.id, estimated_cost, { excludeRequestId: id });
+            if (funding.error) {
+                return res.status(funding.status).json({ error: funding.error });
+            }
+        }
+
+        const result = await pool.query(`
+            UPDATE assignment_requests
+            SET status = 'open',
+                target_writer_id = NULL,
+                direct_response_deadline = NULL,
+                expiration_deadline = LEAST(NOW() + $3 * INTERVAL '1 day', deadline),
+                expiry_warning_sent_at = NULL,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND client_id = $2 AND target_writer_id IS NOT NULL
+                AND (status = 'declined' OR (status = 'open' AND direct_response_deadline <= NOW()))
+                AND deadline > NOW()
+            RETURNING *
+        `, [req.params.id, req.user.id, listing.days]);
+
+        if (result.rows.length === 0) {
+            return res.status(409).json({ error: 'Only requests that the writer declined or did not answer in time, and whose deadline is still ahead, can be published' });
+        }
+
+        await events.publish(pool, 'request_created', { request_id: result.rows[0].id });
+
+        res.json({ request: result.rows[0] });
+    } catch (error) {
+        console.error('Error publishing assignment request:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Post an expired or cancelled request to the board again as a new request.
+// The original fields are copied; any editable field in the body replaces its
+// copy, which is how a client picks a new deadline once the old one has passed.
+app.post('/api/assignment-requests/:id/repost', isAuthenticated, async (req, res) => {
+    try {
+        const requestResult = await pool.query('SELECT * FROM assignment_requests WHERE id = $1', [req.params.id]);
+
+        if (requestResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Request not found' });
+        }
+
+        const original = requestResult.rows[0];
+
+        if (original.client_id !== req.user.id) {
+            return res.status(403).json({ error: 'Only the client can repost this request' });
+        }
+
+        if (!['expired', 'cancelled'].includes(original.status)) {
+            return res.status(409).json({ error: 'Only expired or cancelled requests can be reposted' });
+        }
+
+        const fields = {};
+        EDITABLE_REQUEST_FIELDS.forEach(key => {
+            fields[key] = req.body[key] !== undefined && req.body[key] !== null && req.body[key] !== ''
+                ? req.body[key]
+                : original[key];
+        });
+        fields.deadline = fields.deadline instanceof Date ? fields.deadline.toISOString() : fields.deadline;
+
+        const { error, changes } = validateRequestChanges(fields);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const listing = parseListingDays(req.body.listing_days);
+        if (listing.error) {
+            return res.status(400).json({ error: listing.error });
+        }
+
+        const funding = await wallet.checkCanFund(pool, req.user.id, changes.estimated_cost);
+        if (funding.error) {
+            return res.status(funding.status).json({ error: funding.error });
+        }
+
+        const result = await pool.query(`
+            INSERT INTO assignment_requests
+            (client_id, course_name, course_code, assignment_type, num_pages, deadline, estimated_cost, status, expiration_deadline)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, 'open', $8)
+            RETURNING *
+        `, [
+            req.user.id,
+            changes.course_name,
+            changes.course_code,
+            changes.assignment_type,
+            changes.num_pages,
+            changes.deadline,
+            changes.estimated_cost,
+            getListingExpiry(listing.days, changes.deadline).toISOString()
+        ]);
+
+        await events.publish(pool, 'request_created', { request_id: result.rows[0].id });
+
+        res.status(201).json({ request: result.rows[0] });
+    } catch (error) {
+        console.error('Error reposting assignment request:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// How long an offer or counter-offer stays open if nobody answers it
+const OFFER_EXPIRY_HOURS = 72;
+
+// Validate the price and delivery date of an offer or counter-offer
+const validateOffer = ({ price, delivery_date }) => {
+    const parsedPrice = parseFloat(price);
+    if (isNaN(parsedPrice) || parsedPrice <= 0) {
+        return { error: 'Price must be a positive number' };
+    }
+
+    if (!delivery_date || isNaN(Date.parse(delivery_date))) {
+        return { error: 'Delivery date must be a valid date' };
+    }
+    if (new Date(delivery_date) <= new Date()) {
+        return { error: 'Delivery date must be in the future' };
+    }
+
+    return {
+        // Same multiple-of-50 rule as request costs
+        price: Math.max(50, Math.round(parsedPrice / 50) * 50),
+        deliveryDate: new Date(delivery_date).toISOString()
+    };
+};
+
+// An offer expires after OFFER_EXPIRY_HOURS, or when the request's deadline passes
+const getOfferExpiry = (request) => {
+    const expiry = new Date(Date.now() + OFFER_EXPIRY_HOURS * 60 * 60 * 1000);
+    const deadline = new Date(request.deadline);
+    return (deadline < expiry ? deadline : expiry).toISOString();
+};
+
+// Load a pending offer with its request and lock it for the rest of the transaction
+const getPendingOfferForUpdate = async (db, offerId) => {
+    const result = await db.query(`
+        SELECT o.*, ar.client_id, ar.status as request_status, ar.target_writer_id, ar.deadline, ar.course_name
+        FROM offers o
+        JOIN assignment_requests ar ON ar.id = o.request_id
+        WHERE o.id = $1 AND o.status = 'pending' AND o.expires_at > NOW()
+        FOR UPDATE OF o
+    `, [offerId]);
+
+    return result.rows[0] || null;
+};
+
+// The party who has to answer an offer: the client for a writer's offer, the writer for a client's counter
+const getOfferRecipient = (offer) => {
+    return offer.proposed_by === offer.writer_id ? offer.client_id : offer.writer_id;
+};
+
+// Writer makes an offer on an open request. A new offer replaces the writer's previous one.
+app.post('/api/assignment-requests/:id/offers', isAuthenticated, async (req, res) => {
+    const { error, price, deliveryDate } = validateOffer(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const requestResult = await client.query(`
+            SELECT * FROM assignment_requests
+            WHERE id = $1 AND status = 'open'
+                AND (expiration_deadline IS NULL OR expiration_deadline > NOW())
+            FOR UPDATE
+        `, [req.params.id]);
+
+        if (requestResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Request not found or no longer open' });
+        }
+
+        const request = requestResult.rows[0];
+
+        if (request.client_id === req.user.id) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ error: 'You cannot make an offer on your own request' });
+        }
+
+        if (request.target_writer_id && request.target_writer_id !== req.user.id) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ error: 'This request was sent to another writer' });
+        }
+
+        await client.query(`
+            UPDATE offers
+            SET status = 'withdrawn', responded_at = CURRENT_TIMESTAMP
+            WHERE request_id = $1 AND writer_id = $2 AND status = 'pending'
+        `, [request.id, req.user.id]);
+
+        const result = await client.query(`
+            INSERT INTO offers (request_id, writer_id, proposed_by, price, delivery_date, message, expires_at)
+            VALUES ($1, $2, $2, $3, $4, $5, $6)
+            RETURNING *
+        `, [
+            request.id,
+            req.user.id,
+            price,
+            deliveryDate,
+            req.body.message ? String(req.body.message).trim().substring(0, 1000) : null,
+            getOfferExpiry(request)
+        ]);
+
+        await client.query('COMMIT');
+
+        await notifications.notify(pool, request.client_id, 'offer_received', {
+            actor_name: req.user.name,
+            course_name: request.course_name,
+            price: result.rows[0].price,
+            request_id: request.id
+        });
+
+        res.status(201).json(result.rows[0]);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error creating offer:', error);
+        res.status(500).json({ error: 'Server error' });
+    } finally {
+        client.release();
+    }
+});
+
+// Offers on a request. The client sees every offer; a writer only sees their own negotiation.
+app.get('/api/assignment-requests/:id/offers', isAuthenticated, async (req, res) => {
+    try {
+        const requestResult = await pool.query('SELECT client_id FROM assignment_requests WHERE id = $1', [req.params.id]);
+
+        if (requestResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Request not found' });
+        }
+
+        await jobs.expireStaleOffers(pool);
+
+        const isClient = requestResult.rows[0].client_id === req.user.id;
+        const result = await pool.query(`
+            SELECT 
+                o.*,
+                w.name as writer_name,
+                w.profile_picture as writer_profile_picture,
+                COALESCE(w.rating::numeric, 0.0) as writer_rating,
+                COALESCE(w.total_ratings, 0) as writer_total_ratings
+            FROM offers o
+            JOIN users w ON w.id = o.writer_id
+            WHERE o.request_id = $1 AND ($2 OR o.writer_id = $3)
+            ORDER BY o.created_at DESC
+        `, [req.params.id, isClient, req.user.id]);
+
+        res.json({
+            offers: result.rows.map(o => ({
+                id: o.id,
+                request_id: o.request_id,
+                parent_offer_id: o.parent_offer_id,
+                price: o.price,
+                delivery_date: o.delivery_date,
+                message: o.message,
+                status: o.status,
+                expires_at: o.expires_at,
+                created_at: o.created_at,
+                responded_at: o.responded_at,
+                proposed_by_me: o.proposed_by === req.user.id,
+                is_counter: o.proposed_by !== o.writer_id,
+                writer: {
+                    id: o.writer_id,
+                    name: o.writer_name,
+                    profile_picture: o.writer_profile_picture,
+                    rating: o.writer_rating,
+                    total_ratings: o.writer_total_ratings
+                }
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching offers:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Accept an offer or counter-offer. This assigns the request to the offer's writer.
+app.post('/api/offers/:id/accept', isAuthenticated, async (req, res) => {
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const offer = await getPendingOfferForUpdate(client, req.params.id);
+
+        if (!offer) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Offer not found or no longer pending' });
+        }
+
+        if (getOfferRecipient(offer) !== req.user.id) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ error: 'Only the other party can accept this offer' });
+        }
+
+        const requestResult = await client.query(`
+            UPDATE assignment_requests
+            SET status = 'assigned', updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND status = 'open'
+            RETURNING *
+        `, [offer.request_id]);
+
+        if (requestResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: 'This request has already been assigned' });
+        }
+
+        // Checked when the offer is accepted, not when it's made, since the
+        // writer may have taken on other work in the meantime
+        const capacity = await availability.checkCanTakeWork(client, offer.writer_id, { self: offer.writer_id === req.user.id });
+        if (capacity.error) {
+            await client.query('ROLLBACK');
+            return res.status(capacity.status).json({ error: capacity.error });
+        }
+
+        const assignmentResult = await client.query(`
+            INSERT INTO assignments (request_id, writer_id, client_id, status, offer_id, agreed_price, delivery_date)
+            VALUES ($1, $2, $3, 'in_progress', $4, $5, $6)
+            RETURNING *
+        `, [offer.request_id, offer.writer_id, offer.client_id, offer.id, offer.price, offer.delivery_date]);
+        await lifecycle.recordStart(client, assignmentResult.rows[0], req.user.id);
+
+        const held = await wallet.holdEscrow(client, assignmentResult.rows[0], offer.price, req.user.id);
+        if (held.error) {
+            await client.query('ROLLBACK');
+            return res.status(held.status).json({ error: held.error });
+        }
+
+        await client.query(`
+            UPDATE offers
+            SET status = 'accepted', responded_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+        `, [offer.id]);
+
+        // Every other offer on the request is now moot
+        await client.query(`
+            UPDATE offers
+            SET status = 'rejected', responded_at = CURRENT_TIMESTAMP
+            WHERE request_id = $1 AND status = 'pending'
+        `, [offer.request_id]);
+
+        await availability.syncStatus(client, offer.writer_id);
+
+        await client.query('COMMIT');
+
+        await notifications.notify(pool, offer.proposed_by, 'offer_accepted', {
+            actor_name: req.user.name,
+            course_name: offer.course_name,
+            price: offer.price,
+            request_id: offer.request_id
+        });
+        await events.publish(pool, 'request_taken', { request_id: offer.request_id });
+        await events.publish(pool, 'assignment_updated', { request_id: offer.request_id, status: 'assigned' },
+            [offer.client_id, offer.writer_id]);
+
+        res.json(requestResult.rows[0]);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error accepting offer:', error);
+        res.status(500).json({ error: 'Server error' });
+    } finally {
+        client.release();
+    }
+});
+
+// Reject an offer, or withdraw one you made yourself
+app.post('/api/offers/:id/:action(reject|withdraw)', isAuthenticated, async (req, res) => {
+    const { action } = req.params;
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const offer = await getPendingOfferForUpdate(client, req.params.id);
+
+        if (!offer) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Offer not found or no longer pending' });
+        }
+
+        const allowed = action === 'withdraw'
+            ? offer.proposed_by === req.user.id
+            : getOfferRecipient(offer) === req.user.id;
+
+        if (!allowed) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({
+                error: action === 'withdraw' ? 'Only the person who made this offer can withdraw it' : 'Only the other party can reject this offer'
+            });
+        }
+
+        const result = await client.query(`
+            UPDATE offers
+            SET status = $2, responded_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+            RETURNING *
+        `, [offer.id, action === 'withdraw' ? 'withdrawn' : 'rejected']);
+
+        await client.query('COMMIT');
+        res.json(result.rows[0]);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error(`Error trying to ${action} offer:`, error);
+        res.status(500).json({ error: 'Server error' });
+    } finally {
+        client.release();
+    }
+});
+
+// Answer an offer with a different price or delivery date
+app.post('/api/offers/:id/counter', isAuthenticated, async (req, res) => {
+    const { error, price, deliveryDate } = validateOffer(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const offer = await getPendingOfferForUpdate(client, req.params.id);
+
+        if (!offer || offer.request_status !== 'open') {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Offer not found or no longer pending' });
+        }
+
+        if (getOfferRecipient(offer) !== req.user.id) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ error: 'Only the other party can counter this offer' });
+        }
+
+        await client.query(`
+            UPDATE offers
+            SET status = 'countered', responded_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+        `, [offer.id]);
+
+        const result = await client.query(`
+            INSERT INTO offers (request_id, writer_id, proposed_by, parent_offer_id, price, delivery_date, message, expires_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING *
+        `, [
+            offer.request_id,
+            offer.writer_id,
+            req.user.id,
+            offer.id,
+            price,
+            deliveryDate,
+            req.body.message ? String(req.body.message).trim().substring(0, 1000) : null,
+            getOfferExpiry(offer)
+        ]);
+
+        await client.query('COMMIT');
+
+        await notifications.notify(pool, offer.proposed_by, 'offer_countered', {
+            actor_name: req.user.name,
+            course_name: offer.course_name,
+            price: result.rows[0].price,
+            request_id: offer.request_id
+        });
+
+        res.status(201).json(result.rows[0]);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error countering offer:', error);
+        res.status(500).json({ error: 'Server error' });
+    } finally {
+        client.release();
+    }
+});
+
+// The requests a user posted, each with its assignment once a writer took it
+const getClientAssignments = async (userId) => {
+    // Get client assignments
+    const result = await pool.query(`
+        SELECT 
+            ar.id as request_id,
+            ar.course_name,
+            ar.course_code,
+            ar.assignment_type,
+            ar.num_pages,
+            ar.deadline,
+            ar.estimated_cost,
+            ar.status as request_status,
+            ar.expiration_deadline,
+            a.id as assignment_id,
+            COALESCE(a.created_at, ar.created_at) as created_at,
+            CASE
+                WHEN ar.status IN ('cancelled', 'declined', 'expired') THEN ar.status
+                ELSE COALESCE(a.status, 'pending')
+            END as status,
+            a.completed_at,
+            a.submitted_at,
+            a.overdue_at,
+            a.revision_count,
+            a.agreed_price,
+            a.delivery_date,
+            ar.direct_response_deadline,
+            ar.decline_reason,
+            target.id as target_writer_id,
+            target.name as target_writer_name,
+            writer.id as writer_id,
+            writer.name as writer_name,
+            writer.email as writer_email,
+            writer.profile_picture as writer_profile_picture,
+            COALESCE(writer.rating::numeric, 0.0) as writer_rating,
+            COALESCE(writer.total_ratings, 0) as writer_total_ratings,
+            client.id as client_id,
+            client.name as client_name,
+            client.email as client_email,
+            client.profile_picture as client_profile_picture,
+            COALESCE(client.rating::numeric, 0.0) as client_rating,
+            COALESCE(client.total_ratings, 0) as client_total_ratings,
+            (
+                SELECT COUNT(*)::int FROM messages m
+                WHERE m.request_id = ar.id AND m.sender_id <> $1 AND m.read_at IS NULL
+            ) as unread_messages,
+            (
+                SELECT COUNT(*)::int FROM offers o
+                WHERE o.request_id = ar.id AND o.status = 'pending'
+            ) as pending_offers
+        FROM assignment_requests ar
+        LEFT JOIN LATERAL (
+            SELECT * FROM assignments
+            WHERE request_id = ar.id AND status <> 'cancelled'
+            ORDER BY created_at DESC
+            LIMIT 1
+        ) a ON true
+        LEFT JOIN users writer ON a.writer_id = writer.id
+        LEFT JOIN users target ON ar.target_writer_id = target.id
+        JOIN users client ON ar.client_id = client.id
+        WHERE ar.client_id = $1
+        ORDER BY ar.created_at DESC
+    `, [userId]);
+    
+    console.log(`Found ${result.rows.length} assignments for client ${userId}`);
+
+    // Get ratings submitted by this user
+    const ratingsResult = await pool.query(`
+        SELECT assignment_request_id, rated_id 
+        FROM ratings 
+        WHERE rater_id = $1
+    `, [userId]);
+    
+    // Create a map of rated assignments for quick lookup
+    const ratedAssignments = new Map();
+    ratingsResult.rows.forEach(rating => {
+        ratedAssignments.set(rating.assignment_request_id, rating.rated_id);
+    });
+
+    // Edit or cancellation proposals waiting on a response
+    const pendingChanges = await getPendingChanges(result.rows.map(a => a.request_id), userId);
+
+    // Status timeline of each assignment
+    const history = await lifecycle.getHistory(pool, result.rows.filter(a => a.assignment_id).map(a => a.assignment_id));
+
+    // The latest dispute on each assignment, open or resolved
+    const disputeMap = await disputes.getForAssignments(pool, result.rows.filter(a => a.assignment_id).map(a => a.assignment_id));
+
+    // What is still held in escrow for each assignment
+    const escrowBalances = await wallet.getEscrowBalances(pool, result.rows.filter(a => a.assignment_id).map(a => a.assignment_id));
+
+    // Transform the data
+    const transformedAssignments = result.rows.map(a => ({
+        id: a.request_id,
+        role: 'client',
+        request_id: a.request_id,
+        assignment_id: a.assignment_id,
+        request_status: a.request_status,
+        expiration_deadline: a.expiration_deadline,
+        pending_change: pendingChanges.get(a.request_id) || null,
+        dispute: disputeMap.get(a.assignment_id) || null,
+        escrow_balance: escrowBalances.get(a.assignment_id) || null,
+        // Set while the request is addressed to a single writer
+        direct_request: a.target_writer_id ? {
+            writer_id: a.target_writer_id,
+            writer_name: a.target_writer_name,
+            response_deadline: a.direct_response_deadline,
+            decline_reason: a.decline_reason,
+            timed_out: a.request_status === 'open' && a.direct_response_deadline !== null
+                && new Date(a.direct_response_deadline) <= new Date()
+        } : null,
+        writer: a.writer_id ? {
+            id: a.writer_id,
+            name: a.writer_name,
+            email: a.writer_email,
+            profile_picture: a.writer_profile_picture,
+            rating: a.writer_rating,
+            total_ratings: a.writer_total_ratings
+        } : null,
+        client: {
+            id: a.client_id,
+            name: a.client_name,
+            email: a.client_email,
+            profile_picture: a.client_profile_picture,
+            rating: a.client_rating,
+            total_ratings: a.client_total_ratings
+        },
+        status: a.status,
+        created_at: a.created_at,
+        completed_at: a.completed_at,
+        submitted_at: a.submitted_at,
+        overdue_at: a.overdue_at,
+        revision_count: a.revision_count || 0,
+        timeline: a.assignment_id ? history.get(a.assignment_id) || [] : [],
+        available_actions: a.assignment_id
+            ? lifecycle.getAvailableActions({ status: a.status, writer_id: a.writer_id, client_id: a.client_id }, userId)
+            : [],
+        course_name: a.course_name,
+        course_code: a.course_code,
+        assignment_type: a.assignment_type,
+        num_pages: a.num_pages,
+        deadline: a.deadline,
+        estimated_cost: a.estimated_cost,
+        agreed_price: a.agreed_price,
+        delivery_date: a.delivery_date,
+        unread_messages: a.unread_messages,
+        pending_offers: a.pending_offers,
+        // Check if client has rated the writer
+        has_rated_writer: a.writer_id ? ratedAssignments.has(a.request_id) && ratedAssignments.get(a.request_id) === a.writer_id : false,
+        has_rated_client: false // Clients don't rate themselves
+    }));
+
+    return { assignments: transformedAssignments };
+};
+
+// The work a user took on as a writer, along with the requests sent to them
+// that are waiting for an answer and the offers they are negotiating
+const getWriterAssignments = async (userId) => {
+    // Get writer assignments
+    const result = await pool.query(`
+        SELECT 
+            ar.id as request_id,
+            ar.course_name,
+            ar.course_code,
+            ar.assignment_type,
+            ar.num_pages,
+            ar.deadline,
+            ar.estimated_cost,
+            ar.status as request_status,
+            ar.expiration_deadline,
+            a.id as assignment_id,
+            a.created_at,
+            a.status,
+            a.completed_at,
+            a.submitted_at,
+            a.overdue_at,
+            a.revision_count,
+            a.agreed_price,
+            a.delivery_date,
+            writer.id as writer_id,
+            writer.name as writer_name,
+            writer.email as writer_email,
+            writer.profile_picture as writer_profile_picture,
+            COALESCE(writer.rating::numeric, 0.0) as writer_rating,
+            COALESCE(writer.total_ratings, 0) as writer_total_ratings,
+            client.id as client_id,
+            client.name as client_name,
+            client.email as client_email,
+            client.profile_picture as client_profile_picture,
+            COALESCE(client.rating::numeric, 0.0) as client_rating,
+            COALESCE(client.total_ratings, 0) as client_total_ratings,
+            (
+                SELECT COUNT(*)::int FROM messages m
+                WHERE m.request_id = ar.id AND m.sender_id <> $1 AND m.read_at IS NULL
+            ) as unread_messages
+        FROM assignments a
+        JOIN assignment_requests ar ON a.request_id = ar.id
+        JOIN users writer ON a.writer_id = writer.id
+        JOIN users client ON ar.client_id = client.id
+        WHERE a.writer_id = $1
+        ORDER BY a.created_at DESC
+    `, [userId]);
+    
+    console.log(`Found ${result.rows.length} assignments for writer ${userId}`);
+
+    // Get ratings submitted by this user
+    const ratingsResult = await pool.query(`
+        SELECT assignment_request_id, rated_id 
+        FROM ratings 
+        WHERE rater_id = $1
+    `, [userId]);
+    
+    // Create a map of rated assignments for quick lookup
+    const ratedAssignments = new Map();
+    ratingsResult.rows.forEach(rating => {
+        ratedAssignments.set(rating.assignment_request_id, rating.rated_id);
+    });
+
+    // Edit or cancellation proposals waiting on a response
+    const pendingChanges = await getPendingChanges(result.rows.map(a => a.request_id), userId);
+
+    // Status timeline of each assignment
+    const history = await lifecycle.getHistory(pool, result.rows.filter(a => a.assignment_id).map(a => a.assignment_id));
+
+    // The latest dispute on each assignment, open or resolved
+    const disputeMap = await disputes.getForAssignments(pool, result.rows.filter(a => a.assignment_id).map(a => a.assignment_id));
+
+    // What is still held in escrow for each assignment
+    const escrowBalances = await wallet.getEscrowBalances(pool, result.rows.filter(a => a.assignment_id).map(a => a.assignment_id));
+
+    // Transform the data
+    const transformedAssignments = result.rows.map(a => ({
+        id: a.request_id,
+        role: 'writer',
+        request_id: a.request_id,
+        assignment_id: a.assignment_id,
+        request_status: a.request_status,
+        expiration_deadline: a.expiration_deadline,
+        pending_change: pendingChanges.get(a.request_id) || null,
+        dispute: disputeMap.get(a.assignment_id) || null,
+        escrow_balance: escrowBalances.get(a.assignment_id) || null,
+        writer: {
+            id: a.writer_id,
+            name: a.writer_name,
+            email: a.writer_email,
+            profile_picture: a.writer_profile_picture,
+            rating: a.writer_rating,
+            total_ratings: a.writer_total_ratings
+        },
+        client: {
+            id: a.client_id,
+            name: a.client_name,
+            email: a.client_email,
+            profile_picture: a.client_profile_picture,
+            rating: a.client_rating,
+            total_ratings: a.client_total_ratings
+        },
+        status: a.status,
+        created_at: a.created_at,
+        completed_at: a.completed_at,
+        submitted_at: a.submitted_at,
+        overdue_at: a.overdue_at,
+        revision_count: a.revision_count || 0,
+        timeline: a.assignment_id ? history.get(a.assignment_id) || [] : [],
+        available_actions: a.assignment_id
+            ? lifecycle.getAvailableActions({ status: a.status, writer_id: a.writer_id, client_id: a.client_id }, userId)
+            : [],
+        course_name: a.course_name,
+        course_code: a.course_code,
+        assignment_type: a.assignment_type,
+        num_pages: a.num_pages,
+        deadline: a.deadline,
+        estimated_cost: a.estimated_cost,
+        agreed_price: a.agreed_price,
+        delivery_date: a.delivery_date,
+        unread_messages: a.unread_messages,
+        has_rated_writer: false, // Writers don't rate themselves
+        // Check if writer has rated the client
+        has_rated_client: ratedAssignments.has(a.request_id) && ratedAssignments.get(a.request_id) === a.client_id
+    }));
+
+    // Requests addressed to this writer that are still waiting for an answer
+    const directResult = await pool.query(`
+        SELECT 
+            ar.id,
+            ar.course_name,
+            ar.course_code,
+            ar.assignment_type,
+            ar.num_pages,
+            ar.deadline,
+            ar.estimated_cost,
+            ar.direct_response_deadline,
+            ar.created_at,
+            client.id as client_id,
+            client.name as client_name,
+            COALESCE(client.rating::numeric, 0.0) as client_rating,
+            COALESCE(client.total_ratings, 0) as client_total_ratings
+        FROM assignment_requests ar
+        JOIN users client ON ar.client_id = client.id
+        WHERE ar.target_writer_id = $1 AND ar.status = 'open'
+            AND (ar.direct_response_deadline IS NULL OR ar.direct_response_deadline > NOW())
+        ORDER BY ar.direct_response_deadline ASC
+    `, [userId]);
+
+    // Negotiations this writer is part of that are still open
+    const offersResult = await pool.query(`
+        SELECT 
+            o.id,
+            o.request_id,
+            o.price,
+            o.delivery_date,
+            o.message,
+            o.expires_at,
+            o.created_at,
+            o.proposed_by,
+            ar.course_name,
+            ar.course_code,
+            ar.estimated_cost,
+            ar.deadline,
+            client.name as client_name
+        FROM offers o
+        JOIN assignment_requests ar ON ar.id = o.request_id
+        JOIN users client ON ar.client_id = client.id
+        WHERE o.writer_id = $1 AND o.status = 'pending'
+        ORDER BY o.expires_at ASC
+    `, [userId]);
+
+    return {
+        assignments: transformedAssignments,
+        offers: offersResult.rows.map(o => ({
+            id: o.id,
+            request_id: o.request_id,
+            price: o.price,
+            delivery_date: o.delivery_date,
+            message: o.message,
+            expires_at: o.expires_at,
+            created_at: o.created_at,
+            proposed_by_me: o.proposed_by === userId,
+            course_name: o.course_name,
+            course_code: o.course_code,
+            estimated_cost: o.estimated_cost,
+            deadline: o.deadline,
+            client_name: o.client_name
+        })),
+        direct_requests: directResult.rows.map(r => ({
+            id: r.id,
+            course_name: r.course_name,
+            course_code: r.course_code,
+            assignment_type: r.assignment_type,
+            num_pages: r.num_pages,
+            deadline: r.deadline,
+            estimated_cost: r.estimated_cost,
+            response_deadline: r.direct_response_deadline,
+            created_at: r.created_at,
+            client: {
+                id: r.client_id,
+                name: r.client_name,
+                rating: r.client_rating,
+                total_ratings: r.client_total_ratings
+            }
+        }))
+    };
+};
+
+// Anyone can both post requests and take them on, so both sides come back:
+// client holds the requests the user posted and writer the work they took on.
+// Each assignment also says which side the user is on.
+app.get('/api/my-assignments', isAuthenticated, async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        // Check if user is authenticated
+        if (!userId) {
+            return res.status(401).json({ error: 'User not authenticated' });
+        }
+
+        console.log(`Fetching assignments for user ${userId}`);
+
+        await jobs.expireStaleOffers(pool);
+
+        const [asClient, asWriter] = await Promise.all([
+            getClientAssignments(userId),
+            getWriterAssignments(userId)
+        ]);
+
+        res.json({
+            client: asClient,
+            writer: asWriter
+        });
+    } catch (error) {
+        console.error('Error fetching assignments:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Recompute a user's average rating and count, leaving out hidden reviews
+const recalculateUserRating = (db, userId) => db.query(`
+    UPDATE users
+    SET rating = COALESCE(stats.avg_rating, 0),
+        total_ratings = stats.total_ratings
+    FROM (
+        SELECT AVG(rating)::numeric(3,2) as avg_rating, COUNT(*)::int as total_ratings
+        FROM ratings
+        WHERE rated_id = $1 AND hidden_at IS NULL
+    ) stats
+    WHERE users.id = $1
+`, [userId]);
+
+const RATING_ROLES = ['writer', 'client'];
+
+// Average, count and star distribution of the ratings a user received in one role
+const getRatingSummary = async (userId, role) => {
+    const result = await pool.query(`
+        SELECT rating, COUNT(*)::int as count
+        FROM ratings
+        WHERE rated_id = $1 AND rated_role = $2 AND hidden_at IS NULL
+        GROUP BY rating
+    `, [userId, role]);
+
+    const histogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    let total = 0;
+    let sum = 0;
+    result.rows.forEach(row => {
+        histogram[row.rating] = row.count;
+        total += row.count;
+        sum += row.rating * row.count;
+    });
+
+    return {
+        average: total > 0 ? Math.round((sum / total) * 100) / 100 : 0,
+        total,
+        histogram
+    };
+};
+
+// One page of the ratings a user received in one role, newest first, flagged
+// with what the viewer can do with each. Returns { ratings, next_cursor } or
+// { error } for a bad cursor.
+const getRatingsPage = async (userId, role, query, viewerId) => {
+    const conditions = ['r.rated_id = $1', 'r.rated_role = $2', 'r.hidden_at IS NULL'];
+    const params = [userId, role];
+
+    if (query.cursor) {
+        const cursor = decodeCursor(query.cursor);
+        if (!cursor) {
+            return { error: 'Invalid cursor' };
+        }
+        params.push(cursor.value, cursor.id);
+        conditions.push(`(r.created_at, r.id) < ($${params.length - 1}, $${params.length})`);
+    }
+
+    const pageSize = parsePageSize(query.limit);
+    params.push(pageSize + 1);
+
+    const result = await pool.query(`
+        SELECT r.id, r.rated_id, r.rating, r.comment, r.created_at, r.rated_role as role,
+               r.reply, r.replied_at, r.created_at::text as sort_value,
+               ar.course_name, ar.course_code, ar.assignment_type,
+               u.id as rater_id, u.name as rater_name, u.profile_picture as rater_profile_picture
+        FROM ratings r
+        JOIN users u ON u.id = r.rater_id
+        LEFT JOIN assignment_requests ar ON ar.id = r.assignment_request_id
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY r.created_at DESC, r.id DESC
+        LIMIT $${params.length}
+    `, params);
+
+    // We fetched one extra row to know whether another page exists
+    const hasMore = result.rows.length > pageSize;
+    const rows = hasMore ? result.rows.slice(0, pageSize) : result.rows;
+    const lastRow = rows[rows.length - 1];
+
+    return {
+        ratings: rows.map(({ rater_id, rater_name, rater_profile_picture, sort_value, ...rating }) => ({
+            ...rating,
+            rater: { id: rater_id, name: rater_name, profile_picture: rater_profile_picture },
+            can_reply: rating.rated_id === viewerId,
+            can_report: rater_id !== viewerId
+        })),
+        next_cursor: hasMore ? encodeCursor(lastRow.sort_value, lastRow.id) : null
+    };
+};
+
+// Ratings the current user received. ?role=writer|client picks which list is
+// paged; summaries for both roles are always included.
+app.get('/api/my-ratings', isAuthenticated, async (req, res) => {
+    try {
+        const role = req.query.role || 'writer';
+        if (!RATING_ROLES.includes(role)) {
+            return res.status(400).json({ error: 'Role must be writer or client' });
+        }
+
+        const page = await getRatingsPage(req.user.id, role, req.query, req.user.id);
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
+
+        const [asWriter, asClient] = await Promise.all([
+            getRatingSummary(req.user.id, 'writer'),
+            getRatingSummary(req.user.id, 'client')
+        ]);
+
+        const userResult = await pool.query('SELECT rating, total_ratings FROM users WHERE id = $1', [req.user.id]);
+
+        res.json({
+            role,
+            ratings: page.ratings,
+            next_cursor: page.next_cursor,
+            summary: {
+                writer: asWriter,
+                client: asClient
+            },
+            averageRating: parseFloat(userResult.rows[0]?.rating) || 0,
+            totalRatings: parseInt(userResult.rows[0]?.total_ratings) || 0
+        });
+    } catch (error) {
+        console.error('Error fetching ratings:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Public reviews a writer received from their clients
+app.get('/api/writers/:id/reviews', isAuthenticated, async (req, res) => {
+    try {
+        const page = await getRatingsPage(req.params.id, 'writer', req.query, req.user.id);
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
+
+        res.json({
+            reviews: page.ratings,
+            next_cursor: page.next_cursor
+        });
+    } catch (error) {
+        console.error('Error fetching writer reviews:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// The rated user's public reply to a review. Posting again edits the reply.
+app.put('/api/ratings/:id/reply', isAuthenticated, async (req, res) => {
+    const reply = typeof req.body.reply === 'string' ? req.body.reply.trim() : '';
+
+    try {
+        if (!reply) {
+            return res.status(400).json({ error: 'Reply cannot be empty' });
+        }
+
+        if (reply.length > 1000) {
+            return res.status(400).json({ error: 'Reply must be 1000 characters or less' });
+        }
+
+        const result = await pool.query(`
+            UPDATE ratings r
+            SET reply = $1, replied_at = CURRENT_TIMESTAMP
+            FROM assignment_requests ar
+            WHERE r.id = $2 AND r.rated_id = $3 AND r.hidden_at IS NULL AND ar.id = r.assignment_request_id
+            RETURNING r.id, r.rater_id, r.reply, r.replied_at, ar.course_name
+        `, [reply, req.params.id, req.user.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Review not found' });
+        }
+
+        const updated = result.rows[0];
+        await notifications.notify(pool, updated.rater_id, 'review_replied', {
+            actor_name: req.user.name,
+            course_name: updated.course_name,
+            rating_id: updated.id,
+            link: '/my-ratings'
+        });
+
+        res.json({ id: updated.id, reply: updated.reply, replied_at: updated.replied_at });
+    } catch (error) {
+        console.error('Error replying to review:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Flag a review for the moderators. Each user can report a review once.
+app.post('/api/ratings/:id/report', isAuthenticated, async (req, res) => {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    try {
+        if (!reason) {
+            return res.status(400).json({ error: 'Please explain what is wrong with this review' });
+        }
+
+        if (reason.length > 1000) {
+            return res.status(400).json({ error: 'Reason must be 1000 characters or less' });
+        }
+
+        const ratingResult = await pool.query('SELECT id, rater_id FROM ratings WHERE id = $1 AND hidden_at IS NULL', [req.params.id]);
+
+        if (ratingResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Review not found' });
+        }
+
+        if (ratingResult.rows[0].rater_id === req.user.id) {
+            return res.status(400).json({ error: "You can't report your own review" });
+        }
+
+        const result = await pool.query(`
+            INSERT INTO review_reports (rating_id, reporter_id, reason)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (rating_id, reporter_id) DO NOTHING
+            RETURNING id
+        `, [req.params.id, req.user.id, reason]);
+
+        if (result.rows.length === 0) {
+            return res.status(409).json({ error: 'You have already reported this review' });
+        }
+
+        res.status(201).json({ message: 'Thanks, a moderator will look at this review' });
+    } catch (error) {
+        console.error('Error reporting review:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Moderation queue: reviews with open reports (status=pending, the default) or
+// reviews that have been hidden (status=hidden), with the reports on each
+app.get('/api/moderation/reviews', isAuthenticated, rbac.requirePermission('moderate_reviews'), async (req, res) => {
+    const status = req.query.status || 'pending';
+
+    try {
+        if (!['pending', 'hidden'].includes(status)) {
+            return res.status(400).json({ error: 'Status must be pending or hidden' });
+        }
+
+        const condition = status === 'pending'
+            ? "r.hidden_at IS NULL AND EXISTS (SELECT 1 FROM review_reports rr WHERE rr.rating_id = r.id AND rr.status = 'pending')"
+            : 'r.hidden_at IS NOT NULL';
+
+        const result = await pool.query(`
+            SELECT r.id, r.rating, r.comment, r.reply, r.created_at, r.rated_role,
+                   r.hidden_at, r.hidden_reason,
+                   rater.id as rater_id, rater.name as rater_name,
+                   rated.id as rated_id, rated.name as rated_name,
+                   ar.course_name, ar.course_code,
+                   COALESCE(json_agg(json_build_object(
+                       'id', rr.id,
+                       'reason', rr.reason,
+                       'status', rr.status,
+                       'reporter_name', reporter.name,
+                       'created_at', rr.created_at
+                   ) ORDER BY rr.created_at) FILTER (WHERE rr.id IS NOT NULL), '[]') as reports
+            FROM ratings r
+            JOIN users rater ON rater.id = r.rater_id
+            JOIN users rated ON rated.id = r.rated_id
+            LEFT JOIN assignment_requests ar ON ar.id = r.assignment_request_id
+            LEFT JOIN review_reports rr ON rr.rating_id = r.id
+            LEFT JOIN users reporter ON reporter.id = rr.reporter_id
+            WHERE ${condition}
+            GROUP BY r.id, rater.id, rated.id, ar.id
+            ORDER BY ${status === 'pending' ? 'MIN(rr.created_at) ASC' : 'r.hidden_at DESC'}
+            LIMIT 100
+        `);
+
+        res.json({ reviews: result.rows });
+    } catch (error) {
+        console.error('Error fetching moderation queue:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+const MODERATION_MESSAGES = {
+    hide: 'Review hidden',
+    unhide: 'Review restored',
+    dismiss: 'Reports dismissed'
+};
+
+// Hide a review, take it out of the rated user's average and close its reports,
+// or dismiss its reports and leave it up. Unhiding puts it back in the average.
+app.post('/api/moderation/reviews/:id/:action(hide|unhide|dismiss)', isAuthenticated, rbac.requirePermission('moderate_reviews'), async (req, res) => {
+    const { action } = req.params;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    const client = await pool.connect();
+
+    try {
+        if (action === 'hide' && !reason) {
+            return res.status(400).json({ error: 'Please give a reason for hiding this review' });
+        }
+
+        await client.query('BEGIN');
+
+        const ratingResult = await client.query(`
+            SELECT r.*, ar.course_name
+            FROM ratings r
+            LEFT JOIN assignment_requests ar ON ar.id = r.assignment_request_id
+            WHERE r.id = $1
+            FOR UPDATE OF r
+        `, [req.params.id]);
+
+        if (ratingResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Review not found' });
+        }
+
+        const rating = ratingResult.rows[0];
+
+        if (action === 'hide' && rating.hidden_at) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: 'This review is already hidden' });
+        }
+
+        if (action === 'unhide' && !rating.hidden_at) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: 'This review is not hidden' });
+        }
+
+        if (action === 'hide') {
+            await client.query(`
+                UPDATE ratings
+                SET hidden_at = CURRENT_TIMESTAMP, hidden_by = $1, hidden_reason = $2
+                WHERE id = $3
+            `, [req.user.id, reason.substring(0, 1000), rating.id]);
+        } else if (action === 'unhide') {
+            await client.query(`
+                UPDATE ratings
+                SET hidden_at = NULL, hidden_by = NULL, hidden_reason = NULL
+                WHERE id = $1
+            `, [rating.id]);
+        }
+
+        if (action !== 'unhide') {
+            await client.query(`
+                UPDATE review_reports
+                SET status = $1, resolved_at = CURRENT_TIMESTAMP, resolved_by = $2
+                WHERE rating_id = $3 AND status = 'pending'
+            `, [action === 'hide' ? 'actioned' : 'dismissed', req.user.id, rating.id]);
+        }
+
+        if (action !== 'dismiss') {
+            await recalculateUserRating(client, rating.rated_id);
+        }
+
+        await admin.recordAction(client, {
+            actorId: req.user.id,
+            action: `review_${action}`,
+            targetType: 'rating',
+            targetId: rating.id,
+            details: action === 'hide' ? { reason } : {}
+        });
+
+        await client.query('COMMIT');
+
+        if (action === 'hide') {
+            await notifications.notify(pool, rating.rater_id, 'review_hidden', {
+                course_name: rating.course_name,
+                reason,
+                rating_id: rating.id,
+                link: '/my-ratings'
+            });
+        }
+
+        res.json({ message: MODERATION_MESSAGES[action] });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error(`Error applying ${action} to review:`, error);
+        res.status(500).json({ error: 'Server error' });
+    } finally {
+        client.release();
+    }
+});
+
+// Admin console. Every change made here is written to the audit log in the
+// same transaction as the change itself.
+
+// Columns the console shows for a user
+const ADMIN_USER_COLUMNS = `
+    id, name, email, profile_picture, role, account_status, suspended_until, account_status_reason,
+    writer_status, university_stream, rating, total_ratings, created_at
+`;
+
+const MAX_SUSPENSION_DAYS = 365;
+
+// Audit log action for each account status an admin can set
+const ACCOUNT_STATUS_ACTIONS = {
+    active: 'user_reinstate',
+    suspended: 'user_suspend',
+    banned: 'user_ban'
+};
+
+// Search users by name, email or id, newest first
+app.get('/api/admin/users', isAuthenticated, rbac.requirePermission('manage_users'), async (req, res) => {
+    try {
+        const conditions = [];
+        const params = [];
+
+        const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+        if (q) {
+            params.push(`%${q}%`);
+            const pattern = params.length;
+            let idMatch = '';
+            // Ids are integer columns, so longer numbers can't match one
+            if (/^\d{1,9}$/.test(q)) {
+                params.push(parseInt(q, 10));
+                idMatch = ` OR id = $${params.length}`;
+            }
+            conditions.push(`(name ILIKE $${pattern} OR email ILIKE $${pattern}${idMatch})`);
+        }
+
+        if (req.query.role) {
+            if (!rbac.ROLES.includes(req.query.role)) {
+                return res.status(400).json({ error: `role must be one of: ${rbac.ROLES.join(', ')}` });
+            }
+            params.push(req.query.role);
+            conditions.push(`role = $${params.length}`);
+        }
+
+        if (req.query.account_status) {
+            if (!rbac.ACCOUNT_STATUSES.includes(req.query.account_status)) {
+                return res.status(400).json({ error: `account_status must be one of: ${rbac.ACCOUNT_STATUSES.join(', ')}` });
+            }
+            params.push(req.query.account_status);
+            conditions.push(`account_status = $${params.length}`);
+        }
+
+        if (req.query.cursor) {
+            const cursor = decodeCursor(req.query.cursor);
+            if (!cursor) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
+            params.push(cursor.value, cursor.id);
+            conditions.push(`(created_at, id) < ($${params.length - 1}, $${params.length})`);
+        }
+
+        const pageSize = parsePageSize(req.query.limit);
+        params.push(pageSize + 1);
+
+        const result = await pool.query(`
+            SELECT ${ADMIN_USER_COLUMNS}, created_at::text as sort_value
+            FROM users
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY created_at DESC, id DESC
+            LIMIT $${params.length}
+        `, params);
+
+        const hasMore = result.rows.length > pageSize;
+        const rows = hasMore ? result.rows.slice(0, pageSize) : result.rows;
+        const lastRow = rows[rows.length - 1];
+
+        res.json({
+            users: rows.map(({ sort_value, ...user }) => user),
+            next_cursor: hasMore ? encodeCursor(lastRow.sort_value, lastRow.id) : null
+        });
+    } catch (error) {
+        console.error('Error searching users:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Change columns on a user's row and log the old and new values.
+// Returns { user } or { error, status }.
+async function updateUserAsAdmin(adminId, userId, action, changes, reason = null) {
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const current = await client.query('SELECT * FROM users WHERE id = $1 FOR UPDATE', [userId]);
+        if (current.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return { error: 'User not found', status: 404 };
+        }
+
+        const columns = Object.keys(changes);
+        const result = await client.query(`
+            UPDATE users
+            SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')}
+            WHERE id = $1
+            RETURNING ${ADMIN_USER_COLUMNS}
+        `, [userId, ...columns.map(column => changes[column])]);
+
+        const before = {};
+        for (const column of columns) {
+            before[column] = current.rows[0][column];
+        }
+
+        await admin.recordAction(client, {
+            actorId: adminId,
+            action,
+            targetType: 'user',
+            targetId: userId,
+            details: { reason, before, after: changes }
+        });
+
+        await client.query('COMMIT');
+        return { user: result.rows[0] };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// Suspend a user for a number of days, ban them, or let them back in:
+// { account_status, reason, days }
+app.put('/api/admin/users/:id/account-status', isAuthenticated, rbac.requirePermission('manage_users'), async (req, res) => {
+    const { account_status: status, days } = req.body;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim().substring(0, 1000) : '';
+    const userId = parseInt(req.params.id, 10);
+
+    try {
+        if (!Number.isInteger(userId)) {
+            return res.status(400).json({ error: 'Invalid user' });
+        }
+
+        if (!rbac.ACCOUNT_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `account_status must be one of: ${rbac.ACCOUNT_STATUSES.join(', ')}` });
+        }
+
+        if (userId === req.user.id) {
+            return res.status(400).json({ error: "You can't change the status of your own account" });
+        }
+
+        if (status !== 'active' && !reason) {
+            return res.status(400).json({ error: 'Please give a reason' });
+        }
+
+        let suspendedUntil = null;
+        if (status === 'suspended') {
+            const numDays = parseInt(days, 10);
+            if (isNaN(numDays) || numDays < 1 || numDays > MAX_SUSPENSION_DAYS) {
+                return res.status(400).json({ error: `Suspensions last between 1 and ${MAX_SUSPENSION_DAYS} days` });
+            }
+            suspendedUntil = new Date(Date.now() + numDays * 24 * 60 * 60 * 1000);
+        }
+
+        const result = await updateUserAsAdmin(req.user.id, userId, ACCOUNT_STATUS_ACTIONS[status], {
+            account_status: status,
+            suspended_until: suspendedUntil,
+            account_status_reason: status === 'active' ? null : reason
+        }, reason || null);
+
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json(result.user);
+    } catch (error) {
+        console.error('Error changing account status:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Change a user's role: { role }
+app.put('/api/admin/users/:id/role', isAuthenticated, rbac.requirePermission('manage_users'), async (req, res) => {
+    const { role } = req.body;
+    const userId = parseInt(req.params.id, 10);
+
+    try {
+        if (!Number.isInteger(userId)) {
+            return res.status(400).json({ error: 'Invalid user' });
+        }
+
+        if (!rbac.ROLES.includes(role)) {
+            return res.status(400).json({ error: `role must be one of: ${rbac.ROLES.join(', ')}` });
+        }
+
+        if (userId === req.user.id) {
+            return res.status(400).json({ error: "You can't change your own role" });
+        }
+
+        const result = await updateUserAsAdmin(req.user.id, userId, 'user_role_change', { role });
+
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json(result.user);
+    } catch (error) {
+        console.error('Error changing user role:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Set a writer's availability, or null to take them out of the writer directory: { writer_status }
+app.put('/api/admin/users/:id/writer-status', isAuthenticated, rbac.requirePermission('manage_users'), async (req, res) => {
+    const writerStatus = req.body.writer_status === undefined ? undefined : req.body.writer_status || null;
+    const userId = parseInt(req.params.id, 10);
+
+    try {
+        if (!Number.isInteger(userId)) {
+            return res.status(400).json({ error: 'Invalid user' });
+        }
+
+        if (writerStatus === undefined || (writerStatus !== null && !WRITER_STATUSES.includes(writerStatus))) {
+            return res.status(400).json({ error: `writer_status must be null or one of: ${WRITER_STATUSES.join(', ')}` });
+        }
+
+        const result = await updateUserAsAdmin(req.user.id, userId, 'writer_status_change', {
+            writer_status: writerStatus
+        });
+
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json(result.user);
+    } catch (error) {
+        console.error('Error changing writer status:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Search requests by course, client or id, with their current assignment
+app.get('/api/admin/requests', isAuthenticated, rbac.requirePermission('manage_requests'), async (req, res) => {
+    try {
+        const conditions = [];
+        const params = [];
+
+        const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+        if (q) {
+            params.push(`%${q}%`);
+            const pattern = params.length;
+            let idMatch = '';
+            // Ids are integer columns, so longer numbers can't match one
+            if (/^\d{1,9}$/.test(q)) {
+                params.push(parseInt(q, 10));
+                idMatch = ` OR ar.id = $${params.length}`;
+            }
+            conditions.push(`(ar.course_name ILIKE $${pattern} OR ar.course_code ILIKE $${pattern}
+                OR c.name ILIKE $${pattern} OR c.email ILIKE $${pattern}${idMatch})`);
+        }
+
+        if (req.query.status) {
+            params.push(String(req.query.status));
+            conditions.push(`ar.status = $${params.length}`);
+        }
+
+        if (req.query.cursor) {
+            const cursor = decodeCursor(req.query.cursor);
+            if (!cursor) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
+            params.push(cursor.value, cursor.id);
+            conditions.push(`(ar.created_at, ar.id) < ($${params.length - 1}, $${params.length})`);
+        }
+
+        const pageSize = parsePageSize(req.query.limit);
+        params.push(pageSize + 1);
+
+        const result = await pool.query(`
+            SELECT ar.id, ar.course_name, ar.course_code, ar.assignment_type, ar.status, ar.deadline,
+                ar.estimated_cost, ar.created_at, ar.created_at::text as sort_value,
+                c.id as client_id, c.name as client_name, c.email as client_email,
+                a.id as assignment_id, a.status as assignment_status,
+                w.id as writer_id, w.name as writer_name
+            FROM assignment_requests ar
+            JOIN users c ON c.id = ar.client_id
+            LEFT JOIN LATERAL (
+                SELECT id, status, writer_id FROM assignments
+                WHERE request_id = ar.id AND status <> 'cancelled'
+                ORDER BY created_at DESC
+                LIMIT 1
+            ) a ON true
+            LEFT JOIN users w ON w.id = a.writer_id
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY ar.created_at DESC, ar.id DESC
+            LIMIT $${params.length}
+        `, params);
+
+        const hasMore = result.rows.length > pageSize;
+        const rows = hasMore ? result.rows.slice(0, pageSize) : result.rows;
+        const lastRow = rows[rows.length - 1];
+
+        res.json({
+            requests: rows.map(({ sort_value, ...request }) => request),
+            next_cursor: hasMore ? encodeCursor(lastRow.sort_value, lastRow.id) : null
+        });
+    } catch (error) {
+        console.error('Error searching requests:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Cancel a request whatever state it's in, along with its assignment: { reason }
+app.post('/api/admin/requests/:id/cancel', isAuthenticated, rbac.requirePermission('manage_requests'), async (req, res) => {
+    const requestId = parseInt(req.params.id, 10);
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim().substring(0, 1000) : '';
+    const client = await pool.connect();
+
+    try {
+        if (!Number.isInteger(requestId)) {
+            return res.status(400).json({ error: 'Invalid request' });
+        }
+
+        if (!reason) {
+            return res.status(400).json({ error: 'Please give a reason' });
+        }
+
+        await client.query('BEGIN');
+
+        const requestResult = await client.query('SELECT * FROM assignment_requests WHERE id = $1 FOR UPDATE', [requestId]);
+        if (requestResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Request not found' });
+        }
+
+        const request = requestResult.rows[0];
+        if (['completed', 'cancelled', 'expired'].includes(request.status)) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: `A ${request.status} request can't be cancelled` });
+        }
+
+        const activeAssignment = await getActiveAssignment(client, request.id);
+        let assignment = null;
+        if (activeAssignment) {
+            const cancelled = await lifecycle.transition(client, activeAssignment, 'force_cancel', req.user.id, reason, 'admin');
+            if (cancelled.error) {
+                await client.query('ROLLBACK');
+                return res.status(cancelled.status).json({ error: cancelled.error });
+            }
+            assignment = cancelled.assignment;
+            await disputes.closeOnCancel(client, assignment.id, req.user.id, reason);
+            await wallet.settleEscrow(client, assignment, { actorId: req.user.id });
+            await availability.syncStatus(client, assignment.writer_id);
+        }
+
+        const result = await client.query(`
+            UPDATE assignment_requests
+            SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+            RETURNING *
+        `, [request.id]);
+
+        await client.query(`
+            UPDATE offers
+            SET status = 'rejected', responded_at = CURRENT_TIMESTAMP
+            WHERE request_id = $1 AND status = 'pending'
+        `, [request.id]);
+
+        await client.query(`
+            UPDATE request_changes
+            SET status = 'withdrawn', responded_at = CURRENT_TIMESTAMP
+            WHERE request_id = $1 AND status = 'pending'
+        `, [request.id]);
+
+        await admin.recordAction(client, {
+            actorId: req.user.id,
+            action: 'request_force_cancel',
+            targetType: 'request',
+            targetId: request.id,
+            details: { reason, previous_status: request.status, assignment_id: assignment?.id || null }
+        });
+
+        await client.query('COMMIT');
+
+        for (const userId of [request.client_id, assignment?.writer_id]) {
+            await notifications.notify(pool, userId, 'request_cancelled_by_admin', {
+                course_name: request.course_name,
+                reason,
+                request_id: request.id
+            });
+        }
+        await events.publish(pool, 'request_cancelled', { request_id: request.id });
+        if (assignment) {
+            await events.publish(pool, 'assignment_updated', { request_id: request.id, status: 'cancelled' },
+                [request.client_id, assignment.writer_id]);
+        }
+
+        res.json({ request: result.rows[0] });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error force-cancelling request:', error);
+        res.status(500).json({ error: 'Server error' });
+    } finally {
+        client.release();
+    }
+});
+
+// Move an assignment to another writer: { writer_id, reason }
+app.post('/api/admin/assignments/:id/reassign', isAuthenticated, rbac.requirePermission('manage_requests'), async (req, res) => {
+    const writerId = parseInt(req.body.writer_id, 10);
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim().substring(0, 1000) : '';
+    const client = await pool.connect();
+
+    try {
+        if (isNaN(writerId)) {
+            return res.status(400).json({ error: 'Invalid writer' });
+        }
+
+        if (!reason) {
+            return res.status(400).json({ error: 'Please give a reason' });
+        }
+
+        await client.query('BEGIN');
+
+        const assignmentResult = await client.query(`
+            SELECT a.*, ar.course_name
+            FROM assignments a
+            JOIN assignment_requests ar ON ar.id = a.request_id
+            WHERE a.id = $1
+            FOR UPDATE OF a
+        `, [req.params.id]);
+
+        if (assignmentResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Assignment not found' });
+        }
+
+        const current = assignmentResult.rows[0];
+        if (writerId === current.writer_id) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'That writer already has this assignment' });
+        }
+        if (writerId === current.client_id) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: "The client can't write their own assignment" });
+        }
+
+        const writerResult = await client.query(
+            `SELECT id, name FROM users WHERE id = $1 AND writer_status IS NOT NULL AND ${accountIsActive('users')}`,
+            [writerId]
+        );
+        if (writerResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Writer not found' });
+        }
+
+        const writer = writerResult.rows[0];
+        const reassigned = await lifecycle.reassign(client, current, writer.id, req.user.id, reason);
+        if (reassigned.error) {
+            await client.query('ROLLBACK');
+            return res.status(reassigned.status).json({ error: reassigned.error });
+        }
+
+        // An admin can hand work to a writer who is already at capacity, so
+        // this only moves the two statuses on
+        await availability.syncStatus(client, current.writer_id);
+        await availability.syncStatus(client, writer.id);
+
+        await admin.recordAction(client, {
+            actorId: req.user.id,
+            action: 'assignment_reassign',
+            targetType: 'assignment',
+            targetId: current.id,
+            details: { reason, from_writer_id: current.writer_id, to_writer_id: writer.id }
+        });
+
+        await client.query('COMMIT');
+
+        const notice = { course_name: current.course_name, writer_name: writer.name, request_id: current.request_id };
+        await notifications.notify(pool, writer.id, 'assignment_reassigned', { ...notice, assigned_to_you: true });
+        await notifications.notify(pool, current.writer_id, 'assignment_reassigned', notice);
+        await notifications.notify(pool, current.client_id, 'assignment_reassigned', notice);
+        await events.publish(pool, 'assignment_updated', { request_id: current.request_id, status: current.status },
+            [current.client_id, current.writer_id, writer.id]);
+
+        res.json(reassigned.assignment);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error reassigning assignment:', error);
+        res.status(500).json({ error: 'Server error' });
+    } finally {
+        client.release();
+    }
+});
+
+// Disputes for the mediator, newest first. Filter with status=open|resolved.
+app.get('/api/admin/disputes', isAuthenticated, rbac.requirePermission('resolve_disputes'), async (req, res) => {
+    try {
+        const conditions = [];
+        const params = [];
+        const addParam = (value) => {
+            params.push(value);
+            return `$${params.length}`;
+        };
+
+        if (['open', 'resolved'].includes(req.query.status)) {
+            conditions.push(`d.status = ${addParam(req.query.status)}`);
+        }
+
+        if (req.query.cursor) {
+            const cursor = decodeCursor(req.query.cursor);
+            if (!cursor) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
+            conditions.push(`(d.created_at, d.id) < (${addParam(cursor.value)}, ${addParam(cursor.id)})`);
+        }
+
+        const pageSize = parsePageSize(req.query.limit);
+
+        const result = await pool.query(`
+            ${disputes.DISPUTE_QUERY}
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY d.created_at DESC, d.id DESC
+            LIMIT ${addParam(pageSize + 1)}
+        `, params);
+
+        const hasMore = result.rows.length > pageSize;
+        const rows = hasMore ? result.rows.slice(0, pageSize) : result.rows;
+        const lastRow = rows[rows.length - 1];
+
+        res.json({
+            disputes: rows.map(disputes.format),
+            next_cursor: hasMore ? encodeCursor(lastRow.sort_value, lastRow.id) : null
+        });
+    } catch (error) {
+        console.error('Error fetching disputes:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Settle a dispute: { outcome, refund_amount, note, void_ratings }
+app.post('/api/admin/disputes/:id/resolve', isAuthenticated, rbac.requirePermission('resolve_disputes'), async (req, res) => {
+    const note = typeof req.body.note === 'string' ? req.body.note.trim() : '';
+    const voidRatings = req.body.void_ratings === true;
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const lockResult = await client.query('SELECT id FROM disputes WHERE id = $1 FOR UPDATE', [req.params.id]);
+        if (lockResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Dispute not found' });
+        }
+
+        const dispute = await disputes.get(client, req.params.id);
+        const result = await disputes.resolve(client, dispute, req.user.id, {
+            outcome: req.body.outcome,
+            refundAmount: req.body.refund_amount,
+            note,
+            voidRatings
+        });
+
+        if (result.error) {
+            await client.query('ROLLBACK');
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        if (voidRatings) {
+            await client.query(`
+                UPDATE ratings
+                SET hidden_at = CURRENT_TIMESTAMP, hidden_by = $1, hidden_reason = 'Voided when the dispute was resolved'
+                WHERE assignment_request_id = $2 AND hidden_at IS NULL
+            `, [req.user.id, dispute.request_id]);
+            await recalculateUserRating(client, dispute.client_id);
+            await recalculateUserRating(client, dispute.writer_id);
+        }
+
+        await admin.recordAction(client, {
+            actorId: req.user.id,
+            action: 'dispute_resolve',
+            targetType: 'dispute',
+            targetId: dispute.id,
+            details: {
+                reason: note,
+                outcome: result.dispute.outcome,
+                refund_amount: result.dispute.refund_amount,
+                ratings_voided: voidRatings
+            }
+        });
+
+        await client.query('COMMIT');
+
+        for (const userId of [dispute.client_id, dispute.writer_id]) {
+            await notifications.notify(pool, userId, 'dispute_resolved', {
+                course_name: dispute.course_name,
+                outcome: result.dispute.outcome,
+                note,
+                request_id: dispute.request_id
+            });
+        }
+        await events.publish(pool, 'assignment_updated', { request_id: dispute.request_id, status: result.assignment.status },
+            [dispute.client_id, dispute.writer_id]);
+
+        res.json({ dispute: result.dispute });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error resolving dispute:', error);
+        res.status(500).json({ error: 'Server error' });
+    } finally {
+        client.release();
+    }
+});
+
+// The audit log, newest first. Filter with action, actor_id, target_type and target_id.
+app.get('/api/admin/audit-log', isAuthenticated, rbac.requirePermission('view_audit_log'), async (req, res) => {
+    try {
+        const conditions = [];
+        const params = [];
+        const addParam = (value) => {
+            params.push(value);
+            return `$${params.length}`;
+        };
+
+        if (req.query.action) {
+            conditions.push(`l.action = ${addParam(String(req.query.action))}`);
+        }
+        if (req.query.actor_id) {
+            conditions.push(`l.actor_id = ${addParam(parseInt(req.query.actor_id, 10) || 0)}`);
+        }
+        if (req.query.target_type) {
+            conditions.push(`l.target_type = ${addParam(String(req.query.target_type))}`);
+        }
+        if (req.query.target_id) {
+            conditions.push(`l.target_id = ${addParam(parseInt(req.query.target_id, 10) || 0)}`);
+        }
+
+        if (req.query.cursor) {
+            const cursor = decodeCursor(req.query.cursor);
+            if (!cursor) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
+            conditions.push(`(l.created_at, l.id) < (${addParam(cursor.value)}, ${addParam(cursor.id)})`);
+        }
+
+        const pageSize = parsePageSize(req.query.limit);
+
+        const result = await pool.query(`
+            SELECT l.id, l.action, l.target_type, l.target_id, l.details, l.created_at,
+                l.created_at::text as sort_value, u.id as actor_id, u.name as actor_name
+            FROM admin_audit_log l
+            LEFT JOIN users u ON u.id = l.actor_id
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY l.created_at DESC, l.id DESC
+            LIMIT ${addParam(pageSize + 1)}
+        `, params);
+
+        const hasMore = result.rows.length > pageSize;
+        const rows = hasMore ? result.rows.slice(0, pageSize) : result.rows;
+        const lastRow = rows[rows.length - 1];
+
+        res.json({
+            entries: rows.map(({ sort_value, ...entry }) => entry),
+            next_cursor: hasMore ? encodeCursor(lastRow.sort_value, lastRow.id) : null
+        });
+    } catch (error) {
+        console.error('Error fetching audit log:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Clear data on a staging server: { scopes: ['requests', 'ratings', 'notifications', 'wallets'] }.
+// Refused unless ALLOW_DATA_RESET=true, so it can't run against production by accident.
+app.post('/api/admin/reset', isAuthenticated, rbac.requirePermission('reset_data'), async (req, res) => {
+    const scopes = Array.isArray(req.body.scopes) ? req.body.scopes : [];
+    const validScopes = Object.keys(admin.RESET_SCOPES);
+
+    if (!config.allowDataReset) {
+        return res.status(403).json({ error: 'Data reset is disabled on this server' });
+    }
+
+    if (scopes.length === 0 || scopes.some(scope => !validScopes.includes(scope))) {
+        return res.status(400).json({ error: `scopes must list one or more of: ${validScopes.join(', ')}` });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const { deleted, storageKeys } = await admin.resetData(client, scopes);
+
+        await admin.recordAction(client, {
+            actorId: req.user.id,
+            action: 'data_reset',
+            details: { scopes, deleted }
+        });
+
+        await client.query('COMMIT');
+
+        await admin.removeStoredFiles(storageKeys);
+
+        res.json({ message: `Cleared ${scopes.join(', ')}`, deleted });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error resetting data:', error);
+        res.status(500).json({ error: 'Server error' });
+    } finally {
+        client.release();
+    }
+});
+
+// Get user profile
+app.get('/api/profile', isAuthenticated, async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT u.*, wp.sample_work_image, wp.description as portfolio_description
+            FROM users u
+            LEFT JOIN writer_portfolios wp ON wp.writer_id = u.id
+            WHERE u.id = $1
+        `, [req.user.id]);
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        const user = result.rows[0];
+        const { portfolio_description, sample_work_image, ...userData } = user;
+        
+        res.json({
+            ...userData,
+            workload: availability.formatWorkload(await availability.getWorkload(pool, user.id)),
+            portfolio: {
+                description: portfolio_description,
+                items: await portfolio.list(pool, user.id)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching profile:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Update writer profile. writer_status can be set to active or inactive;
+// active writers show as busy automatically while they are at capacity.
+// max_concurrent_assignments and vacation_until are optional, see availability.validateSettings.
+app.put('/api/profile/writer', isAuthenticated, async (req, res) => {
+    const { university_stream, writer_status } = req.body;
+    
+    try {
+        console.log('Updating writer profile with data:', { university_stream, writer_status });
+        console.log('User ID:', req.user.id);
+        
+        // Validate writer_status
+        if (writer_status && !['active', 'inactive'].includes(writer_status)) {
+            console.log('Invalid writer status:', writer_status);
+            return res.status(400).json({
+                error: writer_status === 'busy'
+                    ? 'Busy is set automatically while you are at your assignment limit'
+                    : 'Invalid writer status'
+            });
+        }
+
+        const { error, settings } = availability.validateSettings(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const sets = ['university_stream = $1', 'writer_status = $2'];
+        const params = [university_stream, writer_status];
+        Object.entries(settings).forEach(([column, value]) => {
+            params.push(value);
+            sets.push(`${column} = $${params.length}`);
+        });
+        params.push(req.user.id);
+        
+        const result = await pool.query(`
+            UPDATE users 
+            SET ${sets.join(', ')}
+            WHERE id = $${params.length}
+            RETURNING *
+        `, params);
+        
+        if (result.rows.length === 0) {
+            console.log('User not found for ID:', req.user.id);
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        // Switching back to active, or changing the limit, may put the writer at capacity
+        await availability.syncStatus(pool, req.user.id);
+        const workload = await availability.getWorkload(pool, req.user.id);
+        
+        console.log('Writer profile updated successfully:', result.rows[0]);
+        res.json({
+            ...result.rows[0],
+            writer_status: workload.writer_status,
+            workload: availability.formatWorkload(workload)
+        });
+    } catch (error) {
+        console.error('Error updating writer profile:', error);
+        res.status(500).json({ error: 'Server error: ' + error.message });
+    }
+});
+
+// Update writer portfolio
+app.post('/api/profile/portfolio', isAuthenticated, async (req, res) => {
+    const { description } = req.body;
+    
+    try {
+        const result = await pool.query(`
+            INSERT INTO writer_portfolios (writer_id, description)
+            VALUES ($1, $2)
+            ON CONFLICT (writer_id) 
+            DO UPDATE SET 
+                description = EXCLUDED.description,
+                updated_at = CURRENT_TIMESTAMP
+            RETURNING description
+        `, [req.user.id, description]);
+        
+        res.json(result.rows[0]);
+    } catch (error) {
+        console.error('Error updating writer portfolio:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Add a work sample to the current writer's portfolio
+app.post('/api/profile/portfolio/items', isAuthenticated, portfolio.upload, async (req, res) => {
+    try {
+        const result = await portfolio.create(pool, req.user.id, req.files[0], req.body);
+
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.status(201).json(result.item);
+    } catch (error) {
+        console.error('Error adding portfolio item:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Reorder the portfolio: { item_ids: [...] } lists every sample in its new order
+app.put('/api/profile/portfolio/order', isAuthenticated, async (req, res) => {
+    try {
+        const result = await portfolio.reorder(pool, req.user.id, req.body.item_ids);
+
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({ items: result.items });
+    } catch (error) {
+        console.error('Error reordering portfolio:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Edit a sample's caption or subject
+app.put('/api/profile/portfolio/items/:id', isAuthenticated, async (req, res) => {
+    try {
+        const result = await portfolio.update(pool, req.user.id, req.params.id, req.body);
+
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json(result.item);
+    } catch (error) {
+        console.error('Error updating portfolio item:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.delete('/api/profile/portfolio/items/:id', isAuthenticated, async (req, res) => {
+    try {
+        const result = await portfolio.remove(pool, req.user.id, req.params.id);
+
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({ message: 'Portfolio item removed' });
+    } catch (error) {
+        console.error('Error removing portfolio item:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Serve a portfolio sample's full image or its gallery thumbnail
+app.get('/api/portfolio-items/:id/:variant(image|thumbnail)', isAuthenticated, async (req, res) => {
+    try {
+        if (!await portfolio.sendImage(pool, res, req.params.id, req.params.variant)) {
+            res.status(404).json({ error: 'Image not found' });
+        }
+    } catch (error) {
+        console.error('Error serving portfolio image:', error);
+        if (!res.headersSent) {
+            res.status(error.code === 'ENOENT' ? 404 : 500).json({ error: error.code === 'ENOENT' ? 'Image not found' : 'Server error' });
+        }
+    }
+});
 
 // Submit rating
 app.post('/api/ratings', isAuthenticated, async (req, res) => {
     const { rated_id, rating, comment, assignment_request_id } = req.body;
+    const client = await pool.connect();
     
     try {
-        console.log('Received rating submission:', { 
-            rater_id: req.user.id, 
-            rated_id, 
-            rating, 
-            comment, 
-            assignment_request_id 
+        console.log('Received rating submission:', { 
+            rater_id: req.user.id, 
+            rated_id, 
+            rating, 
+            comment, 
+            assignment_request_id 
+        });
+        
+        // Validate input
+        if (!rated_id || !rating || !assignment_request_id) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
+
+        // Ratings are only open once the client has accepted the work, and only
+        // for the other party on the assignment
+        const assignmentResult = await pool.query(`
+            SELECT a.writer_id, a.client_id,
+                EXISTS (SELECT 1 FROM disputes d WHERE d.assignment_id = a.id AND d.ratings_voided) as ratings_voided
+            FROM assignments a
+            WHERE a.request_id = $1 AND a.status = 'completed' AND (a.writer_id = $2 OR a.client_id = $2)
+            ORDER BY a.created_at DESC
+            LIMIT 1
+        `, [assignment_request_id, req.user.id]);
+
+        if (assignmentResult.rows.length === 0) {
+            return res.status(409).json({ error: 'You can leave a rating once the client has accepted the work' });
+        }
+
+        const { writer_id, client_id, ratings_voided } = assignmentResult.rows[0];
+        if (ratings_voided) {
+            return res.status(409).json({ error: 'Ratings for this assignment were voided when its dispute was resolved' });
+        }
+
+        if (Number(rated_id) !== (req.user.id === writer_id ? client_id : writer_id)) {
+            return res.status(400).json({ error: 'You can only rate the other party on this assignment' });
+        }
+        
+        // Start transaction
+        await client.query('BEGIN');
+        
+        // Check if rating already exists
+        const existingRating = await client.query(`
+            SELECT id FROM ratings 
+            WHERE ratings.rater_id = $1 AND ratings.assignment_request_id = $2
+        `, [req.user.id, assignment_request_id]);
+        
+        if (existingRating.rows.length > 0) {
+            // Update existing rating instead of inserting a new one
+            await client.query(`
+                UPDATE ratings 
+                SET rating = $1, comment = $2, created_at = CURRENT_TIMESTAMP
+                WHERE rater_id = $3 AND assignment_request_id = $4
+            `, [rating, comment, req.user.id, assignment_request_id]);
+            console.log(`Updated existing rating for assignment ${assignment_request_id}`);
+        } else {
+            // Add new rating
+            await client.query(`
+                INSERT INTO ratings (rater_id, rated_id, rating, comment, assignment_request_id, rated_role)
+                VALUES ($1, $2, $3, $4, $5, $6)
+            `, [req.user.id, rated_id, rating, comment, assignment_request_id, Number(rated_id) === writer_id ? 'writer' : 'client']);
+            console.log(`Added new rating for assignment ${assignment_request_id}`);
+        }
+        
+        // Update user's average rating
+        await recalculateUserRating(client, rated_id);
+        
+        await client.query('COMMIT');
+
+        const requestResult = await pool.query('SELECT course_name FROM assignment_requests WHERE id = $1', [assignment_request_id]);
+        await notifications.notify(pool, rated_id, 'rating_received', {
+            actor_name: req.user.name,
+            course_name: requestResult.rows[0]?.course_name,
+            rating,
+            request_id: assignment_request_id
+        });
+        await events.publish(pool, 'rating_created', { request_id: assignment_request_id, rater_id: req.user.id, rating },
+            [req.user.id, rated_id]);
+
+        res.status(201).json({ message: 'Rating submitted successfully' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error submitting rating:', error);
+        res.status(500).json({ error: 'Server error: ' + error.message });
+    } finally {
+        client.release();
+    }
+});
+
+// Get user's assignments (temporary version without authentication for testing)
+app.get('/api/my-assignments-test', async (req, res) => {
+    try {
+        // For testing purposes, we'll return generic sample data
+        const sampleData = {
+            role: 'client',
+            assignments: [
+                {
+                    id: 1,
+                    request_id: 1,
+                    writer: {
+                        id: 2,
+                        name: 'Writer Name',
+                        email: 'writer@example.com',
+                        profile_picture: '',
+                        rating: 4.5, // Ensure this is a number
+                        total_ratings: 3
+                    },
+                    client: {
+                        id: 1,
+                        name: 'Client Name',
+                        email: 'client@example.com',
+                        profile_picture: '',
+                        rating: 4.0, // Ensure this is a number
+                        total_ratings: 2
+                    },
+                    status: 'in_progress',
+                    created_at: '2023-01-01T00:00:00Z',
+                    completed_at: null,
+                    course_name: 'Sample Course',
+                    course_code: 'CS101',
+                    assignment_type: 'Assignment',
+                    num_pages: 5,
+                    deadline: '2023-04-15T00:00:00Z',
+                    estimated_cost: 500,
+                    unread_messages: 0,
+                    has_rated_writer: false,
+                    has_rated_client: false
+                }
+            ]
+        };
+        
+        res.json(sampleData);
+    } catch (error) {
+        console.error('Error in test endpoint:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Who hears about each lifecycle action: the other party, with this notification type
+const LIFECYCLE_NOTIFICATIONS = {
+    submit: 'work_submitted',
+    request_revision: 'revision_requested',
+    accept: 'assignment_completed',
+    dispute: 'assignment_disputed'
+};
+
+// Move an assignment through its lifecycle: the writer submits the work and
+// the client accepts it or asks for a revision. Disputes have their own route.
+app.post('/api/assignments/:id/:action(submit|request-revision|accept)', isAuthenticated, async (req, res) => {
+    const action = req.params.action.replace('-', '_');
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const assignmentResult = await client.query(`
+            SELECT a.*, ar.course_name
+            FROM assignments a
+            JOIN assignment_requests ar ON ar.id = a.request_id
+            WHERE a.id = $1
+            FOR UPDATE OF a
+        `, [req.params.id]);
+
+        if (assignmentResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Assignment not found' });
+        }
+
+        const current = assignmentResult.rows[0];
+        const result = await lifecycle.transition(client, current, action, req.user.id, req.body.note);
+
+        if (result.error) {
+            await client.query('ROLLBACK');
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        // Accepting the work closes out the request as well and pays the writer
+        if (action === 'accept') {
+            await client.query(`
+                UPDATE assignment_requests
+                SET status = 'completed', updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+            `, [current.request_id]);
+            await wallet.settleEscrow(client, result.assignment, { actorId: req.user.id });
+            await availability.syncStatus(client, result.assignment.writer_id);
+        }
+
+        await client.query('COMMIT');
+
+        const otherParty = req.user.id === current.writer_id ? current.client_id : current.writer_id;
+        await notifications.notify(pool, otherParty, LIFECYCLE_NOTIFICATIONS[action], {
+            actor_name: req.user.name,
+            course_name: current.course_name,
+            note: req.body.note,
+            request_id: current.request_id
+        });
+        await events.publish(pool, 'assignment_updated', { request_id: current.request_id, status: result.assignment.status },
+            [current.client_id, current.writer_id]);
+
+        res.json(result.assignment);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error(`Error applying ${action} to assignment:`, error);
+        res.status(500).json({ error: 'Server error' });
+    } finally {
+        client.release();
+    }
+});
+
+// Either party disputes an assignment: { reason }. The assignment is frozen in
+// the disputed state, pending changes are withdrawn and an admin mediates in
+// the dispute thread. Evidence is uploaded to the dispute afterwards.
+app.post('/api/assignments/:id/disputes', isAuthenticated, async (req, res) => {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const assignmentResult = await client.query(`
+            SELECT a.*, ar.course_name
+            FROM assignments a
+            JOIN assignment_requests ar ON ar.id = a.request_id
+            WHERE a.id = $1
+            FOR UPDATE OF a
+        `, [req.params.id]);
+
+        if (assignmentResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Assignment not found' });
+        }
+
+        const current = assignmentResult.rows[0];
+        const result = await lifecycle.transition(client, current, 'dispute', req.user.id, reason);
+
+        if (result.error) {
+            await client.query('ROLLBACK');
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        const opened = await disputes.open(client, current, req.user.id, reason);
+
+        await client.query(`
+            UPDATE request_changes
+            SET status = 'withdrawn', responded_at = CURRENT_TIMESTAMP
+            WHERE request_id = $1 AND status = 'pending'
+        `, [current.request_id]);
+
+        await client.query('COMMIT');
+
+        const otherParty = req.user.id === current.writer_id ? current.client_id : current.writer_id;
+        await notifications.notify(pool, otherParty, LIFECYCLE_NOTIFICATIONS.dispute, {
+            actor_name: req.user.name,
+            course_name: current.course_name,
+            note: reason,
+            request_id: current.request_id
+        });
+        await events.publish(pool, 'assignment_updated', { request_id: current.request_id, status: result.assignment.status },
+            [current.client_id, current.writer_id]);
+
+        res.status(201).json({ dispute: disputes.format(await disputes.get(pool, opened.id)) });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error opening dispute:', error);
+        res.status(500).json({ error: 'Server error' });
+    } finally {
+        client.release();
+    }
+});
+
+const isDisputeParty = (dispute, userId) => dispute.client_id === userId || dispute.writer_id === userId;
+
+// The two parties and anyone who can resolve disputes see the whole dispute
+const canViewDispute = (dispute, user) => isDisputeParty(dispute, user.id) || rbac.can(user, 'resolve_disputes');
+
+// A dispute with its thread, its evidence and every other file on the request
+app.get('/api/disputes/:id', isAuthenticated, async (req, res) => {
+    try {
+        const dispute = await disputes.get(pool, req.params.id);
+
+        if (!dispute) {
+            return res.status(404).json({ error: 'Dispute not found' });
+        }
+
+        if (!canViewDispute(dispute, req.user)) {
+            return res.status(403).json({ error: 'You do not have access to this dispute' });
+        }
+
+        const files = await attachments.listForRequest(pool, dispute.request_id);
+
+        res.json({
+            dispute: disputes.format(dispute),
+            messages: await disputes.getMessages(pool, dispute.id),
+            evidence: files.filter(file => file.dispute_id === dispute.id),
+            attachments: files.filter(file => file.kind !== 'evidence'),
+            can_add_evidence: dispute.status === 'open' && isDisputeParty(dispute, req.user.id),
+            can_resolve: dispute.status === 'open' && rbac.can(req.user, 'resolve_disputes')
+        });
+    } catch (error) {
+        console.error('Error fetching dispute:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Post to the dispute thread. Everyone else on the dispute is notified.
+app.post('/api/disputes/:id/messages', isAuthenticated, async (req, res) => {
+    try {
+        const dispute = await disputes.get(pool, req.params.id);
+
+        if (!dispute) {
+            return res.status(404).json({ error: 'Dispute not found' });
+        }
+
+        if (!canViewDispute(dispute, req.user)) {
+            return res.status(403).json({ error: 'You do not have access to this dispute' });
+        }
+
+        const result = await disputes.addMessage(pool, dispute, req.user, req.body.body);
+
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        for (const userId of [dispute.client_id, dispute.writer_id].filter(id => id !== req.user.id)) {
+            await notifications.notify(pool, userId, 'dispute_message', {
+                actor_name: req.user.name,
+                course_name: dispute.course_name,
+                request_id: dispute.request_id
+            });
+        }
+        await events.publish(pool, 'dispute_message', { dispute_id: dispute.id, message: result.message },
+            [dispute.client_id, dispute.writer_id]);
+
+        res.status(201).json(result.message);
+    } catch (error) {
+        console.error('Error posting dispute message:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Either party uploads evidence while the dispute is open
+app.post('/api/disputes/:id/attachments', isAuthenticated, attachments.upload, async (req, res) => {
+    try {
+        const dispute = await disputes.get(pool, req.params.id);
+
+        if (!dispute) {
+            return res.status(404).json({ error: 'Dispute not found' });
+        }
+
+        if (!isDisputeParty(dispute, req.user.id)) {
+            return res.status(403).json({ error: 'Only the client and writer can upload evidence' });
+        }
+
+        if (dispute.status !== 'open') {
+            return res.status(409).json({ error: 'This dispute has been resolved' });
+        }
+
+        const result = await attachments.saveFiles(pool, req.files, {
+            requestId: dispute.request_id,
+            assignmentId: dispute.assignment_id,
+            disputeId: dispute.id,
+            kind: 'evidence',
+            user: req.user
+        });
+
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.status(201).json({ attachments: result.attachments });
+    } catch (error) {
+        console.error('Error uploading dispute evidence:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Look up the client and assigned writer of a request. Returns null if the request doesn't exist.
+const getRequestParticipants = async (requestId) => {
+    const result = await pool.query(`
+        SELECT ar.id, ar.client_id, a.writer_id
+        FROM assignment_requests ar
+        LEFT JOIN LATERAL (
+            SELECT writer_id FROM assignments
+            WHERE request_id = ar.id
+            ORDER BY created_at DESC
+            LIMIT 1
+        ) a ON true
+        WHERE ar.id = $1
+    `, [requestId]);
+
+    return result.rows[0] || null;
+};
+
+// Only the client and the assigned writer can take part in a request's thread
+const isThreadParticipant = (participants, userId) => {
+    return participants.writer_id !== null &&
+        (participants.client_id === userId || participants.writer_id === userId);
+};
+
+// Get the message thread for an assignment request
+app.get('/api/assignment-requests/:id/messages', isAuthenticated, async (req, res) => {
+    try {
+        const participants = await getRequestParticipants(req.params.id);
+
+        if (!participants) {
+            return res.status(404).json({ error: 'Request not found' });
+        }
+
+        if (!isThreadParticipant(participants, req.user.id)) {
+            return res.status(403).json({ error: 'You are not part of this conversation' });
+        }
+
+        const result = await pool.query(`
+            SELECT m.id, m.sender_id, m.body, m.created_at, m.read_at,
+                   u.name as sender_name, u.profile_picture as sender_profile_picture
+            FROM messages m
+            JOIN users u ON u.id = m.sender_id
+            WHERE m.request_id = $1
+            ORDER BY m.created_at ASC
+        `, [req.params.id]);
+
+        res.json({
+            messages: result.rows.map(m => ({
+                ...m,
+                is_mine: m.sender_id === req.user.id
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching messages:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Send a message in an assignment request's thread
+app.post('/api/assignment-requests/:id/messages', isAuthenticated, async (req, res) => {
+    const body = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+
+    try {
+        if (!body) {
+            return res.status(400).json({ error: 'Message cannot be empty' });
+        }
+
+        if (body.length > 2000) {
+            return res.status(400).json({ error: 'Message must be 2000 characters or less' });
+        }
+
+        const participants = await getRequestParticipants(req.params.id);
+
+        if (!participants) {
+            return res.status(404).json({ error: 'Request not found' });
+        }
+
+        if (!isThreadParticipant(participants, req.user.id)) {
+            return res.status(403).json({ error: 'You are not part of this conversation' });
+        }
+
+        const result = await pool.query(`
+            INSERT INTO messages (request_id, sender_id, body)
+            VALUES ($1, $2, $3)
+            RETURNING id, sender_id, body, created_at, read_at
+        `, [req.params.id, req.user.id, body]);
+
+        res.status(201).json({
+            ...result.rows[0],
+            sender_name: req.user.name,
+            sender_profile_picture: req.user.profile_picture,
+            is_mine: true
+        });
+    } catch (error) {
+        console.error('Error sending message:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Mark every message from the other party in a thread as read
+app.put('/api/assignment-requests/:id/messages/read', isAuthenticated, async (req, res) => {
+    try {
+        const participants = await getRequestParticipants(req.params.id);
+
+        if (!participants) {
+            return res.status(404).json({ error: 'Request not found' });
+        }
+
+        if (!isThreadParticipant(participants, req.user.id)) {
+            return res.status(403).json({ error: 'You are not part of this conversation' });
+        }
+
+        const result = await pool.query(`
+            UPDATE messages
+            SET read_at = CURRENT_TIMESTAMP
+            WHERE request_id = $1 AND sender_id <> $2 AND read_at IS NULL
+        `, [req.params.id, req.user.id]);
+
+        res.json({ marked_read: result.rowCount });
+    } catch (error) {
+        console.error('Error marking messages as read:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Unread message counts for every thread the user is part of
+app.get('/api/messages/unread', isAuthenticated, async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT m.request_id, COUNT(*)::int as unread
+            FROM messages m
+            JOIN assignment_requests ar ON ar.id = m.request_id
+            WHERE m.sender_id <> $1
+              AND m.read_at IS NULL
+              AND (ar.client_id = $1 OR EXISTS (
+                  SELECT 1 FROM assignments a WHERE a.request_id = ar.id AND a.writer_id = $1
+              ))
+            GROUP BY m.request_id
+        `, [req.user.id]);
+
+        const byRequest = {};
+        let total = 0;
+        result.rows.forEach(row => {
+            byRequest[row.request_id] = row.unread;
+            total += row.unread;
+        });
+
+        res.json({ total, by_request: byRequest });
+    } catch (error) {
+        console.error('Error fetching unread message counts:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Only the client and the writer currently assigned can see a request's files
+const canAccessAttachments = (participants, userId) => {
+    return participants.client_id === userId || participants.writer_id === userId;
+};
+
+// Files on a request: the client's briefs and the writer's deliverables
+app.get('/api/assignment-requests/:id/attachments', isAuthenticated, async (req, res) => {
+    try {
+        const participants = await getRequestParticipants(req.params.id);
+
+        if (!participants) {
+            return res.status(404).json({ error: 'Request not found' });
+        }
+
+        if (!canAccessAttachments(participants, req.user.id)) {
+            return res.status(403).json({ error: 'You do not have access to these files' });
+        }
+
+        res.json({ attachments: await attachments.listForRequest(pool, req.params.id) });
+    } catch (error) {
+        console.error('Error fetching attachments:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// The client attaches the brief, rubric or reference material to their request
+app.post('/api/assignment-requests/:id/attachments', isAuthenticated, attachments.upload, async (req, res) => {
+    try {
+        const requestResult = await pool.query('SELECT id, client_id, status FROM assignment_requests WHERE id = $1', [req.params.id]);
+
+        if (requestResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Request not found' });
+        }
+
+        const request = requestResult.rows[0];
+
+        if (request.client_id !== req.user.id) {
+            return res.status(403).json({ error: 'Only the client can attach files to this request' });
+        }
+
+        if (['completed', 'cancelled', 'expired'].includes(request.status)) {
+            return res.status(409).json({ error: `Can't attach files to a ${request.status} request` });
+        }
+
+        const result = await attachments.saveFiles(pool, req.files, {
+            requestId: request.id,
+            kind: 'brief',
+            user: req.user
+        });
+
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.status(201).json({ attachments: result.attachments });
+    } catch (error) {
+        console.error('Error uploading request attachments:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// The writer hands over finished work before submitting it
+app.post('/api/assignments/:id/attachments', isAuthenticated, attachments.upload, async (req, res) => {
+    try {
+        const assignmentResult = await pool.query('SELECT id, request_id, writer_id, status FROM assignments WHERE id = $1', [req.params.id]);
+
+        if (assignmentResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Assignment not found' });
+        }
+
+        const assignment = assignmentResult.rows[0];
+
+        if (assignment.writer_id !== req.user.id) {
+            return res.status(403).json({ error: 'Only the writer can upload deliverables' });
+        }
+
+        if (!lifecycle.TRANSITIONS.submit.from.includes(assignment.status)) {
+            return res.status(409).json({ error: `Can't upload deliverables to an assignment that is ${assignment.status.replace('_', ' ')}` });
+        }
+
+        const result = await attachments.saveFiles(pool, req.files, {
+            requestId: assignment.request_id,
+            assignmentId: assignment.id,
+            kind: 'deliverable',
+            user: req.user
         });
-        
-        // Validate input
-        if (!rated_id || !rating || !assignment_request_id) {
-            return res.status(400).json({ error: 'Missing required fields' });
+
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
         }
-        
-        // Start transaction
-        await pool.query('BEGIN');
-        
-        // Check if rating already exists
-        const existingRating = await pool.query(`
-            SELECT id FROM ratings 
-            WHERE ratings.rater_id = $1 AND ratings.assignment_request_id = $2
-        `, [req.user.id, assignment_request_id]);
-        
-        if (existingRating.rows.length > 0) {
-            // Update existing rating instead of inserting a new one
-            await pool.query(`
-                UPDATE ratings 
-                SET rating = $1, comment = $2, created_at = CURRENT_TIMESTAMP
-                WHERE rater_id = $3 AND assignment_request_id = $4
-            `, [rating, comment, req.user.id, assignment_request_id]);
-            console.log(`Updated existing rating for assignment ${assignment_request_id}`);
-        } else {
-            // Add new rating
-            await pool.query(`
-                INSERT INTO ratings (rater_id, rated_id, rating, comment, assignment_request_id)
-                VALUES ($1, $2, $3, $4, $5)
-            `, [req.user.id, rated_id, rating, comment, assignment_request_id]);
-            console.log(`Added new rating for assignment ${assignment_request_id}`);
+
+        res.status(201).json({ attachments: result.attachments });
+    } catch (error) {
+        console.error('Error uploading deliverables:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Look up an attachment along with the request's participants and the state
+// of whatever it is attached to
+const getAttachment = async (attachmentId) => {
+    const result = await pool.query(`
+        SELECT at.*, ar.status as request_status, a.status as assignment_status, d.status as dispute_status,
+            EXISTS (SELECT 1 FROM disputes rd JOIN assignments ra ON ra.id = rd.assignment_id WHERE ra.request_id = at.request_id) as request_disputed
+        FROM attachments at
+        JOIN assignment_requests ar ON ar.id = at.request_id
+        LEFT JOIN assignments a ON a.id = at.assignment_id
+        LEFT JOIN disputes d ON d.id = at.dispute_id
+        WHERE at.id = $1
+    `, [attachmentId]);
+
+    return result.rows[0] || null;
+};
+
+// Download a file, or view it in the browser with ?inline=1
+app.get('/api/attachments/:id', isAuthenticated, async (req, res) => {
+    try {
+        const attachment = await getAttachment(req.params.id);
+
+        if (!attachment) {
+            return res.status(404).json({ error: 'File not found' });
         }
-        
-        // Update user's average rating
-        await pool.query(`
-            WITH rating_stats AS (
-                SELECT 
-                    rated_id,
-                    AVG(rating)::numeric(3,2) as avg_rating,
-                    COUNT(*) as total_ratings
-                FROM ratings
-                WHERE rated_id = $1
-                GROUP BY rated_id
-            )
-            UPDATE users
-            SET rating = rs.avg_rating,
-                total_ratings = rs.total_ratings
-            FROM rating_stats rs
-            WHERE users.id = rs.rated_id
-        `, [rated_id]);
-        
-        // Update assignment status to completed
-        const updateAssignmentResult = await pool.query(`
-            UPDATE assignments
-            SET status = 'completed',
-                completed_at = CURRENT_TIMESTAMP
-            FROM assignment_requests ar
-            WHERE ar.id = $1
-            AND assignments.request_id = ar.id
-            RETURNING assignments.id, assignments.status
-        `, [assignment_request_id]);
-        
-        if (updateAssignmentResult.rows.length > 0) {
-            console.log(`Assignment ${updateAssignmentResult.rows[0].id} status updated to: ${updateAssignmentResult.rows[0].status}`);
+
+        const participants = await getRequestParticipants(attachment.request_id);
+
+        // Mediators can see every file on a disputed request
+        const isMediator = attachment.request_disputed && rbac.can(req.user, 'resolve_disputes');
+
+        if (!canAccessAttachments(participants, req.user.id) && !isMediator) {
+            return res.status(403).json({ error: 'You do not have access to this file' });
+        }
+
+        await attachments.send(res, attachment, req.query.inline === '1');
+    } catch (error) {
+        console.error('Error downloading attachment:', error);
+        if (!res.headersSent) {
+            res.status(error.code === 'ENOENT' ? 404 : 500).json({ error: error.code === 'ENOENT' ? 'File not found' : 'Server error' });
+        }
+    }
+});
+
+// The uploader can remove a file while the work it belongs to is still open
+app.delete('/api/attachments/:id', isAuthenticated, async (req, res) => {
+    try {
+        const attachment = await getAttachment(req.params.id);
+
+        if (!attachment) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        if (attachment.uploaded_by !== req.user.id) {
+            return res.status(403).json({ error: 'Only the person who uploaded a file can remove it' });
+        }
+
+        let locked;
+        if (attachment.kind === 'evidence') {
+            locked = attachment.dispute_status !== 'open';
+        } else if (attachment.kind === 'deliverable') {
+            locked = !lifecycle.TRANSITIONS.submit.from.includes(attachment.assignment_status);
         } else {
-            console.log(`No assignment found for request ID ${assignment_request_id}`);
-            
-            // Try to find the assignment to debug
-            const findAssignment = await pool.query(`
-                SELECT a.id, a.status, a.request_id 
-                FROM assignments a
-                JOIN assignment_requests ar ON a.request_id = ar.id
-                WHERE ar.id = $1
-            `, [assignment_request_id]);
-            
-            if (findAssignment.rows.length > 0) {
-                console.log(`Found assignment: `, findAssignment.rows[0]);
-            } else {
-                console.log(`No assignment record exists for request ID ${assignment_request_id}`);
-            }
+            locked = ['completed', 'cancelled', 'expired'].includes(attachment.request_status);
         }
-        
-        await pool.query('COMMIT');
-        res.status(201).json({ message: 'Rating submitted successfully and assignment marked as completed' });
+
+        if (locked) {
+            return res.status(409).json({ error: 'This file can no longer be removed' });
+        }
+
+        await attachments.remove(pool, attachment);
+        res.json({ message: 'File removed' });
     } catch (error) {
-        await pool.query('ROLLBACK');
-        console.error('Error submitting rating:', error);
-        res.status(500).json({ error: 'Server error: ' + error.message });
+        console.error('Error removing attachment:', error);
+        res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Get user's assignments (temporary version without authentication for testing)
-app.get('/api/my-assignments-test', async (req, res) => {
+// The current user's wallet balances
+app.get('/api/wallet', isAuthenticated, async (req, res) => {
     try {
-        // For testing purposes, we'll return generic sample data
-        const sampleData = {
-            role: 'client',
-            assignments: [
-                {
-                    id: 1,
-                    request_id: 1,
-                    writer: {
-                        id: 2,
-                        name: 'Writer Name',
-                        email: 'writer@example.com',
-                        profile_picture: '',
-                        rating: 4.5, // Ensure this is a number
-                        total_ratings: 3,
-                        whatsapp_number: '1234567890'
-                    },
-                    client: {
-                        id: 1,
-                        name: 'Client Name',
-                        email: 'client@example.com',
-                        profile_picture: '',
-                        rating: 4.0, // Ensure this is a number
-                        total_ratings: 2,
-                        whatsapp_number: '0987654321'
-                    },
-                    status: 'in_progress',
-                    created_at: '2023-01-01T00:00:00Z',
-                    completed_at: null,
-                    course_name: 'Sample Course',
-                    course_code: 'CS101',
-                    assignment_type: 'Assignment',
-                    num_pages: 5,
-                    deadline: '2023-04-15T00:00:00Z',
-                    estimated_cost: 500,
-                    has_rated_writer: false,
-                    has_rated_client: false
-                }
-            ]
-        };
-        
-        res.json(sampleData);
+        res.json(await wallet.getSummary(pool, req.user.id));
     } catch (error) {
-        console.error('Error in test endpoint:', error);
+        console.error('Error fetching wallet:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Complete assignment endpoint
-app.put('/api/assignments/:id/complete', isAuthenticated, async (req, res) => {
-    const assignmentId = req.params.id;
-    
+// Decode a wallet listing cursor into the { createdAt, id } the wallet module pages by
+const parseWalletCursor = (cursor) => {
+    if (!cursor) {
+        return { before: null };
+    }
+    const decoded = decodeCursor(cursor);
+    return decoded ? { before: { createdAt: decoded.value, id: decoded.id } } : { error: 'Invalid cursor' };
+};
+
+// Every movement on the current user's wallet, newest first, with cursor pagination
+app.get('/api/wallet/transactions', isAuthenticated, async (req, res) => {
     try {
-        // Check if the user is the writer of this assignment
-        const assignmentCheck = await pool.query(
-            'SELECT * FROM assignments WHERE id = $1 AND writer_id = $2',
-            [assignmentId, req.user.id]
-        );
-        
-        if (assignmentCheck.rows.length === 0) {
-            return res.status(403).json({ error: 'You are not authorized to complete this assignment' });
+        const { before, error } = parseWalletCursor(req.query.cursor);
+        if (error) {
+            return res.status(400).json({ error });
         }
-        
-        // Update the assignment status to completed
-        const result = await pool.query(
-            'UPDATE assignments SET status = $1, completed_at = NOW() WHERE id = $2 RETURNING *',
-            ['completed', assignmentId]
+
+        const pageSize = parsePageSize(req.query.limit);
+        const result = await wallet.getHistory(pool, req.user.id, { before, limit: pageSize + 1 });
+
+        const hasMore = result.length > pageSize;
+        const rows = hasMore ? result.slice(0, pageSize) : result;
+        const lastRow = rows[rows.length - 1];
+
+        res.json({
+            transactions: rows.map(({ sort_value, ...transaction }) => transaction),
+            next_cursor: hasMore ? encodeCursor(lastRow.sort_value, lastRow.id) : null
+        });
+    } catch (error) {
+        console.error('Error fetching wallet transactions:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Add funds through the payment provider: { amount }
+app.post('/api/wallet/deposits', isAuthenticated, async (req, res) => {
+    try {
+        const result = await wallet.deposit(pool, req.user.id, req.body.amount);
+
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        if (result.payment.status === 'failed') {
+            return res.status(402).json({ error: result.payment.failure_reason, payment: result.payment });
+        }
+
+        res.status(201).json({ payment: result.payment, balance: await wallet.getSummary(pool, req.user.id) });
+    } catch (error) {
+        console.error('Error depositing funds:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// The current user's payout requests, newest first, with cursor pagination
+app.get('/api/wallet/payouts', isAuthenticated, async (req, res) => {
+    try {
+        const { before, error } = parseWalletCursor(req.query.cursor);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const pageSize = parsePageSize(req.query.limit);
+        const result = await wallet.getPayouts(pool, req.user.id, { before, limit: pageSize + 1 });
+
+        const hasMore = result.length > pageSize;
+        const rows = hasMore ? result.slice(0, pageSize) : result;
+        const lastRow = rows[rows.length - 1];
+
+        res.json({
+            payouts: rows.map(({ sort_value, ...payout }) => payout),
+            next_cursor: hasMore ? encodeCursor(lastRow.sort_value, lastRow.id) : null
+        });
+    } catch (error) {
+        console.error('Error fetching payouts:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Withdraw from the wallet: { amount, destination }. A payout the provider
+// declines is put back in the wallet.
+app.post('/api/wallet/payouts', isAuthenticated, async (req, res) => {
+    try {
+        const result = await wallet.requestPayout(pool, req.user.id, req.body.amount, req.body.destination);
+
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.status(201).json({ payout: result.payment, balance: await wallet.getSummary(pool, req.user.id) });
+    } catch (error) {
+        console.error('Error requesting payout:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Suggest a price range for a new request from its type, length and deadline
+app.get('/api/pricing/suggest', isAuthenticated, async (req, res) => {
+    const { error, query } = pricing.validateQuery(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        res.json(await pricing.suggest(pool, query));
+    } catch (error) {
+        console.error('Error suggesting a price:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Dashboard analytics for the current user over ?from..?to (inclusive dates).
+// ?role=writer|client picks the side; it defaults to the user's own role.
+app.get('/api/stats', isAuthenticated, async (req, res) => {
+    try {
+        const role = req.query.role || (req.user.role === 'writer' ? 'writer' : 'client');
+        if (!['writer', 'client'].includes(role)) {
+            return res.status(400).json({ error: 'role must be writer or client' });
+        }
+
+        const range = stats.parseRange(req.query);
+        if (range.error) {
+            return res.status(400).json({ error: range.error });
+        }
+
+        const result = role === 'writer'
+            ? await stats.forWriter(pool, req.user.id, range)
+            : await stats.forClient(pool, req.user.id, range);
+
+        res.json({
+            ...result,
+            from: range.from.toISOString().substring(0, 10),
+            // The range is half-open internally; report the inclusive last day
+            to: new Date(range.to.getTime() - 24 * 60 * 60 * 1000).toISOString().substring(0, 10)
+        });
+    } catch (error) {
+        console.error('Error fetching stats:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Notifications for the current user, newest first, with cursor pagination
+app.get('/api/notifications', isAuthenticated, async (req, res) => {
+    try {
+        const conditions = ['user_id = $1'];
+        const params = [req.user.id];
+
+        if (req.query.unread_only === 'true') {
+            conditions.push('read_at IS NULL');
+        }
+
+        if (req.query.cursor) {
+            const cursor = decodeCursor(req.query.cursor);
+            if (!cursor) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
+            params.push(cursor.value, cursor.id);
+            conditions.push(`(created_at, id) < ($${params.length - 1}, $${params.length})`);
+        }
+
+        const pageSize = parsePageSize(req.query.limit);
+        params.push(pageSize + 1);
+
+        const result = await pool.query(`
+            SELECT id, type, title, body, link, data, read_at, created_at, created_at::text as sort_value
+            FROM notifications
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY created_at DESC, id DESC
+            LIMIT $${params.length}
+        `, params);
+
+        const unreadResult = await pool.query(
+            'SELECT COUNT(*)::int as unread FROM notifications WHERE user_id = $1 AND read_at IS NULL',
+            [req.user.id]
         );
-        
+
+        // We fetched one extra row to know whether another page exists
+        const hasMore = result.rows.length > pageSize;
+        const rows = hasMore ? result.rows.slice(0, pageSize) : result.rows;
+        const lastRow = rows[rows.length - 1];
+
+        res.json({
+            notifications: rows.map(({ sort_value, ...notification }) => notification),
+            unread_count: unreadResult.rows[0].unread,
+            next_cursor: hasMore ? encodeCursor(lastRow.sort_value, lastRow.id) : null
+        });
+    } catch (error) {
+        console.error('Error fetching notifications:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Mark every notification as read
+app.put('/api/notifications/read', isAuthenticated, async (req, res) => {
+    try {
+        const result = await pool.query(`
+            UPDATE notifications
+            SET read_at = CURRENT_TIMESTAMP
+            WHERE user_id = $1 AND read_at IS NULL
+        `, [req.user.id]);
+
+        res.json({ marked_read: result.rowCount });
+    } catch (error) {
+        console.error('Error marking notifications as read:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Mark a single notification as read
+app.put('/api/notifications/:id/read', isAuthenticated, async (req, res) => {
+    try {
+        const result = await pool.query(`
+            UPDATE notifications
+            SET read_at = COALESCE(read_at, CURRENT_TIMESTAMP)
+            WHERE id = $1 AND user_id = $2
+            RETURNING *
+        `, [req.params.id, req.user.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Notification not found' });
+        }
+
         res.json(result.rows[0]);
     } catch (error) {
-        console.error('Error completing assignment:', error);
+        console.error('Error marking notification as read:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Which notification types the user receives
+app.get('/api/notification-preferences', isAuthenticated, async (req, res) => {
+    try {
+        const preferences = await notifications.getPreferences(pool, req.user.id);
+        res.json({ preferences, email_frequency: req.user.email_frequency || 'immediate' });
+    } catch (error) {
+        console.error('Error fetching notification preferences:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
+// Update notification settings. Body is a map of type -> enabled (in-app) or
+// type -> { in_app, email }, plus an optional email_frequency.
+app.put('/api/notification-preferences', isAuthenticated, async (req, res) => {
+    try {
+        if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+            return res.status(400).json({ error: 'Expected an object of notification types' });
+        }
+
+        const { email_frequency, ...settings } = req.body;
+        let emailFrequency = req.user.email_frequency || 'immediate';
+
+        if (email_frequency !== undefined) {
+            if (!mailer.EMAIL_FREQUENCIES.includes(email_frequency)) {
+                return res.status(400).json({ error: `email_frequency must be one of: ${mailer.EMAIL_FREQUENCIES.join(', ')}` });
+            }
+            await pool.query('UPDATE users SET email_frequency = $1 WHERE id = $2', [email_frequency, req.user.id]);
+            emailFrequency = email_frequency;
+        }
+
+        const preferences = await notifications.updatePreferences(pool, req.user.id, settings);
+        res.json({ preferences, email_frequency: emailFrequency });
+    } catch (error) {
+        console.error('Error updating notification preferences:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Live update stream (Server-Sent Events). The writify.sid session cookie
+// authenticates it like any other request.
+app.get('/api/events', isAuthenticated, (req, res) => {
+    events.subscribe(req, res);
+});
+
 // Test endpoint - no authentication required
 app.get('/api/test', (req, res) => {
     res.json({ message: 'Backend server is working correctly' });
@@ -1030,7 +4612,13 @@ app.use((req, res) => {
     });
 });
 
-const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => {
-    console.log(`Server is running on port ${PORT}`);
+app.listen(config.port, () => {
+    console.log(`Server is running on port ${config.port}`);
+
+    events.start(pool);
+    // Set SCHEDULER_ENABLED=false on instances that should only serve requests
+    if (config.schedulerEnabled) {
+        jobs.register(scheduler);
+        scheduler.start(pool);
+    }
 });
\ No newline at end of file
@@ -0,0 +1,214 @@
+// Dashboard analytics. Everything is computed on the fly from assignments,
+// assignment_requests and ratings for a date range, and also broken down by
+// calendar month (UTC) so the dashboard can chart it.
+
+const DEFAULT_RANGE_MONTHS = 12;
+const MAX_RANGE_DAYS = 3 * 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Parse ?from and ?to, both inclusive dates, into a half-open [from, to)
+// range. Defaults to the last twelve calendar months up to today.
+const parseRange = ({ from, to } = {}, now = new Date()) => {
+    for (const [key, value] of [['from', from], ['to', to]]) {
+        if (value && isNaN(Date.parse(value))) {
+            return { error: `${key} must be a valid date` };
+        }
+    }
+
+    const end = new Date(to || now);
+    end.setUTCHours(0, 0, 0, 0);
+    end.setUTCDate(end.getUTCDate() + 1);
+
+    let start;
+    if (from) {
+        start = new Date(from);
+        start.setUTCHours(0, 0, 0, 0);
+    } else {
+        const last = new Date(end.getTime() - DAY_MS);
+        start = new Date(Date.UTC(last.getUTCFullYear(), last.getUTCMonth() - (DEFAULT_RANGE_MONTHS - 1), 1));
+    }
+
+    if (start >= end) {
+        return { error: 'from must be on or before to' };
+    }
+    if (end - start > MAX_RANGE_DAYS * DAY_MS) {
+        return { error: `The date range can be at most ${MAX_RANGE_DAYS} days` };
+    }
+
+    return { from: start, to: end };
+};
+
+// 'YYYY-MM' for every month the range touches, oldest first
+const monthsBetween = (from, to) => {
+    const months = [];
+    const cursor = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), 1));
+    while (cursor < to) {
+        months.push(cursor.toISOString().substring(0, 7));
+        cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+    }
+    return months;
+};
+
+const MONTH = (column) => `to_char(${column} AT TIME ZONE 'UTC', 'YYYY-MM')`;
+
+// What the client ended up paying: the agreed price less any refund a
+// dispute gave back
+const PAID_AMOUNT = `
+    COALESCE(a.agreed_price, ar.estimated_cost)
+        - COALESCE((SELECT SUM(d.refund_amount) FROM disputes d WHERE d.assignment_id = a.id), 0)
+`;
+
+// The writer delivered with their last submission; older assignments that
+// were completed without one count from completion
+const DELIVERED_AT = 'COALESCE(a.submitted_at, a.completed_at)';
+
+const toAmount = (value) => Number(value || 0).toFixed(2);
+const toHours = (seconds, count) => count ? Math.round(Number(seconds) / count / 360) / 10 : null;
+const toRate = (part, whole) => whole ? Math.round(part / whole * 1000) / 1000 : null;
+const toAverage = (total, count) => count ? Math.round(total / count * 100) / 100 : null;
+
+const sum = (rows, key) => rows.reduce((total, row) => total + Number(row[key] || 0), 0);
+const indexByMonth = (rows) => new Map(rows.map(row => [row.month, row]));
+
+// Earnings, delivery times and ratings for work the user did as a writer.
+// Completed work counts in the month the client accepted it.
+async function forWriter(db, userId, { from, to }) {
+    const [jobsResult, ratingsResult, lifetimeResult] = await Promise.all([
+        db.query(`
+            SELECT ${MONTH('a.completed_at')} as month,
+                COUNT(*)::int as completed,
+                SUM(${PAID_AMOUNT}) as earnings,
+                COUNT(*) FILTER (WHERE ${DELIVERED_AT} <= ar.deadline)::int as on_time,
+                SUM(EXTRACT(EPOCH FROM ${DELIVERED_AT} - a.created_at)) as turnaround_seconds,
+                SUM(EXTRACT(EPOCH FROM ar.deadline - a.created_at)) as allowed_seconds
+            FROM assignments a
+            JOIN assignment_requests ar ON ar.id = a.request_id
+            WHERE a.writer_id = $1 AND a.status = 'completed'
+                AND a.completed_at >= $2 AND a.completed_at < $3
+            GROUP BY 1
+        `, [userId, from, to]),
+        db.query(`
+            SELECT ${MONTH('created_at')} as month,
+                COUNT(*)::int as ratings,
+                SUM(rating)::int as rating_total
+            FROM ratings
+            WHERE rated_id = $1 AND rated_role = 'writer' AND hidden_at IS NULL
+                AND created_at >= $2 AND created_at < $3
+            GROUP BY 1
+        `, [userId, from, to]),
+        db.query(`
+            SELECT SUM(${PAID_AMOUNT}) as earnings
+            FROM assignments a
+            JOIN assignment_requests ar ON ar.id = a.request_id
+            WHERE a.writer_id = $1 AND a.status = 'completed'
+        `, [userId])
+    ]);
+
+    const jobs = jobsResult.rows;
+    const ratings = ratingsResult.rows;
+    const jobsByMonth = indexByMonth(jobs);
+    const ratingsByMonth = indexByMonth(ratings);
+    const completed = sum(jobs, 'completed');
+
+    return {
+        role: 'writer',
+        summary: {
+            earnings: toAmount(sum(jobs, 'earnings')),
+            lifetime_earnings: toAmount(lifetimeResult.rows[0].earnings),
+            completed_jobs: completed,
+            // Both measured from when the writer took the job on
+            average_turnaround_hours: toHours(sum(jobs, 'turnaround_seconds'), completed),
+            average_deadline_hours: toHours(sum(jobs, 'allowed_seconds'), completed),
+            on_time_rate: toRate(sum(jobs, 'on_time'), completed),
+            average_rating: toAverage(sum(ratings, 'rating_total'), sum(ratings, 'ratings')),
+            ratings: sum(ratings, 'ratings')
+        },
+        months: monthsBetween(from, to).map(month => {
+            const job = jobsByMonth.get(month);
+            const rating = ratingsByMonth.get(month);
+            return {
+                month,
+                earnings: toAmount(job && job.earnings),
+                completed: job ? job.completed : 0,
+                on_time: job ? job.on_time : 0,
+                ratings: rating ? rating.ratings : 0,
+                average_rating: rating ? toAverage(rating.rating_total, rating.ratings) : null
+            };
+        })
+    };
+}
+
+// Spending and how quickly requests were picked up for a client. Requests
+// count in the month they were posted; spending in the month the work was
+// accepted. The fill rate leaves out requests that are still waiting on the
+// board, since they may yet be taken.
+async function forClient(db, userId, { from, to }) {
+    const [requestsResult, spendingResult, lifetimeResult] = await Promise.all([
+        db.query(`
+            SELECT ${MONTH('ar.created_at')} as month,
+                COUNT(*)::int as requests,
+                COUNT(first_assignment.created_at)::int as filled,
+                COUNT(*) FILTER (WHERE ar.status = 'open' AND first_assignment.created_at IS NULL)::int as waiting,
+                SUM(EXTRACT(EPOCH FROM first_assignment.created_at - ar.created_at)) as accept_seconds
+            FROM assignment_requests ar
+            LEFT JOIN LATERAL (
+                SELECT MIN(created_at) as created_at FROM assignments WHERE request_id = ar.id
+            ) first_assignment ON true
+            WHERE ar.client_id = $1 AND ar.created_at >= $2 AND ar.created_at < $3
+            GROUP BY 1
+        `, [userId, from, to]),
+        db.query(`
+            SELECT ${MONTH('a.completed_at')} as month,
+                COUNT(*)::int as completed,
+                SUM(${PAID_AMOUNT}) as spending
+            FROM assignments a
+            JOIN assignment_requests ar ON ar.id = a.request_id
+            WHERE a.client_id = $1 AND a.status = 'completed'
+                AND a.completed_at >= $2 AND a.completed_at < $3
+            GROUP BY 1
+        `, [userId, from, to]),
+        db.query(`
+            SELECT SUM(${PAID_AMOUNT}) as spending
+            FROM assignments a
+            JOIN assignment_requests ar ON ar.id = a.request_id
+            WHERE a.client_id = $1 AND a.status = 'completed'
+        `, [userId])
+    ]);
+
+    const requests = requestsResult.rows;
+    const spending = spendingResult.rows;
+    const requestsByMonth = indexByMonth(requests);
+    const spendingByMonth = indexByMonth(spending);
+    const filled = sum(requests, 'filled');
+
+    return {
+        role: 'client',
+        summary: {
+            spending: toAmount(sum(spending, 'spending')),
+            lifetime_spending: toAmount(lifetimeResult.rows[0].spending),
+            completed_jobs: sum(spending, 'completed'),
+            requests: sum(requests, 'requests'),
+            filled_requests: filled,
+            waiting_requests: sum(requests, 'waiting'),
+            fill_rate: toRate(filled, sum(requests, 'requests') - sum(requests, 'waiting')),
+            average_time_to_accept_hours: toHours(sum(requests, 'accept_seconds'), filled)
+        },
+        months: monthsBetween(from, to).map(month => {
+            const posted = requestsByMonth.get(month);
+            const paid = spendingByMonth.get(month);
+            return {
+                month,
+                spending: toAmount(paid && paid.spending),
+                completed: paid ? paid.completed : 0,
+                requests: posted ? posted.requests : 0,
+                filled: posted ? posted.filled : 0
+            };
+        })
+    };
+}
+
+module.exports = {
+    parseRange,
+    forWriter,
+    forClient
+};
@@ -0,0 +1,80 @@
+// File storage for uploaded attachments. Route handlers only deal in storage
+// keys; the backend configured here decides where the bytes actually live.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// A backend is any object with a name and:
+//   async save(key, buffer, contentType)
+//   async read(key) -> readable stream of the file's contents
+//   async remove(key)
+// An S3-style backend would map keys to object names in a bucket.
+
+// Keeps files under a directory on local disk
+const createLocalStorage = ({ dir }) => {
+    const resolve = (key) => {
+        const filePath = path.resolve(dir, key);
+        // Keys are generated by us, but never let one point outside the directory
+        if (!filePath.startsWith(path.resolve(dir) + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    };
+
+    return {
+        name: 'local',
+        save: async (key, buffer) => {
+            const filePath = resolve(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, buffer);
+        },
+        read: async (key) => {
+            const filePath = resolve(key);
+            await fs.promises.access(filePath);
+            return fs.createReadStream(filePath);
+        },
+        remove: async (key) => {
+            await fs.promises.rm(resolve(key), { force: true });
+        }
+    };
+};
+
+// Pick a backend from STORAGE_DRIVER
+const createStorageFromEnv = (env = process.env) => {
+    const type = env.STORAGE_DRIVER || 'local';
+
+    switch (type) {
+        case 'local':
+            return createLocalStorage({ dir: env.UPLOAD_DIR || path.join(__dirname, 'uploads') });
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER: ${type}`);
+    }
+};
+
+let storage = null;
+
+// Override the storage backend, e.g. in tests
+const configure = (backend) => {
+    storage = backend;
+};
+
+const getStorage = () => {
+    if (!storage) {
+        storage = createStorageFromEnv();
+    }
+    return storage;
+};
+
+// A fresh key for a file, grouped by prefix and keeping the original extension
+const generateKey = (prefix, originalName) => {
+    const extension = path.extname(originalName).toLowerCase().replace(/[^a-z0-9.]/g, '');
+    return `${prefix}/${crypto.randomUUID()}${extension}`;
+};
+
+module.exports = {
+    createLocalStorage,
+    createStorageFromEnv,
+    configure,
+    getStorage,
+    generateKey
+};
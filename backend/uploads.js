@@ -0,0 +1,58 @@
+// Multipart upload parsing shared by attachments and portfolio images. Files
+// are held in memory until the route hands them to the storage backend.
+const path = require('path');
+const multer = require('multer');
+
+// Build middleware that parses one file field, checks each file against the
+// allowed types and answers with a 4xx when the upload breaks the limits.
+//   allowedTypes: { contentType: [extensions] }
+const createUploadMiddleware = ({ field, maxFiles, maxFileSize, allowedTypes }) => {
+    const parser = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxFileSize, files: maxFiles },
+        fileFilter: (req, file, cb) => {
+            const extensions = allowedTypes[file.mimetype];
+            if (!extensions || !extensions.includes(path.extname(file.originalname).toLowerCase())) {
+                const error = new Error(`${file.originalname} is not an allowed file type`);
+                error.status = 415;
+                return cb(error);
+            }
+            cb(null, true);
+        }
+    });
+
+    const parse = maxFiles === 1 ? parser.single(field) : parser.array(field, maxFiles);
+
+    return (req, res, next) => {
+        parse(req, res, (error) => {
+            if (!error) {
+                // Single-file uploads get an array too, so routes handle both the same way
+                if (req.file) {
+                    req.files = [req.file];
+                }
+                if (!req.files || req.files.length === 0) {
+                    return res.status(400).json({ error: 'No files were uploaded' });
+                }
+                return next();
+            }
+
+            if (error instanceof multer.MulterError) {
+                const messages = {
+                    LIMIT_FILE_SIZE: `Files must be ${maxFileSize / (1024 * 1024)} MB or smaller`,
+                    LIMIT_FILE_COUNT: `You can upload up to ${maxFiles} ${maxFiles === 1 ? 'file' : 'files'} at a time`,
+                    LIMIT_UNEXPECTED_FILE: `Files must be sent in the "${field}" field`
+                };
+                const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+                return res.status(status).json({ error: messages[error.code] || error.message });
+            }
+
+            if (error.status) {
+                return res.status(error.status).json({ error: error.message });
+            }
+
+            next(error);
+        });
+    };
+};
+
+module.exports = { createUploadMiddleware };
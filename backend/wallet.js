@@ -0,0 +1,503 @@
+// Wallets, escrow and the double-entry ledger behind them. Balances only ever
+// change through post(), which writes a ledger transaction whose entries sum
+// to zero and updates the cached balance of every account it touches.
+//
+// Money flows like this: a deposit moves money from the external account into
+// the user's wallet; when an assignment starts its price moves from the
+// client's wallet into the assignment's escrow account; accepting the work
+// releases the escrow to the writer and cancelling refunds it to the client.
+// A payout moves money from the wallet to the payouts account until the
+// provider has paid it, then on to the external account.
+const payments = require('./payments');
+
+const CURRENCY = 'INR';
+const MIN_AMOUNT = 1;
+const MAX_AMOUNT = 100000;
+
+// Only these accounts may go below zero
+const SYSTEM_ACCOUNTS = ['external', 'payouts'];
+
+// The column that ties each kind of account to its owner
+const OWNER_COLUMNS = {
+    wallet: 'user_id',
+    escrow: 'assignment_id'
+};
+
+// Amounts are handled in paise so that arithmetic stays exact
+const toCents = (amount) => Math.round(parseFloat(amount) * 100) || 0;
+const fromCents = (cents) => (cents / 100).toFixed(2);
+
+// Parse an amount from a request body. Returns paise, or null if it isn't a
+// whole number of paise between MIN_AMOUNT and MAX_AMOUNT rupees.
+const parseAmount = (value) => {
+    const amount = typeof value === 'number' ? value : parseFloat(value);
+    if (isNaN(amount) || amount < MIN_AMOUNT || amount > MAX_AMOUNT || Math.abs(amount * 100 - Math.round(amount * 100)) > 1e-6) {
+        return null;
+    }
+    return Math.round(amount * 100);
+};
+
+const findAccount = async (db, type, ownerId = null) => {
+    const column = OWNER_COLUMNS[type];
+    const result = column
+        ? await db.query(`SELECT * FROM ledger_accounts WHERE type = $1 AND ${column} = $2`, [type, ownerId])
+        : await db.query('SELECT * FROM ledger_accounts WHERE type = $1', [type]);
+    return result.rows[0] || null;
+};
+
+// An account, created on first use. ownerId is the user for a wallet and the
+// assignment for escrow; system accounts have no owner.
+async function getAccount(db, type, ownerId = null) {
+    const existing = await findAccount(db, type, ownerId);
+    if (existing) {
+        return existing;
+    }
+
+    const column = OWNER_COLUMNS[type];
+    await db.query(
+        column
+            ? `INSERT INTO ledger_accounts (type, ${column}) VALUES ($1, $2) ON CONFLICT DO NOTHING`
+            : 'INSERT INTO ledger_accounts (type) VALUES ($1) ON CONFLICT DO NOTHING',
+        column ? [type, ownerId] : [type]
+    );
+    return findAccount(db, type, ownerId);
+}
+
+// Write a ledger transaction: { kind, entries: [{ account, cents }], assignmentId,
+// paymentId, description, createdBy }. Entries must sum to zero. Returns
+// { transaction }, or { error, status } without writing anything if a wallet
+// or escrow account would be overdrawn. Call inside a database transaction.
+async function post(db, { kind, entries, assignmentId = null, paymentId = null, description = null, createdBy = null }) {
+    const moving = entries.filter(entry => entry.cents !== 0);
+    if (moving.reduce((sum, entry) => sum + entry.cents, 0) !== 0) {
+        throw new Error(`Ledger entries for ${kind} do not balance`);
+    }
+
+    // Lock the accounts in id order so that concurrent postings can't deadlock
+    const accountIds = [...new Set(moving.map(entry => entry.account.id))].sort((a, b) => a - b);
+    const locked = await db.query(
+        'SELECT id, type, balance FROM ledger_accounts WHERE id = ANY($1) ORDER BY id FOR UPDATE',
+        [accountIds]
+    );
+
+    const balances = new Map(locked.rows.map(row => [row.id, { type: row.type, cents: toCents(row.balance) }]));
+    moving.forEach(entry => {
+        balances.get(entry.account.id).cents += entry.cents;
+    });
+
+    const overdrawn = [...balances.values()].some(account => !SYSTEM_ACCOUNTS.includes(account.type) && account.cents < 0);
+    if (overdrawn) {
+        return { error: 'Insufficient funds', status: 409 };
+    }
+
+    const transactionResult = await db.query(`
+        INSERT INTO ledger_transactions (kind, assignment_id, payment_id, description, created_by)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+    `, [kind, assignmentId, paymentId, description, createdBy]);
+    const transaction = transactionResult.rows[0];
+
+    for (const entry of moving) {
+        await db.query(
+            'INSERT INTO ledger_entries (transaction_id, account_id, amount) VALUES ($1, $2, $3)',
+            [transaction.id, entry.account.id, fromCents(entry.cents)]
+        );
+    }
+
+    for (const [accountId, account] of balances) {
+        await db.query('UPDATE ledger_accounts SET balance = $1 WHERE id = $2', [fromCents(account.cents), accountId]);
+    }
+
+    return { transaction };
+}
+
+const transfer = (db, from, to, cents, details) =>
+    post(db, { ...details, entries: [{ account: from, cents: -cents }, { account: to, cents }] });
+
+// Move the price of a new assignment from the client's wallet into escrow.
+// Returns {} or { error, status } if the client can't cover it. Nothing is
+// held while payments are off, so such assignments settle like old ones.
+async function holdEscrow(db, assignment, price, actorId) {
+    const cents = toCents(price);
+    if (cents <= 0 || !payments.isEnabled()) {
+        return {};
+    }
+
+    const wallet = await getAccount(db, 'wallet', assignment.client_id);
+    const escrow = await getAccount(db, 'escrow', assignment.id);
+    const result = await transfer(db, wallet, escrow, cents, {
+        kind: 'escrow_hold',
+        assignmentId: assignment.id,
+        description: 'Held in escrow',
+        createdBy: actorId
+    });
+
+    if (result.error) {
+        return {
+            error: actorId === assignment.client_id
+                ? `Add funds to your wallet first: ₹${fromCents(cents)} is held in escrow when the assignment starts`
+                : `The client doesn't have the ₹${fromCents(cents)} for this assignment in their wallet yet`,
+            status: 409
+        };
+    }
+
+    return {};
+}
+
+// Check that the client's wallet covers cost on top of every request they
+// still have listed, since whichever a writer takes first has its price held
+// in escrow. excludeRequestId leaves out a listed request that is being
+// repriced or relisted. Returns {} or { error, status }.
+async function checkCanFund(db, clientId, cost, { excludeRequestId = null } = {}) {
+    if (!payments.isEnabled()) {
+        return {};
+    }
+
+    const result = await db.query(`
+        SELECT
+            COALESCE((SELECT balance FROM ledger_accounts WHERE type = 'wallet' AND user_id = $1), 0) as available,
+            COALESCE((
+                SELECT SUM(estimated_cost) FROM assignment_requests
+                WHERE client_id = $1 AND status = 'open' AND id IS DISTINCT FROM $2
+                    AND (expiration_deadline IS NULL OR expiration_deadline > NOW())
+            ), 0) as listed
+    `, [clientId, excludeRequestId]);
+
+    const available = toCents(result.rows[0].available);
+    const needed = toCents(result.rows[0].listed) + toCents(cost);
+    if (needed > available) {
+        return {
+            error: `Add funds to your wallet first: your listed requests come to ₹${fromCents(needed)} and your wallet has ₹${fromCents(available)}`,
+            status: 409
+        };
+    }
+
+    return {};
+}
+
+// Bring the escrow for an assignment in line with a new price, holding more
+// from the client or refunding the difference. Assignments that started
+// before escrow existed are left alone.
+async function adjustEscrow(db, assignment, price, actorId) {
+    const escrow = await findAccount(db, 'escrow', assignment.id);
+    if (!escrow) {
+        return {};
+    }
+
+    const difference = toCents(price) - toCents(escrow.balance);
+    if (difference > 0) {
+        return holdEscrow(db, assignment, fromCents(difference), actorId);
+    }
+    if (difference < 0) {
+        const wallet = await getAccount(db, 'wallet', assignment.client_id);
+        return transfer(db, escrow, wallet, -difference, {
+            kind: 'escrow_refund',
+            assignmentId: assignment.id,
+            description: 'Price lowered',
+            createdBy: actorId
+        });
+    }
+    return {};
+}
+
+// Pay out whatever is in escrow once an assignment has finished: to the writer
+// when it was completed, less any refund, or back to the client when it was
+// cancelled. Assignments that started before escrow existed have nothing held.
+async function settleEscrow(db, assignment, { refundAmount = null, actorId = null } = {}) {
+    const escrow = await findAccount(db, 'escrow', assignment.id);
+    const held = escrow ? toCents(escrow.balance) : 0;
+    if (held <= 0 || !['completed', 'cancelled'].includes(assignment.status)) {
+        return {};
+    }
+
+    const refund = assignment.status === 'cancelled' ? held : Math.min(toCents(refundAmount), held);
+    const entries = [{ account: escrow, cents: -held }];
+    if (refund > 0) {
+        entries.push({ account: await getAccount(db, 'wallet', assignment.client_id), cents: refund });
+    }
+    if (held - refund > 0) {
+        entries.push({ account: await getAccount(db, 'wallet', assignment.writer_id), cents: held - refund });
+    }
+
+    return post(db, {
+        kind: refund === held ? 'escrow_refund' : 'escrow_release',
+        entries,
+        assignmentId: assignment.id,
+        description: refund > 0 && refund < held ? `Released with a ₹${fromCents(refund)} refund` : null,
+        createdBy: actorId
+    });
+}
+
+// How much is held in escrow for each of several assignments, as a map of assignment id -> amount
+async function getEscrowBalances(db, assignmentIds) {
+    const balances = new Map();
+    if (assignmentIds.length === 0) {
+        return balances;
+    }
+
+    const result = await db.query(
+        `SELECT assignment_id, balance FROM ledger_accounts WHERE type = 'escrow' AND assignment_id = ANY($1)`,
+        [assignmentIds]
+    );
+    result.rows.forEach(row => balances.set(row.assignment_id, row.balance));
+    return balances;
+}
+
+// A user's balances: what they can spend, what is held in escrow for their
+// requests, what is in escrow waiting to be released to them, and payouts
+// that haven't been paid yet
+async function getSummary(db, userId) {
+    const result = await db.query(`
+        SELECT
+            COALESCE((SELECT balance FROM ledger_accounts WHERE type = 'wallet' AND user_id = $1), 0) as available,
+            COALESCE((
+                SELECT SUM(la.balance) FROM ledger_accounts la
+                JOIN assignments a ON a.id = la.assignment_id
+                WHERE la.type = 'escrow' AND a.client_id = $1
+            ), 0) as held_in_escrow,
+            COALESCE((
+                SELECT SUM(la.balance) FROM ledger_accounts la
+                JOIN assignments a ON a.id = la.assignment_id
+                WHERE la.type = 'escrow' AND a.writer_id = $1
+            ), 0) as incoming,
+            COALESCE((
+                SELECT SUM(amount) FROM payments
+                WHERE user_id = $1 AND direction = 'payout' AND status = 'pending'
+            ), 0) as pending_payouts
+    `, [userId]);
+
+    return { currency: CURRENCY, ...result.rows[0] };
+}
+
+// Movements on a user's wallet, newest first. Pass the last row's sort_value
+// (its created_at as text, at full precision) and id as before to get the next page.
+async function getHistory(db, userId, { before = null, limit }) {
+    const params = [userId];
+    let cursorCondition = '';
+    if (before) {
+        params.push(before.createdAt, before.id);
+        cursorCondition = 'AND (e.created_at, e.id) < ($2, $3)';
+    }
+    params.push(limit);
+
+    const result = await db.query(`
+        SELECT e.id, e.amount, e.created_at, e.created_at::text as sort_value, t.kind, t.description, t.payment_id,
+            t.assignment_id, a.request_id, ar.course_name
+        FROM ledger_entries e
+        JOIN ledger_accounts la ON la.id = e.account_id
+        JOIN ledger_transactions t ON t.id = e.transaction_id
+        LEFT JOIN assignments a ON a.id = t.assignment_id
+        LEFT JOIN assignment_requests ar ON ar.id = a.request_id
+        WHERE la.type = 'wallet' AND la.user_id = $1 ${cursorCondition}
+        ORDER BY e.created_at DESC, e.id DESC
+        LIMIT $${params.length}
+    `, params);
+
+    return result.rows;
+}
+
+// Record the provider's answer for a pending payment and move the money to
+// match. Also the entry point for a gateway that confirms payments later.
+async function completePayment(pool, paymentId, { status, providerReference = null, failureReason = null }) {
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const paymentResult = await client.query(
+            `SELECT * FROM payments WHERE id = $1 AND status = 'pending' FOR UPDATE`,
+            [paymentId]
+        );
+        const payment = paymentResult.rows[0];
+        if (!payment) {
+            await client.query('ROLLBACK');
+            return { error: 'Payment not found or already settled', status: 409 };
+        }
+
+        if (status === 'pending') {
+            const result = await client.query(
+                'UPDATE payments SET provider_reference = COALESCE($1, provider_reference) WHERE id = $2 RETURNING *',
+                [providerReference, payment.id]
+            );
+            await client.query('COMMIT');
+            return { payment: result.rows[0] };
+        }
+
+        const cents = toCents(payment.amount);
+        const wallet = await getAccount(client, 'wallet', payment.user_id);
+        const details = { paymentId: payment.id, createdBy: payment.user_id };
+
+        if (payment.direction === 'deposit' && status === 'succeeded') {
+            await transfer(client, await getAccount(client, 'external'), wallet, cents, { ...details, kind: 'deposit' });
+        } else if (payment.direction === 'payout') {
+            const pending = await getAccount(client, 'payouts');
+            if (status === 'succeeded') {
+                await transfer(client, pending, await getAccount(client, 'external'), cents, { ...details, kind: 'payout_paid' });
+            } else {
+                await transfer(client, pending, wallet, cents, { ...details, kind: 'payout_reversal', description: failureReason });
+            }
+        }
+
+        const result = await client.query(`
+            UPDATE payments
+            SET status = $1, provider_reference = COALESCE($2, provider_reference), failure_reason = $3,
+                completed_at = CURRENT_TIMESTAMP
+            WHERE id = $4
+            RETURNING *
+        `, [status, providerReference, status === 'failed' ? failureReason || 'Declined by the payment provider' : null, payment.id]);
+
+        await client.query('COMMIT');
+        return { payment: result.rows[0] };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// The configured payment provider, or { error, status } when none can be used
+// here, e.g. the fake provider in production
+const resolveProvider = () => {
+    try {
+        return { provider: payments.getProvider() };
+    } catch (error) {
+        console.error('Payment provider unavailable:', error);
+        return { error: 'Payments are not available right now', status: 503 };
+    }
+};
+
+// Ask the provider for a result, treating an error as a failed payment
+const callProvider = async (provider, method, request) => {
+    try {
+        return await provider[method](request);
+    } catch (error) {
+        console.error(`Payment provider ${method} failed:`, error);
+        return { status: 'failed', failureReason: 'The payment provider could not be reached' };
+    }
+};
+
+// Charge the user through the provider and credit their wallet. amount is in
+// rupees. Returns { payment } or { error, status }.
+async function deposit(pool, userId, amount) {
+    const cents = parseAmount(amount);
+    if (cents === null) {
+        return { error: `Deposits must be between ₹${MIN_AMOUNT} and ₹${MAX_AMOUNT}`, status: 400 };
+    }
+
+    const { provider, error, status } = resolveProvider();
+    if (error) {
+        return { error, status };
+    }
+
+    const paymentResult = await pool.query(`
+        INSERT INTO payments (user_id, direction, amount, provider)
+        VALUES ($1, 'deposit', $2, $3)
+        RETURNING *
+    `, [userId, fromCents(cents), provider.name]);
+    const payment = paymentResult.rows[0];
+
+    const result = await callProvider(provider, 'charge', { userId, amount: fromCents(cents), reference: `payment_${payment.id}` });
+    return completePayment(pool, payment.id, result);
+}
+
+// Take the amount out of the user's wallet and ask the provider to pay it to
+// destination, e.g. a UPI ID. A failed payout puts the money back.
+// Returns { payment } or { error, status }.
+async function requestPayout(pool, userId, amount, destination) {
+    const cents = parseAmount(amount);
+    if (cents === null) {
+        return { error: `Payouts must be between ₹${MIN_AMOUNT} and ₹${MAX_AMOUNT}`, status: 400 };
+    }
+
+    const target = typeof destination === 'string' ? destination.trim().substring(0, 255) : '';
+    if (!target) {
+        return { error: 'Please say where the money should be paid, e.g. your UPI ID', status: 400 };
+    }
+
+    const { provider, error, status } = resolveProvider();
+    if (error) {
+        return { error, status };
+    }
+
+    const client = await pool.connect();
+    let payment;
+
+    try {
+        await client.query('BEGIN');
+
+        const paymentResult = await client.query(`
+            INSERT INTO payments (user_id, direction, amount, provider, destination)
+            VALUES ($1, 'payout', $2, $3, $4)
+            RETURNING *
+        `, [userId, fromCents(cents), provider.name, target]);
+        payment = paymentResult.rows[0];
+
+        const moved = await transfer(client, await getAccount(client, 'wallet', userId), await getAccount(client, 'payouts'), cents, {
+            kind: 'payout_request',
+            paymentId: payment.id,
+            createdBy: userId
+        });
+
+        if (moved.error) {
+            await client.query('ROLLBACK');
+            return { error: "Your wallet doesn't have enough for this payout", status: 409 };
+        }
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    const result = await callProvider(provider, 'payout', {
+        userId,
+        amount: fromCents(cents),
+        destination: target,
+        reference: `payment_${payment.id}`
+    });
+    return completePayment(pool, payment.id, result);
+}
+
+// A user's payout requests, newest first
+async function getPayouts(db, userId, { before = null, limit }) {
+    const params = [userId];
+    let cursorCondition = '';
+    if (before) {
+        params.push(before.createdAt, before.id);
+        cursorCondition = 'AND (created_at, id) < ($2, $3)';
+    }
+    params.push(limit);
+
+    const result = await db.query(`
+        SELECT id, amount, status, destination, failure_reason, created_at, completed_at,
+            created_at::text as sort_value
+        FROM payments
+        WHERE user_id = $1 AND direction = 'payout' ${cursorCondition}
+        ORDER BY created_at DESC, id DESC
+        LIMIT $${params.length}
+    `, params);
+
+    return result.rows;
+}
+
+module.exports = {
+    CURRENCY,
+    MIN_AMOUNT,
+    MAX_AMOUNT,
+    getAccount,
+    post,
+    holdEscrow,
+    checkCanFund,
+    adjustEscrow,
+    settleEscrow,
+    getEscrowBalances,
+    getSummary,
+    getHistory,
+    completePayment,
+    deposit,
+    requestPayout,
+    getPayouts
+};
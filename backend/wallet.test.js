@@ -0,0 +1,274 @@
+const wallet = require('./wallet');
+const payments = require('./payments');
+const { createTestDatabase, dropTestDatabase } = require('./db/testDatabase');
+const { createUser, createRequest, createAssignment } = require('./db/testFixtures');
+
+let pool;
+
+beforeAll(async () => {
+    pool = await createTestDatabase();
+});
+
+afterAll(() => dropTestDatabase(pool));
+
+// Run fn on its own connection inside a transaction, the way the routes call
+// the wallet. Rolls back if fn returns an error.
+async function inTransaction(fn) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await fn(client);
+        await client.query(result && result.error ? 'ROLLBACK' : 'COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// A client and a writer with an assignment between them
+async function createParties() {
+    const client = await createUser(pool);
+    const writer = await createUser(pool);
+    const request = await createRequest(pool, { client_id: client.id });
+    const assignment = await createAssignment(pool, request, { writer_id: writer.id });
+    return { client, writer, request, assignment };
+}
+
+const balance = async (type, ownerId) => (await wallet.getAccount(pool, type, ownerId)).balance;
+
+// Put rupees into a user's wallet the way a deposit does
+const fund = (userId, rupees) => inTransaction(async (db) => {
+    const external = await wallet.getAccount(db, 'external');
+    const target = await wallet.getAccount(db, 'wallet', userId);
+    return wallet.post(db, { kind: 'deposit', entries: [{ account: external, cents: -rupees * 100 }, { account: target, cents: rupees * 100 }] });
+});
+
+// Wait until some query in this database is stuck behind another transaction's lock
+async function waitForBlockedQuery() {
+    for (;;) {
+        const result = await pool.query(`
+            SELECT COUNT(*)::int as count FROM pg_stat_activity
+            WHERE datname = current_database() AND wait_event_type = 'Lock'
+        `);
+        if (result.rows[0].count > 0) {
+            return;
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+const transactionsFor = async (assignmentId) => {
+    const result = await pool.query('SELECT * FROM ledger_transactions WHERE assignment_id = $1 ORDER BY id', [assignmentId]);
+    return result.rows;
+};
+
+describe('post', () => {
+    it('writes a transaction whose entries sum to zero and updates each balance', async () => {
+        const { client } = await createParties();
+
+        const { transaction } = await fund(client.id, 500);
+
+        expect(await balance('wallet', client.id)).toBe('500.00');
+        const entries = await pool.query('SELECT amount FROM ledger_entries WHERE transaction_id = $1 ORDER BY amount', [transaction.id]);
+        expect(entries.rows.map(entry => entry.amount)).toEqual(['-500.00', '500.00']);
+    });
+
+    it('refuses entries that do not balance', async () => {
+        const { client } = await createParties();
+        const account = await wallet.getAccount(pool, 'wallet', client.id);
+
+        await expect(wallet.post(pool, { kind: 'deposit', entries: [{ account, cents: 100 }] })).rejects.toThrow('do not balance');
+        expect(await balance('wallet', client.id)).toBe('0.00');
+    });
+
+    it('refuses to overdraw a wallet and writes nothing', async () => {
+        const { client, writer } = await createParties();
+        await fund(client.id, 100);
+        const before = await pool.query('SELECT COUNT(*)::int as count FROM ledger_transactions');
+
+        const result = await inTransaction(async (db) => wallet.post(db, {
+            kind: 'escrow_hold',
+            entries: [
+                { account: await wallet.getAccount(db, 'wallet', client.id), cents: -10001 },
+                { account: await wallet.getAccount(db, 'wallet', writer.id), cents: 10001 }
+            ]
+        }));
+
+        expect(result).toEqual({ error: 'Insufficient funds', status: 409 });
+        expect(await balance('wallet', client.id)).toBe('100.00');
+        const after = await pool.query('SELECT COUNT(*)::int as count FROM ledger_transactions');
+        expect(after.rows[0].count).toBe(before.rows[0].count);
+    });
+});
+
+describe('holdEscrow', () => {
+    it("moves the price from the client's wallet into the assignment's escrow", async () => {
+        const { client, writer, assignment } = await createParties();
+        await fund(client.id, 500);
+
+        expect(await inTransaction(db => wallet.holdEscrow(db, assignment, '300.00', writer.id))).toEqual({});
+
+        expect(await balance('wallet', client.id)).toBe('200.00');
+        expect(await balance('escrow', assignment.id)).toBe('300.00');
+        expect(await transactionsFor(assignment.id)).toEqual([expect.objectContaining({ kind: 'escrow_hold', created_by: writer.id })]);
+    });
+
+    it('holds nothing for a free assignment', async () => {
+        const { writer, assignment } = await createParties();
+
+        expect(await inTransaction(db => wallet.holdEscrow(db, assignment, '0', writer.id))).toEqual({});
+        expect(await transactionsFor(assignment.id)).toEqual([]);
+    });
+
+    it('holds nothing while payments are off', async () => {
+        const { writer, assignment } = await createParties();
+        const isEnabled = jest.spyOn(payments, 'isEnabled').mockReturnValue(false);
+
+        try {
+            expect(await inTransaction(db => wallet.holdEscrow(db, assignment, '300.00', writer.id))).toEqual({});
+        } finally {
+            isEnabled.mockRestore();
+        }
+        expect(await transactionsFor(assignment.id)).toEqual([]);
+    });
+
+    it('tells whoever started the assignment why the client can not cover it', async () => {
+        const { client, writer, assignment } = await createParties();
+        await fund(client.id, 100);
+
+        expect(await inTransaction(db => wallet.holdEscrow(db, assignment, '300.00', writer.id)))
+            .toEqual({ error: expect.stringContaining("The client doesn't have"), status: 409 });
+        expect(await inTransaction(db => wallet.holdEscrow(db, assignment, '300.00', client.id)))
+            .toEqual({ error: expect.stringContaining('Add funds to your wallet first'), status: 409 });
+        expect(await balance('wallet', client.id)).toBe('100.00');
+    });
+
+    it('makes a second hold on the same wallet wait for the first, then see what is left', async () => {
+        const { client, writer, assignment } = await createParties();
+        const other = await createAssignment(pool, await createRequest(pool, { client_id: client.id }), { writer_id: writer.id });
+        await fund(client.id, 500);
+
+        const first = await pool.connect();
+        const second = await pool.connect();
+        try {
+            await first.query('BEGIN');
+            await second.query('BEGIN');
+            expect(await wallet.holdEscrow(first, assignment, '300.00', writer.id)).toEqual({});
+
+            const secondHold = wallet.holdEscrow(second, other, '300.00', writer.id);
+            await waitForBlockedQuery();
+            await first.query('COMMIT');
+
+            expect(await secondHold).toMatchObject({ status: 409 });
+            await second.query('ROLLBACK');
+        } finally {
+            first.release();
+            second.release();
+        }
+        expect(await balance('wallet', client.id)).toBe('200.00');
+    });
+});
+
+describe('checkCanFund', () => {
+    it('needs the wallet to cover the new price on top of every request still listed', async () => {
+        const client = await createUser(pool);
+        await fund(client.id, 800);
+        await createRequest(pool, { client_id: client.id, estimated_cost: 500 });
+        await createRequest(pool, { client_id: client.id, estimated_cost: 900, status: 'expired' });
+
+        expect(await wallet.checkCanFund(pool, client.id, 300)).toEqual({});
+        expect(await wallet.checkCanFund(pool, client.id, 350)).toEqual({
+            error: 'Add funds to your wallet first: your listed requests come to ₹850.00 and your wallet has ₹800.00',
+            status: 409
+        });
+    });
+
+    it('leaves out the listed request being repriced', async () => {
+        const client = await createUser(pool);
+        await fund(client.id, 600);
+        const request = await createRequest(pool, { client_id: client.id, estimated_cost: 500 });
+
+        expect(await wallet.checkCanFund(pool, client.id, 600, { excludeRequestId: request.id })).toEqual({});
+        expect(await wallet.checkCanFund(pool, client.id, 650, { excludeRequestId: request.id })).toMatchObject({ status: 409 });
+    });
+
+    it('asks for nothing while payments are off', async () => {
+        const client = await createUser(pool);
+        const isEnabled = jest.spyOn(payments, 'isEnabled').mockReturnValue(false);
+
+        try {
+            expect(await wallet.checkCanFund(pool, client.id, 500)).toEqual({});
+        } finally {
+            isEnabled.mockRestore();
+        }
+    });
+});
+
+describe('settleEscrow', () => {
+    // Parties whose assignment has rupees held in escrow
+    const createHeldAssignment = async (rupees) => {
+        const parties = await createParties();
+        await fund(parties.client.id, rupees);
+        await inTransaction(db => wallet.holdEscrow(db, parties.assignment, rupees, parties.writer.id));
+        return parties;
+    };
+
+    const settle = (assignment, status, options) =>
+        inTransaction(db => wallet.settleEscrow(db, { ...assignment, status }, options));
+
+    it('releases the escrow to the writer once the work is completed', async () => {
+        const { client, writer, assignment } = await createHeldAssignment(300);
+
+        await settle(assignment, 'completed', { actorId: client.id });
+
+        expect(await balance('escrow', assignment.id)).toBe('0.00');
+        expect(await balance('wallet', writer.id)).toBe('300.00');
+        expect((await transactionsFor(assignment.id))[1]).toMatchObject({ kind: 'escrow_release', created_by: client.id });
+    });
+
+    it('splits the escrow when a completed assignment comes with a partial refund', async () => {
+        const { client, writer, assignment } = await createHeldAssignment(300);
+
+        await settle(assignment, 'completed', { refundAmount: '100.00' });
+
+        expect(await balance('wallet', client.id)).toBe('100.00');
+        expect(await balance('wallet', writer.id)).toBe('200.00');
+        expect((await transactionsFor(assignment.id))[1]).toMatchObject({ description: 'Released with a ₹100.00 refund' });
+    });
+
+    it('refunds the whole escrow to the client when the assignment is cancelled', async () => {
+        const { client, writer, assignment } = await createHeldAssignment(300);
+
+        await settle(assignment, 'cancelled', { refundAmount: '50.00' });
+
+        expect(await balance('wallet', client.id)).toBe('300.00');
+        expect(await balance('wallet', writer.id)).toBe('0.00');
+        expect((await transactionsFor(assignment.id))[1]).toMatchObject({ kind: 'escrow_refund' });
+    });
+
+    it('leaves the escrow alone while the assignment is still open', async () => {
+        const { assignment } = await createHeldAssignment(300);
+
+        expect(await settle(assignment, 'submitted')).toEqual({});
+        expect(await balance('escrow', assignment.id)).toBe('300.00');
+    });
+
+    it('settles only once when two requests finish the assignment together', async () => {
+        const { writer, assignment } = await createHeldAssignment(300);
+
+        await Promise.all([settle(assignment, 'completed'), settle(assignment, 'completed')]);
+
+        expect(await balance('wallet', writer.id)).toBe('300.00');
+        expect(await transactionsFor(assignment.id)).toHaveLength(2);
+    });
+
+    it('has nothing to settle for an assignment that started before escrow', async () => {
+        const { assignment } = await createParties();
+
+        expect(await settle(assignment, 'completed')).toEqual({});
+        expect(await transactionsFor(assignment.id)).toEqual([]);
+    });
+});
@@ -9,11 +9,20 @@ import BrowseRequests from './components/BrowseRequests';
 import Profile from './components/Profile';
 import MyAssignments from './components/MyAssignments';
 import MyRatings from './components/MyRatings';
+import Wallet from './components/Wallet';
+import Stats from './components/Stats';
+import ModerationQueue from './components/ModerationQueue';
+import AdminConsole from './components/AdminConsole';
+import ResetApp from './components/ResetApp';
 import { ThemeProvider } from './contexts/ThemeContext';
+import { LiveEventsProvider } from './contexts/LiveEventsContext';
 import config from './config';
 
 function App() {
   const [isAuthenticated, setIsAuthenticated] = useState<boolean | null>(null);
+  // What the signed-in user's role lets them do, e.g. 'moderate_reviews'
+  const [permissions, setPermissions] = useState<string[]>([]);
+  const [accountBlock, setAccountBlock] = useState<string | null>(null);
   const [isLoading, setIsLoading] = useState(true);
 
   useEffect(() => {
@@ -42,6 +51,8 @@ function App() {
         const data = await response.json();
         console.log('Auth status response:', data);
         setIsAuthenticated(data.isAuthenticated);
+        setPermissions(data.user?.permissions || []);
+        setAccountBlock(data.user?.account_block || null);
       } catch (error) {
         console.error('Auth check failed:', error);
         setIsAuthenticated(false);
@@ -53,6 +64,9 @@ function App() {
     checkAuthStatus();
   }, []);
 
+  const can = (permission: string) => !!isAuthenticated && permissions.includes(permission);
+  const home = isAuthenticated ? "/dashboard" : "/login";
+
   // Show loading state while checking authentication
   if (isLoading) {
     return (
@@ -65,24 +79,49 @@ function App() {
     );
   }
 
+  // Suspended and banned users are still signed in, but every API call is refused
+  if (accountBlock) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900 px-4">
+        <div className="max-w-md text-center">
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Account unavailable</h1>
+          <p className="mt-4 text-gray-600 dark:text-gray-300">{accountBlock}</p>
+          <a
+            href={`${config.apiUrl}/auth/logout`}
+            className="mt-6 inline-block px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+          >
+            Log out
+          </a>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <ThemeProvider>
-      <Router>
-        <div className="min-h-screen bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-100 transition-colors duration-200">
-          <Routes>
-            <Route path="/login" element={!isAuthenticated ? <Login /> : <Navigate to="/dashboard" replace />} />
-            <Route path="/dashboard" element={isAuthenticated ? <Dashboard /> : <Navigate to="/login" replace />} />
-            <Route path="/find-writer" element={isAuthenticated ? <FindWriter /> : <Navigate to="/login" replace />} />
-            <Route path="/writer/:id" element={isAuthenticated ? <WriterProfile /> : <Navigate to="/login" replace />} />
-            <Route path="/browse-requests" element={isAuthenticated ? <BrowseRequests /> : <Navigate to="/login" replace />} />
-            <Route path="/profile" element={isAuthenticated ? <Profile /> : <Navigate to="/login" replace />} />
-            <Route path="/my-assignments" element={isAuthenticated ? <MyAssignments /> : <Navigate to="/login" replace />} />
-            <Route path="/my-ratings" element={isAuthenticated ? <MyRatings /> : <Navigate to="/login" replace />} />
-            <Route path="/" element={<Navigate to={isAuthenticated ? "/dashboard" : "/login"} replace />} />
-            <Route path="*" element={<Navigate to={isAuthenticated ? "/dashboard" : "/login"} replace />} />
-          </Routes>
-        </div>
-      </Router>
+      <LiveEventsProvider enabled={!!isAuthenticated}>
+        <Router>
+          <div className="min-h-screen bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-100 transition-colors duration-200">
+            <Routes>
+              <Route path="/login" element={!isAuthenticated ? <Login /> : <Navigate to="/dashboard" replace />} />
+              <Route path="/dashboard" element={isAuthenticated ? <Dashboard permissions={permissions} /> : <Navigate to="/login" replace />} />
+              <Route path="/find-writer" element={isAuthenticated ? <FindWriter /> : <Navigate to="/login" replace />} />
+              <Route path="/writer/:id" element={isAuthenticated ? <WriterProfile /> : <Navigate to="/login" replace />} />
+              <Route path="/browse-requests" element={isAuthenticated ? <BrowseRequests /> : <Navigate to="/login" replace />} />
+              <Route path="/profile" element={isAuthenticated ? <Profile /> : <Navigate to="/login" replace />} />
+              <Route path="/my-assignments" element={isAuthenticated ? <MyAssignments /> : <Navigate to="/login" replace />} />
+              <Route path="/my-ratings" element={isAuthenticated ? <MyRatings /> : <Navigate to="/login" replace />} />
+              <Route path="/wallet" element={isAuthenticated ? <Wallet /> : <Navigate to="/login" replace />} />
+              <Route path="/stats" element={isAuthenticated ? <Stats /> : <Navigate to="/login" replace />} />
+              <Route path="/moderation" element={can('moderate_reviews') ? <ModerationQueue /> : <Navigate to={home} replace />} />
+              <Route path="/admin" element={can('manage_users') ? <AdminConsole permissions={permissions} /> : <Navigate to={home} replace />} />
+              <Route path="/admin/reset" element={can('reset_data') ? <ResetApp /> : <Navigate to={home} replace />} />
+              <Route path="/" element={<Navigate to={isAuthenticated ? "/dashboard" : "/login"} replace />} />
+              <Route path="*" element={<Navigate to={isAuthenticated ? "/dashboard" : "/login"} replace />} />
+            </Routes>
+          </div>
+        </Router>
+      </LiveEventsProvider>
     </ThemeProvider>
   );
 }
@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Header from './Header';
+import AdminUsers from './AdminUsers';
+import AdminRequests from './AdminRequests';
+import AdminDisputes from './AdminDisputes';
+import AuditLog from './AuditLog';
+
+type AdminTab = 'users' | 'requests' | 'disputes' | 'audit';
+
+// Each tab and the permission it needs
+const TABS: { tab: AdminTab; label: string; permission: string }[] = [
+  { tab: 'users', label: 'Users', permission: 'manage_users' },
+  { tab: 'requests', label: 'Requests', permission: 'manage_requests' },
+  { tab: 'disputes', label: 'Disputes', permission: 'resolve_disputes' },
+  { tab: 'audit', label: 'Audit log', permission: 'view_audit_log' }
+];
+
+interface AdminConsoleProps {
+  permissions: string[];
+}
+
+const AdminConsole: React.FC<AdminConsoleProps> = ({ permissions }) => {
+  const navigate = useNavigate();
+  const tabs = TABS.filter(t => permissions.includes(t.permission));
+  const [activeTab, setActiveTab] = useState<AdminTab>(tabs[0]?.tab || 'users');
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      <Header title="Admin Console" />
+
+      <main className="max-w-7xl mx-auto py-8 px-4 sm:px-6 lg:px-8">
+        <div className="flex items-center justify-between mb-6">
+          <div className="flex space-x-2">
+            {tabs.map(t => (
+              <button
+                key={t.tab}
+                onClick={() => setActiveTab(t.tab)}
+                className={`px-4 py-2 text-sm font-medium rounded-md ${
+                  activeTab === t.tab
+                    ? 'bg-blue-600 text-white'
+                    : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700'
+                }`}
+              >
+                {t.label}
+              </button>
+            ))}
+          </div>
+          <div className="flex space-x-4 text-sm">
+            {permissions.includes('moderate_reviews') && (
+              <button onClick={() => navigate('/moderation')} className="text-blue-600 dark:text-blue-400 hover:underline">
+                Review moderation
+              </button>
+            )}
+            {permissions.includes('reset_data') && (
+              <button onClick={() => navigate('/admin/reset')} className="text-red-600 dark:text-red-400 hover:underline">
+                Reset staging data
+              </button>
+            )}
+          </div>
+        </div>
+
+        {activeTab === 'users' && <AdminUsers />}
+        {activeTab === 'requests' && <AdminRequests />}
+        {activeTab === 'disputes' && <AdminDisputes />}
+        {activeTab === 'audit' && <AuditLog />}
+      </main>
+    </div>
+  );
+};
+
+export default AdminConsole;
@@ -0,0 +1,114 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import DisputeModal, { Dispute, OUTCOME_LABELS } from './DisputeModal';
+import config from '../config';
+
+type StatusFilter = 'open' | 'resolved' | '';
+
+const AdminDisputes: React.FC = () => {
+  const [statusFilter, setStatusFilter] = useState<StatusFilter>('open');
+  const [disputes, setDisputes] = useState<Dispute[]>([]);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [selectedId, setSelectedId] = useState<number | null>(null);
+
+  const fetchDisputes = useCallback(async (cursor: string | null = null) => {
+    const params = new URLSearchParams();
+    if (statusFilter) params.set('status', statusFilter);
+    if (cursor) params.set('cursor', cursor);
+
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await fetch(`${config.apiUrl}/api/admin/disputes?${params.toString()}`, {
+        credentials: 'include'
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load disputes');
+      }
+
+      setDisputes(prev => cursor ? [...prev, ...data.disputes] : data.disputes);
+      setNextCursor(data.next_cursor);
+    } catch (error) {
+      console.error('Error fetching disputes:', error);
+      setError(error instanceof Error ? error.message : 'Failed to load disputes');
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter]);
+
+  useEffect(() => {
+    fetchDisputes();
+  }, [fetchDisputes]);
+
+  return (
+    <div className="space-y-4">
+      <select
+        value={statusFilter}
+        onChange={(e) => setStatusFilter(e.target.value as StatusFilter)}
+        className="rounded-md border-gray-300 dark:border-gray-600 shadow-sm text-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:text-white"
+      >
+        <option value="open">Open</option>
+        <option value="resolved">Resolved</option>
+        <option value="">All disputes</option>
+      </select>
+
+      {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+
+      <ul className="bg-white dark:bg-gray-800 rounded-lg shadow-md divide-y divide-gray-200 dark:divide-gray-700">
+        {disputes.map(dispute => (
+          <li key={dispute.id} className="px-4 py-3 text-sm flex items-start justify-between">
+            <div className="min-w-0">
+              <p className="font-medium text-gray-900 dark:text-white">
+                {dispute.course_name} ({dispute.course_code})
+                <span className="font-normal text-gray-500 dark:text-gray-400"> · {dispute.client.name} and {dispute.writer.name} · ₹{dispute.price}</span>
+              </p>
+              <p className="mt-1 text-gray-700 dark:text-gray-300 truncate">
+                {dispute.opened_by.name}: {dispute.reason}
+              </p>
+              <p className="mt-1 text-gray-500 dark:text-gray-400">
+                Opened {new Date(dispute.created_at).toLocaleString()}
+                {dispute.outcome && ` · ${OUTCOME_LABELS[dispute.outcome]}`}
+              </p>
+            </div>
+            <button
+              onClick={() => setSelectedId(dispute.id)}
+              className="ml-4 flex-shrink-0 text-blue-600 dark:text-blue-400 hover:underline"
+            >
+              {dispute.status === 'open' ? 'Mediate' : 'View'}
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {!loading && disputes.length === 0 && (
+        <p className="text-center py-10 text-gray-500 dark:text-gray-400">No disputes to show.</p>
+      )}
+
+      {nextCursor && (
+        <div className="text-center">
+          <button
+            onClick={() => fetchDisputes(nextCursor)}
+            disabled={loading}
+            className="px-4 py-2 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50"
+          >
+            {loading ? 'Loading...' : 'Load more'}
+          </button>
+        </div>
+      )}
+
+      {selectedId && (
+        <DisputeModal
+          isOpen={!!selectedId}
+          onClose={() => setSelectedId(null)}
+          disputeId={selectedId}
+          onChanged={() => fetchDisputes()}
+        />
+      )}
+    </div>
+  );
+};
+
+export default AdminDisputes;
@@ -0,0 +1,202 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import config from '../config';
+
+interface AdminRequest {
+  id: number;
+  course_name: string;
+  course_code: string;
+  assignment_type: string;
+  status: 'open' | 'assigned' | 'completed' | 'cancelled' | 'declined' | 'expired';
+  deadline: string;
+  estimated_cost: number | string;
+  created_at: string;
+  client_id: number;
+  client_name: string;
+  client_email: string;
+  assignment_id: number | null;
+  assignment_status: string | null;
+  writer_id: number | null;
+  writer_name: string | null;
+}
+
+const REQUEST_STATUSES = ['open', 'assigned', 'completed', 'cancelled', 'declined', 'expired'];
+
+// Assignment statuses that can still be handed to another writer
+const REASSIGNABLE_STATUSES = ['in_progress', 'submitted', 'revision_requested', 'disputed'];
+
+const inputClass = 'rounded-md border-gray-300 dark:border-gray-600 shadow-sm text-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:text-white';
+
+const AdminRequests: React.FC = () => {
+  const [query, setQuery] = useState('');
+  const [search, setSearch] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [requests, setRequests] = useState<AdminRequest[]>([]);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchRequests = useCallback(async (cursor: string | null = null) => {
+    const params = new URLSearchParams();
+    if (search) params.set('q', search);
+    if (statusFilter) params.set('status', statusFilter);
+    if (cursor) params.set('cursor', cursor);
+
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await fetch(`${config.apiUrl}/api/admin/requests?${params.toString()}`, {
+        credentials: 'include'
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load requests');
+      }
+
+      setRequests(prev => cursor ? [...prev, ...data.requests] : data.requests);
+      setNextCursor(data.next_cursor);
+    } catch (error) {
+      console.error('Error fetching requests:', error);
+      setError(error instanceof Error ? error.message : 'Failed to load requests');
+    } finally {
+      setLoading(false);
+    }
+  }, [search, statusFilter]);
+
+  useEffect(() => {
+    fetchRequests();
+  }, [fetchRequests]);
+
+  const postAction = async (path: string, body: object) => {
+    try {
+      const response = await fetch(`${config.apiUrl}${path}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        credentials: 'include',
+        body: JSON.stringify(body)
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Action failed');
+      }
+
+      fetchRequests();
+    } catch (error) {
+      console.error(`Error posting to ${path}:`, error);
+      alert(error instanceof Error ? error.message : 'Something went wrong. Please try again.');
+    }
+  };
+
+  const handleCancel = (request: AdminRequest) => {
+    const reason = window.prompt(`Cancel ${request.course_name} (#${request.id})? Both parties will see this reason:`);
+    if (!reason) return;
+    postAction(`/api/admin/requests/${request.id}/cancel`, { reason });
+  };
+
+  const handleReassign = (request: AdminRequest) => {
+    const writerId = window.prompt('Reassign to which writer? Enter their user id:');
+    if (!writerId) return;
+    const reason = window.prompt('Reason for the reassignment:');
+    if (!reason) return;
+    postAction(`/api/admin/assignments/${request.assignment_id}/reassign`, { writer_id: parseInt(writerId, 10), reason });
+  };
+
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    setSearch(query.trim());
+  };
+
+  return (
+    <div className="space-y-4">
+      <form onSubmit={handleSearch} className="flex flex-wrap gap-2">
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search by course, client or request id"
+          className={`flex-1 min-w-[200px] ${inputClass}`}
+        />
+        <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className={inputClass}>
+          <option value="">Any status</option>
+          {REQUEST_STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+        </select>
+        <button type="submit" className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700">
+          Search
+        </button>
+      </form>
+
+      {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+          <thead className="bg-gray-50 dark:bg-gray-700">
+            <tr>
+              <th className="px-4 py-3 text-left font-medium text-gray-500 dark:text-gray-300">Request</th>
+              <th className="px-4 py-3 text-left font-medium text-gray-500 dark:text-gray-300">Client</th>
+              <th className="px-4 py-3 text-left font-medium text-gray-500 dark:text-gray-300">Writer</th>
+              <th className="px-4 py-3 text-left font-medium text-gray-500 dark:text-gray-300">Status</th>
+              <th className="px-4 py-3"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+            {requests.map(request => (
+              <tr key={request.id}>
+                <td className="px-4 py-3">
+                  <p className="font-medium text-gray-900 dark:text-white">{request.course_name}</p>
+                  <p className="text-gray-500 dark:text-gray-400">
+                    #{request.id} · {request.course_code} · due {new Date(request.deadline).toLocaleDateString()}
+                  </p>
+                </td>
+                <td className="px-4 py-3 text-gray-700 dark:text-gray-300">
+                  {request.client_name}
+                  <p className="text-gray-500 dark:text-gray-400">{request.client_email}</p>
+                </td>
+                <td className="px-4 py-3 text-gray-700 dark:text-gray-300">
+                  {request.writer_name ? `${request.writer_name} (#${request.writer_id})` : '—'}
+                </td>
+                <td className="px-4 py-3 text-gray-700 dark:text-gray-300">
+                  {request.status}
+                  {request.assignment_status && (
+                    <p className="text-gray-500 dark:text-gray-400">{request.assignment_status.replace('_', ' ')}</p>
+                  )}
+                </td>
+                <td className="px-4 py-3 text-right whitespace-nowrap space-x-3">
+                  {request.assignment_id && request.assignment_status && REASSIGNABLE_STATUSES.includes(request.assignment_status) && (
+                    <button onClick={() => handleReassign(request)} className="text-blue-600 dark:text-blue-400 hover:underline">
+                      Reassign
+                    </button>
+                  )}
+                  {!['completed', 'cancelled', 'expired'].includes(request.status) && (
+                    <button onClick={() => handleCancel(request)} className="text-red-600 dark:text-red-400 hover:underline">
+                      Force cancel
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {!loading && requests.length === 0 && (
+          <p className="text-center py-10 text-gray-500 dark:text-gray-400">No requests match your search.</p>
+        )}
+      </div>
+
+      {nextCursor && (
+        <div className="text-center">
+          <button
+            onClick={() => fetchRequests(nextCursor)}
+            disabled={loading}
+            className="px-4 py-2 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50"
+          >
+            {loading ? 'Loading...' : 'Load more'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminRequests;
@@ -0,0 +1,248 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import config from '../config';
+
+type Role = 'student' | 'writer' | 'moderator' | 'admin';
+type AccountStatus = 'active' | 'suspended' | 'banned';
+type WriterStatus = 'active' | 'busy' | 'inactive';
+
+interface AdminUser {
+  id: number;
+  name: string;
+  email: string;
+  profile_picture: string | null;
+  role: Role;
+  account_status: AccountStatus;
+  suspended_until: string | null;
+  account_status_reason: string | null;
+  writer_status: WriterStatus | null;
+  university_stream: string | null;
+  rating: number | string | null;
+  total_ratings: number;
+  created_at: string;
+}
+
+const ROLES: Role[] = ['student', 'writer', 'moderator', 'admin'];
+const WRITER_STATUSES: WriterStatus[] = ['active', 'busy', 'inactive'];
+
+const STATUS_STYLES: Record<AccountStatus, string> = {
+  active: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200',
+  suspended: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200',
+  banned: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200'
+};
+
+const selectClass = 'rounded-md border-gray-300 dark:border-gray-600 shadow-sm text-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:text-white';
+
+const AdminUsers: React.FC = () => {
+  const [query, setQuery] = useState('');
+  const [search, setSearch] = useState('');
+  const [roleFilter, setRoleFilter] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [users, setUsers] = useState<AdminUser[]>([]);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchUsers = useCallback(async (cursor: string | null = null) => {
+    const params = new URLSearchParams();
+    if (search) params.set('q', search);
+    if (roleFilter) params.set('role', roleFilter);
+    if (statusFilter) params.set('account_status', statusFilter);
+    if (cursor) params.set('cursor', cursor);
+
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await fetch(`${config.apiUrl}/api/admin/users?${params.toString()}`, {
+        credentials: 'include'
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load users');
+      }
+
+      setUsers(prev => cursor ? [...prev, ...data.users] : data.users);
+      setNextCursor(data.next_cursor);
+    } catch (error) {
+      console.error('Error fetching users:', error);
+      setError(error instanceof Error ? error.message : 'Failed to load users');
+    } finally {
+      setLoading(false);
+    }
+  }, [search, roleFilter, statusFilter]);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  // Send a change for one user and swap in the updated row
+  const updateUser = async (user: AdminUser, path: string, body: object) => {
+    try {
+      const response = await fetch(`${config.apiUrl}/api/admin/users/${user.id}/${path}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        credentials: 'include',
+        body: JSON.stringify(body)
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Update failed');
+      }
+
+      setUsers(prev => prev.map(u => u.id === data.id ? data : u));
+    } catch (error) {
+      console.error(`Error updating user ${path}:`, error);
+      alert(error instanceof Error ? error.message : 'Something went wrong. Please try again.');
+    }
+  };
+
+  const handleSuspend = (user: AdminUser) => {
+    const days = window.prompt(`Suspend ${user.name} for how many days?`, '7');
+    if (!days) return;
+    const reason = window.prompt('Reason for the suspension (shown to the user):');
+    if (!reason) return;
+    updateUser(user, 'account-status', { account_status: 'suspended', days: parseInt(days, 10), reason });
+  };
+
+  const handleBan = (user: AdminUser) => {
+    const reason = window.prompt(`Ban ${user.name}? Give a reason (shown to the user):`);
+    if (!reason) return;
+    updateUser(user, 'account-status', { account_status: 'banned', reason });
+  };
+
+  const handleReinstate = (user: AdminUser) => {
+    if (!window.confirm(`Let ${user.name} back in?`)) return;
+    updateUser(user, 'account-status', { account_status: 'active' });
+  };
+
+  const handleRoleChange = (user: AdminUser, role: Role) => {
+    if (!window.confirm(`Make ${user.name} a ${role}?`)) return;
+    updateUser(user, 'role', { role });
+  };
+
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    setSearch(query.trim());
+  };
+
+  return (
+    <div className="space-y-4">
+      <form onSubmit={handleSearch} className="flex flex-wrap gap-2">
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search by name, email or id"
+          className={`flex-1 min-w-[200px] ${selectClass}`}
+        />
+        <select value={roleFilter} onChange={(e) => setRoleFilter(e.target.value)} className={selectClass}>
+          <option value="">All roles</option>
+          {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+        </select>
+        <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className={selectClass}>
+          <option value="">Any status</option>
+          <option value="active">Active</option>
+          <option value="suspended">Suspended</option>
+          <option value="banned">Banned</option>
+        </select>
+        <button type="submit" className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700">
+          Search
+        </button>
+      </form>
+
+      {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+          <thead className="bg-gray-50 dark:bg-gray-700">
+            <tr>
+              <th className="px-4 py-3 text-left font-medium text-gray-500 dark:text-gray-300">User</th>
+              <th className="px-4 py-3 text-left font-medium text-gray-500 dark:text-gray-300">Role</th>
+              <th className="px-4 py-3 text-left font-medium text-gray-500 dark:text-gray-300">Writer status</th>
+              <th className="px-4 py-3 text-left font-medium text-gray-500 dark:text-gray-300">Account</th>
+              <th className="px-4 py-3"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+            {users.map(user => (
+              <tr key={user.id}>
+                <td className="px-4 py-3">
+                  <p className="font-medium text-gray-900 dark:text-white">{user.name}</p>
+                  <p className="text-gray-500 dark:text-gray-400">#{user.id} · {user.email}</p>
+                </td>
+                <td className="px-4 py-3">
+                  <select
+                    value={user.role}
+                    onChange={(e) => handleRoleChange(user, e.target.value as Role)}
+                    className={selectClass}
+                  >
+                    {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                  </select>
+                </td>
+                <td className="px-4 py-3">
+                  <select
+                    value={user.writer_status || ''}
+                    onChange={(e) => updateUser(user, 'writer-status', { writer_status: e.target.value || null })}
+                    className={selectClass}
+                  >
+                    <option value="">Not a writer</option>
+                    {WRITER_STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+                  </select>
+                </td>
+                <td className="px-4 py-3">
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[user.account_status]}`}>
+                    {user.account_status}
+                  </span>
+                  {user.account_status === 'suspended' && user.suspended_until && (
+                    <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                      until {new Date(user.suspended_until).toLocaleDateString()}
+                    </p>
+                  )}
+                  {user.account_status_reason && (
+                    <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">{user.account_status_reason}</p>
+                  )}
+                </td>
+                <td className="px-4 py-3 text-right whitespace-nowrap space-x-3">
+                  {user.account_status === 'active' ? (
+                    <>
+                      <button onClick={() => handleSuspend(user)} className="text-yellow-600 dark:text-yellow-400 hover:underline">
+                        Suspend
+                      </button>
+                      <button onClick={() => handleBan(user)} className="text-red-600 dark:text-red-400 hover:underline">
+                        Ban
+                      </button>
+                    </>
+                  ) : (
+                    <button onClick={() => handleReinstate(user)} className="text-blue-600 dark:text-blue-400 hover:underline">
+                      Reinstate
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {!loading && users.length === 0 && (
+          <p className="text-center py-10 text-gray-500 dark:text-gray-400">No users match your search.</p>
+        )}
+      </div>
+
+      {nextCursor && (
+        <div className="text-center">
+          <button
+            onClick={() => fetchUsers(nextCursor)}
+            disabled={loading}
+            className="px-4 py-2 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50"
+          >
+            {loading ? 'Loading...' : 'Load more'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminUsers;
@@ -0,0 +1,268 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import config from '../config';
+
+interface Attachment {
+  id: number;
+  kind: 'brief' | 'deliverable';
+  name: string;
+  content_type: string;
+  size: number;
+  previewable: boolean;
+  uploaded_by: number;
+  uploader_name: string;
+  created_at: string;
+}
+
+interface AttachmentsModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+  requestId: number;
+  courseName: string;
+  currentUserId: number;
+  // Where new files are posted, or null when the user can't upload right now
+  uploadPath: string | null;
+  uploadLabel: string;
+}
+
+// Mirrors the server's limits so obviously bad files are caught before uploading
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+const ACCEPTED_EXTENSIONS = '.pdf,.doc,.docx,.ppt,.pptx,.xls,.xlsx,.txt,.png,.jpg,.jpeg,.gif,.webp,.zip';
+
+const SECTIONS: { kind: Attachment['kind']; title: string; empty: string }[] = [
+  { kind: 'brief', title: 'Brief & reference material', empty: 'The client has not attached any files.' },
+  { kind: 'deliverable', title: 'Deliverables', empty: 'The writer has not uploaded any work yet.' }
+];
+
+const formatSize = (bytes: number) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const AttachmentsModal: React.FC<AttachmentsModalProps> = ({
+  isOpen,
+  onClose,
+  requestId,
+  courseName,
+  currentUserId,
+  uploadPath,
+  uploadLabel
+}) => {
+  const [attachments, setAttachments] = useState<Attachment[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const fileInputRef = useRef<HTMLInputElement>(null);
+
+  const fetchAttachments = useCallback(async () => {
+    try {
+      const response = await fetch(`${config.apiUrl}/api/assignment-requests/${requestId}/attachments`, {
+        credentials: 'include'
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to load files');
+      }
+
+      const data = await response.json();
+      setAttachments(data.attachments);
+      setError(null);
+    } catch (error) {
+      console.error('Error fetching attachments:', error);
+      setError(error instanceof Error ? error.message : 'Failed to load files');
+    } finally {
+      setLoading(false);
+    }
+  }, [requestId]);
+
+  useEffect(() => {
+    if (isOpen) {
+      fetchAttachments();
+    }
+  }, [isOpen, fetchAttachments]);
+
+  if (!isOpen) return null;
+
+  const fileUrl = (attachment: Attachment, inline = false) =>
+    `${config.apiUrl}/api/attachments/${attachment.id}${inline ? '?inline=1' : ''}`;
+
+  const handleUpload = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (!uploadPath || files.length === 0) return;
+
+    const tooLarge = files.find(file => file.size > MAX_FILE_SIZE);
+    if (tooLarge) {
+      setError(`${tooLarge.name} is larger than 10 MB`);
+      return;
+    }
+
+    const formData = new FormData();
+    files.forEach(file => formData.append('files', file));
+
+    setUploading(true);
+    setError(null);
+
+    try {
+      const response = await fetch(`${config.apiUrl}${uploadPath}`, {
+        method: 'POST',
+        credentials: 'include',
+        body: formData
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to upload files');
+      }
+
+      const data = await response.json();
+      setAttachments(prev => [...prev, ...data.attachments]);
+    } catch (error) {
+      console.error('Error uploading files:', error);
+      setError(error instanceof Error ? error.message : 'Failed to upload files');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleRemove = async (attachment: Attachment) => {
+    if (!window.confirm(`Remove ${attachment.name}?`)) return;
+
+    try {
+      const response = await fetch(fileUrl(attachment), {
+        method: 'DELETE',
+        credentials: 'include'
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to remove file');
+      }
+
+      setAttachments(prev => prev.filter(a => a.id !== attachment.id));
+    } catch (error) {
+      console.error('Error removing file:', error);
+      setError(error instanceof Error ? error.message : 'Failed to remove file');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-lg w-full flex flex-col" style={{ maxHeight: '80vh' }}>
+        <div className="flex justify-between items-center p-4 border-b border-gray-200 dark:border-gray-700">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Files</h2>
+            <p className="text-sm text-gray-500 dark:text-gray-400">{courseName}</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-500 focus:outline-none"
+          >
+            <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4 space-y-6">
+          {loading ? (
+            <div className="flex justify-center py-10">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500 dark:border-blue-400"></div>
+            </div>
+          ) : (
+            SECTIONS.map(section => {
+              const files = attachments.filter(a => a.kind === section.kind);
+              return (
+                <div key={section.kind}>
+                  <h3 className="text-sm font-medium text-gray-900 dark:text-white mb-2">{section.title}</h3>
+                  {files.length === 0 ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">{section.empty}</p>
+                  ) : (
+                    <ul className="space-y-2">
+                      {files.map(attachment => (
+                        <li key={attachment.id} className="flex items-center space-x-3">
+                          {attachment.content_type.startsWith('image/') ? (
+                            <a href={fileUrl(attachment, true)} target="_blank" rel="noopener noreferrer">
+                              <img
+                                src={fileUrl(attachment, true)}
+                                alt={attachment.name}
+                                className="h-12 w-12 rounded object-cover border border-gray-200 dark:border-gray-700"
+                              />
+                            </a>
+                          ) : (
+                            <div className="h-12 w-12 rounded bg-gray-100 dark:bg-gray-700 flex items-center justify-center text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">
+                              {attachment.name.split('.').pop()}
+                            </div>
+                          )}
+                          <div className="flex-1 min-w-0">
+                            <p className="text-sm text-gray-900 dark:text-white truncate">{attachment.name}</p>
+                            <p className="text-xs text-gray-500 dark:text-gray-400">
+                              {formatSize(attachment.size)} · {attachment.uploader_name} · {new Date(attachment.created_at).toLocaleDateString()}
+                            </p>
+                          </div>
+                          <div className="flex space-x-2 text-sm">
+                            {attachment.previewable && (
+                              <a
+                                href={fileUrl(attachment, true)}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                                className="text-blue-600 dark:text-blue-400 hover:underline"
+                              >
+                                Preview
+                              </a>
+                            )}
+                            <a href={fileUrl(attachment)} className="text-blue-600 dark:text-blue-400 hover:underline">
+                              Download
+                            </a>
+                            {uploadPath && attachment.uploaded_by === currentUserId && (
+                              <button
+                                onClick={() => handleRemove(attachment)}
+                                className="text-red-600 dark:text-red-400 hover:underline"
+                              >
+                                Remove
+                              </button>
+                            )}
+                          </div>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              );
+            })
+          )}
+        </div>
+
+        {error && (
+          <div className="px-4 text-red-500 text-sm">
+            {error}
+          </div>
+        )}
+
+        {uploadPath && (
+          <div className="p-4 border-t border-gray-200 dark:border-gray-700 flex items-center justify-between">
+            <p className="text-xs text-gray-500 dark:text-gray-400">PDF, Office, text, image or zip files up to 10 MB</p>
+            <input
+              ref={fileInputRef}
+              type="file"
+              multiple
+              accept={ACCEPTED_EXTENSIONS}
+              onChange={handleUpload}
+              className="hidden"
+            />
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              disabled={uploading}
+              className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+            >
+              {uploading ? 'Uploading...' : uploadLabel}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AttachmentsModal;
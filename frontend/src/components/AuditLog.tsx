@@ -0,0 +1,102 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import config from '../config';
+
+interface AuditEntry {
+  id: number;
+  action: string;
+  target_type: string | null;
+  target_id: number | null;
+  details: Record<string, unknown>;
+  created_at: string;
+  actor_id: number | null;
+  actor_name: string | null;
+}
+
+// Anything in the details besides the reason, e.g. the values before and after a change
+const formatDetails = (details: Record<string, unknown>) => {
+  const { reason, ...rest } = details;
+  return Object.keys(rest).length > 0 ? JSON.stringify(rest) : null;
+};
+
+const AuditLog: React.FC = () => {
+  const [entries, setEntries] = useState<AuditEntry[]>([]);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchEntries = useCallback(async (cursor: string | null = null) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const params = cursor ? `?cursor=${encodeURIComponent(cursor)}` : '';
+      const response = await fetch(`${config.apiUrl}/api/admin/audit-log${params}`, {
+        credentials: 'include'
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load the audit log');
+      }
+
+      setEntries(prev => cursor ? [...prev, ...data.entries] : data.entries);
+      setNextCursor(data.next_cursor);
+    } catch (error) {
+      console.error('Error fetching audit log:', error);
+      setError(error instanceof Error ? error.message : 'Failed to load the audit log');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  return (
+    <div className="space-y-4">
+      {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+
+      <ul className="bg-white dark:bg-gray-800 rounded-lg shadow-md divide-y divide-gray-200 dark:divide-gray-700">
+        {entries.map(entry => {
+          const extra = formatDetails(entry.details);
+          return (
+            <li key={entry.id} className="px-4 py-3 text-sm">
+              <div className="flex items-center justify-between">
+                <p className="text-gray-900 dark:text-white">
+                  <span className="font-medium">{entry.actor_name || 'Unknown'}</span>{' '}
+                  <span className="font-mono text-gray-600 dark:text-gray-300">{entry.action}</span>
+                  {entry.target_type && (
+                    <span className="text-gray-500 dark:text-gray-400"> on {entry.target_type} #{entry.target_id}</span>
+                  )}
+                </p>
+                <p className="text-gray-500 dark:text-gray-400">{new Date(entry.created_at).toLocaleString()}</p>
+              </div>
+              {typeof entry.details.reason === 'string' && (
+                <p className="mt-1 text-gray-700 dark:text-gray-300">{entry.details.reason}</p>
+              )}
+              {extra && <p className="mt-1 font-mono text-xs text-gray-500 dark:text-gray-400 break-all">{extra}</p>}
+            </li>
+          );
+        })}
+      </ul>
+
+      {!loading && entries.length === 0 && (
+        <p className="text-center py-10 text-gray-500 dark:text-gray-400">Nothing has been logged yet.</p>
+      )}
+
+      {nextCursor && (
+        <div className="text-center">
+          <button
+            onClick={() => fetchEntries(nextCursor)}
+            disabled={loading}
+            className="px-4 py-2 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50"
+          >
+            {loading ? 'Loading...' : 'Load more'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuditLog;
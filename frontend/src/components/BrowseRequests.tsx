@@ -1,6 +1,9 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import Header from './Header';
+import EditRequestModal from './EditRequestModal';
+import OfferFormModal from './OfferFormModal';
+import { useLiveEvent } from '../contexts/LiveEventsContext';
 import config from '../config';
 
 interface Client {
@@ -22,44 +25,172 @@ interface AssignmentRequest {
     estimated_cost: number;
     status: 'open' | 'assigned' | 'completed';
     created_at: string;
+    is_mine: boolean;
 }
 
+interface RequestFilters {
+    q: string;
+    course_code: string;
+    assignment_type: string;
+    min_pages: string;
+    max_pages: string;
+    min_cost: string;
+    max_cost: string;
+    deadline_from: string;
+    deadline_to: string;
+    sort: string;
+}
+
+const EMPTY_FILTERS: RequestFilters = {
+    q: '',
+    course_code: '',
+    assignment_type: '',
+    min_pages: '',
+    max_pages: '',
+    min_cost: '',
+    max_cost: '',
+    deadline_from: '',
+    deadline_to: '',
+    sort: 'newest'
+};
+
+// Build the query string for the request board, skipping empty filters
+const buildQueryString = (filters: RequestFilters, cursor?: string) => {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+        if (!value) return;
+        // Date inputs are local days; send the full day range as ISO timestamps
+        if (key === 'deadline_from') {
+            params.set(key, new Date(`${value}T00:00:00`).toISOString());
+        } else if (key === 'deadline_to') {
+            params.set(key, new Date(`${value}T23:59:59`).toISOString());
+        } else {
+            params.set(key, value);
+        }
+    });
+    if (cursor) {
+        params.set('cursor', cursor);
+    }
+    return params.toString();
+};
+
 const BrowseRequests: React.FC = () => {
     const navigate = useNavigate();
     const [requests, setRequests] = useState<AssignmentRequest[]>([]);
     const [loading, setLoading] = useState(true);
+    const [loadingMore, setLoadingMore] = useState(false);
+    const [nextCursor, setNextCursor] = useState<string | null>(null);
+    const [filters, setFilters] = useState<RequestFilters>(EMPTY_FILTERS);
+    const [appliedFilters, setAppliedFilters] = useState<RequestFilters>(EMPTY_FILTERS);
     const [acceptingId, setAcceptingId] = useState<number | null>(null);
     const [error, setError] = useState<string | null>(null);
+    const [editingRequest, setEditingRequest] = useState<AssignmentRequest | null>(null);
+    const [offerRequest, setOfferRequest] = useState<AssignmentRequest | null>(null);
+    const [hasNewRequests, setHasNewRequests] = useState(false);
+
+    const fetchRequests = useCallback((cursor?: string) => {
+        if (cursor) {
+            setLoadingMore(true);
+        }
 
-    useEffect(() => {
         // Fetch assignment requests
-        fetch(`${config.apiUrl}/api/assignment-requests`, {
+        fetch(`${config.apiUrl}/api/assignment-requests?${buildQueryString(appliedFilters, cursor)}`, {
             credentials: 'include'
         })
-        .then(res => {
+        .then(async res => {
             if (!res.ok) {
-                throw new Error(`HTTP error! Status: ${res.status}`);
+                const errorData = await res.json().catch(() => ({}));
+                throw new Error(errorData.error || `HTTP error! Status: ${res.status}`);
             }
             return res.json();
         })
         .then(data => {
-            // Ensure data is an array before setting it
-            if (Array.isArray(data)) {
-                setRequests(data);
+            // Ensure the page of requests is an array before setting it
+            if (Array.isArray(data.requests)) {
+                setRequests(prev => cursor ? [...prev, ...data.requests] : data.requests);
+                setNextCursor(data.next_cursor);
+                setError(null);
             } else {
-                console.error('Expected array but got:', data);
+                console.error('Expected requests array but got:', data);
                 setRequests([]);
+                setNextCursor(null);
                 setError('Received invalid data format from server');
             }
-            setLoading(false);
         })
         .catch(err => {
             console.error('Error fetching requests:', err);
             setRequests([]);
+            setNextCursor(null);
             setError(`Failed to load requests: ${err.message}`);
+        })
+        .finally(() => {
             setLoading(false);
+            setLoadingMore(false);
         });
-    }, []);
+    }, [appliedFilters]);
+
+    useEffect(() => {
+        setHasNewRequests(false);
+        fetchRequests();
+    }, [fetchRequests]);
+
+    // Pull in newly posted requests without resetting what's already loaded.
+    // They only belong at the top when sorting by newest; otherwise offer a refresh.
+    const mergeNewRequests = useCallback(() => {
+        if (appliedFilters.sort !== 'newest') {
+            setHasNewRequests(true);
+            return;
+        }
+
+        fetch(`${config.apiUrl}/api/assignment-requests?${buildQueryString(appliedFilters)}`, {
+            credentials: 'include'
+        })
+        .then(res => res.ok ? res.json() : null)
+        .then(data => {
+            if (!data || !Array.isArray(data.requests)) return;
+            setRequests(prev => {
+                const known = new Set(prev.map(r => r.id));
+                const fresh = data.requests.filter((r: AssignmentRequest) => !known.has(r.id));
+                return fresh.length > 0 ? [...fresh, ...prev] : prev;
+            });
+        })
+        .catch(err => console.error('Error fetching new requests:', err));
+    }, [appliedFilters]);
+
+    useLiveEvent('request_created', mergeNewRequests);
+
+    // Another writer took the request, or the client cancelled it
+    const removeRequest = ({ request_id }: { request_id: number }) => {
+        setRequests(prev => prev.filter(r => r.id !== Number(request_id)));
+        if (offerRequest && offerRequest.id === Number(request_id)) {
+            setOfferRequest(null);
+            alert('This request is no longer available.');
+        }
+    };
+
+    useLiveEvent('request_taken', removeRequest);
+    useLiveEvent('request_cancelled', removeRequest);
+    useLiveEvent('request_expired', removeRequest);
+
+    const handleFilterChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) => {
+        const { name, value } = e.target;
+        setFilters(prev => ({
+            ...prev,
+            [name]: value
+        }));
+    };
+
+    const handleApplyFilters = (e: React.FormEvent) => {
+        e.preventDefault();
+        setLoading(true);
+        setAppliedFilters(filters);
+    };
+
+    const handleResetFilters = () => {
+        setFilters(EMPTY_FILTERS);
+        setLoading(true);
+        setAppliedFilters(EMPTY_FILTERS);
+    };
 
     const getAssignmentTypeIcon = (type: string) => {
         switch (type) {
@@ -105,11 +236,12 @@ const BrowseRequests: React.FC = () => {
             });
 
             if (response.ok) {
-                const data = await response.json();
-                // Open WhatsApp with the client's number
-                const message = encodeURIComponent(`Hi, I've accepted your assignment request for ${data.course_name}. Let's discuss the details.`);
-                window.open(`https://wa.me/${data.client_whatsapp}?text=${message}`, '_blank');
-                navigate('/dashboard');
+                // The conversation with the client continues in the assignment's message thread
+                navigate('/my-assignments');
+            } else {
+                const errorData = await response.json();
+                alert(errorData.error || 'Failed to accept request');
+                fetchRequests();
             }
         } catch (error) {
             console.error('Error accepting request:', error);
@@ -118,6 +250,34 @@ const BrowseRequests: React.FC = () => {
         }
     };
 
+    const handleCancelRequest = async (requestId: number) => {
+        if (!window.confirm('Cancel this request? It will be removed from the request board.')) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`${config.apiUrl}/api/assignment-requests/${requestId}/cancel`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                credentials: 'include',
+                body: JSON.stringify({})
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json();
+                alert(errorData.error || 'Failed to cancel request');
+            }
+            fetchRequests();
+        } catch (error) {
+            console.error('Error cancelling request:', error);
+        }
+    };
+
+    const filterLabelClassName = "block text-sm font-medium text-gray-700";
+    const filterInputClassName = "mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm";
+
     return (
         <div className="min-h-screen bg-gray-50">
             {/* Header */}
@@ -125,6 +285,90 @@ const BrowseRequests: React.FC = () => {
 
             {/* Main content */}
             <main className="max-w-7xl mx-auto py-12 px-4 sm:px-6 lg:px-8">
+                <form onSubmit={handleApplyFilters} className="mb-8 bg-white rounded-lg shadow p-4">
+                    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+                        <div className="md:col-span-2">
+                            <label className={filterLabelClassName}>Search</label>
+                            <input type="text" name="q" value={filters.q} onChange={handleFilterChange} placeholder="Course name or code" className={filterInputClassName} />
+                        </div>
+                        <div>
+                            <label className={filterLabelClassName}>Course Code</label>
+                            <input type="text" name="course_code" value={filters.course_code} onChange={handleFilterChange} className={filterInputClassName} />
+                        </div>
+                        <div>
+                            <label className={filterLabelClassName}>Assignment Type</label>
+                            <select name="assignment_type" value={filters.assignment_type} onChange={handleFilterChange} className={filterInputClassName}>
+                                <option value="">All types</option>
+                                <option value="class_assignment">Class Assignment</option>
+                                <option value="lab_files">Lab Files</option>
+                                <option value="graphic_design">Graphic Design</option>
+                                <option value="workshop_files">Workshop Files</option>
+                            </select>
+                        </div>
+                        <div>
+                            <label className={filterLabelClassName}>Pages</label>
+                            <div className="flex space-x-2">
+                                <input type="number" name="min_pages" value={filters.min_pages} onChange={handleFilterChange} min="1" placeholder="Min" className={filterInputClassName} />
+                                <input type="number" name="max_pages" value={filters.max_pages} onChange={handleFilterChange} min="1" placeholder="Max" className={filterInputClassName} />
+                            </div>
+                        </div>
+                        <div>
+                            <label className={filterLabelClassName}>Cost (₹)</label>
+                            <div className="flex space-x-2">
+                                <input type="number" name="min_cost" value={filters.min_cost} onChange={handleFilterChange} min="0" step="50" placeholder="Min" className={filterInputClassName} />
+                                <input type="number" name="max_cost" value={filters.max_cost} onChange={handleFilterChange} min="0" step="50" placeholder="Max" className={filterInputClassName} />
+                            </div>
+                        </div>
+                        <div>
+                            <label className={filterLabelClassName}>Deadline Between</label>
+                            <div className="flex space-x-2">
+                                <input type="date" name="deadline_from" value={filters.deadline_from} onChange={handleFilterChange} className={filterInputClassName} />
+                                <input type="date" name="deadline_to" value={filters.deadline_to} onChange={handleFilterChange} className={filterInputClassName} />
+                            </div>
+                        </div>
+                        <div>
+                            <label className={filterLabelClassName}>Sort By</label>
+                            <select name="sort" value={filters.sort} onChange={handleFilterChange} className={filterInputClassName}>
+                                <option value="newest">Newest</option>
+                                <option value="cost_desc">Highest cost</option>
+                                <option value="cost_asc">Lowest cost</option>
+                                <option value="deadline">Earliest deadline</option>
+                                <option value="client_rating">Client rating</option>
+                            </select>
+                        </div>
+                    </div>
+                    <div className="mt-4 flex justify-end space-x-3">
+                        <button
+                            type="button"
+                            onClick={handleResetFilters}
+                            className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                        >
+                            Reset
+                        </button>
+                        <button
+                            type="submit"
+                            className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                        >
+                            Apply Filters
+                        </button>
+                    </div>
+                </form>
+
+                {hasNewRequests && !loading && (
+                    <div className="mb-6 flex items-center justify-between rounded-md bg-blue-50 p-4 text-sm text-blue-700">
+                        <span>New requests have been posted.</span>
+                        <button
+                            onClick={() => {
+                                setHasNewRequests(false);
+                                fetchRequests();
+                            }}
+                            className="font-medium underline hover:text-blue-900"
+                        >
+                            Refresh
+                        </button>
+                    </div>
+                )}
+
                 {loading ? (
                     <div className="flex justify-center items-center">
                         <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
@@ -151,7 +395,7 @@ const BrowseRequests: React.FC = () => {
                                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
                                 </svg>
                                 <h3 className="mt-2 text-sm font-medium text-gray-900">No assignment requests</h3>
-                                <p className="mt-1 text-sm text-gray-500">There are no open assignment requests at the moment.</p>
+                                <p className="mt-1 text-sm text-gray-500">No open assignment requests match your filters.</p>
                             </div>
                         ) : (
                             requests.map(request => (
@@ -220,13 +464,38 @@ const BrowseRequests: React.FC = () => {
                                         </div>
                                         
                                         <div className="mt-6">
-                                            <button
-                                                onClick={() => handleAcceptRequest(request.id)}
-                                                disabled={acceptingId === request.id}
-                                                className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
-                                            >
-                                                {acceptingId === request.id ? 'Accepting...' : 'Accept Request'}
-                                            </button>
+                                            {request.is_mine ? (
+                                                <div className="flex space-x-3">
+                                                    <button
+                                                        onClick={() => setEditingRequest(request)}
+                                                        className="flex-1 flex justify-center py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                                                    >
+                                                        Edit
+                                                    </button>
+                                                    <button
+                                                        onClick={() => handleCancelRequest(request.id)}
+                                                        className="flex-1 flex justify-center py-2 px-4 border border-red-300 rounded-md shadow-sm text-sm font-medium text-red-700 bg-white hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500"
+                                                    >
+                                                        Cancel Request
+                                                    </button>
+                                                </div>
+                                            ) : (
+                                                <div className="flex space-x-3">
+                                                    <button
+                                                        onClick={() => handleAcceptRequest(request.id)}
+                                                        disabled={acceptingId === request.id}
+                                                        className="flex-1 flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+                                                    >
+                                                        {acceptingId === request.id ? 'Accepting...' : 'Accept Request'}
+                                                    </button>
+                                                    <button
+                                                        onClick={() => setOfferRequest(request)}
+                                                        className="flex-1 flex justify-center py-2 px-4 border border-blue-300 rounded-md shadow-sm text-sm font-medium text-blue-700 bg-white hover:bg-blue-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                                                    >
+                                                        Make Offer
+                                                    </button>
+                                                </div>
+                                            )}
                                         </div>
                                     </div>
                                 </div>
@@ -234,7 +503,41 @@ const BrowseRequests: React.FC = () => {
                         )}
                     </div>
                 )}
+
+                {!loading && !error && nextCursor && (
+                    <div className="mt-8 flex justify-center">
+                        <button
+                            onClick={() => fetchRequests(nextCursor)}
+                            disabled={loadingMore}
+                            className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+                        >
+                            {loadingMore ? 'Loading...' : 'Load More'}
+                        </button>
+                    </div>
+                )}
             </main>
+
+            {editingRequest && (
+                <EditRequestModal
+                    isOpen={!!editingRequest}
+                    onClose={() => setEditingRequest(null)}
+                    request={editingRequest}
+                    requiresConsent={false}
+                    onSaved={() => fetchRequests()}
+                />
+            )}
+
+            {offerRequest && (
+                <OfferFormModal
+                    isOpen={!!offerRequest}
+                    onClose={() => setOfferRequest(null)}
+                    title={`Make an Offer on ${offerRequest.course_name}`}
+                    submitPath={`/api/assignment-requests/${offerRequest.id}/offers`}
+                    initialPrice={Number(offerRequest.estimated_cost)}
+                    deadline={offerRequest.deadline}
+                    onSubmitted={() => alert('Offer sent! The client will see it alongside their request.')}
+                />
+            )}
         </div>
     );
 };
@@ -2,7 +2,12 @@ import React from 'react';
 import { useNavigate } from 'react-router-dom';
 import Header from './Header';
 
-const Dashboard: React.FC = () => {
+interface DashboardProps {
+    // Permissions from the user's role; they unlock the moderation and admin cards
+    permissions?: string[];
+}
+
+const Dashboard: React.FC<DashboardProps> = ({ permissions = [] }) => {
     const navigate = useNavigate();
 
     return (
@@ -176,6 +181,132 @@ const Dashboard: React.FC = () => {
                             </div>
                         </div>
                     </div>
+                    {/* Stats Card */}
+                    <div 
+                        onClick={() => navigate('/stats')}
+                        className="bg-white dark:bg-gray-800 overflow-hidden shadow rounded-lg cursor-pointer hover:shadow-lg transition-shadow duration-300 flex flex-col h-full"
+                    >
+                        <div className="px-4 py-5 sm:p-6 flex-grow">
+                            <div className="flex items-center">
+                                <div className="flex-shrink-0 bg-indigo-500 dark:bg-indigo-600 rounded-md p-3">
+                                    <svg className="h-6 w-6 sm:h-8 sm:w-8 text-white" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z" />
+                                    </svg>
+                                </div>
+                                <div className="ml-5">
+                                    <h3 className="text-lg leading-6 font-medium text-gray-900 dark:text-white">
+                                        Your Stats
+                                    </h3>
+                                    <p className="mt-2 text-sm sm:text-base text-gray-500 dark:text-gray-400">
+                                        Track your earnings, spending, turnaround and ratings month by month.
+                                    </p>
+                                </div>
+                            </div>
+                        </div>
+                        <div className="bg-gray-50 dark:bg-gray-700 px-4 py-4 sm:px-6">
+                            <div className="text-sm">
+                                <span className="font-medium text-indigo-600 dark:text-indigo-400 hover:text-indigo-500 dark:hover:text-indigo-300">
+                                    View stats <span aria-hidden="true">&rarr;</span>
+                                </span>
+                            </div>
+                        </div>
+                    </div>
+                    {/* Wallet Card */}
+                    <div 
+                        onClick={() => navigate('/wallet')}
+                        className="bg-white dark:bg-gray-800 overflow-hidden shadow rounded-lg cursor-pointer hover:shadow-lg transition-shadow duration-300 flex flex-col h-full"
+                    >
+                        <div className="px-4 py-5 sm:p-6 flex-grow">
+                            <div className="flex items-center">
+                                <div className="flex-shrink-0 bg-green-500 dark:bg-green-600 rounded-md p-3">
+                                    <svg className="h-6 w-6 sm:h-8 sm:w-8 text-white" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 10h18M7 15h1m4 0h1m-7 4h12a3 3 0 003-3V8a3 3 0 00-3-3H6a3 3 0 00-3 3v8a3 3 0 003 3z" />
+                                    </svg>
+                                </div>
+                                <div className="ml-5">
+                                    <h3 className="text-lg leading-6 font-medium text-gray-900 dark:text-white">
+                                        Wallet
+                                    </h3>
+                                    <p className="mt-2 text-sm sm:text-base text-gray-500 dark:text-gray-400">
+                                        Add funds, see what is held in escrow and withdraw your earnings.
+                                    </p>
+                                </div>
+                            </div>
+                        </div>
+                        <div className="bg-gray-50 dark:bg-gray-700 px-4 py-4 sm:px-6">
+                            <div className="text-sm">
+                                <span className="font-medium text-green-600 dark:text-green-400 hover:text-green-500 dark:hover:text-green-300">
+                                    Open wallet <span aria-hidden="true">&rarr;</span>
+                                </span>
+                            </div>
+                        </div>
+                    </div>
+                    {/* Moderation Card */}
+                    {permissions.includes('moderate_reviews') && (
+                        <div 
+                            onClick={() => navigate('/moderation')}
+                            className="bg-white dark:bg-gray-800 overflow-hidden shadow rounded-lg cursor-pointer hover:shadow-lg transition-shadow duration-300 flex flex-col h-full"
+                        >
+                            <div className="px-4 py-5 sm:p-6 flex-grow">
+                                <div className="flex items-center">
+                                    <div className="flex-shrink-0 bg-red-500 dark:bg-red-600 rounded-md p-3">
+                                        <svg className="h-6 w-6 sm:h-8 sm:w-8 text-white" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z" />
+                                        </svg>
+                                    </div>
+                                    <div className="ml-5">
+                                        <h3 className="text-lg leading-6 font-medium text-gray-900 dark:text-white">
+                                            Review Moderation
+                                        </h3>
+                                        <p className="mt-2 text-sm sm:text-base text-gray-500 dark:text-gray-400">
+                                            Look into reported reviews and hide the ones that break the rules.
+                                        </p>
+                                    </div>
+                                </div>
+                            </div>
+                            <div className="bg-gray-50 dark:bg-gray-700 px-4 py-4 sm:px-6">
+                                <div className="text-sm">
+                                    <span className="font-medium text-red-600 dark:text-red-400 hover:text-red-500 dark:hover:text-red-300">
+                                        Open queue <span aria-hidden="true">&rarr;</span>
+                                    </span>
+                                </div>
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Admin Card */}
+                    {permissions.includes('manage_users') && (
+                        <div 
+                            onClick={() => navigate('/admin')}
+                            className="bg-white dark:bg-gray-800 overflow-hidden shadow rounded-lg cursor-pointer hover:shadow-lg transition-shadow duration-300 flex flex-col h-full"
+                        >
+                            <div className="px-4 py-5 sm:p-6 flex-grow">
+                                <div className="flex items-center">
+                                    <div className="flex-shrink-0 bg-gray-700 dark:bg-gray-600 rounded-md p-3">
+                                        <svg className="h-6 w-6 sm:h-8 sm:w-8 text-white" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z" />
+                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
+                                        </svg>
+                                    </div>
+                                    <div className="ml-5">
+                                        <h3 className="text-lg leading-6 font-medium text-gray-900 dark:text-white">
+                                            Admin Console
+                                        </h3>
+                                        <p className="mt-2 text-sm sm:text-base text-gray-500 dark:text-gray-400">
+                                            Manage users, step into requests and review the audit log.
+                                        </p>
+                                    </div>
+                                </div>
+                            </div>
+                            <div className="bg-gray-50 dark:bg-gray-700 px-4 py-4 sm:px-6">
+                                <div className="text-sm">
+                                    <span className="font-medium text-gray-700 dark:text-gray-300 hover:text-gray-600 dark:hover:text-gray-200">
+                                        Open console <span aria-hidden="true">&rarr;</span>
+                                    </span>
+                                </div>
+                            </div>
+                        </div>
+                    )}
                 </div>
             </main>
         </div>
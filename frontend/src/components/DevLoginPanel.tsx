@@ -0,0 +1,127 @@
+import React, { useState, useEffect } from 'react';
+import config from '../config';
+
+interface DevUser {
+  id: number;
+  name: string;
+  email: string;
+  role: string;
+  writer_status: string | null;
+  account_status: string;
+}
+
+// Sign in without Google. Only shown when the backend runs with
+// DEV_AUTH_ENABLED; otherwise /auth/dev/users doesn't exist and this renders nothing.
+const DevLoginPanel: React.FC = () => {
+  const [users, setUsers] = useState<DevUser[] | null>(null);
+  const [email, setEmail] = useState('');
+  const [name, setName] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const fetchUsers = async () => {
+      try {
+        const response = await fetch(`${config.apiUrl}/auth/dev/users`, { credentials: 'include' });
+        if (!response.ok) return;
+        const data = await response.json();
+        setUsers(data.users);
+      } catch (error) {
+        // Backend unreachable or development sign-in off
+      }
+    };
+    fetchUsers();
+  }, []);
+
+  const signIn = async (body: { email: string; name?: string }) => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      const response = await fetch(`${config.apiUrl}/auth/dev/login`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setError(data.error || 'Failed to sign in');
+        setSubmitting(false);
+        return;
+      }
+      // Reload so the app picks up the new session
+      window.location.href = '/dashboard';
+    } catch (error) {
+      console.error('Development sign-in error:', error);
+      setError('Failed to sign in');
+      setSubmitting(false);
+    }
+  };
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    signIn({ email, name });
+  };
+
+  if (!users) return null;
+
+  return (
+    <div className="mt-6 w-full rounded-lg border border-dashed border-yellow-400 dark:border-yellow-600 bg-yellow-50 dark:bg-yellow-900/30 p-4">
+      <h3 className="text-sm font-semibold text-yellow-800 dark:text-yellow-200">Development sign-in</h3>
+      <p className="mt-1 text-xs text-yellow-700 dark:text-yellow-300">
+        Enabled with DEV_AUTH_ENABLED. Not available in production.
+      </p>
+
+      {error && <p className="mt-2 text-sm text-red-600 dark:text-red-400">{error}</p>}
+
+      <ul className="mt-3 space-y-2">
+        {users.map(user => (
+          <li key={user.id}>
+            <button
+              type="button"
+              onClick={() => signIn({ email: user.email })}
+              disabled={submitting}
+              className="w-full flex items-center justify-between rounded-md bg-white dark:bg-gray-800 px-3 py-2 text-left text-sm shadow-sm hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50"
+            >
+              <span>
+                <span className="font-medium text-gray-900 dark:text-white">{user.name}</span>
+                <span className="block text-xs text-gray-500 dark:text-gray-400">{user.email}</span>
+              </span>
+              <span className="text-xs capitalize text-gray-600 dark:text-gray-300">
+                {user.role}{user.account_status !== 'active' && ` (${user.account_status})`}
+              </span>
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <form onSubmit={handleSubmit} className="mt-4 space-y-2">
+        <p className="text-xs text-yellow-700 dark:text-yellow-300">Or sign in as anyone, creating the user if needed:</p>
+        <input
+          type="email"
+          required
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          placeholder="someone@writify.test"
+          className="w-full rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 px-3 py-2 text-sm text-gray-900 dark:text-white"
+        />
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Name (optional)"
+          className="w-full rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 px-3 py-2 text-sm text-gray-900 dark:text-white"
+        />
+        <button
+          type="submit"
+          disabled={submitting}
+          className="w-full rounded-md bg-yellow-600 px-3 py-2 text-sm font-medium text-white hover:bg-yellow-700 disabled:opacity-50"
+        >
+          {submitting ? 'Signing in...' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default DevLoginPanel;
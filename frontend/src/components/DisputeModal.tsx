@@ -0,0 +1,467 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useLiveEvent } from '../contexts/LiveEventsContext';
+import config from '../config';
+
+type Outcome = 'completed' | 'partial_refund' | 'cancelled';
+
+export interface Dispute {
+  id: number;
+  assignment_id: number;
+  request_id: number;
+  course_name: string;
+  course_code: string;
+  price: number | string;
+  client: { id: number; name: string };
+  writer: { id: number; name: string };
+  opened_by: { id: number; name: string };
+  reason: string;
+  status: 'open' | 'resolved';
+  outcome: Outcome | null;
+  refund_amount: number | string | null;
+  resolution_note: string | null;
+  ratings_voided: boolean;
+  resolved_by: { id: number; name: string } | null;
+  resolved_at: string | null;
+  created_at: string;
+}
+
+interface DisputeMessage {
+  id: number;
+  body: string;
+  created_at: string;
+  sender_id: number;
+  sender_name: string;
+}
+
+interface DisputeFile {
+  id: number;
+  kind: 'brief' | 'deliverable' | 'evidence';
+  name: string;
+  size: number;
+  previewable: boolean;
+  uploaded_by: number;
+  uploader_name: string;
+  created_at: string;
+}
+
+interface DisputeDetails {
+  dispute: Dispute;
+  messages: DisputeMessage[];
+  evidence: DisputeFile[];
+  attachments: DisputeFile[];
+  can_add_evidence: boolean;
+  can_resolve: boolean;
+}
+
+interface DisputeModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+  disputeId: number;
+  // Used to offer removing your own evidence; leave out for mediators
+  currentUserId?: number;
+  // Called after the dispute is resolved
+  onChanged?: () => void;
+}
+
+export const OUTCOME_LABELS: Record<Outcome, string> = {
+  completed: 'Completed',
+  partial_refund: 'Completed with a partial refund',
+  cancelled: 'Cancelled'
+};
+
+// Mirrors the server's limits so obviously bad files are caught before uploading
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+const ACCEPTED_EXTENSIONS = '.pdf,.doc,.docx,.ppt,.pptx,.xls,.xlsx,.txt,.png,.jpg,.jpeg,.gif,.webp,.zip';
+
+const inputClass = 'w-full rounded-md border-gray-300 dark:border-gray-600 shadow-sm text-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:text-white';
+
+const DisputeModal: React.FC<DisputeModalProps> = ({ isOpen, onClose, disputeId, currentUserId = 0, onChanged }) => {
+  const [details, setDetails] = useState<DisputeDetails | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [newMessage, setNewMessage] = useState('');
+  const [sending, setSending] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [outcome, setOutcome] = useState<Outcome>('completed');
+  const [refundAmount, setRefundAmount] = useState('');
+  const [resolutionNote, setResolutionNote] = useState('');
+  const [voidRatings, setVoidRatings] = useState(false);
+  const [resolving, setResolving] = useState(false);
+  const fileInputRef = useRef<HTMLInputElement>(null);
+
+  const fetchDispute = useCallback(async () => {
+    try {
+      const response = await fetch(`${config.apiUrl}/api/disputes/${disputeId}`, {
+        credentials: 'include'
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load the dispute');
+      }
+
+      setDetails(data);
+      setError(null);
+    } catch (error) {
+      console.error('Error fetching dispute:', error);
+      setError(error instanceof Error ? error.message : 'Failed to load the dispute');
+    } finally {
+      setLoading(false);
+    }
+  }, [disputeId]);
+
+  useEffect(() => {
+    if (isOpen) {
+      fetchDispute();
+    }
+  }, [isOpen, fetchDispute]);
+
+  // Pick up messages from the other party as they arrive
+  useLiveEvent<{ dispute_id: number }>('dispute_message', (data) => {
+    if (isOpen && data.dispute_id === disputeId) {
+      fetchDispute();
+    }
+  });
+
+  if (!isOpen) return null;
+
+  const fileUrl = (file: DisputeFile, inline = false) =>
+    `${config.apiUrl}/api/attachments/${file.id}${inline ? '?inline=1' : ''}`;
+
+  const handleSend = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!newMessage.trim()) return;
+
+    setSending(true);
+    setError(null);
+    try {
+      const response = await fetch(`${config.apiUrl}/api/disputes/${disputeId}/messages`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        credentials: 'include',
+        body: JSON.stringify({ body: newMessage })
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to send message');
+      }
+
+      setDetails(prev => prev && { ...prev, messages: [...prev.messages, data] });
+      setNewMessage('');
+    } catch (error) {
+      console.error('Error sending dispute message:', error);
+      setError(error instanceof Error ? error.message : 'Failed to send message');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleUpload = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    const tooLarge = files.find(file => file.size > MAX_FILE_SIZE);
+    if (tooLarge) {
+      setError(`${tooLarge.name} is larger than 10 MB`);
+      return;
+    }
+
+    const formData = new FormData();
+    files.forEach(file => formData.append('files', file));
+
+    setUploading(true);
+    setError(null);
+    try {
+      const response = await fetch(`${config.apiUrl}/api/disputes/${disputeId}/attachments`, {
+        method: 'POST',
+        credentials: 'include',
+        body: formData
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to upload evidence');
+      }
+
+      setDetails(prev => prev && { ...prev, evidence: [...prev.evidence, ...data.attachments] });
+    } catch (error) {
+      console.error('Error uploading evidence:', error);
+      setError(error instanceof Error ? error.message : 'Failed to upload evidence');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleRemove = async (file: DisputeFile) => {
+    if (!window.confirm(`Remove ${file.name}?`)) return;
+
+    try {
+      const response = await fetch(fileUrl(file), {
+        method: 'DELETE',
+        credentials: 'include'
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to remove file');
+      }
+
+      setDetails(prev => prev && { ...prev, evidence: prev.evidence.filter(f => f.id !== file.id) });
+    } catch (error) {
+      console.error('Error removing evidence:', error);
+      setError(error instanceof Error ? error.message : 'Failed to remove file');
+    }
+  };
+
+  const handleResolve = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!window.confirm(`Resolve this dispute as "${OUTCOME_LABELS[outcome]}"? This can't be undone.`)) return;
+
+    setResolving(true);
+    setError(null);
+    try {
+      const response = await fetch(`${config.apiUrl}/api/admin/disputes/${disputeId}/resolve`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        credentials: 'include',
+        body: JSON.stringify({
+          outcome,
+          refund_amount: outcome === 'partial_refund' ? refundAmount : undefined,
+          note: resolutionNote,
+          void_ratings: voidRatings
+        })
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to resolve the dispute');
+      }
+
+      await fetchDispute();
+      onChanged?.();
+    } catch (error) {
+      console.error('Error resolving dispute:', error);
+      setError(error instanceof Error ? error.message : 'Failed to resolve the dispute');
+    } finally {
+      setResolving(false);
+    }
+  };
+
+  const renderFiles = (files: DisputeFile[], removable: boolean) => (
+    <ul className="space-y-1">
+      {files.map(file => (
+        <li key={file.id} className="flex items-center justify-between text-sm">
+          <span className="truncate text-gray-900 dark:text-white">
+            {file.name}
+            <span className="text-gray-500 dark:text-gray-400"> · {file.uploader_name}</span>
+          </span>
+          <span className="flex-shrink-0 space-x-2">
+            {file.previewable && (
+              <a href={fileUrl(file, true)} target="_blank" rel="noopener noreferrer" className="text-blue-600 dark:text-blue-400 hover:underline">
+                Preview
+              </a>
+            )}
+            <a href={fileUrl(file)} className="text-blue-600 dark:text-blue-400 hover:underline">Download</a>
+            {removable && file.uploaded_by === currentUserId && (
+              <button onClick={() => handleRemove(file)} className="text-red-600 dark:text-red-400 hover:underline">
+                Remove
+              </button>
+            )}
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+
+  const dispute = details?.dispute;
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-2xl w-full flex flex-col" style={{ maxHeight: '90vh' }}>
+        <div className="flex justify-between items-center p-4 border-b border-gray-200 dark:border-gray-700">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Dispute</h2>
+            {dispute && (
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                {dispute.course_name} ({dispute.course_code}) · {dispute.client.name} and {dispute.writer.name}
+              </p>
+            )}
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-500 focus:outline-none">
+            <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4 space-y-6">
+          {loading || !details || !dispute ? (
+            <div className="flex justify-center py-10">
+              {loading
+                ? <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500 dark:border-blue-400"></div>
+                : <p className="text-sm text-gray-500 dark:text-gray-400">This dispute could not be loaded.</p>}
+            </div>
+          ) : (
+            <>
+              <div>
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  Opened by {dispute.opened_by.name} on {new Date(dispute.created_at).toLocaleString()}
+                </p>
+                <p className="mt-1 text-sm text-gray-900 dark:text-white whitespace-pre-wrap">{dispute.reason}</p>
+              </div>
+
+              {dispute.status === 'resolved' && dispute.outcome && (
+                <div className="p-3 rounded-md bg-green-50 dark:bg-green-900 border border-green-200 dark:border-green-700 text-sm">
+                  <p className="font-medium text-green-800 dark:text-green-100">
+                    Resolved: {OUTCOME_LABELS[dispute.outcome]}
+                    {dispute.outcome === 'partial_refund' && ` (₹${dispute.refund_amount} refunded)`}
+                  </p>
+                  {dispute.resolution_note && (
+                    <p className="mt-1 italic text-green-700 dark:text-green-200">"{dispute.resolution_note}"</p>
+                  )}
+                  <p className="mt-1 text-green-700 dark:text-green-200">
+                    {dispute.resolved_by ? `By ${dispute.resolved_by.name}` : 'By an admin'}
+                    {dispute.resolved_at && ` on ${new Date(dispute.resolved_at).toLocaleString()}`}
+                    {dispute.ratings_voided && ' · Ratings for this assignment were voided'}
+                  </p>
+                </div>
+              )}
+
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <h3 className="text-sm font-medium text-gray-900 dark:text-white">Evidence</h3>
+                  {details.can_add_evidence && (
+                    <>
+                      <input
+                        ref={fileInputRef}
+                        type="file"
+                        multiple
+                        accept={ACCEPTED_EXTENSIONS}
+                        onChange={handleUpload}
+                        className="hidden"
+                      />
+                      <button
+                        onClick={() => fileInputRef.current?.click()}
+                        disabled={uploading}
+                        className="text-sm text-blue-600 dark:text-blue-400 hover:underline disabled:opacity-50"
+                      >
+                        {uploading ? 'Uploading...' : 'Add evidence'}
+                      </button>
+                    </>
+                  )}
+                </div>
+                {details.evidence.length === 0
+                  ? <p className="text-sm text-gray-500 dark:text-gray-400">No evidence has been uploaded.</p>
+                  : renderFiles(details.evidence, details.can_add_evidence)}
+              </div>
+
+              {details.attachments.length > 0 && (
+                <div>
+                  <h3 className="text-sm font-medium text-gray-900 dark:text-white mb-2">Brief and deliverables</h3>
+                  {renderFiles(details.attachments, false)}
+                </div>
+              )}
+
+              <div>
+                <h3 className="text-sm font-medium text-gray-900 dark:text-white mb-2">Discussion</h3>
+                {details.messages.length === 0 ? (
+                  <p className="text-sm text-gray-500 dark:text-gray-400">No messages yet.</p>
+                ) : (
+                  <ul className="space-y-3">
+                    {details.messages.map(message => (
+                      <li key={message.id} className="text-sm">
+                        <p className="text-gray-500 dark:text-gray-400">
+                          <span className="font-medium text-gray-900 dark:text-white">{message.sender_name}</span>
+                          {' · '}{new Date(message.created_at).toLocaleString()}
+                        </p>
+                        <p className="mt-0.5 text-gray-800 dark:text-gray-200 whitespace-pre-wrap">{message.body}</p>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
+                {dispute.status === 'open' && (
+                  <form onSubmit={handleSend} className="mt-3 flex space-x-2">
+                    <input
+                      type="text"
+                      value={newMessage}
+                      onChange={(e) => setNewMessage(e.target.value)}
+                      placeholder="Write a message..."
+                      maxLength={2000}
+                      className={inputClass}
+                    />
+                    <button
+                      type="submit"
+                      disabled={sending || !newMessage.trim()}
+                      className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 disabled:opacity-50"
+                    >
+                      {sending ? 'Sending...' : 'Send'}
+                    </button>
+                  </form>
+                )}
+              </div>
+
+              {details.can_resolve && (
+                <form onSubmit={handleResolve} className="p-3 rounded-md border border-gray-200 dark:border-gray-700 space-y-3">
+                  <h3 className="text-sm font-medium text-gray-900 dark:text-white">Resolve</h3>
+                  <select value={outcome} onChange={(e) => setOutcome(e.target.value as Outcome)} className={inputClass}>
+                    {(Object.keys(OUTCOME_LABELS) as Outcome[]).map(key => (
+                      <option key={key} value={key}>{OUTCOME_LABELS[key]}</option>
+                    ))}
+                  </select>
+                  {outcome === 'partial_refund' && (
+                    <input
+                      type="number"
+                      min="1"
+                      step="0.01"
+                      value={refundAmount}
+                      onChange={(e) => setRefundAmount(e.target.value)}
+                      placeholder={`Refund to the client (price ₹${dispute.price})`}
+                      className={inputClass}
+                      required
+                    />
+                  )}
+                  <textarea
+                    value={resolutionNote}
+                    onChange={(e) => setResolutionNote(e.target.value)}
+                    placeholder="Explain the decision to both parties"
+                    rows={3}
+                    className={inputClass}
+                    required
+                  />
+                  <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+                    <input type="checkbox" checked={voidRatings} onChange={(e) => setVoidRatings(e.target.checked)} />
+                    <span>Void the ratings for this assignment</span>
+                  </label>
+                  <div className="text-right">
+                    <button
+                      type="submit"
+                      disabled={resolving}
+                      className="px-4 py-2 bg-green-600 text-white text-sm font-medium rounded-md hover:bg-green-700 disabled:opacity-50"
+                    >
+                      {resolving ? 'Resolving...' : 'Resolve Dispute'}
+                    </button>
+                  </div>
+                </form>
+              )}
+            </>
+          )}
+        </div>
+
+        {error && (
+          <div className="px-4 pb-4 text-red-500 text-sm">
+            {error}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DisputeModal;
@@ -0,0 +1,266 @@
+import React, { useState } from 'react';
+import config from '../config';
+
+export interface EditableRequest {
+  id: number;
+  course_name: string;
+  course_code: string;
+  assignment_type: string;
+  num_pages: number;
+  deadline: string;
+  estimated_cost: number;
+}
+
+interface EditRequestModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+  request: EditableRequest;
+  // Assigned requests can't be edited directly; the change is sent to the other party instead
+  requiresConsent: boolean;
+  // Post a copy of an expired or cancelled request instead of editing it
+  repost?: boolean;
+  onSaved: () => void;
+}
+
+// How long a request can stay on the board, in days. The server caps it at the deadline.
+export const LISTING_DAYS_OPTIONS = [1, 3, 7, 14, 30];
+export const DEFAULT_LISTING_DAYS = 7;
+
+// datetime-local inputs expect local time without a timezone suffix
+const toLocalInputValue = (dateString: string) => {
+  const date = new Date(dateString);
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
+const EditRequestModal: React.FC<EditRequestModalProps> = ({
+  isOpen,
+  onClose,
+  request,
+  requiresConsent,
+  repost = false,
+  onSaved
+}) => {
+  // A reposted request needs a new deadline once the original one has passed
+  const deadlinePassed = new Date(request.deadline) <= new Date();
+  const [formData, setFormData] = useState({
+    course_name: request.course_name,
+    course_code: request.course_code,
+    assignment_type: request.assignment_type,
+    num_pages: request.num_pages,
+    deadline: repost && deadlinePassed ? '' : toLocalInputValue(request.deadline),
+    estimated_cost: request.estimated_cost,
+    listing_days: DEFAULT_LISTING_DAYS
+  });
+  const [reason, setReason] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  if (!isOpen) return null;
+
+  const handleChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const submitRepost = async () => {
+    try {
+      const response = await fetch(`${config.apiUrl}/api/assignment-requests/${request.id}/repost`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        credentials: 'include',
+        body: JSON.stringify({
+          ...formData,
+          num_pages: Number(formData.num_pages),
+          estimated_cost: Number(formData.estimated_cost),
+          listing_days: Number(formData.listing_days),
+          deadline: new Date(formData.deadline).toISOString()
+        }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to repost request');
+      }
+
+      onSaved();
+      onClose();
+    } catch (error) {
+      console.error('Error reposting request:', error);
+      setError(error instanceof Error ? error.message : 'Failed to repost request');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+
+    if (repost) {
+      await submitRepost();
+      return;
+    }
+
+    // Only send the fields that actually changed
+    const changes: Record<string, string | number> = {};
+    if (formData.course_name !== request.course_name) changes.course_name = formData.course_name;
+    if (formData.course_code !== request.course_code) changes.course_code = formData.course_code;
+    if (formData.assignment_type !== request.assignment_type) changes.assignment_type = formData.assignment_type;
+    if (Number(formData.num_pages) !== Number(request.num_pages)) changes.num_pages = Number(formData.num_pages);
+    if (Number(formData.estimated_cost) !== Number(request.estimated_cost)) changes.estimated_cost = Number(formData.estimated_cost);
+    if (formData.deadline !== toLocalInputValue(request.deadline)) changes.deadline = new Date(formData.deadline).toISOString();
+
+    if (Object.keys(changes).length === 0) {
+      setError('Nothing has changed');
+      setIsSubmitting(false);
+      return;
+    }
+
+    try {
+      const response = await fetch(`${config.apiUrl}/api/assignment-requests/${request.id}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        credentials: 'include',
+        body: JSON.stringify({ ...changes, reason: reason || undefined }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to update request');
+      }
+
+      onSaved();
+      onClose();
+    } catch (error) {
+      console.error('Error updating request:', error);
+      setError(error instanceof Error ? error.message : 'Failed to update request');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const inputClassName = "mt-1 block w-full rounded-md border-gray-300 dark:border-gray-600 shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:text-white";
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-md w-full p-6 max-h-screen overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-white">
+            {repost ? 'Repost Request' : requiresConsent ? 'Propose Changes' : 'Edit Request'}
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-500 focus:outline-none"
+          >
+            <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {requiresConsent && (
+          <p className="mb-4 text-sm text-gray-500 dark:text-gray-400">
+            This assignment is already in progress. Your changes will only apply once the other party accepts them.
+          </p>
+        )}
+
+        {repost && (
+          <p className="mb-4 text-sm text-gray-500 dark:text-gray-400">
+            A new request with these details will go on the board for all writers. Attachments aren't copied.
+            {deadlinePassed && ' The original deadline has passed, so pick a new one.'}
+          </p>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Course Name</label>
+            <input type="text" name="course_name" value={formData.course_name} onChange={handleChange} required maxLength={255} className={inputClassName} />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Course Code</label>
+            <input type="text" name="course_code" value={formData.course_code} onChange={handleChange} required maxLength={50} className={inputClassName} />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Assignment Type</label>
+            <select name="assignment_type" value={formData.assignment_type} onChange={handleChange} required className={inputClassName}>
+              <option value="class_assignment">Class Assignment</option>
+              <option value="lab_files">Lab Files</option>
+              <option value="graphic_design">Graphic Design</option>
+              <option value="workshop_files">Workshop Files</option>
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Number of Pages</label>
+            <input type="number" name="num_pages" value={formData.num_pages} onChange={handleChange} required min="1" className={inputClassName} />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Deadline</label>
+            <input type="datetime-local" name="deadline" value={formData.deadline} onChange={handleChange} required className={inputClassName} />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Estimated Cost (₹)</label>
+            <input type="number" name="estimated_cost" value={formData.estimated_cost} onChange={handleChange} required min="50" step="50" className={inputClassName} />
+          </div>
+
+          {repost && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Keep Listed For</label>
+              <select name="listing_days" value={formData.listing_days} onChange={handleChange} className={inputClassName}>
+                {LISTING_DAYS_OPTIONS.map(days => (
+                  <option key={days} value={days}>{days} day{days === 1 ? '' : 's'}</option>
+                ))}
+              </select>
+              <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">Or until the deadline, if that comes first.</p>
+            </div>
+          )}
+
+          {requiresConsent && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Reason (Optional)</label>
+              <input type="text" value={reason} onChange={(e) => setReason(e.target.value)} className={inputClassName} />
+            </div>
+          )}
+
+          {error && (
+            <div className="text-red-500 text-sm">
+              {error}
+            </div>
+          )}
+
+          <div className="flex justify-end">
+            <button
+              type="button"
+              onClick={onClose}
+              className="mr-3 px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 hover:text-gray-500 focus:outline-none"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+            >
+              {isSubmitting ? 'Saving...' : repost ? 'Repost' : requiresConsent ? 'Send Proposal' : 'Save Changes'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default EditRequestModal;
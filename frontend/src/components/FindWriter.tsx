@@ -1,6 +1,9 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import Header from './Header';
+import { portfolioImageUrl } from './PortfolioGallery';
+import { LISTING_DAYS_OPTIONS, DEFAULT_LISTING_DAYS } from './EditRequestModal';
+import PriceSuggestion from './PriceSuggestion';
 import config from '../config';
 
 interface Writer {
@@ -9,10 +12,43 @@ interface Writer {
     rating: number | string;
     total_ratings: number;
     writer_status: 'active' | 'busy' | 'inactive';
+    // Set while the writer is away; they take no new work until then
+    vacation_until: string | null;
     university_stream: string;
-    sample_work_image: string;
+    // Thumbnail of the first sample in the writer's portfolio
+    cover_image_url: string | null;
 }
 
+interface FacetCount {
+    value: string | null;
+    count: number;
+}
+
+interface WriterFacets {
+    university_stream: FacetCount[];
+    writer_status: FacetCount[];
+}
+
+interface WriterFilters {
+    q: string;
+    university_stream: string;
+    writer_status: string;
+    min_rating: string;
+    min_ratings: string;
+    // 'true' hides writers who are busy, inactive or on vacation
+    available: string;
+}
+
+// Only writers who can take on work right now are shown until the client asks for everyone
+const DEFAULT_FILTERS: WriterFilters = {
+    q: '',
+    university_stream: '',
+    writer_status: '',
+    min_rating: '',
+    min_ratings: '',
+    available: 'true'
+};
+
 interface AssignmentRequest {
     course_name: string;
     course_code: string;
@@ -20,13 +56,29 @@ interface AssignmentRequest {
     num_pages: number;
     deadline: string;
     estimated_cost: number;
-    whatsapp_number: string;
+    listing_days: number;
 }
 
+// When the listing would end, as the server works it out: after the chosen
+// number of days or at the deadline, whichever comes first
+const formatListingEnd = ({ listing_days, deadline }: AssignmentRequest) => {
+    let end = new Date(Date.now() + Number(listing_days) * 24 * 60 * 60 * 1000);
+    if (deadline && new Date(deadline) < end) {
+        end = new Date(deadline);
+    }
+    return end.toLocaleString();
+};
+
 const FindWriter: React.FC = () => {
     const navigate = useNavigate();
     const [writers, setWriters] = useState<Writer[]>([]);
     const [loading, setLoading] = useState(true);
+    const [loadingMore, setLoadingMore] = useState(false);
+    const [total, setTotal] = useState(0);
+    const [nextCursor, setNextCursor] = useState<string | null>(null);
+    const [facets, setFacets] = useState<WriterFacets>({ university_stream: [], writer_status: [] });
+    const [filters, setFilters] = useState<WriterFilters>(DEFAULT_FILTERS);
+    const [appliedFilters, setAppliedFilters] = useState<WriterFilters>(DEFAULT_FILTERS);
     const [showShareForm, setShowShareForm] = useState(false);
     const [formData, setFormData] = useState<AssignmentRequest>({
         course_name: '',
@@ -35,26 +87,68 @@ const FindWriter: React.FC = () => {
         num_pages: 1,
         deadline: '',
         estimated_cost: 50,
-        whatsapp_number: ''
+        listing_days: DEFAULT_LISTING_DAYS
     });
     const [submitting, setSubmitting] = useState(false);
     const [error, setError] = useState<string | null>(null);
     const [success, setSuccess] = useState<string | null>(null);
 
-    useEffect(() => {
-        fetch(`${config.apiUrl}/api/writers`, {
+    const fetchWriters = useCallback((cursor?: string) => {
+        const params = new URLSearchParams();
+        Object.entries(appliedFilters).forEach(([key, value]) => {
+            if (value) params.set(key, value);
+        });
+        if (cursor) {
+            params.set('cursor', cursor);
+            setLoadingMore(true);
+        }
+
+        fetch(`${config.apiUrl}/api/writers?${params.toString()}`, {
             credentials: 'include'
         })
         .then(res => res.json())
         .then(data => {
-            setWriters(data);
-            setLoading(false);
+            setWriters(prev => cursor ? [...prev, ...(data.writers || [])] : (data.writers || []));
+            setNextCursor(data.next_cursor || null);
+            setTotal(data.total || 0);
+            if (data.facets) {
+                setFacets(data.facets);
+            }
         })
         .catch(err => {
             console.error('Error fetching writers:', err);
+        })
+        .finally(() => {
             setLoading(false);
+            setLoadingMore(false);
         });
-    }, []);
+    }, [appliedFilters]);
+
+    useEffect(() => {
+        fetchWriters();
+    }, [fetchWriters]);
+
+    const handleFilterChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) => {
+        const { name, value } = e.target;
+        setFilters(prev => ({
+            ...prev,
+            [name]: value
+        }));
+    };
+
+    const applyFilters = (next: WriterFilters) => {
+        setFilters(next);
+        setAppliedFilters(next);
+    };
+
+    const handleSearch = (e: React.FormEvent) => {
+        e.preventDefault();
+        setAppliedFilters(filters);
+    };
+
+    const getFacetCount = (facet: FacetCount[], value: string | null) => {
+        return facet.find(f => f.value === value)?.count || 0;
+    };
 
     const getStatusColor = (status: string) => {
         switch (status) {
@@ -132,7 +226,8 @@ const FindWriter: React.FC = () => {
                 course_code: formData.course_code.substring(0, 50),
                 assignment_type: formData.assignment_type.substring(0, 100),
                 num_pages: parseInt(formData.num_pages.toString()),
-                estimated_cost: parseFloat(formData.estimated_cost.toString())
+                estimated_cost: parseFloat(formData.estimated_cost.toString()),
+                listing_days: Number(formData.listing_days)
             };
             
             const response = await fetch(`${config.apiUrl}/api/assignment-requests`, {
@@ -155,7 +250,7 @@ const FindWriter: React.FC = () => {
                     num_pages: 1,
                     deadline: '',
                     estimated_cost: 50,
-                    whatsapp_number: ''
+                    listing_days: DEFAULT_LISTING_DAYS
                 });
                 
                 // Redirect to dashboard after a delay
@@ -291,23 +386,34 @@ const FindWriter: React.FC = () => {
                                         <p className="mt-1 text-sm text-gray-500">
                                             Cost must be in multiples of ₹50
                                         </p>
+                                        <PriceSuggestion
+                                            assignmentType={formData.assignment_type}
+                                            numPages={formData.num_pages}
+                                            deadline={formData.deadline}
+                                            price={Number(formData.estimated_cost)}
+                                            onUse={(price) => setFormData(prev => ({ ...prev, estimated_cost: price }))}
+                                        />
                                     </div>
 
                                     <div>
-                                        <label className="block text-sm font-medium text-gray-700">Your WhatsApp Number</label>
-                                        <input
-                                            type="tel"
-                                            name="whatsapp_number"
-                                            value={formData.whatsapp_number}
+                                        <label className="block text-sm font-medium text-gray-700">Keep Listed For</label>
+                                        <select
+                                            name="listing_days"
+                                            value={formData.listing_days}
                                             onChange={handleChange}
-                                            required
-                                            placeholder="+91XXXXXXXXXX"
                                             className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
-                                        />
+                                        >
+                                            {LISTING_DAYS_OPTIONS.map(days => (
+                                                <option key={days} value={days}>{days} day{days === 1 ? '' : 's'}</option>
+                                            ))}
+                                        </select>
                                     </div>
 
                                     <div className="text-sm text-gray-500 italic">
-                                        <p>Note: Your request will be visible to all writers for 7 days. After that, it will expire and no longer be visible in the marketplace.</p>
+                                        <p>
+                                            Note: Your request will be visible to all writers until {formatListingEnd(formData)}.
+                                            After that, it will expire and no longer be visible in the marketplace. You can repost it from My Assignments.
+                                        </p>
                                     </div>
 
                                     {error && <p className="text-red-500">{error}</p>}
@@ -323,6 +429,138 @@ const FindWriter: React.FC = () => {
                                 </form>
                             </div>
                         ) : (
+                            <>
+                            <form onSubmit={handleSearch} className="bg-white rounded-lg shadow p-4 mb-8 space-y-4">
+                                <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                                    <div className="md:col-span-2">
+                                        <label className="block text-sm font-medium text-gray-700">Search</label>
+                                        <input
+                                            type="text"
+                                            name="q"
+                                            value={filters.q}
+                                            onChange={handleFilterChange}
+                                            placeholder="Writer name or portfolio description"
+                                            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
+                                        />
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700">Minimum Rating</label>
+                                        <select
+                                            name="min_rating"
+                                            value={filters.min_rating}
+                                            onChange={(e) => applyFilters({ ...filters, min_rating: e.target.value })}
+                                            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
+                                        >
+                                            <option value="">Any rating</option>
+                                            <option value="3">3+ stars</option>
+                                            <option value="4">4+ stars</option>
+                                            <option value="4.5">4.5+ stars</option>
+                                        </select>
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700">Minimum Reviews</label>
+                                        <input
+                                            type="number"
+                                            name="min_ratings"
+                                            value={filters.min_ratings}
+                                            onChange={handleFilterChange}
+                                            min="0"
+                                            placeholder="Any"
+                                            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm"
+                                        />
+                                    </div>
+                                </div>
+
+                                <div className="flex flex-wrap items-center gap-2">
+                                    <span className="text-sm font-medium text-gray-700 mr-2">Status:</span>
+                                    {['', 'active', 'busy', 'inactive'].map(status => (
+                                        <button
+                                            key={status || 'all'}
+                                            type="button"
+                                            // Busy and inactive writers are hidden while only available writers are shown
+                                            onClick={() => applyFilters({
+                                                ...filters,
+                                                writer_status: status,
+                                                available: status === 'busy' || status === 'inactive' ? '' : filters.available
+                                            })}
+                                            className={`px-3 py-1 rounded-full text-sm font-medium ${
+                                                appliedFilters.writer_status === status
+                                                    ? 'bg-blue-600 text-white'
+                                                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                                            }`}
+                                        >
+                                            {status ? getStatusText(status) : 'All'} (
+                                            {status
+                                                ? getFacetCount(facets.writer_status, status)
+                                                : facets.writer_status.reduce((sum, f) => sum + f.count, 0)}
+                                            )
+                                        </button>
+                                    ))}
+                                </div>
+
+                                <label className="flex items-center text-sm text-gray-700">
+                                    <input
+                                        type="checkbox"
+                                        checked={appliedFilters.available !== 'true'}
+                                        onChange={(e) => applyFilters({
+                                            ...filters,
+                                            available: e.target.checked ? '' : 'true',
+                                            writer_status: e.target.checked || filters.writer_status === 'active' ? filters.writer_status : ''
+                                        })}
+                                        className="mr-2 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                                    />
+                                    Show busy, inactive and vacationing writers
+                                </label>
+
+                                <div className="flex flex-wrap items-center gap-2">
+                                    <span className="text-sm font-medium text-gray-700 mr-2">Stream:</span>
+                                    <button
+                                        type="button"
+                                        onClick={() => applyFilters({ ...filters, university_stream: '' })}
+                                        className={`px-3 py-1 rounded-full text-sm font-medium ${
+                                            !appliedFilters.university_stream
+                                                ? 'bg-blue-600 text-white'
+                                                : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                                        }`}
+                                    >
+                                        All ({facets.university_stream.reduce((sum, f) => sum + f.count, 0)})
+                                    </button>
+                                    {facets.university_stream.filter(f => f.value).map(f => (
+                                        <button
+                                            key={f.value}
+                                            type="button"
+                                            onClick={() => applyFilters({ ...filters, university_stream: f.value || '' })}
+                                            className={`px-3 py-1 rounded-full text-sm font-medium ${
+                                                appliedFilters.university_stream === f.value
+                                                    ? 'bg-blue-600 text-white'
+                                                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                                            }`}
+                                        >
+                                            {f.value} ({f.count})
+                                        </button>
+                                    ))}
+                                </div>
+
+                                <div className="flex justify-between items-center">
+                                    <p className="text-sm text-gray-500">{total} writer{total === 1 ? '' : 's'} found</p>
+                                    <div className="space-x-3">
+                                        <button
+                                            type="button"
+                                            onClick={() => applyFilters(DEFAULT_FILTERS)}
+                                            className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+                                        >
+                                            Reset
+                                        </button>
+                                        <button
+                                            type="submit"
+                                            className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+                                        >
+                                            Search
+                                        </button>
+                                    </div>
+                                </div>
+                            </form>
+
                             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
                                 {/* Share with All Writers Card */}
                                 <div
@@ -356,7 +594,7 @@ const FindWriter: React.FC = () => {
                                         {/* Sample Work Image */}
                                         <div className="h-48 w-full bg-gray-200">
                                             <img 
-                                                src={writer.sample_work_image || 'data:image/svg+xml;charset=UTF-8,%3Csvg%20width%3D%22400%22%20height%3D%22300%22%20xmlns%3D%22http%3A%2F%2Fwww.w3.org%2F2000%2Fsvg%22%20viewBox%3D%220%200%20400%20300%22%20preserveAspectRatio%3D%22none%22%3E%3Cdefs%3E%3Cstyle%20type%3D%22text%2Fcss%22%3E%23holder_189e96ddb7f%20text%20%7B%20fill%3A%23999%3Bfont-weight%3Anormal%3Bfont-family%3AArial%2C%20Helvetica%2C%20Open%20Sans%2C%20sans-serif%2C%20monospace%3Bfont-size%3A20pt%20%7D%20%3C%2Fstyle%3E%3C%2Fdefs%3E%3Cg%20id%3D%22holder_189e96ddb7f%22%3E%3Crect%20width%3D%22400%22%20height%3D%22300%22%20fill%3D%22%23eee%22%3E%3C%2Frect%3E%3Cg%3E%3Ctext%20x%3D%22120%22%20y%3D%22160%22%3ENo%20Sample%20Work%3C%2Ftext%3E%3C%2Fg%3E%3C%2Fg%3E%3C%2Fsvg%3E'} 
+                                                src={writer.cover_image_url ? portfolioImageUrl(writer.cover_image_url) : 'data:image/svg+xml;charset=UTF-8,%3Csvg%20width%3D%22400%22%20height%3D%22300%22%20xmlns%3D%22http%3A%2F%2Fwww.w3.org%2F2000%2Fsvg%22%20viewBox%3D%220%200%20400%20300%22%20preserveAspectRatio%3D%22none%22%3E%3Cdefs%3E%3Cstyle%20type%3D%22text%2Fcss%22%3E%23holder_189e96ddb7f%20text%20%7B%20fill%3A%23999%3Bfont-weight%3Anormal%3Bfont-family%3AArial%2C%20Helvetica%2C%20Open%20Sans%2C%20sans-serif%2C%20monospace%3Bfont-size%3A20pt%20%7D%20%3C%2Fstyle%3E%3C%2Fdefs%3E%3Cg%20id%3D%22holder_189e96ddb7f%22%3E%3Crect%20width%3D%22400%22%20height%3D%22300%22%20fill%3D%22%23eee%22%3E%3C%2Frect%3E%3Cg%3E%3Ctext%20x%3D%22120%22%20y%3D%22160%22%3ENo%20Sample%20Work%3C%2Ftext%3E%3C%2Fg%3E%3C%2Fg%3E%3C%2Fsvg%3E'} 
                                                 alt={`${writer.name}'s sample work`}
                                                 className="w-full h-48 object-cover rounded-t-lg"
                                                 onError={(e) => {
@@ -387,14 +625,36 @@ const FindWriter: React.FC = () => {
                                             <p className="text-gray-600 mb-4">{writer.university_stream}</p>
 
                                             {/* Status Indicator */}
-                                            <div className="flex items-center">
-                                                <div className={`h-3 w-3 rounded-full ${getStatusColor(writer.writer_status)} mr-2`}></div>
-                                                <span className="text-sm text-gray-600">{getStatusText(writer.writer_status)}</span>
-                                            </div>
+                                            {writer.vacation_until ? (
+                                                <div className="flex items-center">
+                                                    <div className="h-3 w-3 rounded-full bg-yellow-400 mr-2"></div>
+                                                    <span className="text-sm text-gray-600">
+                                                        On vacation until {new Date(writer.vacation_until).toLocaleDateString()}
+                                                    </span>
+                                                </div>
+                                            ) : (
+                                                <div className="flex items-center">
+                                                    <div className={`h-3 w-3 rounded-full ${getStatusColor(writer.writer_status)} mr-2`}></div>
+                                                    <span className="text-sm text-gray-600">{getStatusText(writer.writer_status)}</span>
+                                                </div>
+                                            )}
                                         </div>
                                     </div>
                                 ))}
                             </div>
+
+                            {nextCursor && (
+                                <div className="mt-8 flex justify-center">
+                                    <button
+                                        onClick={() => fetchWriters(nextCursor)}
+                                        disabled={loadingMore}
+                                        className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                                    >
+                                        {loadingMore ? 'Loading...' : 'Load More Writers'}
+                                    </button>
+                                </div>
+                            )}
+                            </>
                         )}
                     </>
                 )}
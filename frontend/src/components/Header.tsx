@@ -1,6 +1,7 @@
 import React from 'react';
 import { useNavigate } from 'react-router-dom';
 import DarkModeToggle from './DarkModeToggle';
+import NotificationBell from './NotificationBell';
 import config from '../config';
 
 interface HeaderProps {
@@ -54,6 +55,7 @@ const Header: React.FC<HeaderProps> = ({ title, showBackButton = true }) => {
                     <div className="hidden sm:block">
                         <DarkModeToggle />
                     </div>
+                    <NotificationBell />
                     <button
                         onClick={() => navigate('/my-assignments')}
                         className="text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white"
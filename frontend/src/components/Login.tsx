@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useLocation } from 'react-router-dom';
 import config from '../config';
+import DevLoginPanel from './DevLoginPanel';
 
 interface LoginProps {}
 
@@ -14,6 +15,8 @@ const Login: React.FC<LoginProps> = () => {
         const params = new URLSearchParams(location.search);
         if (params.get('error') === 'unauthorized') {
             setError('Only university students with .student.iul.ac.in email can sign up!');
+        } else if (params.get('error') === 'suspended') {
+            setError('This account has been suspended or banned by an admin.');
         }
         // Cleanup loading state when component unmounts
         return () => setLoading(false);
@@ -98,6 +101,8 @@ const Login: React.FC<LoginProps> = () => {
                                     Note: Only university email accounts (@student.iul.ac.in) are allowed to access this application
                                 </p>
                             </div>
+
+                            <DevLoginPanel />
                         </div>
                     </div>
                 </div>
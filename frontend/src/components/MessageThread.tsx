@@ -0,0 +1,208 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import config from '../config';
+
+interface Message {
+  id: number;
+  sender_id: number;
+  sender_name: string;
+  sender_profile_picture: string | null;
+  body: string;
+  created_at: string;
+  read_at: string | null;
+  is_mine: boolean;
+}
+
+interface MessageThreadProps {
+  isOpen: boolean;
+  onClose: () => void;
+  requestId: number;
+  otherPartyName: string;
+  courseName: string;
+  onMessagesRead: () => void;
+}
+
+// How often to check for new messages while the thread is open
+const POLL_INTERVAL_MS = 10000;
+
+const MessageThread: React.FC<MessageThreadProps> = ({
+  isOpen,
+  onClose,
+  requestId,
+  otherPartyName,
+  courseName,
+  onMessagesRead
+}) => {
+  const [messages, setMessages] = useState<Message[]>([]);
+  const [newMessage, setNewMessage] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const bottomRef = useRef<HTMLDivElement>(null);
+
+  const fetchMessages = useCallback(async () => {
+    try {
+      const response = await fetch(`${config.apiUrl}/api/assignment-requests/${requestId}/messages`, {
+        credentials: 'include',
+        headers: {
+          'Accept': 'application/json'
+        }
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to load messages');
+      }
+
+      const data = await response.json();
+      setMessages(data.messages);
+
+      // Mark anything the other party sent as read
+      if (data.messages.some((m: Message) => !m.is_mine && !m.read_at)) {
+        await fetch(`${config.apiUrl}/api/assignment-requests/${requestId}/messages/read`, {
+          method: 'PUT',
+          credentials: 'include'
+        });
+        onMessagesRead();
+      }
+      setError(null);
+    } catch (error) {
+      console.error('Error fetching messages:', error);
+      setError(error instanceof Error ? error.message : 'Failed to load messages');
+    } finally {
+      setLoading(false);
+    }
+  }, [requestId, onMessagesRead]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    fetchMessages();
+    const interval = setInterval(fetchMessages, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [isOpen, fetchMessages]);
+
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [messages]);
+
+  if (!isOpen) return null;
+
+  const handleSend = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const body = newMessage.trim();
+    if (!body) return;
+
+    setSending(true);
+    setError(null);
+
+    try {
+      const response = await fetch(`${config.apiUrl}/api/assignment-requests/${requestId}/messages`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        credentials: 'include',
+        body: JSON.stringify({ body }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to send message');
+      }
+
+      const message = await response.json();
+      setMessages(prev => [...prev, message]);
+      setNewMessage('');
+    } catch (error) {
+      console.error('Error sending message:', error);
+      setError(error instanceof Error ? error.message : 'Failed to send message');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const formatTime = (dateString: string) => {
+    return new Date(dateString).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-lg w-full flex flex-col" style={{ maxHeight: '80vh' }}>
+        <div className="flex justify-between items-center p-4 border-b border-gray-200 dark:border-gray-700">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">{otherPartyName}</h2>
+            <p className="text-sm text-gray-500 dark:text-gray-400">{courseName}</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-500 focus:outline-none"
+          >
+            <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4 space-y-3">
+          {loading ? (
+            <div className="flex justify-center py-10">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500 dark:border-blue-400"></div>
+            </div>
+          ) : messages.length === 0 ? (
+            <p className="text-center text-sm text-gray-500 dark:text-gray-400 py-10">
+              No messages yet. Say hello and discuss the details of this assignment.
+            </p>
+          ) : (
+            messages.map(message => (
+              <div key={message.id} className={`flex ${message.is_mine ? 'justify-end' : 'justify-start'}`}>
+                <div className={`max-w-xs rounded-lg px-3 py-2 ${
+                  message.is_mine
+                    ? 'bg-blue-600 text-white'
+                    : 'bg-gray-100 text-gray-900 dark:bg-gray-700 dark:text-white'
+                }`}>
+                  <p className="text-sm whitespace-pre-wrap break-words">{message.body}</p>
+                  <p className={`mt-1 text-xs ${message.is_mine ? 'text-blue-100' : 'text-gray-500 dark:text-gray-400'}`}>
+                    {formatTime(message.created_at)}
+                    {message.is_mine && (message.read_at ? ' · Read' : ' · Sent')}
+                  </p>
+                </div>
+              </div>
+            ))
+          )}
+          <div ref={bottomRef} />
+        </div>
+
+        {error && (
+          <div className="px-4 text-red-500 text-sm">
+            {error}
+          </div>
+        )}
+
+        <form onSubmit={handleSend} className="p-4 border-t border-gray-200 dark:border-gray-700 flex space-x-2">
+          <input
+            type="text"
+            value={newMessage}
+            onChange={(e) => setNewMessage(e.target.value)}
+            maxLength={2000}
+            placeholder="Type a message..."
+            className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-700 dark:text-white"
+          />
+          <button
+            type="submit"
+            disabled={sending || !newMessage.trim()}
+            className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+          >
+            {sending ? 'Sending...' : 'Send'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default MessageThread;
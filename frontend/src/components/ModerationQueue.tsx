@@ -0,0 +1,203 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import Header from './Header';
+import { StarRating } from './Reviews';
+import config from '../config';
+
+interface ReviewReport {
+  id: number;
+  reason: string;
+  status: 'pending' | 'actioned' | 'dismissed';
+  reporter_name: string;
+  created_at: string;
+}
+
+interface ModeratedReview {
+  id: number;
+  rating: number;
+  comment: string | null;
+  reply: string | null;
+  created_at: string;
+  rated_role: 'writer' | 'client';
+  hidden_at: string | null;
+  hidden_reason: string | null;
+  rater_id: number;
+  rater_name: string;
+  rated_id: number;
+  rated_name: string;
+  course_name: string | null;
+  course_code: string | null;
+  reports: ReviewReport[];
+}
+
+type QueueStatus = 'pending' | 'hidden';
+
+type ModerationAction = 'hide' | 'unhide' | 'dismiss';
+
+const ModerationQueue: React.FC = () => {
+  const [status, setStatus] = useState<QueueStatus>('pending');
+  const [reviews, setReviews] = useState<ModeratedReview[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchQueue = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await fetch(`${config.apiUrl}/api/moderation/reviews?status=${status}`, {
+        credentials: 'include'
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load the moderation queue');
+      }
+
+      setReviews(data.reviews);
+    } catch (error) {
+      console.error('Error fetching moderation queue:', error);
+      setError(error instanceof Error ? error.message : 'Failed to load the moderation queue');
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [fetchQueue]);
+
+  const handleAction = async (review: ModeratedReview, action: ModerationAction) => {
+    let body = {};
+    if (action === 'hide') {
+      const reason = window.prompt('Why is this review being hidden? The reviewer will see this reason.');
+      if (!reason) return;
+      body = { reason };
+    }
+
+    try {
+      const response = await fetch(`${config.apiUrl}/api/moderation/reviews/${review.id}/${action}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        credentials: 'include',
+        body: JSON.stringify(body)
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Action failed');
+      }
+
+      setReviews(prev => prev.filter(r => r.id !== review.id));
+    } catch (error) {
+      console.error(`Error applying ${action} to review:`, error);
+      alert(error instanceof Error ? error.message : 'Something went wrong. Please try again.');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      <Header title="Review Moderation" />
+
+      <main className="max-w-5xl mx-auto py-8 px-4 sm:px-6 lg:px-8">
+        <div className="flex space-x-2 mb-6">
+          {(['pending', 'hidden'] as QueueStatus[]).map(s => (
+            <button
+              key={s}
+              onClick={() => setStatus(s)}
+              className={`px-4 py-2 text-sm font-medium rounded-md ${
+                status === s
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700'
+              }`}
+            >
+              {s === 'pending' ? 'Reported' : 'Hidden'}
+            </button>
+          ))}
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center items-center py-20">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500 dark:border-blue-400"></div>
+          </div>
+        ) : error ? (
+          <p className="text-center py-10 text-red-500 dark:text-red-400">{error}</p>
+        ) : reviews.length === 0 ? (
+          <p className="text-center py-16 text-gray-500 dark:text-gray-400">
+            {status === 'pending' ? 'No reported reviews. Nice and quiet.' : 'No hidden reviews.'}
+          </p>
+        ) : (
+          <ul className="space-y-4">
+            {reviews.map(review => (
+              <li key={review.id} className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-6">
+                <div className="flex items-center justify-between">
+                  <p className="text-sm text-gray-600 dark:text-gray-400">
+                    <span className="font-medium text-gray-900 dark:text-white">{review.rater_name}</span> rated{' '}
+                    <span className="font-medium text-gray-900 dark:text-white">{review.rated_name}</span> as a {review.rated_role}
+                    {review.course_name && ` for ${review.course_name}`}
+                  </p>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">{new Date(review.created_at).toLocaleDateString()}</p>
+                </div>
+                <div className="mt-2">
+                  <StarRating rating={review.rating} size="h-4 w-4" />
+                </div>
+                <p className="mt-2 text-gray-700 dark:text-gray-300">{review.comment || 'No comment provided'}</p>
+                {review.reply && (
+                  <p className="mt-2 pl-4 border-l-2 border-gray-200 dark:border-gray-600 text-sm text-gray-600 dark:text-gray-400">{review.reply}</p>
+                )}
+
+                {review.hidden_at && (
+                  <p className="mt-3 text-sm text-red-600 dark:text-red-400">
+                    Hidden {new Date(review.hidden_at).toLocaleDateString()}: {review.hidden_reason}
+                  </p>
+                )}
+
+                {review.reports.length > 0 && (
+                  <div className="mt-4">
+                    <h4 className="text-sm font-medium text-gray-900 dark:text-white">Reports</h4>
+                    <ul className="mt-1 space-y-1">
+                      {review.reports.map(report => (
+                        <li key={report.id} className="text-sm text-gray-600 dark:text-gray-400">
+                          <span className="font-medium">{report.reporter_name}</span>: {report.reason}
+                          {report.status !== 'pending' && <span className="ml-1 text-gray-400">({report.status})</span>}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                <div className="mt-4 flex space-x-2">
+                  {status === 'pending' ? (
+                    <>
+                      <button
+                        onClick={() => handleAction(review, 'hide')}
+                        className="px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-red-600 hover:bg-red-700"
+                      >
+                        Hide Review
+                      </button>
+                      <button
+                        onClick={() => handleAction(review, 'dismiss')}
+                        className="px-4 py-2 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md shadow-sm text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700"
+                      >
+                        Dismiss Reports
+                      </button>
+                    </>
+                  ) : (
+                    <button
+                      onClick={() => handleAction(review, 'unhide')}
+                      className="px-4 py-2 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md shadow-sm text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700"
+                    >
+                      Restore Review
+                    </button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default ModerationQueue;
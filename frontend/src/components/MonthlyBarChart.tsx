@@ -0,0 +1,56 @@
+import React from 'react';
+
+interface MonthlyBarChartProps {
+  title: string;
+  // One bar per month; a null value is a month with nothing to show
+  data: { month: string; value: number | null }[];
+  formatValue?: (value: number) => string;
+  // Fixed top of the scale, e.g. 5 for star ratings; defaults to the largest value
+  max?: number;
+  barClassName?: string;
+}
+
+const monthLabel = (month: string) =>
+  new Date(`${month}-01T00:00:00Z`).toLocaleDateString(undefined, { month: 'short', year: '2-digit', timeZone: 'UTC' });
+
+const MonthlyBarChart: React.FC<MonthlyBarChartProps> = ({
+  title,
+  data,
+  formatValue = (value) => String(value),
+  max,
+  barClassName = 'bg-blue-500 dark:bg-blue-400'
+}) => {
+  const top = max ?? Math.max(0, ...data.map(point => point.value ?? 0));
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-4">
+      <h2 className="text-sm font-medium text-gray-900 dark:text-white">{title}</h2>
+      <div className="mt-4 flex items-end gap-1 h-40">
+        {data.map(point => (
+          <div
+            key={point.month}
+            className="flex-1 h-full flex flex-col justify-end"
+            title={`${monthLabel(point.month)}: ${point.value === null ? 'none' : formatValue(point.value)}`}
+          >
+            {point.value !== null && (
+              <div
+                className={`w-full rounded-t ${barClassName}`}
+                style={{ height: top > 0 ? `${Math.max(point.value / top * 100, point.value > 0 ? 2 : 0)}%` : '0%' }}
+              />
+            )}
+          </div>
+        ))}
+      </div>
+      <div className="mt-1 flex gap-1 border-t border-gray-200 dark:border-gray-700 pt-1">
+        {data.map((point, index) => (
+          <span key={point.month} className="flex-1 text-center text-[10px] text-gray-500 dark:text-gray-400 truncate">
+            {/* Label every other month once the chart gets crowded */}
+            {data.length <= 12 || index % 2 === 0 ? monthLabel(point.month) : ''}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default MonthlyBarChart;
@@ -1,7 +1,14 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import Header from './Header';
 import RatingModal from './RatingModal';
+import MessageThread from './MessageThread';
+import AttachmentsModal from './AttachmentsModal';
+import EditRequestModal from './EditRequestModal';
+import OffersModal from './OffersModal';
+import OfferFormModal from './OfferFormModal';
+import DisputeModal, { Dispute, OUTCOME_LABELS } from './DisputeModal';
+import { useLiveEvent } from '../contexts/LiveEventsContext';
 import config from '../config';
 
 interface User {
@@ -11,96 +18,350 @@ interface User {
   profile_picture: string;
   rating: number;
   total_ratings: number;
-  whatsapp_number?: string;
 }
 
+interface PendingChange {
+  id: number;
+  change_type: 'edit' | 'cancel';
+  changes: Record<string, string | number> | null;
+  reason: string | null;
+  created_at: string;
+  proposed_by_me: boolean;
+}
+
+interface DirectRequestInfo {
+  writer_id: number;
+  writer_name: string;
+  response_deadline: string | null;
+  decline_reason: string | null;
+  timed_out: boolean;
+}
+
+// A request a client addressed to this writer, waiting for an answer
+interface IncomingDirectRequest {
+  id: number;
+  course_name: string;
+  course_code: string;
+  assignment_type: string;
+  num_pages: number;
+  deadline: string;
+  estimated_cost: number;
+  response_deadline: string | null;
+  created_at: string;
+  client: {
+    id: number;
+    name: string;
+    rating: number;
+    total_ratings: number;
+  };
+}
+
+// An open negotiation the writer is part of
+interface WriterOffer {
+  id: number;
+  request_id: number;
+  price: number | string;
+  delivery_date: string;
+  message: string | null;
+  expires_at: string;
+  created_at: string;
+  proposed_by_me: boolean;
+  course_name: string;
+  course_code: string;
+  estimated_cost: number | string;
+  deadline: string;
+  client_name: string;
+}
+
+type AssignmentStatus = 'pending' | 'in_progress' | 'submitted' | 'revision_requested' | 'completed' | 'cancelled' | 'disputed' | 'declined' | 'expired';
+
+type LifecycleAction = 'submit' | 'request_revision' | 'accept' | 'dispute' | 'withdraw' | 'cancel';
+
+// One status change in an assignment's history
+interface TimelineEntry {
+  from_status: AssignmentStatus | null;
+  to_status: AssignmentStatus;
+  action: LifecycleAction | 'start' | 'force_cancel' | 'reassign' | 'resolve_complete' | 'resolve_cancel';
+  note: string | null;
+  created_at: string;
+  actor: { id: number; name: string } | null;
+}
+
+// Which side of an assignment the current user is on
+type AssignmentRole = 'client' | 'writer';
+
 interface Assignment {
   id: number;
+  role: AssignmentRole;
   request_id: number;
+  assignment_id: number | null;
+  request_status: 'open' | 'assigned' | 'completed' | 'cancelled' | 'declined' | 'expired';
+  expiration_deadline: string | null;
+  pending_change: PendingChange | null;
+  // The latest dispute on the assignment, open or resolved
+  dispute: Dispute | null;
+  // What is held in escrow for the assignment until it is accepted or cancelled
+  escrow_balance: number | string | null;
+  direct_request: DirectRequestInfo | null;
   writer: User | null;
   client: User;
-  status: 'pending' | 'in_progress' | 'completed' | 'cancelled';
+  status: AssignmentStatus;
   created_at: string;
   completed_at: string | null;
+  submitted_at: string | null;
+  // Set by the scheduler once the deadline passes with the work still outstanding
+  overdue_at: string | null;
+  revision_count: number;
+  timeline: TimelineEntry[];
+  // What the current user can do next, as allowed by the server
+  available_actions: LifecycleAction[];
   course_name: string;
   course_code: string;
   assignment_type: string;
   num_pages: number;
   deadline: string;
   estimated_cost: number;
+  agreed_price: number | string | null;
+  delivery_date: string | null;
+  unread_messages: number;
+  pending_offers?: number;
   has_rated_writer: boolean;
   has_rated_client: boolean;
 }
 
+// The user's requests and the work they took on are listed separately
+const ASSIGNMENT_SECTIONS: { role: AssignmentRole; title: string }[] = [
+  { role: 'client', title: 'Requests You Posted' },
+  { role: 'writer', title: 'Work You Took On' }
+];
+
+// How each step shows up on an assignment's timeline
+const TIMELINE_LABELS: Record<TimelineEntry['action'], string> = {
+  start: 'Assignment started',
+  submit: 'Work submitted',
+  request_revision: 'Revision requested',
+  accept: 'Work accepted',
+  dispute: 'Dispute opened',
+  withdraw: 'Writer withdrew',
+  cancel: 'Assignment cancelled',
+  force_cancel: 'Cancelled by an admin',
+  reassign: 'Reassigned to another writer',
+  resolve_complete: 'Dispute resolved as completed',
+  resolve_cancel: 'Dispute resolved as cancelled'
+};
+
 const MyAssignments: React.FC = () => {
   const navigate = useNavigate();
   const [assignments, setAssignments] = useState<Assignment[]>([]);
+  const [directRequests, setDirectRequests] = useState<IncomingDirectRequest[]>([]);
+  const [writerOffers, setWriterOffers] = useState<WriterOffer[]>([]);
+  const [offersAssignment, setOffersAssignment] = useState<Assignment | null>(null);
+  const [counteringOffer, setCounteringOffer] = useState<WriterOffer | null>(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
-  const [userRole, setUserRole] = useState<'client' | 'writer' | null>(null);
   const [showRatingModal, setShowRatingModal] = useState(false);
   const [selectedAssignment, setSelectedAssignment] = useState<Assignment | null>(null);
-  const [showWhatsAppModal, setShowWhatsAppModal] = useState(false);
-  const [whatsappNumber, setWhatsappNumber] = useState('');
-  const [updatingWhatsApp, setUpdatingWhatsApp] = useState(false);
+  const [messageAssignment, setMessageAssignment] = useState<Assignment | null>(null);
+  const [filesAssignment, setFilesAssignment] = useState<Assignment | null>(null);
+  const [editingAssignment, setEditingAssignment] = useState<Assignment | null>(null);
+  const [repostingAssignment, setRepostingAssignment] = useState<Assignment | null>(null);
+  const [timelineAssignmentId, setTimelineAssignmentId] = useState<number | null>(null);
+  const [disputeAssignment, setDisputeAssignment] = useState<Assignment | null>(null);
 
-  useEffect(() => {
-    const fetchAssignments = async () => {
-      try {
-        setLoading(true);
-        const response = await fetch(`${config.apiUrl}/api/my-assignments`, {
-          credentials: 'include',
-          headers: {
-            'Accept': 'application/json'
-          }
-        });
-        
-        if (!response.ok) {
-          if (response.status === 401 || response.status === 403) {
-            console.error('Authentication error');
-            navigate('/login');
-            return;
-          }
-          throw new Error(`HTTP error! status: ${response.status}`);
+  const fetchAssignments = useCallback(async () => {
+    try {
+      const response = await fetch(`${config.apiUrl}/api/my-assignments`, {
+        credentials: 'include',
+        headers: {
+          'Accept': 'application/json'
+        }
+      });
+      
+      if (!response.ok) {
+        if (response.status === 401 || response.status === 403) {
+          console.error('Authentication error');
+          navigate('/login');
+          return;
         }
-        
-        const data = await response.json();
-        console.log('Assignments data:', data);
-        setAssignments(data.assignments);
-        setUserRole(data.role);
-      } catch (error) {
-        console.error('Error fetching assignments:', error);
-        setError('Failed to load assignments. Please try again later.');
-      } finally {
-        setLoading(false);
+        throw new Error(`HTTP error! status: ${response.status}`);
       }
-    };
+      
+      const data = await response.json();
+      console.log('Assignments data:', data);
+      // Anyone can post requests and take them on, so both sides come back
+      setAssignments([...data.client.assignments, ...data.writer.assignments]);
+      setDirectRequests(data.writer.direct_requests);
+      setWriterOffers(data.writer.offers);
+    } catch (error) {
+      console.error('Error fetching assignments:', error);
+      setError('Failed to load assignments. Please try again later.');
+    } finally {
+      setLoading(false);
+    }
+  }, [navigate]);
 
+  useEffect(() => {
     fetchAssignments();
-  }, [navigate]);
+  }, [fetchAssignments]);
+
+  // Reload in place when the other party changes an assignment or leaves a rating
+  useLiveEvent('assignment_updated', fetchAssignments);
+  useLiveEvent('rating_created', fetchAssignments);
+
+  // Post an action for a request or assignment and reload the list on success
+  const postAction = async (url: string, body: object = {}) => {
+    try {
+      const response = await fetch(`${config.apiUrl}${url}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        credentials: 'include',
+        body: JSON.stringify(body),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Request failed');
+      }
+
+      await fetchAssignments();
+      return true;
+    } catch (error) {
+      console.error('Error updating assignment:', error);
+      alert(error instanceof Error ? error.message : 'Something went wrong. Please try again.');
+      return false;
+    }
+  };
+
+  const handleCancelRequest = async (assignment: Assignment) => {
+    if (assignment.status === 'pending' || assignment.status === 'declined') {
+      if (!window.confirm('Cancel this request? No writer will be able to take it.')) {
+        return;
+      }
+      await postAction(`/api/assignment-requests/${assignment.request_id}/cancel`);
+      return;
+    }
+
+    const reason = window.prompt('The writer has to agree before this assignment is cancelled. Why do you want to cancel?');
+    if (reason === null) return;
+    if (await postAction(`/api/assignment-requests/${assignment.request_id}/cancel`, { reason })) {
+      alert('Cancellation request sent to the writer.');
+    }
+  };
+
+  // Clients attach briefs while the request is open; writers upload deliverables until they submit
+  const getUploadPath = (assignment: Assignment) => {
+    if (assignment.role === 'client') {
+      return ['completed', 'cancelled', 'expired'].includes(assignment.request_status)
+        ? null
+        : `/api/assignment-requests/${assignment.request_id}/attachments`;
+    }
+    return assignment.available_actions.includes('submit')
+      ? `/api/assignments/${assignment.assignment_id}/attachments`
+      : null;
+  };
+
+  const handleWithdraw = async (assignment: Assignment) => {
+    const reason = window.prompt('Withdraw from this assignment? The request will go back on the board for other writers. Reason (optional):');
+    if (reason === null) return;
+    await postAction(`/api/assignments/${assignment.assignment_id}/withdraw`, { reason });
+  };
+
+  const handleRespondToDirectRequest = async (request: IncomingDirectRequest, action: 'accept' | 'decline') => {
+    let body = {};
+    if (action === 'decline') {
+      const reason = window.prompt('Decline this request? The client will be able to publish it to all writers. Reason (optional):');
+      if (reason === null) return;
+      body = { reason };
+    }
+    await postAction(`/api/direct-requests/${request.id}/${action}`, body);
+  };
+
+  const handleOfferAction = async (offer: WriterOffer, action: 'accept' | 'reject' | 'withdraw') => {
+    if (action === 'accept' && !window.confirm(`Take this assignment for ₹${offer.price}?`)) {
+      return;
+    }
+    await postAction(`/api/offers/${offer.id}/${action}`);
+  };
+
+  const handlePublishRequest = async (assignment: Assignment) => {
+    if (!window.confirm('Publish this request to the open board so that any writer can accept it?')) {
+      return;
+    }
+    await postAction(`/api/assignment-requests/${assignment.request_id}/publish`);
+  };
+
+  const handleRespondToChange = async (assignment: Assignment, action: 'accept' | 'reject') => {
+    if (!assignment.pending_change) return;
+    await postAction(`/api/assignment-requests/${assignment.request_id}/changes/${assignment.pending_change.id}/${action}`);
+  };
+
+  const describeChange = (change: PendingChange) => {
+    if (change.change_type === 'cancel') {
+      return 'Cancel this assignment';
+    }
+
+    const labels: Record<string, string> = {
+      course_name: 'Course name',
+      course_code: 'Course code',
+      assignment_type: 'Type',
+      num_pages: 'Pages',
+      deadline: 'Deadline',
+      estimated_cost: 'Cost'
+    };
+
+    return Object.entries(change.changes || {})
+      .map(([key, value]) => {
+        const formatted = key === 'deadline'
+          ? formatDate(String(value))
+          : key === 'estimated_cost' ? `₹${value}` : String(value);
+        return `${labels[key] || key}: ${formatted}`;
+      })
+      .join(', ');
+  };
+
+  const handleLifecycleAction = async (assignment: Assignment, action: 'submit' | 'request_revision' | 'accept') => {
+    let body = {};
+    if (action === 'submit') {
+      const note = window.prompt('Submit your work to the client for review? Add a note (optional):');
+      if (note === null) return;
+      body = { note };
+    } else if (action === 'accept') {
+      if (!window.confirm('Accept the submitted work? This completes the assignment.')) return;
+    } else {
+      const note = window.prompt('What needs to change?');
+      if (!note) return;
+      body = { note };
+    }
+    await postAction(`/api/assignments/${assignment.assignment_id}/${action.replace('_', '-')}`, body);
+  };
+
+  // Open the dispute, then show it so that evidence can be added straight away
+  const handleOpenDispute = async (assignment: Assignment) => {
+    const reason = window.prompt('Open a dispute on this assignment? The assignment is frozen until an admin resolves it. Describe the problem:');
+    if (!reason) return;
 
-  const handleCompleteAssignment = async (assignmentId: number) => {
     try {
-      const response = await fetch(`${config.apiUrl}/api/assignments/${assignmentId}/complete`, {
-        method: 'PUT',
-        credentials: 'include'
+      const response = await fetch(`${config.apiUrl}/api/assignments/${assignment.assignment_id}/disputes`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        credentials: 'include',
+        body: JSON.stringify({ reason }),
       });
 
+      const data = await response.json();
       if (!response.ok) {
-        throw new Error('Failed to complete assignment');
+        throw new Error(data.error || 'Failed to open the dispute');
       }
 
-      // Update the assignment status in the local state
-      setAssignments(prevAssignments => 
-        prevAssignments.map(assignment => 
-          assignment.id === assignmentId 
-            ? { ...assignment, status: 'completed', completed_at: new Date().toISOString() } 
-            : assignment
-        )
-      );
+      await fetchAssignments();
+      setDisputeAssignment({ ...assignment, dispute: data.dispute });
     } catch (error) {
-      console.error('Error completing assignment:', error);
-      setError('Failed to complete assignment. Please try again.');
+      console.error('Error opening dispute:', error);
+      alert(error instanceof Error ? error.message : 'Something went wrong. Please try again.');
     }
   };
 
@@ -116,7 +377,7 @@ const MyAssignments: React.FC = () => {
     setAssignments(prevAssignments => 
       prevAssignments.map(assignment => {
         if (assignment.id === selectedAssignment.id) {
-          if (userRole === 'client') {
+          if (assignment.role === 'client') {
             return { ...assignment, has_rated_writer: true };
           } else {
             return { ...assignment, has_rated_client: true };
@@ -127,6 +388,17 @@ const MyAssignments: React.FC = () => {
     );
   };
 
+  const messageAssignmentId = messageAssignment?.id;
+  const handleMessagesRead = useCallback(() => {
+    setAssignments(prevAssignments =>
+      prevAssignments.map(assignment =>
+        assignment.id === messageAssignmentId
+          ? { ...assignment, unread_messages: 0 }
+          : assignment
+      )
+    );
+  }, [messageAssignmentId]);
+
   const formatDate = (dateString: string) => {
     return new Date(dateString).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -135,25 +407,40 @@ const MyAssignments: React.FC = () => {
     });
   };
 
+  // Listing time left, in days or, on the last day, hours
+  const formatTimeLeft = (dateString: string) => {
+    const hours = (new Date(dateString).getTime() - Date.now()) / (60 * 60 * 1000);
+    if (hours <= 0) return 'ending now';
+    if (hours < 24) {
+      const wholeHours = Math.max(1, Math.floor(hours));
+      return `${wholeHours} hour${wholeHours === 1 ? '' : 's'} left`;
+    }
+    const days = Math.floor(hours / 24);
+    return `${days} day${days === 1 ? '' : 's'} left`;
+  };
+
   const getRatingButtonText = (assignment: Assignment) => {
     // Don't show rating button for pending assignments
     if (!assignment.writer) {
       return 'Pending Writer';
     }
-    if (userRole === 'client' && assignment.has_rated_writer) {
+    if (assignment.dispute?.ratings_voided) {
+      return 'Ratings Voided';
+    }
+    if (assignment.role === 'client' && assignment.has_rated_writer) {
       return 'Writer Rated';
-    } else if (userRole === 'writer' && assignment.has_rated_client) {
+    } else if (assignment.role === 'writer' && assignment.has_rated_client) {
       return 'Client Rated';
     } else {
-      return userRole === 'client' ? 'Rate Writer' : 'Rate Client';
+      return assignment.role === 'client' ? 'Rate Writer' : 'Rate Client';
     }
   };
 
   const isRatingDisabled = (assignment: Assignment) => {
-    // Disable rating if no writer assigned or already rated
-    return !assignment.writer || 
-           (userRole === 'client' && assignment.has_rated_writer) || 
-           (userRole === 'writer' && assignment.has_rated_client);
+    // Ratings open once the client accepts the work, and only once per side
+    return !assignment.writer || assignment.status !== 'completed' || !!assignment.dispute?.ratings_voided ||
+           (assignment.role === 'client' && assignment.has_rated_writer) || 
+           (assignment.role === 'writer' && assignment.has_rated_client);
   };
 
   // Helper function to safely format a rating
@@ -168,37 +455,116 @@ const MyAssignments: React.FC = () => {
     }
   };
 
-  const updateWhatsAppNumber = async () => {
-    try {
-      setUpdatingWhatsApp(true);
-      const response = await fetch(`${config.apiUrl}/api/update-whatsapp`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        credentials: 'include',
-        body: JSON.stringify({ whatsapp_number: whatsappNumber }),
-      });
-
-      if (!response.ok) {
-        throw new Error('Failed to update WhatsApp number');
-      }
-
-      alert('WhatsApp number updated successfully! Please refresh the page.');
-      setShowWhatsAppModal(false);
-    } catch (error) {
-      console.error('Error updating WhatsApp number:', error);
-      alert('Failed to update WhatsApp number. Please try again.');
-    } finally {
-      setUpdatingWhatsApp(false);
-    }
-  };
-
   return (
     <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
       <Header title="My Assignments" />
 
       <main className="max-w-7xl mx-auto py-8 px-4 sm:px-6 lg:px-8">
+        {!loading && !error && directRequests.length > 0 && (
+          <div className="mb-8 bg-white dark:bg-gray-800 shadow sm:rounded-md">
+            <div className="px-4 py-4 sm:px-6 border-b border-gray-200 dark:border-gray-700">
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Requests Sent to You</h2>
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                Only you can see these requests. If you don't answer in time, the client can offer them to other writers.
+              </p>
+            </div>
+            <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+              {directRequests.map(request => (
+                <li key={request.id} className="px-4 py-4 sm:px-6 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900 dark:text-white">
+                      {request.course_name} ({request.course_code})
+                    </p>
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                      {request.assignment_type} - {request.num_pages} pages - ₹{request.estimated_cost} - due {formatDate(request.deadline)}
+                    </p>
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                      From {request.client.name} ({formatRating(request.client.rating)}★)
+                      {request.response_deadline && ` · Answer by ${new Date(request.response_deadline).toLocaleString()}`}
+                    </p>
+                  </div>
+                  <div className="flex space-x-2">
+                    <button
+                      onClick={() => handleRespondToDirectRequest(request, 'accept')}
+                      className="px-3 py-1 text-sm font-medium rounded-md text-white bg-green-600 hover:bg-green-700"
+                    >
+                      Accept
+                    </button>
+                    <button
+                      onClick={() => handleRespondToDirectRequest(request, 'decline')}
+                      className="px-3 py-1 text-sm font-medium rounded-md text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-600"
+                    >
+                      Decline
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {!loading && !error && writerOffers.length > 0 && (
+          <div className="mb-8 bg-white dark:bg-gray-800 shadow sm:rounded-md">
+            <div className="px-4 py-4 sm:px-6 border-b border-gray-200 dark:border-gray-700">
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Your Offers</h2>
+            </div>
+            <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+              {writerOffers.map(offer => (
+                <li key={offer.id} className="px-4 py-4 sm:px-6 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900 dark:text-white">
+                      {offer.course_name} ({offer.course_code})
+                    </p>
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                      {offer.proposed_by_me
+                        ? `You offered ₹${offer.price} (listed at ₹${offer.estimated_cost})`
+                        : `${offer.client_name} countered with ₹${offer.price}`}
+                      {' · '}delivery by {formatDate(offer.delivery_date)}
+                    </p>
+                    {offer.message && (
+                      <p className="text-sm italic text-gray-500 dark:text-gray-400">"{offer.message}"</p>
+                    )}
+                    <p className="text-xs text-gray-400">
+                      {offer.proposed_by_me ? 'Waiting for the client' : 'Waiting for you'} · expires {new Date(offer.expires_at).toLocaleString()}
+                    </p>
+                  </div>
+                  <div className="flex space-x-2">
+                    {offer.proposed_by_me ? (
+                      <button
+                        onClick={() => handleOfferAction(offer, 'withdraw')}
+                        className="px-3 py-1 text-sm font-medium rounded-md text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-600"
+                      >
+                        Withdraw
+                      </button>
+                    ) : (
+                      <>
+                        <button
+                          onClick={() => handleOfferAction(offer, 'accept')}
+                          className="px-3 py-1 text-sm font-medium rounded-md text-white bg-green-600 hover:bg-green-700"
+                        >
+                          Accept
+                        </button>
+                        <button
+                          onClick={() => setCounteringOffer(offer)}
+                          className="px-3 py-1 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+                        >
+                          Counter
+                        </button>
+                        <button
+                          onClick={() => handleOfferAction(offer, 'reject')}
+                          className="px-3 py-1 text-sm font-medium rounded-md text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-600"
+                        >
+                          Reject
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         {loading ? (
           <div className="flex justify-center items-center py-20">
             <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500 dark:border-blue-400"></div>
@@ -220,16 +586,20 @@ const MyAssignments: React.FC = () => {
             </svg>
             <h3 className="mt-2 text-sm font-medium text-gray-900 dark:text-white">No assignments found</h3>
             <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
-              {userRole === 'client' 
-                ? "You haven't created any assignment requests yet." 
-                : "You haven't accepted any assignments yet."}
+              You haven't created any assignment requests or accepted any assignments yet.
             </p>
-            <div className="mt-6">
+            <div className="mt-6 flex justify-center gap-3">
               <button
-                onClick={() => navigate(userRole === 'client' ? '/create-assignment' : '/browse-requests')}
+                onClick={() => navigate('/create-assignment')}
                 className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
               >
-                {userRole === 'client' ? 'Create Assignment Request' : 'Browse Requests'}
+                Create Assignment Request
+              </button>
+              <button
+                onClick={() => navigate('/browse-requests')}
+                className="inline-flex items-center px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm text-sm font-medium text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+              >
+                Browse Requests
               </button>
             </div>
           </div>
@@ -238,181 +608,494 @@ const MyAssignments: React.FC = () => {
             <div className="bg-white dark:bg-gray-800 p-4 rounded-md shadow mb-6">
               <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-2">Rating Instructions</h2>
               <p className="text-gray-600 dark:text-gray-300">
-                You can rate {userRole === 'client' ? 'writers' : 'clients'} once an assignment has been accepted. 
+                You can rate the other party once an assignment has been accepted. 
                 Your ratings help build trust in our community and provide valuable feedback.
               </p>
               <ul className="mt-2 list-disc list-inside text-gray-600 dark:text-gray-300">
                 <li>Ratings are on a scale of 1-5 stars</li>
-                <li>You can only rate each {userRole === 'client' ? 'writer' : 'client'} once per assignment</li>
+                <li>You can only rate each writer or client once per assignment</li>
               </ul>
             </div>
             
-            <div className="bg-white dark:bg-gray-800 shadow overflow-hidden sm:rounded-md">
-              <ul className="divide-y divide-gray-200 dark:divide-gray-700">
-                {assignments.map((assignment) => (
-                  <li key={assignment.id}>
-                    <div className="px-4 py-5 sm:px-6">
-                      <div className="flex items-center justify-between">
-                        <div>
-                          <h3 className="text-lg leading-6 font-medium text-gray-900 dark:text-white">
-                            {assignment.course_name} ({assignment.course_code})
-                          </h3>
-                          <p className="mt-1 max-w-2xl text-sm text-gray-500 dark:text-gray-400">
-                            {assignment.assignment_type} - {assignment.num_pages} pages
-                          </p>
-                        </div>
-                        <div className="flex items-center">
-                          <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
-                            assignment.status === 'completed' 
-                              ? 'bg-green-100 text-green-800 dark:bg-green-800 dark:text-green-100' 
-                              : assignment.status === 'cancelled' 
-                                ? 'bg-red-100 text-red-800 dark:bg-red-800 dark:text-red-100' 
-                                : assignment.status === 'pending'
-                                  ? 'bg-yellow-100 text-yellow-800 dark:bg-yellow-800 dark:text-yellow-100'
-                                  : 'bg-blue-100 text-blue-800 dark:bg-blue-800 dark:text-blue-100'
-                          }`}>
-                            {assignment.status.replace('_', ' ').charAt(0).toUpperCase() + assignment.status.replace('_', ' ').slice(1)}
-                          </span>
-                        </div>
-                      </div>
-                      
-                      <div className="mt-4 grid grid-cols-1 gap-4 sm:grid-cols-2">
-                        <div>
-                          <div className="flex items-center">
-                            <div className="flex-shrink-0 h-10 w-10">
-                              {assignment.writer && assignment.writer.profile_picture ? (
-                                <img 
-                                  className="h-10 w-10 rounded-full" 
-                                  src={assignment.writer.profile_picture} 
-                                  alt="" 
-                                />
-                              ) : (
-                                <svg className="h-10 w-10 text-gray-400 dark:text-gray-500" fill="currentColor" viewBox="0 0 24 24">
-                                  <path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm0 3c1.66 0 3 1.34 3 3s-1.34 3-3 3-3-1.34-3-3 1.34-3 3-3zm0 14.2c-2.5 0-4.71-1.28-6-3.22.03-1.99 4-3.08 6-3.08 1.99 0 5.97 1.09 6 3.08-1.29 1.94-3.5 3.22-6 3.22z" />
-                                </svg>
-                              )}
-                            </div>
-                            <div className="ml-3">
-                              <p className="text-sm font-medium text-gray-900 dark:text-white">
-                                {assignment.writer ? 'Writer' : 'Client'}: {assignment.writer ? assignment.writer.name : assignment.client.name}
-                              </p>
+            {ASSIGNMENT_SECTIONS.map(section => {
+              const sectionAssignments = assignments.filter(assignment => assignment.role === section.role);
+              if (sectionAssignments.length === 0) return null;
+
+              return (
+                <div key={section.role}>
+                  <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-3">{section.title}</h2>
+                  <div className="bg-white dark:bg-gray-800 shadow overflow-hidden sm:rounded-md">
+                    <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                      {sectionAssignments.map((assignment) => (
+                        <li key={assignment.id}>
+                          <div className="px-4 py-5 sm:px-6">
+                            <div className="flex items-center justify-between">
+                              <div>
+                                <h3 className="text-lg leading-6 font-medium text-gray-900 dark:text-white">
+                                  {assignment.course_name} ({assignment.course_code})
+                                </h3>
+                                <p className="mt-1 max-w-2xl text-sm text-gray-500 dark:text-gray-400">
+                                  {assignment.assignment_type} - {assignment.num_pages} pages
+                                </p>
+                              </div>
                               <div className="flex items-center">
-                                <svg className="h-4 w-4 text-yellow-400" fill="currentColor" viewBox="0 0 20 20">
-                                  <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z" />
-                                </svg>
-                                <span className="ml-1 text-sm text-gray-500 dark:text-gray-400">
-                                  {assignment.writer ? 
-                                    formatRating(assignment.writer.rating) : 
-                                    formatRating(assignment.client.rating)} 
-                                  ({assignment.writer ? 
-                                    assignment.writer.total_ratings || 0 : 
-                                    assignment.client.total_ratings || 0})
+                                <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
+                                  assignment.status === 'completed' 
+                                    ? 'bg-green-100 text-green-800 dark:bg-green-800 dark:text-green-100' 
+                                    : assignment.status === 'cancelled' || assignment.status === 'declined' || assignment.status === 'disputed'
+                                      ? 'bg-red-100 text-red-800 dark:bg-red-800 dark:text-red-100' 
+                                      : assignment.status === 'expired'
+                                        ? 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-100'
+                                      : assignment.status === 'pending' || assignment.status === 'revision_requested'
+                                        ? 'bg-yellow-100 text-yellow-800 dark:bg-yellow-800 dark:text-yellow-100'
+                                        : assignment.status === 'submitted'
+                                          ? 'bg-purple-100 text-purple-800 dark:bg-purple-800 dark:text-purple-100'
+                                          : 'bg-blue-100 text-blue-800 dark:bg-blue-800 dark:text-blue-100'
+                                }`}>
+                                  {assignment.status.replace('_', ' ').charAt(0).toUpperCase() + assignment.status.replace('_', ' ').slice(1)}
                                 </span>
+                                {assignment.overdue_at && ['in_progress', 'revision_requested'].includes(assignment.status) && (
+                                  <span className="ml-2 px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-red-100 text-red-800 dark:bg-red-800 dark:text-red-100">
+                                    Overdue
+                                  </span>
+                                )}
                               </div>
                             </div>
-                          </div>
-                        </div>
+                      
+                            <div className="mt-4 grid grid-cols-1 gap-4 sm:grid-cols-2">
+                              <div>
+                                <div className="flex items-center">
+                                  <div className="flex-shrink-0 h-10 w-10">
+                                    {assignment.writer && assignment.writer.profile_picture ? (
+                                      <img 
+                                        className="h-10 w-10 rounded-full" 
+                                        src={assignment.writer.profile_picture} 
+                                        alt="" 
+                                      />
+                                    ) : (
+                                      <svg className="h-10 w-10 text-gray-400 dark:text-gray-500" fill="currentColor" viewBox="0 0 24 24">
+                                        <path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm0 3c1.66 0 3 1.34 3 3s-1.34 3-3 3-3-1.34-3-3 1.34-3 3-3zm0 14.2c-2.5 0-4.71-1.28-6-3.22.03-1.99 4-3.08 6-3.08 1.99 0 5.97 1.09 6 3.08-1.29 1.94-3.5 3.22-6 3.22z" />
+                                      </svg>
+                                    )}
+                                  </div>
+                                  <div className="ml-3">
+                                    <p className="text-sm font-medium text-gray-900 dark:text-white">
+                                      {assignment.writer ? 'Writer' : 'Client'}: {assignment.writer ? assignment.writer.name : assignment.client.name}
+                                    </p>
+                                    <div className="flex items-center">
+                                      <svg className="h-4 w-4 text-yellow-400" fill="currentColor" viewBox="0 0 20 20">
+                                        <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z" />
+                                      </svg>
+                                      <span className="ml-1 text-sm text-gray-500 dark:text-gray-400">
+                                        {assignment.writer ? 
+                                          formatRating(assignment.writer.rating) : 
+                                          formatRating(assignment.client.rating)} 
+                                        ({assignment.writer ? 
+                                          assignment.writer.total_ratings || 0 : 
+                                          assignment.client.total_ratings || 0})
+                                      </span>
+                                    </div>
+                                  </div>
+                                </div>
+                              </div>
                         
-                        <div className="space-y-2">
-                          <div className="flex justify-between">
-                            <span className="text-sm text-gray-500 dark:text-gray-400">Created:</span>
-                            <span className="text-sm text-gray-900 dark:text-white">{formatDate(assignment.created_at)}</span>
-                          </div>
-                          <div className="flex justify-between">
-                            <span className="text-sm text-gray-500 dark:text-gray-400">Deadline:</span>
-                            <span className="text-sm text-gray-900 dark:text-white">{formatDate(assignment.deadline)}</span>
-                          </div>
-                          {assignment.completed_at && (
-                            <div className="flex justify-between">
-                              <span className="text-sm text-gray-500 dark:text-gray-400">Completed:</span>
-                              <span className="text-sm text-gray-900 dark:text-white">{formatDate(assignment.completed_at)}</span>
+                              <div className="space-y-2">
+                                <div className="flex justify-between">
+                                  <span className="text-sm text-gray-500 dark:text-gray-400">Created:</span>
+                                  <span className="text-sm text-gray-900 dark:text-white">{formatDate(assignment.created_at)}</span>
+                                </div>
+                                <div className="flex justify-between">
+                                  <span className="text-sm text-gray-500 dark:text-gray-400">Deadline:</span>
+                                  <span className="text-sm text-gray-900 dark:text-white">{formatDate(assignment.deadline)}</span>
+                                </div>
+                                {assignment.status === 'pending' && !assignment.direct_request && assignment.expiration_deadline && (
+                                  <div className="flex justify-between">
+                                    <span className="text-sm text-gray-500 dark:text-gray-400">Listed until:</span>
+                                    <span className="text-sm text-gray-900 dark:text-white">
+                                      {formatDate(assignment.expiration_deadline)} ({formatTimeLeft(assignment.expiration_deadline)})
+                                    </span>
+                                  </div>
+                                )}
+                                {assignment.status === 'expired' && (
+                                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                                    No writer took this request before its listing ran out.
+                                  </p>
+                                )}
+                                {assignment.completed_at && (
+                                  <div className="flex justify-between">
+                                    <span className="text-sm text-gray-500 dark:text-gray-400">Completed:</span>
+                                    <span className="text-sm text-gray-900 dark:text-white">{formatDate(assignment.completed_at)}</span>
+                                  </div>
+                                )}
+                                <div className="flex justify-between">
+                                  <span className="text-sm text-gray-500 dark:text-gray-400">Cost:</span>
+                                  <span className="text-sm text-gray-900 dark:text-white">₹{assignment.agreed_price ?? assignment.estimated_cost}</span>
+                                </div>
+                                {Number(assignment.escrow_balance) > 0 && (
+                                  <div className="flex justify-between">
+                                    <span className="text-sm text-gray-500 dark:text-gray-400">In escrow:</span>
+                                    <span className="text-sm text-gray-900 dark:text-white">₹{assignment.escrow_balance}</span>
+                                  </div>
+                                )}
+                                {assignment.delivery_date && (
+                                  <div className="flex justify-between">
+                                    <span className="text-sm text-gray-500 dark:text-gray-400">Delivery by:</span>
+                                    <span className="text-sm text-gray-900 dark:text-white">{formatDate(assignment.delivery_date)}</span>
+                                  </div>
+                                )}
+                              </div>
                             </div>
-                          )}
-                          <div className="flex justify-between">
-                            <span className="text-sm text-gray-500 dark:text-gray-400">Cost:</span>
-                            <span className="text-sm text-gray-900 dark:text-white">₹{assignment.estimated_cost}</span>
-                          </div>
-                        </div>
-                      </div>
                       
-                      <div className="mt-5 flex justify-end space-x-3">
-                        {userRole === 'writer' && assignment.status === 'in_progress' && (
-                          <button
-                            onClick={() => handleCompleteAssignment(assignment.id)}
-                            className="px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
-                          >
-                            Mark as Completed
-                          </button>
-                        )}
+                            {assignment.role === 'client' && assignment.direct_request && (
+                              <div className="mt-4 p-3 rounded-md bg-blue-50 dark:bg-blue-900 border border-blue-200 dark:border-blue-700">
+                                <p className="text-sm font-medium text-blue-800 dark:text-blue-100">
+                                  {assignment.status === 'declined'
+                                    ? `${assignment.direct_request.writer_name} declined this request`
+                                    : assignment.direct_request.timed_out
+                                      ? `${assignment.direct_request.writer_name} didn't respond in time`
+                                      : `Sent only to ${assignment.direct_request.writer_name}`}
+                                </p>
+                                {assignment.status === 'declined' && assignment.direct_request.decline_reason && (
+                                  <p className="mt-1 text-sm italic text-blue-700 dark:text-blue-200">"{assignment.direct_request.decline_reason}"</p>
+                                )}
+                                {assignment.status === 'pending' && !assignment.direct_request.timed_out && assignment.direct_request.response_deadline && (
+                                  <p className="mt-1 text-sm text-blue-700 dark:text-blue-200">
+                                    Waiting for an answer until {new Date(assignment.direct_request.response_deadline).toLocaleString()}
+                                  </p>
+                                )}
+                                {(assignment.status === 'declined' || assignment.direct_request.timed_out) && (
+                                  <button
+                                    onClick={() => handlePublishRequest(assignment)}
+                                    className="mt-2 px-3 py-1 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+                                  >
+                                    Publish to All Writers
+                                  </button>
+                                )}
+                              </div>
+                            )}
+
+                            {assignment.pending_change && (
+                              <div className="mt-4 p-3 rounded-md bg-yellow-50 dark:bg-yellow-900 border border-yellow-300 dark:border-yellow-700">
+                                <p className="text-sm font-medium text-yellow-800 dark:text-yellow-100">
+                                  {assignment.pending_change.proposed_by_me
+                                    ? 'Waiting for the other party to respond to your proposal'
+                                    : `The ${assignment.role === 'client' ? 'writer' : 'client'} proposed a change`}
+                                </p>
+                                <p className="mt-1 text-sm text-yellow-700 dark:text-yellow-200">{describeChange(assignment.pending_change)}</p>
+                                {assignment.pending_change.reason && (
+                                  <p className="mt-1 text-sm italic text-yellow-700 dark:text-yellow-200">"{assignment.pending_change.reason}"</p>
+                                )}
+                                <div className="mt-2 flex space-x-2">
+                                  {!assignment.pending_change.proposed_by_me && (
+                                    <button
+                                      onClick={() => handleRespondToChange(assignment, 'accept')}
+                                      className="px-3 py-1 text-sm font-medium rounded-md text-white bg-green-600 hover:bg-green-700"
+                                    >
+                                      Accept
+                                    </button>
+                                  )}
+                                  <button
+                                    onClick={() => handleRespondToChange(assignment, 'reject')}
+                                    className="px-3 py-1 text-sm font-medium rounded-md text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-600"
+                                  >
+                                    {assignment.pending_change.proposed_by_me ? 'Withdraw Proposal' : 'Decline'}
+                                  </button>
+                                </div>
+                              </div>
+                            )}
+
+                            {assignment.dispute && (
+                              <div className={`mt-4 p-3 rounded-md border ${
+                                assignment.dispute.status === 'open'
+                                  ? 'bg-red-50 dark:bg-red-900 border-red-200 dark:border-red-700'
+                                  : 'bg-gray-50 dark:bg-gray-700 border-gray-200 dark:border-gray-600'
+                              }`}>
+                                <div className="flex items-start justify-between">
+                                  <div>
+                                    <p className="text-sm font-medium text-gray-900 dark:text-white">
+                                      {assignment.dispute.status === 'open'
+                                        ? `Disputed by ${assignment.dispute.opened_by.name}. The assignment is on hold until an admin resolves it.`
+                                        : `Dispute resolved: ${assignment.dispute.outcome ? OUTCOME_LABELS[assignment.dispute.outcome] : 'closed'}`}
+                                      {assignment.dispute.outcome === 'partial_refund' && ` (₹${assignment.dispute.refund_amount} refunded)`}
+                                    </p>
+                                    {assignment.dispute.status === 'resolved' && assignment.dispute.resolution_note && (
+                                      <p className="mt-1 text-sm italic text-gray-600 dark:text-gray-300">"{assignment.dispute.resolution_note}"</p>
+                                    )}
+                                  </div>
+                                  <button
+                                    onClick={() => setDisputeAssignment(assignment)}
+                                    className="ml-4 flex-shrink-0 px-3 py-1 text-sm font-medium rounded-md text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-600"
+                                  >
+                                    View Dispute
+                                  </button>
+                                </div>
+                              </div>
+                            )}
+
+                            <div className="mt-5 flex flex-wrap justify-end gap-3">
+                              {assignment.role === 'client' && assignment.status === 'pending' && (
+                                <button
+                                  onClick={() => setOffersAssignment(assignment)}
+                                  className="relative px-4 py-2 border border-blue-300 dark:border-blue-700 text-sm font-medium rounded-md shadow-sm text-blue-700 dark:text-blue-300 bg-white dark:bg-gray-800 hover:bg-blue-50 dark:hover:bg-gray-700"
+                                >
+                                  Offers
+                                  {!!assignment.pending_offers && (
+                                    <span className="absolute -top-2 -right-2 inline-flex items-center justify-center h-5 min-w-[1.25rem] px-1 text-xs font-bold text-white bg-blue-600 rounded-full">
+                                      {assignment.pending_offers}
+                                    </span>
+                                  )}
+                                </button>
+                              )}
+
+                              {assignment.role === 'client' && (assignment.status === 'expired' || assignment.status === 'cancelled') && (
+                                <button
+                                  onClick={() => setRepostingAssignment(assignment)}
+                                  className="px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700"
+                                >
+                                  Repost
+                                </button>
+                              )}
+
+                              {assignment.role === 'client' && assignment.status === 'declined' && (
+                                <button
+                                  onClick={() => handleCancelRequest(assignment)}
+                                  className="px-4 py-2 border border-red-300 dark:border-red-700 text-sm font-medium rounded-md shadow-sm text-red-700 dark:text-red-300 bg-white dark:bg-gray-800 hover:bg-red-50 dark:hover:bg-gray-700"
+                                >
+                                  Cancel Request
+                                </button>
+                              )}
+
+                              {assignment.role === 'client' && (assignment.status === 'pending' || assignment.available_actions.includes('cancel')) && !assignment.pending_change && (
+                                <>
+                                  <button
+                                    onClick={() => setEditingAssignment(assignment)}
+                                    className="px-4 py-2 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md shadow-sm text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700"
+                                  >
+                                    {assignment.status === 'pending' ? 'Edit' : 'Propose Changes'}
+                                  </button>
+                                  <button
+                                    onClick={() => handleCancelRequest(assignment)}
+                                    className="px-4 py-2 border border-red-300 dark:border-red-700 text-sm font-medium rounded-md shadow-sm text-red-700 dark:text-red-300 bg-white dark:bg-gray-800 hover:bg-red-50 dark:hover:bg-gray-700"
+                                  >
+                                    {assignment.status === 'pending' ? 'Cancel Request' : 'Request Cancellation'}
+                                  </button>
+                                </>
+                              )}
+
+                              {assignment.role === 'writer' && assignment.available_actions.includes('cancel') && !assignment.pending_change && (
+                                <button
+                                  onClick={() => setEditingAssignment(assignment)}
+                                  className="px-4 py-2 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md shadow-sm text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700"
+                                >
+                                  Propose Changes
+                                </button>
+                              )}
+
+                              {assignment.available_actions.includes('withdraw') && (
+                                <button
+                                  onClick={() => handleWithdraw(assignment)}
+                                  className="px-4 py-2 border border-red-300 dark:border-red-700 text-sm font-medium rounded-md shadow-sm text-red-700 dark:text-red-300 bg-white dark:bg-gray-800 hover:bg-red-50 dark:hover:bg-gray-700"
+                                >
+                                  Withdraw
+                                </button>
+                              )}
+
+                              {assignment.available_actions.includes('dispute') && (
+                                <button
+                                  onClick={() => handleOpenDispute(assignment)}
+                                  className="px-4 py-2 border border-red-300 dark:border-red-700 text-sm font-medium rounded-md shadow-sm text-red-700 dark:text-red-300 bg-white dark:bg-gray-800 hover:bg-red-50 dark:hover:bg-gray-700"
+                                >
+                                  Open Dispute
+                                </button>
+                              )}
+
+                              {assignment.timeline.length > 0 && (
+                                <button
+                                  onClick={() => setTimelineAssignmentId(timelineAssignmentId === assignment.id ? null : assignment.id)}
+                                  className="px-4 py-2 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md shadow-sm text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700"
+                                >
+                                  {timelineAssignmentId === assignment.id ? 'Hide Timeline' : 'Timeline'}
+                                </button>
+                              )}
+
+                              {assignment.writer && (
+                                <button
+                                  onClick={() => setMessageAssignment(assignment)}
+                                  className="relative px-4 py-2 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md shadow-sm text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                                >
+                                  Messages
+                                  {assignment.unread_messages > 0 && (
+                                    <span className="absolute -top-2 -right-2 inline-flex items-center justify-center h-5 min-w-[1.25rem] px-1 text-xs font-bold text-white bg-red-600 rounded-full">
+                                      {assignment.unread_messages}
+                                    </span>
+                                  )}
+                                </button>
+                              )}
+
+                              {(assignment.role === 'client' || assignment.assignment_id) && (
+                                <button
+                                  onClick={() => setFilesAssignment(assignment)}
+                                  className="px-4 py-2 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md shadow-sm text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700"
+                                >
+                                  Files
+                                </button>
+                              )}
+
+                              {assignment.available_actions.includes('submit') && (
+                                <button
+                                  onClick={() => handleLifecycleAction(assignment, 'submit')}
+                                  className="px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
+                                >
+                                  {assignment.status === 'revision_requested' ? 'Resubmit Work' : 'Submit Work'}
+                                </button>
+                              )}
+
+                              {assignment.available_actions.includes('request_revision') && (
+                                <button
+                                  onClick={() => handleLifecycleAction(assignment, 'request_revision')}
+                                  className="px-4 py-2 border border-yellow-300 dark:border-yellow-700 text-sm font-medium rounded-md shadow-sm text-yellow-800 dark:text-yellow-300 bg-white dark:bg-gray-800 hover:bg-yellow-50 dark:hover:bg-gray-700"
+                                >
+                                  Request Revision
+                                </button>
+                              )}
+
+                              {assignment.available_actions.includes('accept') && (
+                                <button
+                                  onClick={() => handleLifecycleAction(assignment, 'accept')}
+                                  className="px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
+                                >
+                                  Accept Work
+                                </button>
+                              )}
                         
-                        <button
-                          onClick={() => openRatingModal(assignment)}
-                          disabled={isRatingDisabled(assignment)}
-                          className={`px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm ${
-                            isRatingDisabled(assignment)
-                              ? 'bg-gray-300 text-gray-500 dark:bg-gray-700 dark:text-gray-400 cursor-not-allowed'
-                              : 'text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500'
-                          }`}
-                        >
-                          {getRatingButtonText(assignment)}
-                        </button>
-                      </div>
-                    </div>
-                  </li>
-                ))}
-              </ul>
-            </div>
+                              <button
+                                onClick={() => openRatingModal(assignment)}
+                                disabled={isRatingDisabled(assignment)}
+                                className={`px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm ${
+                                  isRatingDisabled(assignment)
+                                    ? 'bg-gray-300 text-gray-500 dark:bg-gray-700 dark:text-gray-400 cursor-not-allowed'
+                                    : 'text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500'
+                                }`}
+                              >
+                                {getRatingButtonText(assignment)}
+                              </button>
+                            </div>
+
+                            {timelineAssignmentId === assignment.id && (
+                              <ol className="mt-4 border-l-2 border-gray-200 dark:border-gray-700 pl-4 space-y-3">
+                                {assignment.timeline.map((entry, index) => (
+                                  <li key={index}>
+                                    <p className="text-sm font-medium text-gray-900 dark:text-white">
+                                      {TIMELINE_LABELS[entry.action]}
+                                      {entry.actor && (
+                                        <span className="font-normal text-gray-500 dark:text-gray-400"> by {entry.actor.name}</span>
+                                      )}
+                                    </p>
+                                    <p className="text-xs text-gray-500 dark:text-gray-400">{new Date(entry.created_at).toLocaleString()}</p>
+                                    {entry.note && (
+                                      <p className="mt-1 text-sm italic text-gray-600 dark:text-gray-300">"{entry.note}"</p>
+                                    )}
+                                  </li>
+                                ))}
+                              </ol>
+                            )}
+                          </div>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                </div>
+              );
+            })}
           </div>
         )}
       </main>
 
-      {/* WhatsApp Number Modal */}
-      {showWhatsAppModal && (
-        <div className="fixed inset-0 bg-gray-600 bg-opacity-75 flex items-center justify-center z-50">
-          <div className="bg-white dark:bg-gray-800 rounded-lg p-6 max-w-md w-full">
-            <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-4">Update WhatsApp Number</h3>
-            <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
-              Your WhatsApp number is missing or incorrect. Please enter your WhatsApp number with country code (e.g., 919876543210 for India).
-            </p>
-            <input
-              type="text"
-              value={whatsappNumber}
-              onChange={(e) => setWhatsappNumber(e.target.value)}
-              placeholder="WhatsApp number with country code"
-              className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 dark:bg-gray-700 dark:text-white mb-4"
-            />
-            <div className="flex justify-end space-x-3">
-              <button
-                onClick={() => setShowWhatsAppModal(false)}
-                className="px-4 py-2 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md shadow-sm text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
-              >
-                Cancel
-              </button>
-              <button
-                onClick={updateWhatsAppNumber}
-                disabled={updatingWhatsApp || !whatsappNumber}
-                className={`px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white ${
-                  updatingWhatsApp || !whatsappNumber
-                    ? 'bg-blue-400 cursor-not-allowed'
-                    : 'bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500'
-                }`}
-              >
-                {updatingWhatsApp ? 'Updating...' : 'Update'}
-              </button>
-            </div>
-          </div>
-        </div>
+      {editingAssignment && (
+        <EditRequestModal
+          isOpen={!!editingAssignment}
+          onClose={() => setEditingAssignment(null)}
+          request={{ ...editingAssignment, id: editingAssignment.request_id }}
+          requiresConsent={editingAssignment.status !== 'pending'}
+          onSaved={fetchAssignments}
+        />
+      )}
+
+      {repostingAssignment && (
+        <EditRequestModal
+          isOpen={!!repostingAssignment}
+          onClose={() => setRepostingAssignment(null)}
+          request={{ ...repostingAssignment, id: repostingAssignment.request_id }}
+          requiresConsent={false}
+          repost
+          onSaved={fetchAssignments}
+        />
+      )}
+
+      {offersAssignment && (
+        <OffersModal
+          isOpen={!!offersAssignment}
+          onClose={() => setOffersAssignment(null)}
+          requestId={offersAssignment.request_id}
+          courseName={`${offersAssignment.course_name} (${offersAssignment.course_code})`}
+          deadline={offersAssignment.deadline}
+          onChanged={fetchAssignments}
+        />
+      )}
+
+      {counteringOffer && (
+        <OfferFormModal
+          isOpen={!!counteringOffer}
+          onClose={() => setCounteringOffer(null)}
+          title={`Counter ${counteringOffer.client_name}'s Offer`}
+          submitPath={`/api/offers/${counteringOffer.id}/counter`}
+          initialPrice={Number(counteringOffer.price)}
+          deadline={counteringOffer.deadline}
+          onSubmitted={fetchAssignments}
+        />
+      )}
+
+      {messageAssignment && (
+        <MessageThread
+          isOpen={!!messageAssignment}
+          onClose={() => setMessageAssignment(null)}
+          requestId={messageAssignment.request_id}
+          otherPartyName={messageAssignment.role === 'client' ? messageAssignment.writer?.name || 'Writer' : messageAssignment.client.name}
+          courseName={`${messageAssignment.course_name} (${messageAssignment.course_code})`}
+          onMessagesRead={handleMessagesRead}
+        />
+      )}
+
+      {filesAssignment && (
+        <AttachmentsModal
+          isOpen={!!filesAssignment}
+          onClose={() => setFilesAssignment(null)}
+          requestId={filesAssignment.request_id}
+          courseName={`${filesAssignment.course_name} (${filesAssignment.course_code})`}
+          currentUserId={filesAssignment.role === 'client' ? filesAssignment.client.id : filesAssignment.writer?.id || 0}
+          uploadPath={getUploadPath(filesAssignment)}
+          uploadLabel={filesAssignment.role === 'client' ? 'Attach Files' : 'Upload Work'}
+        />
+      )}
+
+      {disputeAssignment?.dispute && (
+        <DisputeModal
+          isOpen={!!disputeAssignment}
+          onClose={() => setDisputeAssignment(null)}
+          disputeId={disputeAssignment.dispute.id}
+          currentUserId={disputeAssignment.role === 'client' ? disputeAssignment.client.id : disputeAssignment.writer?.id || 0}
+        />
       )}
 
       {showRatingModal && selectedAssignment && (
         <RatingModal
           isOpen={showRatingModal}
           onClose={() => setShowRatingModal(false)}
-          ratedUserId={selectedAssignment && (userRole === 'client' ? selectedAssignment.writer?.id || 0 : selectedAssignment.client.id)}
-          ratedUserName={selectedAssignment && (userRole === 'client' ? selectedAssignment.writer?.name || 'Unknown' : selectedAssignment.client.name)}
+          ratedUserId={selectedAssignment && (selectedAssignment.role === 'client' ? selectedAssignment.writer?.id || 0 : selectedAssignment.client.id)}
+          ratedUserName={selectedAssignment && (selectedAssignment.role === 'client' ? selectedAssignment.writer?.name || 'Unknown' : selectedAssignment.client.name)}
           assignmentRequestId={selectedAssignment?.request_id || 0}
           onRatingSubmitted={handleRatingSubmitted}
-          userType={userRole === 'client' ? 'writer' : 'client'}
+          userType={selectedAssignment.role === 'client' ? 'writer' : 'client'}
         />
       )}
     </div>
@@ -0,0 +1,208 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useLiveEvent } from '../contexts/LiveEventsContext';
+import config from '../config';
+
+interface Notification {
+    id: number;
+    type: string;
+    title: string;
+    body: string;
+    link: string | null;
+    read_at: string | null;
+    created_at: string;
+}
+
+// How often to refresh the unread count, in case a live update was missed
+const POLL_INTERVAL_MS = 30000;
+
+const NotificationBell: React.FC = () => {
+    const navigate = useNavigate();
+    const [notifications, setNotifications] = useState<Notification[]>([]);
+    const [unreadCount, setUnreadCount] = useState(0);
+    const [nextCursor, setNextCursor] = useState<string | null>(null);
+    const [isOpen, setIsOpen] = useState(false);
+    const [loading, setLoading] = useState(false);
+    const containerRef = useRef<HTMLDivElement>(null);
+
+    const fetchNotifications = useCallback(async (cursor?: string) => {
+        try {
+            const params = new URLSearchParams({ limit: '10' });
+            if (cursor) {
+                params.set('cursor', cursor);
+            }
+
+            const response = await fetch(`${config.apiUrl}/api/notifications?${params.toString()}`, {
+                credentials: 'include',
+                headers: {
+                    'Accept': 'application/json'
+                }
+            });
+
+            if (!response.ok) {
+                return;
+            }
+
+            const data = await response.json();
+            setNotifications(prev => cursor ? [...prev, ...data.notifications] : data.notifications);
+            setUnreadCount(data.unread_count);
+            setNextCursor(data.next_cursor);
+        } catch (error) {
+            console.error('Error fetching notifications:', error);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchNotifications();
+        const interval = setInterval(() => fetchNotifications(), POLL_INTERVAL_MS);
+        return () => clearInterval(interval);
+    }, [fetchNotifications]);
+
+    useLiveEvent<{ notification: Notification }>('notification_created', ({ notification }) => {
+        setNotifications(prev => [notification, ...prev.filter(n => n.id !== notification.id)]);
+        setUnreadCount(prev => prev + 1);
+    });
+
+    // Close the dropdown when clicking anywhere else
+    useEffect(() => {
+        if (!isOpen) return;
+
+        const handleClick = (e: MouseEvent) => {
+            if (containerRef.current && !containerRef.current.contains(e.target as Node)) {
+                setIsOpen(false);
+            }
+        };
+        document.addEventListener('mousedown', handleClick);
+        return () => document.removeEventListener('mousedown', handleClick);
+    }, [isOpen]);
+
+    const markRead = async (path: string) => {
+        try {
+            await fetch(`${config.apiUrl}${path}`, {
+                method: 'PUT',
+                credentials: 'include'
+            });
+        } catch (error) {
+            console.error('Error marking notifications as read:', error);
+        }
+    };
+
+    const handleNotificationClick = async (notification: Notification) => {
+        if (!notification.read_at) {
+            await markRead(`/api/notifications/${notification.id}/read`);
+            setNotifications(prev => prev.map(n =>
+                n.id === notification.id ? { ...n, read_at: new Date().toISOString() } : n
+            ));
+            setUnreadCount(prev => Math.max(0, prev - 1));
+        }
+        setIsOpen(false);
+        if (notification.link) {
+            navigate(notification.link);
+        }
+    };
+
+    const handleMarkAllRead = async () => {
+        await markRead('/api/notifications/read');
+        const now = new Date().toISOString();
+        setNotifications(prev => prev.map(n => ({ ...n, read_at: n.read_at || now })));
+        setUnreadCount(0);
+    };
+
+    const formatTime = (dateString: string) => {
+        return new Date(dateString).toLocaleString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+    };
+
+    return (
+        <div className="relative" ref={containerRef}>
+            <button
+                onClick={() => setIsOpen(open => !open)}
+                className="relative text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white"
+                aria-label="Notifications"
+            >
+                <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+                </svg>
+                {unreadCount > 0 && (
+                    <span className="absolute -top-2 -right-2 inline-flex items-center justify-center h-5 min-w-[1.25rem] px-1 text-xs font-bold text-white bg-red-600 rounded-full">
+                        {unreadCount > 99 ? '99+' : unreadCount}
+                    </span>
+                )}
+            </button>
+
+            {isOpen && (
+                <div className="absolute right-0 mt-2 w-80 bg-white dark:bg-gray-800 rounded-lg shadow-xl border border-gray-200 dark:border-gray-700 z-50">
+                    <div className="flex justify-between items-center px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+                        <h3 className="text-sm font-semibold text-gray-900 dark:text-white">Notifications</h3>
+                        {unreadCount > 0 && (
+                            <button
+                                onClick={handleMarkAllRead}
+                                className="text-xs text-blue-600 dark:text-blue-400 hover:underline"
+                            >
+                                Mark all as read
+                            </button>
+                        )}
+                    </div>
+
+                    <div className="max-h-96 overflow-y-auto">
+                        {notifications.length === 0 ? (
+                            <p className="px-4 py-6 text-center text-sm text-gray-500 dark:text-gray-400">
+                                You're all caught up.
+                            </p>
+                        ) : (
+                            <ul className="divide-y divide-gray-100 dark:divide-gray-700">
+                                {notifications.map(notification => (
+                                    <li key={notification.id}>
+                                        <button
+                                            onClick={() => handleNotificationClick(notification)}
+                                            className={`w-full text-left px-4 py-3 hover:bg-gray-50 dark:hover:bg-gray-700 ${
+                                                notification.read_at ? '' : 'bg-blue-50 dark:bg-gray-900'
+                                            }`}
+                                        >
+                                            <p className="text-sm font-medium text-gray-900 dark:text-white">{notification.title}</p>
+                                            <p className="text-sm text-gray-600 dark:text-gray-300">{notification.body}</p>
+                                            <p className="mt-1 text-xs text-gray-400">{formatTime(notification.created_at)}</p>
+                                        </button>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+
+                        {nextCursor && (
+                            <button
+                                onClick={() => {
+                                    setLoading(true);
+                                    fetchNotifications(nextCursor);
+                                }}
+                                disabled={loading}
+                                className="w-full px-4 py-2 text-sm text-blue-600 dark:text-blue-400 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50"
+                            >
+                                {loading ? 'Loading...' : 'Show older'}
+                            </button>
+                        )}
+                    </div>
+
+                    <div className="px-4 py-2 border-t border-gray-200 dark:border-gray-700 text-right">
+                        <button
+                            onClick={() => {
+                                setIsOpen(false);
+                                navigate('/profile');
+                            }}
+                            className="text-xs text-gray-500 dark:text-gray-400 hover:underline"
+                        >
+                            Notification settings
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default NotificationBell;
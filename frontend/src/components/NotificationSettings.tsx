@@ -0,0 +1,143 @@
+import React, { useState, useEffect } from 'react';
+import config from '../config';
+
+interface NotificationPreference {
+    type: string;
+    label: string;
+    in_app: boolean;
+    // null when the type is only shown in-app
+    email: boolean | null;
+}
+
+type EmailFrequency = 'immediate' | 'daily' | 'off';
+
+type Channel = 'in_app' | 'email';
+
+const NotificationSettings: React.FC = () => {
+    const [preferences, setPreferences] = useState<NotificationPreference[]>([]);
+    const [emailFrequency, setEmailFrequency] = useState<EmailFrequency>('immediate');
+    const [error, setError] = useState<string | null>(null);
+
+    useEffect(() => {
+        fetch(`${config.apiUrl}/api/notification-preferences`, {
+            credentials: 'include'
+        })
+        .then(res => res.json())
+        .then(data => {
+            setPreferences(data.preferences || []);
+            setEmailFrequency(data.email_frequency || 'immediate');
+        })
+        .catch(err => {
+            console.error('Error fetching notification preferences:', err);
+            setError('Failed to load notification settings');
+        });
+    }, []);
+
+    const savePreferences = async (body: object) => {
+        const response = await fetch(`${config.apiUrl}/api/notification-preferences`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            credentials: 'include',
+            body: JSON.stringify(body)
+        });
+
+        if (!response.ok) {
+            throw new Error('Failed to save notification settings');
+        }
+
+        const data = await response.json();
+        setPreferences(data.preferences);
+        setEmailFrequency(data.email_frequency);
+    };
+
+    const handleToggle = async (type: string, channel: Channel, enabled: boolean) => {
+        const previous = preferences;
+        setPreferences(prev => prev.map(p => p.type === type ? { ...p, [channel]: enabled } : p));
+        setError(null);
+
+        try {
+            await savePreferences({ [type]: { [channel]: enabled } });
+        } catch (err) {
+            console.error('Error updating notification preferences:', err);
+            setPreferences(previous);
+            setError('Failed to save notification settings');
+        }
+    };
+
+    const handleFrequencyChange = async (frequency: EmailFrequency) => {
+        const previous = emailFrequency;
+        setEmailFrequency(frequency);
+        setError(null);
+
+        try {
+            await savePreferences({ email_frequency: frequency });
+        } catch (err) {
+            console.error('Error updating email frequency:', err);
+            setEmailFrequency(previous);
+            setError('Failed to save notification settings');
+        }
+    };
+
+    return (
+        <div className="bg-white rounded-lg shadow-lg p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Notifications</h3>
+            <p className="text-sm text-gray-600 mb-4">Choose which updates appear in your notification bell and which are emailed to you.</p>
+            {error && (
+                <p className="text-sm text-red-600 mb-4">{error}</p>
+            )}
+
+            <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700">Email delivery</label>
+                <select
+                    value={emailFrequency}
+                    onChange={(e) => handleFrequencyChange(e.target.value as EmailFrequency)}
+                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                >
+                    <option value="immediate">Send each email right away</option>
+                    <option value="daily">One daily digest</option>
+                    <option value="off">No email</option>
+                </select>
+            </div>
+
+            <table className="w-full text-sm">
+                <thead>
+                    <tr className="text-left text-gray-500">
+                        <th className="font-medium pb-2"></th>
+                        <th className="font-medium pb-2 text-center w-16">In-app</th>
+                        <th className="font-medium pb-2 text-center w-16">Email</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {preferences.map(preference => (
+                        <tr key={preference.type}>
+                            <td className="py-1 text-gray-700">{preference.label}</td>
+                            <td className="py-1 text-center">
+                                <input
+                                    type="checkbox"
+                                    checked={preference.in_app}
+                                    onChange={(e) => handleToggle(preference.type, 'in_app', e.target.checked)}
+                                    className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                                />
+                            </td>
+                            <td className="py-1 text-center">
+                                {preference.email !== null && (
+                                    <input
+                                        type="checkbox"
+                                        checked={preference.email}
+                                        disabled={emailFrequency === 'off'}
+                                        onChange={(e) => handleToggle(preference.type, 'email', e.target.checked)}
+                                        className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500 disabled:opacity-50"
+                                    />
+                                )}
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default NotificationSettings;
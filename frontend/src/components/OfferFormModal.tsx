@@ -0,0 +1,157 @@
+import React, { useState } from 'react';
+import config from '../config';
+
+interface OfferFormModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+  title: string;
+  // Endpoint that receives { price, delivery_date, message }
+  submitPath: string;
+  initialPrice: number;
+  deadline: string;
+  onSubmitted: () => void;
+}
+
+// datetime-local inputs expect local time without a timezone suffix
+const toLocalInputValue = (dateString: string) => {
+  const date = new Date(dateString);
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
+const OfferFormModal: React.FC<OfferFormModalProps> = ({
+  isOpen,
+  onClose,
+  title,
+  submitPath,
+  initialPrice,
+  deadline,
+  onSubmitted
+}) => {
+  const [price, setPrice] = useState(initialPrice);
+  const [deliveryDate, setDeliveryDate] = useState(toLocalInputValue(deadline));
+  const [message, setMessage] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  if (!isOpen) return null;
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+
+    try {
+      const response = await fetch(`${config.apiUrl}${submitPath}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        credentials: 'include',
+        body: JSON.stringify({
+          price: Number(price),
+          delivery_date: new Date(deliveryDate).toISOString(),
+          message: message || undefined
+        }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to send offer');
+      }
+
+      onSubmitted();
+      onClose();
+    } catch (error) {
+      console.error('Error sending offer:', error);
+      setError(error instanceof Error ? error.message : 'Failed to send offer');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const inputClassName = "mt-1 block w-full rounded-md border-gray-300 dark:border-gray-600 shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:text-white";
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-md w-full p-6">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-white">{title}</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-500 focus:outline-none"
+          >
+            <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Price (₹)</label>
+            <input
+              type="number"
+              value={price}
+              onChange={(e) => setPrice(Number(e.target.value))}
+              required
+              min="50"
+              step="50"
+              className={inputClassName}
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Delivery Date</label>
+            <input
+              type="datetime-local"
+              value={deliveryDate}
+              onChange={(e) => setDeliveryDate(e.target.value)}
+              required
+              className={inputClassName}
+            />
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+              The client's deadline is {new Date(deadline).toLocaleString()}
+            </p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Message (Optional)</label>
+            <textarea
+              value={message}
+              onChange={(e) => setMessage(e.target.value)}
+              maxLength={1000}
+              rows={3}
+              className={inputClassName}
+            />
+          </div>
+
+          {error && (
+            <div className="text-red-500 text-sm">
+              {error}
+            </div>
+          )}
+
+          <div className="flex justify-end">
+            <button
+              type="button"
+              onClick={onClose}
+              className="mr-3 px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 hover:text-gray-500 focus:outline-none"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+            >
+              {isSubmitting ? 'Sending...' : 'Send Offer'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default OfferFormModal;
@@ -0,0 +1,239 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import OfferFormModal from './OfferFormModal';
+import config from '../config';
+
+interface Offer {
+  id: number;
+  request_id: number;
+  parent_offer_id: number | null;
+  price: number | string;
+  delivery_date: string;
+  message: string | null;
+  status: 'pending' | 'accepted' | 'rejected' | 'withdrawn' | 'expired' | 'countered';
+  expires_at: string;
+  created_at: string;
+  proposed_by_me: boolean;
+  is_counter: boolean;
+  writer: {
+    id: number;
+    name: string;
+    profile_picture: string | null;
+    rating: number | string;
+    total_ratings: number;
+  };
+}
+
+interface OffersModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+  requestId: number;
+  courseName: string;
+  deadline: string;
+  // Called after an offer is accepted, rejected or countered
+  onChanged: () => void;
+}
+
+const OffersModal: React.FC<OffersModalProps> = ({
+  isOpen,
+  onClose,
+  requestId,
+  courseName,
+  deadline,
+  onChanged
+}) => {
+  const [offers, setOffers] = useState<Offer[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [counteringOffer, setCounteringOffer] = useState<Offer | null>(null);
+
+  const fetchOffers = useCallback(async () => {
+    try {
+      const response = await fetch(`${config.apiUrl}/api/assignment-requests/${requestId}/offers`, {
+        credentials: 'include',
+        headers: {
+          'Accept': 'application/json'
+        }
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to load offers');
+      }
+
+      const data = await response.json();
+      setOffers(data.offers);
+      setError(null);
+    } catch (error) {
+      console.error('Error fetching offers:', error);
+      setError(error instanceof Error ? error.message : 'Failed to load offers');
+    } finally {
+      setLoading(false);
+    }
+  }, [requestId]);
+
+  useEffect(() => {
+    if (isOpen) {
+      fetchOffers();
+    }
+  }, [isOpen, fetchOffers]);
+
+  if (!isOpen) return null;
+
+  const handleAction = async (offer: Offer, action: 'accept' | 'reject' | 'withdraw') => {
+    if (action === 'accept' && !window.confirm(`Hire ${offer.writer.name} for ₹${offer.price}?`)) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`${config.apiUrl}/api/offers/${offer.id}/${action}`, {
+        method: 'POST',
+        credentials: 'include'
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to update offer');
+      }
+
+      onChanged();
+      if (action === 'accept') {
+        onClose();
+      } else {
+        fetchOffers();
+      }
+    } catch (error) {
+      console.error('Error updating offer:', error);
+      alert(error instanceof Error ? error.message : 'Failed to update offer');
+    }
+  };
+
+  const pendingOffers = offers.filter(offer => offer.status === 'pending');
+  const pastOffers = offers.filter(offer => offer.status !== 'pending');
+
+  const renderOffer = (offer: Offer) => (
+    <li key={offer.id} className="py-3">
+      <div className="flex justify-between items-start">
+        <div>
+          <p className="text-sm font-medium text-gray-900 dark:text-white">
+            {offer.is_counter ? `Your counter-offer to ${offer.writer.name}` : offer.writer.name}
+            {!offer.is_counter && (
+              <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">
+                ★ {parseFloat(String(offer.writer.rating)).toFixed(1)} ({offer.writer.total_ratings})
+              </span>
+            )}
+          </p>
+          <p className="text-sm text-gray-700 dark:text-gray-300">
+            ₹{offer.price} · delivered by {new Date(offer.delivery_date).toLocaleString()}
+          </p>
+          {offer.message && (
+            <p className="mt-1 text-sm italic text-gray-500 dark:text-gray-400">"{offer.message}"</p>
+          )}
+          <p className="mt-1 text-xs text-gray-400">
+            {offer.status === 'pending'
+              ? `Expires ${new Date(offer.expires_at).toLocaleString()}`
+              : offer.status.charAt(0).toUpperCase() + offer.status.slice(1)}
+          </p>
+        </div>
+        {offer.status === 'pending' && (
+          <div className="flex flex-col space-y-1 ml-3">
+            {offer.proposed_by_me ? (
+              <button
+                onClick={() => handleAction(offer, 'withdraw')}
+                className="px-3 py-1 text-xs font-medium rounded-md text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-600"
+              >
+                Withdraw
+              </button>
+            ) : (
+              <>
+                <button
+                  onClick={() => handleAction(offer, 'accept')}
+                  className="px-3 py-1 text-xs font-medium rounded-md text-white bg-green-600 hover:bg-green-700"
+                >
+                  Accept
+                </button>
+                <button
+                  onClick={() => setCounteringOffer(offer)}
+                  className="px-3 py-1 text-xs font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+                >
+                  Counter
+                </button>
+                <button
+                  onClick={() => handleAction(offer, 'reject')}
+                  className="px-3 py-1 text-xs font-medium rounded-md text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-600"
+                >
+                  Reject
+                </button>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+    </li>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-lg w-full flex flex-col" style={{ maxHeight: '80vh' }}>
+        <div className="flex justify-between items-center p-4 border-b border-gray-200 dark:border-gray-700">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Offers</h2>
+            <p className="text-sm text-gray-500 dark:text-gray-400">{courseName}</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-500 focus:outline-none"
+          >
+            <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4">
+          {loading ? (
+            <div className="flex justify-center py-10">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500 dark:border-blue-400"></div>
+            </div>
+          ) : error ? (
+            <p className="text-center text-sm text-red-500 py-10">{error}</p>
+          ) : offers.length === 0 ? (
+            <p className="text-center text-sm text-gray-500 dark:text-gray-400 py-10">
+              No offers yet. Writers can offer their own price and delivery date while your request is open.
+            </p>
+          ) : (
+            <>
+              <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                {pendingOffers.map(renderOffer)}
+              </ul>
+              {pastOffers.length > 0 && (
+                <>
+                  <h3 className="mt-4 text-sm font-medium text-gray-500 dark:text-gray-400">Earlier offers</h3>
+                  <ul className="divide-y divide-gray-200 dark:divide-gray-700 opacity-75">
+                    {pastOffers.map(renderOffer)}
+                  </ul>
+                </>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+
+      {counteringOffer && (
+        <OfferFormModal
+          isOpen={!!counteringOffer}
+          onClose={() => setCounteringOffer(null)}
+          title={`Counter ${counteringOffer.writer.name}'s Offer`}
+          submitPath={`/api/offers/${counteringOffer.id}/counter`}
+          initialPrice={Number(counteringOffer.price)}
+          deadline={deadline}
+          onSubmitted={() => {
+            fetchOffers();
+            onChanged();
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+export default OffersModal;
@@ -0,0 +1,267 @@
+import React, { useState, useRef } from 'react';
+import { PortfolioItem, portfolioImageUrl } from './PortfolioGallery';
+import config from '../config';
+
+interface PortfolioEditorProps {
+    items: PortfolioItem[];
+    onChange: (items: PortfolioItem[]) => void;
+}
+
+// Mirrors the server's limits so obviously bad files are caught before uploading
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
+const MAX_ITEMS = 12;
+
+const readError = async (response: Response, fallback: string) => {
+    try {
+        const data = await response.json();
+        return data.error || fallback;
+    } catch (e) {
+        return fallback;
+    }
+};
+
+const PortfolioEditor: React.FC<PortfolioEditorProps> = ({ items, onChange }) => {
+    const [newImage, setNewImage] = useState<File | null>(null);
+    const [newCaption, setNewCaption] = useState('');
+    const [newSubject, setNewSubject] = useState('');
+    const [uploading, setUploading] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+    const fileInputRef = useRef<HTMLInputElement>(null);
+
+    const handleImageChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+        const file = e.target.files?.[0] || null;
+        setError(null);
+        if (file && file.size > MAX_IMAGE_SIZE) {
+            setError('Images must be 5 MB or smaller');
+            e.target.value = '';
+            setNewImage(null);
+            return;
+        }
+        setNewImage(file);
+    };
+
+    const handleAdd = async () => {
+        if (!newImage) return;
+
+        const formData = new FormData();
+        formData.append('image', newImage);
+        formData.append('caption', newCaption);
+        formData.append('subject', newSubject);
+
+        setUploading(true);
+        setError(null);
+
+        try {
+            const response = await fetch(`${config.apiUrl}/api/profile/portfolio/items`, {
+                method: 'POST',
+                credentials: 'include',
+                body: formData
+            });
+
+            if (!response.ok) {
+                throw new Error(await readError(response, 'Failed to upload sample'));
+            }
+
+            const item = await response.json();
+            onChange([...items, item]);
+            setNewImage(null);
+            setNewCaption('');
+            setNewSubject('');
+            if (fileInputRef.current) {
+                fileInputRef.current.value = '';
+            }
+        } catch (error) {
+            console.error('Error uploading portfolio sample:', error);
+            setError(error instanceof Error ? error.message : 'Failed to upload sample');
+        } finally {
+            setUploading(false);
+        }
+    };
+
+    const handleDetailsSave = async (item: PortfolioItem) => {
+        setError(null);
+        try {
+            const response = await fetch(`${config.apiUrl}/api/profile/portfolio/items/${item.id}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                credentials: 'include',
+                body: JSON.stringify({ caption: item.caption || '', subject: item.subject || '' })
+            });
+
+            if (!response.ok) {
+                throw new Error(await readError(response, 'Failed to save sample'));
+            }
+        } catch (error) {
+            console.error('Error updating portfolio sample:', error);
+            setError(error instanceof Error ? error.message : 'Failed to save sample');
+        }
+    };
+
+    const handleMove = async (index: number, direction: -1 | 1) => {
+        const target = index + direction;
+        if (target < 0 || target >= items.length) return;
+
+        const previous = items;
+        const reordered = [...items];
+        [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+        onChange(reordered);
+        setError(null);
+
+        try {
+            const response = await fetch(`${config.apiUrl}/api/profile/portfolio/order`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                credentials: 'include',
+                body: JSON.stringify({ item_ids: reordered.map(item => item.id) })
+            });
+
+            if (!response.ok) {
+                throw new Error(await readError(response, 'Failed to reorder samples'));
+            }
+        } catch (error) {
+            console.error('Error reordering portfolio:', error);
+            onChange(previous);
+            setError(error instanceof Error ? error.message : 'Failed to reorder samples');
+        }
+    };
+
+    const handleRemove = async (item: PortfolioItem) => {
+        if (!window.confirm('Remove this sample from your portfolio?')) return;
+        setError(null);
+
+        try {
+            const response = await fetch(`${config.apiUrl}/api/profile/portfolio/items/${item.id}`, {
+                method: 'DELETE',
+                credentials: 'include'
+            });
+
+            if (!response.ok) {
+                throw new Error(await readError(response, 'Failed to remove sample'));
+            }
+
+            onChange(items.filter(i => i.id !== item.id));
+        } catch (error) {
+            console.error('Error removing portfolio sample:', error);
+            setError(error instanceof Error ? error.message : 'Failed to remove sample');
+        }
+    };
+
+    const updateItem = (id: number, changes: Partial<PortfolioItem>) => {
+        onChange(items.map(item => item.id === id ? { ...item, ...changes } : item));
+    };
+
+    return (
+        <div className="space-y-4">
+            <label className="block text-sm font-medium text-gray-700">Sample Work</label>
+            {error && (
+                <p className="text-sm text-red-600">{error}</p>
+            )}
+
+            {items.length === 0 && (
+                <p className="text-sm text-gray-500">Add a few samples so clients can see what you do.</p>
+            )}
+
+            {items.map((item, index) => (
+                <div key={item.id} className="flex space-x-4 border rounded-md p-3">
+                    <img
+                        src={portfolioImageUrl(item.thumbnail_url)}
+                        alt={item.caption || 'Sample work'}
+                        className="h-20 w-28 object-cover rounded border border-gray-300"
+                        loading="lazy"
+                    />
+                    <div className="flex-1 space-y-2">
+                        <input
+                            type="text"
+                            value={item.subject || ''}
+                            onChange={(e) => updateItem(item.id, { subject: e.target.value })}
+                            onBlur={() => handleDetailsSave(item)}
+                            maxLength={100}
+                            placeholder="Course or subject"
+                            className="block w-full rounded-md border-gray-300 shadow-sm text-sm focus:border-blue-500 focus:ring-blue-500"
+                        />
+                        <input
+                            type="text"
+                            value={item.caption || ''}
+                            onChange={(e) => updateItem(item.id, { caption: e.target.value })}
+                            onBlur={() => handleDetailsSave(item)}
+                            maxLength={500}
+                            placeholder="Caption"
+                            className="block w-full rounded-md border-gray-300 shadow-sm text-sm focus:border-blue-500 focus:ring-blue-500"
+                        />
+                    </div>
+                    <div className="flex flex-col justify-between text-sm">
+                        <button
+                            type="button"
+                            onClick={() => handleMove(index, -1)}
+                            disabled={index === 0}
+                            className="text-gray-600 hover:text-gray-900 disabled:opacity-30"
+                            title="Move up"
+                        >
+                            ↑
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => handleMove(index, 1)}
+                            disabled={index === items.length - 1}
+                            className="text-gray-600 hover:text-gray-900 disabled:opacity-30"
+                            title="Move down"
+                        >
+                            ↓
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => handleRemove(item)}
+                            className="text-red-600 hover:text-red-800"
+                        >
+                            Remove
+                        </button>
+                    </div>
+                </div>
+            ))}
+
+            {items.length < MAX_ITEMS && (
+                <div className="border border-dashed border-gray-300 rounded-md p-4 space-y-3">
+                    <p className="text-sm font-medium text-gray-700">Add a sample</p>
+                    <input
+                        ref={fileInputRef}
+                        type="file"
+                        accept=".png,.jpg,.jpeg,.gif,.webp"
+                        onChange={handleImageChange}
+                        className="block w-full text-sm text-gray-600"
+                    />
+                    <input
+                        type="text"
+                        value={newSubject}
+                        onChange={(e) => setNewSubject(e.target.value)}
+                        maxLength={100}
+                        placeholder="Course or subject, e.g. Data Structures"
+                        className="block w-full rounded-md border-gray-300 shadow-sm text-sm focus:border-blue-500 focus:ring-blue-500"
+                    />
+                    <input
+                        type="text"
+                        value={newCaption}
+                        onChange={(e) => setNewCaption(e.target.value)}
+                        maxLength={500}
+                        placeholder="Caption"
+                        className="block w-full rounded-md border-gray-300 shadow-sm text-sm focus:border-blue-500 focus:ring-blue-500"
+                    />
+                    <p className="text-xs text-gray-500">PNG, JPEG, GIF or WebP images up to 5 MB.</p>
+                    <button
+                        type="button"
+                        onClick={handleAdd}
+                        disabled={!newImage || uploading}
+                        className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+                    >
+                        {uploading ? 'Uploading...' : 'Add Sample'}
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default PortfolioEditor;
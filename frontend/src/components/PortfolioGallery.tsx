@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import config from '../config';
+
+export interface PortfolioItem {
+    id: number;
+    caption: string | null;
+    subject: string | null;
+    position: number;
+    image_url: string;
+    thumbnail_url: string;
+    created_at: string;
+}
+
+// Uploaded images are served by the API under a relative path; samples carried
+// over from the old single-image field are full URLs to an external host.
+export const portfolioImageUrl = (url: string) => url.startsWith('/') ? `${config.apiUrl}${url}` : url;
+
+interface PortfolioGalleryProps {
+    items: PortfolioItem[];
+}
+
+const PortfolioGallery: React.FC<PortfolioGalleryProps> = ({ items }) => {
+    const [openIndex, setOpenIndex] = useState<number | null>(null);
+
+    if (items.length === 0) {
+        return (
+            <div className="bg-gray-100 dark:bg-gray-700 rounded-lg p-8 text-center text-gray-500 dark:text-gray-400">
+                No sample work yet
+            </div>
+        );
+    }
+
+    const openItem = openIndex !== null ? items[openIndex] : null;
+
+    return (
+        <>
+            <div className="grid grid-cols-2 sm:grid-cols-3 gap-4">
+                {items.map((item, index) => (
+                    <button
+                        key={item.id}
+                        type="button"
+                        onClick={() => setOpenIndex(index)}
+                        className="text-left group focus:outline-none"
+                    >
+                        <div className="relative aspect-[4/3] bg-gray-200 dark:bg-gray-700 rounded-lg overflow-hidden">
+                            <img
+                                src={portfolioImageUrl(item.thumbnail_url)}
+                                alt={item.caption || 'Sample work'}
+                                className="w-full h-full object-cover group-hover:opacity-90"
+                                loading="lazy"
+                            />
+                            {item.subject && (
+                                <span className="absolute top-2 left-2 px-2 py-0.5 text-xs font-medium rounded-full bg-white/90 text-gray-700">
+                                    {item.subject}
+                                </span>
+                            )}
+                        </div>
+                        {item.caption && (
+                            <p className="mt-2 text-sm text-gray-600 dark:text-gray-400 line-clamp-2">{item.caption}</p>
+                        )}
+                    </button>
+                ))}
+            </div>
+
+            {openItem && openIndex !== null && (
+                <div
+                    className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4"
+                    onClick={() => setOpenIndex(null)}
+                >
+                    <div className="max-w-4xl w-full" onClick={(e) => e.stopPropagation()}>
+                        <img
+                            src={portfolioImageUrl(openItem.image_url)}
+                            alt={openItem.caption || 'Sample work'}
+                            className="w-full max-h-[75vh] object-contain rounded-lg"
+                        />
+                        <div className="mt-4 flex items-center justify-between text-white">
+                            <button
+                                type="button"
+                                onClick={() => setOpenIndex((openIndex - 1 + items.length) % items.length)}
+                                disabled={items.length < 2}
+                                className="px-3 py-1 rounded-md hover:bg-white/10 disabled:opacity-30"
+                            >
+                                Previous
+                            </button>
+                            <div className="text-center">
+                                {openItem.subject && <p className="text-sm text-gray-300">{openItem.subject}</p>}
+                                {openItem.caption && <p>{openItem.caption}</p>}
+                            </div>
+                            <button
+                                type="button"
+                                onClick={() => setOpenIndex((openIndex + 1) % items.length)}
+                                disabled={items.length < 2}
+                                className="px-3 py-1 rounded-md hover:bg-white/10 disabled:opacity-30"
+                            >
+                                Next
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+        </>
+    );
+};
+
+export default PortfolioGallery;
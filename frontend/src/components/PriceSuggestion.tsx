@@ -0,0 +1,110 @@
+import React, { useState, useEffect } from 'react';
+import config from '../config';
+
+interface Suggestion {
+  suggested: number;
+  low: number;
+  high: number;
+  basis: {
+    rate_per_page: number;
+    urgency_multiplier: number;
+    similar_requests: number;
+    historical_median: number | null;
+  };
+}
+
+interface PriceSuggestionProps {
+  assignmentType: string;
+  numPages: number | string;
+  // As entered in a datetime-local input; may be empty
+  deadline: string;
+  price: number;
+  onUse: (price: number) => void;
+}
+
+// Wait for the client to stop typing before asking for a new suggestion
+const DEBOUNCE_MS = 400;
+
+// Suggested price range for the request being filled in, refreshed as the form changes
+const PriceSuggestion: React.FC<PriceSuggestionProps> = ({ assignmentType, numPages, deadline, price, onUse }) => {
+  const [suggestion, setSuggestion] = useState<Suggestion | null>(null);
+
+  useEffect(() => {
+    const pages = Number(numPages);
+    const deadlineDate = deadline ? new Date(deadline) : null;
+    if (!assignmentType || !Number.isInteger(pages) || pages < 1 || (deadlineDate && deadlineDate <= new Date())) {
+      setSuggestion(null);
+      return;
+    }
+
+    const params = new URLSearchParams({ assignment_type: assignmentType, num_pages: String(pages) });
+    if (deadlineDate && !isNaN(deadlineDate.getTime())) {
+      params.set('deadline', deadlineDate.toISOString());
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch(`${config.apiUrl}/api/pricing/suggest?${params.toString()}`, {
+          credentials: 'include',
+          signal: controller.signal
+        });
+        if (!response.ok) {
+          setSuggestion(null);
+          return;
+        }
+        setSuggestion(await response.json());
+      } catch (error) {
+        if (!controller.signal.aborted) {
+          console.error('Error fetching price suggestion:', error);
+        }
+      }
+    }, DEBOUNCE_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [assignmentType, numPages, deadline]);
+
+  if (!suggestion) return null;
+
+  const underpriced = price < suggestion.low;
+
+  return (
+    <div className={`mt-2 rounded-md p-3 text-sm ${
+      underpriced
+        ? 'bg-yellow-50 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-100'
+        : 'bg-blue-50 text-blue-800 dark:bg-blue-900 dark:text-blue-100'
+    }`}>
+      <div className="flex items-center justify-between gap-2">
+        <p>
+          Suggested price: <span className="font-semibold">₹{suggestion.suggested}</span>
+          {' '}(usually ₹{suggestion.low}–₹{suggestion.high})
+        </p>
+        {price !== suggestion.suggested && (
+          <button
+            type="button"
+            onClick={() => onUse(suggestion.suggested)}
+            className="shrink-0 px-2 py-1 text-xs font-medium rounded-md border border-current hover:bg-white/50 dark:hover:bg-black/20"
+          >
+            Use ₹{suggestion.suggested}
+          </button>
+        )}
+      </div>
+      <p className="mt-1 text-xs opacity-80">
+        {suggestion.basis.historical_median !== null
+          ? `Based on our rates and ${suggestion.basis.similar_requests} similar request${suggestion.basis.similar_requests === 1 ? '' : 's'} writers took on recently.`
+          : 'Based on our standard rates for this type of work.'}
+        {suggestion.basis.urgency_multiplier > 1 && ' Includes a surcharge for the short deadline.'}
+      </p>
+      {underpriced && (
+        <p className="mt-1 text-xs font-medium">
+          Requests priced below this range often go unclaimed.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default PriceSuggestion;
@@ -1,6 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import Header from './Header'; 
+import NotificationSettings from './NotificationSettings';
+import PortfolioEditor from './PortfolioEditor';
+import { PortfolioItem } from './PortfolioGallery';
 import config from '../config';
 
 interface User {
@@ -9,26 +12,34 @@ interface User {
     email: string;
     profile_picture: string;
     university_stream: string;
-    whatsapp_number: string;
     writer_status: 'active' | 'busy' | 'inactive';
+    max_concurrent_assignments: number | null;
+    vacation_until: string | null;
+    // Open assignments against the writer's limit; null for non-writers
+    workload: {
+        open_assignments: number;
+        capacity: number;
+        default_capacity: number;
+    } | null;
     rating: number;
     total_ratings: number;
 }
 
 interface Portfolio {
-    sample_work_image: string;
     description: string;
+    items: PortfolioItem[];
 }
 
 const Profile: React.FC = () => {
     const navigate = useNavigate();
     const [user, setUser] = useState<User | null>(null);
     const [portfolio, setPortfolio] = useState<Portfolio>({
-        sample_work_image: '',
-        description: ''
+        description: '',
+        items: []
     });
     const [loading, setLoading] = useState(true);
     const [message, setMessage] = useState<{ type: 'success' | 'error', text: string } | null>(null);
+    const [vacationDate, setVacationDate] = useState('');
 
     useEffect(() => {
         // Fetch user profile data
@@ -39,7 +50,10 @@ const Profile: React.FC = () => {
         .then(data => {
             setUser(data);
             if (data.portfolio) {
-                setPortfolio(data.portfolio);
+                setPortfolio({
+                    description: data.portfolio.description || '',
+                    items: data.portfolio.items
+                });
             }
             setLoading(false);
         })
@@ -49,14 +63,10 @@ const Profile: React.FC = () => {
         });
     }, []);
 
-    const handleWriterStatusUpdate = async (status: 'active' | 'busy' | 'inactive') => {
+    // Save writer settings. Status, stream and number are always sent since the
+    // endpoint replaces them; 'busy' is only ever set by the server.
+    const updateWriterSettings = async (changes: Record<string, string | number | null>, successText: string) => {
         try {
-            console.log('Sending writer status update:', {
-                writer_status: status,
-                university_stream: user?.university_stream || '',
-                whatsapp_number: user?.whatsapp_number || ''
-            });
-            
             const response = await fetch(`${config.apiUrl}/api/profile/writer`, {
                 method: 'PUT',
                 headers: {
@@ -64,9 +74,9 @@ const Profile: React.FC = () => {
                 },
                 credentials: 'include',
                 body: JSON.stringify({
-                    writer_status: status,
+                    writer_status: user?.writer_status === 'busy' ? 'active' : user?.writer_status,
                     university_stream: user?.university_stream || '',
-                    whatsapp_number: user?.whatsapp_number || ''
+                    ...changes
                 })
             });
 
@@ -75,50 +85,40 @@ const Profile: React.FC = () => {
             if (response.ok) {
                 const updatedUser = await response.json();
                 console.log('Updated user:', updatedUser);
-                setUser(updatedUser);
-                setMessage({ type: 'success', text: 'Writer status updated successfully!' });
+                setUser(prev => prev ? { ...prev, ...updatedUser } : updatedUser);
+                setMessage({ type: 'success', text: successText });
             } else {
                 const errorText = await response.text();
                 console.error('Error response:', errorText);
                 try {
                     const error = JSON.parse(errorText);
-                    setMessage({ type: 'error', text: error.error || 'Failed to update writer status' });
+                    setMessage({ type: 'error', text: error.error || 'Failed to update writer settings' });
                 } catch (e) {
-                    setMessage({ type: 'error', text: 'Failed to update writer status' });
+                    setMessage({ type: 'error', text: 'Failed to update writer settings' });
                 }
             }
         } catch (error) {
-            console.error('Error updating writer status:', error);
-            setMessage({ type: 'error', text: 'Failed to update writer status' });
+            console.error('Error updating writer settings:', error);
+            setMessage({ type: 'error', text: 'Failed to update writer settings' });
         }
     };
 
+    const handleWriterStatusUpdate = (status: 'active' | 'inactive') =>
+        updateWriterSettings({ writer_status: status }, 'Writer status updated successfully!');
+
+    const handleCapacityUpdate = (value: string) =>
+        updateWriterSettings({ max_concurrent_assignments: value === '' ? null : Number(value) }, 'Assignment limit updated!');
+
+    const handleVacationUpdate = async (until: string | null) => {
+        await updateWriterSettings({ vacation_until: until }, until ? 'Enjoy your vacation!' : 'Welcome back! You can take on work again.');
+        setVacationDate('');
+    };
+
+    const onVacation = !!user?.vacation_until && new Date(user.vacation_until) > new Date();
+
     const handlePortfolioUpdate = async (e: React.FormEvent) => {
         e.preventDefault();
         
-        // Convert Google Drive link if necessary
-        let imageUrl = portfolio.sample_work_image;
-        if (imageUrl) {
-            // Handle Google Drive links
-            if (imageUrl.includes('drive.google.com/file/d/')) {
-                // Extract file ID from Google Drive link
-                const fileIdMatch = imageUrl.match(/\/d\/([^/]+)/);
-                if (fileIdMatch && fileIdMatch[1]) {
-                    const fileId = fileIdMatch[1];
-                    imageUrl = `https://drive.google.com/uc?export=view&id=${fileId}`;
-                    console.log('Converted Google Drive URL:', imageUrl);
-                }
-            }
-            // Handle Google Drive sharing links
-            else if (imageUrl.includes('drive.google.com/open?id=')) {
-                const idParam = new URL(imageUrl).searchParams.get('id');
-                if (idParam) {
-                    imageUrl = `https://drive.google.com/uc?export=view&id=${idParam}`;
-                    console.log('Converted Google Drive sharing URL:', imageUrl);
-                }
-            }
-        }
-        
         try {
             const response = await fetch(`${config.apiUrl}/api/profile/portfolio`, {
                 method: 'POST',
@@ -127,19 +127,12 @@ const Profile: React.FC = () => {
                 },
                 credentials: 'include',
                 body: JSON.stringify({
-                    ...portfolio,
-                    sample_work_image: imageUrl
+                    description: portfolio.description
                 })
             });
 
             if (response.ok) {
                 setMessage({ type: 'success', text: 'Portfolio updated successfully!' });
-                
-                // Update the portfolio state only once with the final URL
-                setPortfolio(prevState => ({
-                    ...prevState,
-                    sample_work_image: imageUrl
-                }));
             } else {
                 const error = await response.json();
                 setMessage({ type: 'error', text: error.error || 'Failed to update portfolio' });
@@ -204,39 +197,18 @@ const Profile: React.FC = () => {
                                     />
                                 </div>
 
-                                <div>
-                                    <label className="block text-sm font-medium text-gray-700">WhatsApp Number</label>
-                                    <input
-                                        type="tel"
-                                        value={user.whatsapp_number || ''}
-                                        onChange={(e) => setUser({ ...user, whatsapp_number: e.target.value })}
-                                        placeholder="+91XXXXXXXXXX"
-                                        className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
-                                    />
-                                </div>
-
                                 <div>
                                     <label className="block text-sm font-medium text-gray-700 mb-2">Writer Status</label>
                                     <div className="flex space-x-4">
                                         <button
                                             onClick={() => handleWriterStatusUpdate('active')}
                                             className={`px-4 py-2 rounded-md ${
-                                                user.writer_status === 'active'
+                                                user.writer_status === 'active' || user.writer_status === 'busy'
                                                     ? 'bg-green-600 text-white'
                                                     : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
                                             }`}
                                         >
-                                            Available
-                                        </button>
-                                        <button
-                                            onClick={() => handleWriterStatusUpdate('busy')}
-                                            className={`px-4 py-2 rounded-md ${
-                                                user.writer_status === 'busy'
-                                                    ? 'bg-red-600 text-white'
-                                                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
-                                            }`}
-                                        >
-                                            Busy
+                                            Taking Work
                                         </button>
                                         <button
                                             onClick={() => handleWriterStatusUpdate('inactive')}
@@ -249,7 +221,66 @@ const Profile: React.FC = () => {
                                             Inactive
                                         </button>
                                     </div>
+                                    {user.workload && (
+                                        <p className="mt-2 text-sm text-gray-500">
+                                            {user.workload.open_assignments} of {user.workload.capacity} assignment slots in use.
+                                            {user.writer_status === 'busy' && ' You show as busy until you finish one.'}
+                                        </p>
+                                    )}
                                 </div>
+
+                                {user.workload && (
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700">Assignment Limit</label>
+                                        <p className="text-xs text-gray-500">The most assignments you work on at once. Clients can't hand you more while you're at the limit.</p>
+                                        <select
+                                            value={user.max_concurrent_assignments ?? ''}
+                                            onChange={(e) => handleCapacityUpdate(e.target.value)}
+                                            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                                        >
+                                            <option value="">Default ({user.workload.default_capacity})</option>
+                                            {Array.from({ length: 10 }, (_, i) => i + 1).map(limit => (
+                                                <option key={limit} value={limit}>{limit}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                )}
+
+                                {user.workload && (
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700">Vacation</label>
+                                        {onVacation ? (
+                                            <div className="mt-1 flex items-center justify-between">
+                                                <p className="text-sm text-gray-600">
+                                                    On vacation until {new Date(user.vacation_until as string).toLocaleDateString()}. You're hidden from Find a Writer and can't take on work.
+                                                </p>
+                                                <button
+                                                    onClick={() => handleVacationUpdate(null)}
+                                                    className="ml-4 flex-shrink-0 px-4 py-2 rounded-md bg-gray-100 text-gray-700 hover:bg-gray-200"
+                                                >
+                                                    End Vacation
+                                                </button>
+                                            </div>
+                                        ) : (
+                                            <div className="mt-1 flex items-center space-x-2">
+                                                <input
+                                                    type="date"
+                                                    value={vacationDate}
+                                                    min={new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().substring(0, 10)}
+                                                    onChange={(e) => setVacationDate(e.target.value)}
+                                                    className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                                                />
+                                                <button
+                                                    onClick={() => handleVacationUpdate(vacationDate)}
+                                                    disabled={!vacationDate}
+                                                    className="flex-shrink-0 px-4 py-2 rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+                                                >
+                                                    Away Until
+                                                </button>
+                                            </div>
+                                        )}
+                                    </div>
+                                )}
                             </div>
                         </div>
 
@@ -265,51 +296,14 @@ const Profile: React.FC = () => {
                                 </div>
                             </div>
                         )}
+
+                        <NotificationSettings />
                     </div>
 
                     {/* Portfolio Section */}
                     <div className="bg-white rounded-lg shadow-lg p-6">
                         <h3 className="text-xl font-semibold text-gray-900 mb-6">Writer Portfolio</h3>
                         <form onSubmit={handlePortfolioUpdate} className="space-y-6">
-                            <div>
-                                <label className="block text-sm font-medium text-gray-700">Sample Work Image URL</label>
-                                <input
-                                    type="url"
-                                    value={portfolio.sample_work_image}
-                                    onChange={(e) => setPortfolio(prev => ({ ...prev, sample_work_image: e.target.value }))}
-                                    placeholder="https://example.com/image.jpg"
-                                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
-                                />
-                                <p className="mt-1 text-sm text-gray-500">
-                                    For best results, use direct image URLs from Imgur or other image hosting services.
-                                </p>
-                                <div className="mt-2 p-3 bg-blue-50 rounded text-sm">
-                                    <p className="font-medium text-blue-700">How to use Imgur for image hosting:</p>
-                                    <ol className="list-decimal pl-5 mt-1 text-blue-600 space-y-1">
-                                        <li>Go to <a href="https://imgur.com/upload" target="_blank" rel="noopener noreferrer" className="underline">imgur.com/upload</a></li>
-                                        <li>Upload your image (no account required)</li>
-                                        <li>Right-click on the uploaded image and select "Copy image address"</li>
-                                        <li>Paste the copied URL here</li>
-                                    </ol>
-                                </div>
-                                {portfolio.sample_work_image && (
-                                    <div className="mt-4 border p-3 rounded-md">
-                                        <p className="text-sm font-medium text-gray-700 mb-2">Image Preview:</p>
-                                        <img 
-                                            src={portfolio.sample_work_image} 
-                                            alt="Preview" 
-                                            className="max-h-60 rounded border border-gray-300"
-                                            onError={(e) => {
-                                                const target = e.target as HTMLImageElement;
-                                                target.src = 'data:image/svg+xml;charset=UTF-8,%3Csvg%20width%3D%22400%22%20height%3D%22200%22%20xmlns%3D%22http%3A%2F%2Fwww.w3.org%2F2000%2Fsvg%22%20viewBox%3D%220%200%20400%20200%22%20preserveAspectRatio%3D%22none%22%3E%3Cdefs%3E%3Cstyle%20type%3D%22text%2Fcss%22%3E%23holder_189e96ddb7f%20text%20%7B%20fill%3A%23999%3Bfont-weight%3Anormal%3Bfont-family%3AArial%2C%20Helvetica%2C%20Open%20Sans%2C%20sans-serif%2C%20monospace%3Bfont-size%3A20pt%20%7D%20%3C%2Fstyle%3E%3C%2Fdefs%3E%3Cg%20id%3D%22holder_189e96ddb7f%22%3E%3Crect%20width%3D%22400%22%20height%3D%22200%22%20fill%3D%22%23eee%22%3E%3C%2Frect%3E%3Cg%3E%3Ctext%20x%3D%22150%22%20y%3D%22110%22%3EInvalid%20Image%20URL%3C%2Ftext%3E%3C%2Fg%3E%3C%2Fg%3E%3C%2Fsvg%3E';
-                                                target.onerror = null; // Prevent infinite error loop
-                                            }}
-                                            loading="lazy"
-                                        />
-                                    </div>
-                                )}
-                            </div>
-
                             <div>
                                 <label className="block text-sm font-medium text-gray-700">Description</label>
                                 <textarea
@@ -325,9 +319,16 @@ const Profile: React.FC = () => {
                                 type="submit"
                                 className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
                             >
-                                Update Portfolio
+                                Save Description
                             </button>
                         </form>
+
+                        <div className="mt-8">
+                            <PortfolioEditor
+                                items={portfolio.items}
+                                onChange={(items) => setPortfolio(prev => ({ ...prev, items }))}
+                            />
+                        </div>
                     </div>
                 </div>
             </main>
@@ -3,14 +3,45 @@ import { useNavigate } from 'react-router-dom';
 import Header from './Header';
 import config from '../config';
 
+type ResetScope = 'requests' | 'ratings' | 'notifications' | 'wallets';
+
+// What each scope clears; users and their profiles are always kept
+const RESET_SCOPES: { scope: ResetScope; label: string; description: string }[] = [
+  {
+    scope: 'requests',
+    label: 'Requests and assignments',
+    description: 'All requests with their assignments, offers, messages, attachments and ratings, and every wallet, since escrow belongs to assignments'
+  },
+  {
+    scope: 'ratings',
+    label: 'Ratings',
+    description: 'All ratings and review reports; every user\'s rating goes back to zero'
+  },
+  {
+    scope: 'notifications',
+    label: 'Notifications',
+    description: 'All in-app notifications and queued emails'
+  },
+  {
+    scope: 'wallets',
+    label: 'Wallets',
+    description: 'Every wallet balance, escrow hold, deposit and payout in the ledger'
+  }
+];
+
 const ResetApp: React.FC = () => {
   const navigate = useNavigate();
+  const [scopes, setScopes] = useState<ResetScope[]>([]);
   const [isResetting, setIsResetting] = useState(false);
   const [message, setMessage] = useState<string | null>(null);
   const [error, setError] = useState<string | null>(null);
 
+  const toggleScope = (scope: ResetScope) => {
+    setScopes(prev => prev.includes(scope) ? prev.filter(s => s !== scope) : [...prev, scope]);
+  };
+
   const handleReset = async () => {
-    if (!window.confirm('Are you sure you want to reset the application? This will delete ALL assignments, ratings, and reset user ratings. This action cannot be undone.')) {
+    if (!window.confirm(`Are you sure you want to clear ${scopes.join(', ')}? This action cannot be undone.`)) {
       return;
     }
 
@@ -19,23 +50,21 @@ const ResetApp: React.FC = () => {
     setError(null);
 
     try {
-      const response = await fetch(`${config.apiUrl}/api/reset-app`, {
+      const response = await fetch(`${config.apiUrl}/api/admin/reset`, {
         method: 'POST',
         credentials: 'include',
         headers: {
           'Accept': 'application/json',
           'Content-Type': 'application/json'
-        }
+        },
+        body: JSON.stringify({ scopes })
       });
 
+      const data = await response.json();
       if (!response.ok) {
-        if (response.status === 401 || response.status === 403) {
-          throw new Error('You are not authorized to perform this action');
-        }
-        throw new Error(`HTTP error! status: ${response.status}`);
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
       }
 
-      const data = await response.json();
       setMessage(data.message);
       
       // Wait 3 seconds before redirecting to dashboard
@@ -52,7 +81,7 @@ const ResetApp: React.FC = () => {
 
   return (
     <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
-      <Header title="Reset Application" />
+      <Header title="Reset Staging Data" />
 
       <main className="max-w-7xl mx-auto py-8 px-4 sm:px-6 lg:px-8">
         <div className="bg-white dark:bg-gray-800 shadow overflow-hidden sm:rounded-lg">
@@ -62,21 +91,38 @@ const ResetApp: React.FC = () => {
             </h3>
             <div className="mt-2 max-w-xl text-sm text-gray-500 dark:text-gray-400">
               <p>
-                This will delete all assignments, ratings, and reset user ratings. This action cannot be undone.
+                Clear test data on a staging server. Users and profiles are kept. The server only allows this
+                when ALLOW_DATA_RESET is enabled. This action cannot be undone.
               </p>
             </div>
+            <div className="mt-4 space-y-3">
+              {RESET_SCOPES.map(s => (
+                <label key={s.scope} className="flex items-start">
+                  <input
+                    type="checkbox"
+                    checked={scopes.includes(s.scope)}
+                    onChange={() => toggleScope(s.scope)}
+                    className="mt-1 h-4 w-4 text-red-600 border-gray-300 rounded focus:ring-red-500"
+                  />
+                  <span className="ml-3">
+                    <span className="block text-sm font-medium text-gray-900 dark:text-white">{s.label}</span>
+                    <span className="block text-sm text-gray-500 dark:text-gray-400">{s.description}</span>
+                  </span>
+                </label>
+              ))}
+            </div>
             <div className="mt-5">
               <button
                 type="button"
                 onClick={handleReset}
-                disabled={isResetting}
+                disabled={isResetting || scopes.length === 0}
                 className={`inline-flex items-center justify-center px-4 py-2 border border-transparent font-medium rounded-md shadow-sm text-white ${
-                  isResetting 
+                  isResetting || scopes.length === 0
                     ? 'bg-red-300 cursor-not-allowed' 
                     : 'bg-red-600 hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500'
                 } sm:text-sm`}
               >
-                {isResetting ? 'Resetting...' : 'Reset Application'}
+                {isResetting ? 'Resetting...' : 'Clear Selected Data'}
               </button>
             </div>
             
@@ -0,0 +1,251 @@
+import React, { useState } from 'react';
+import config from '../config';
+
+export interface Review {
+  id: number;
+  rated_id: number;
+  rating: number;
+  comment: string | null;
+  created_at: string;
+  role: 'writer' | 'client';
+  course_name: string | null;
+  course_code: string | null;
+  assignment_type: string | null;
+  rater: {
+    id: number;
+    name: string;
+    profile_picture: string | null;
+  };
+  // The rated user's public reply
+  reply: string | null;
+  replied_at: string | null;
+  can_reply: boolean;
+  can_report: boolean;
+}
+
+export interface RatingSummary {
+  average: number;
+  total: number;
+  // Number of ratings with each star value, keyed 1 to 5
+  histogram: Record<string, number>;
+}
+
+export const StarRating: React.FC<{ rating: number; size?: string }> = ({ rating, size = 'h-5 w-5' }) => (
+  <div className="flex">
+    {[1, 2, 3, 4, 5].map(i => (
+      <svg
+        key={i}
+        className={`${size} ${i <= Math.round(rating) ? 'text-yellow-400' : 'text-gray-300'}`}
+        fill="currentColor"
+        viewBox="0 0 20 20"
+      >
+        <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z" />
+      </svg>
+    ))}
+  </div>
+);
+
+// One bar per star value, widest for the most common rating
+export const RatingHistogram: React.FC<{ summary: RatingSummary }> = ({ summary }) => (
+  <div className="space-y-1 w-full">
+    {[5, 4, 3, 2, 1].map(stars => {
+      const count = summary.histogram[stars] || 0;
+      const percent = summary.total > 0 ? Math.round((count / summary.total) * 100) : 0;
+      return (
+        <div key={stars} className="flex items-center text-sm">
+          <span className="w-12 text-gray-600 dark:text-gray-400">{stars} star</span>
+          <div className="flex-1 h-2 mx-2 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+            <div className="h-2 bg-yellow-400 rounded-full" style={{ width: `${percent}%` }} />
+          </div>
+          <span className="w-8 text-right text-gray-500 dark:text-gray-400">{count}</span>
+        </div>
+      );
+    })}
+  </div>
+);
+
+const formatDate = (dateString: string) => {
+  return new Date(dateString).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+};
+
+interface ReviewListProps {
+  reviews: Review[];
+  hasMore: boolean;
+  loadingMore: boolean;
+  onLoadMore: () => void;
+  onReviewChange: (review: Review) => void;
+}
+
+const ReviewList: React.FC<ReviewListProps> = ({ reviews, hasMore, loadingMore, onLoadMore, onReviewChange }) => {
+  const [replyingTo, setReplyingTo] = useState<number | null>(null);
+  const [replyText, setReplyText] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const startReply = (review: Review) => {
+    setReplyingTo(review.id);
+    setReplyText(review.reply || '');
+  };
+
+  const handleReply = async (review: Review) => {
+    setSaving(true);
+    try {
+      const response = await fetch(`${config.apiUrl}/api/ratings/${review.id}/reply`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        credentials: 'include',
+        body: JSON.stringify({ reply: replyText })
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save reply');
+      }
+
+      onReviewChange({ ...review, reply: data.reply, replied_at: data.replied_at });
+      setReplyingTo(null);
+    } catch (error) {
+      console.error('Error replying to review:', error);
+      alert(error instanceof Error ? error.message : 'Failed to save reply');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReport = async (review: Review) => {
+    const reason = window.prompt('What is wrong with this review? A moderator will take a look.');
+    if (!reason) return;
+
+    try {
+      const response = await fetch(`${config.apiUrl}/api/ratings/${review.id}/report`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        credentials: 'include',
+        body: JSON.stringify({ reason })
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to report review');
+      }
+
+      alert(data.message);
+    } catch (error) {
+      console.error('Error reporting review:', error);
+      alert(error instanceof Error ? error.message : 'Failed to report review');
+    }
+  };
+
+  return (
+    <div>
+      <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+        {reviews.map(review => (
+          <li key={review.id} className="py-4">
+            <div className="flex items-start">
+              <div className="flex-shrink-0">
+                {review.rater.profile_picture ? (
+                  <img
+                    className="h-10 w-10 rounded-full"
+                    src={review.rater.profile_picture}
+                    alt={`${review.rater.name}'s profile`}
+                  />
+                ) : (
+                  <div className="h-10 w-10 rounded-full bg-gray-200 dark:bg-gray-700 flex items-center justify-center">
+                    <span className="text-gray-500 dark:text-gray-400 font-medium">
+                      {review.rater.name.charAt(0).toUpperCase()}
+                    </span>
+                  </div>
+                )}
+              </div>
+              <div className="ml-4 flex-1">
+                <div className="flex items-center justify-between">
+                  <h4 className="font-medium text-gray-900 dark:text-white">{review.rater.name}</h4>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">{formatDate(review.created_at)}</p>
+                </div>
+                <div className="mt-1">
+                  <StarRating rating={review.rating} size="h-4 w-4" />
+                </div>
+                <p className="mt-2 text-gray-700 dark:text-gray-300">{review.comment || 'No comment provided'}</p>
+                {review.course_name && (
+                  <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">
+                    {review.course_name}{review.course_code && ` (${review.course_code})`}
+                  </p>
+                )}
+
+                {review.reply && replyingTo !== review.id && (
+                  <div className="mt-3 pl-4 border-l-2 border-gray-200 dark:border-gray-600">
+                    <p className="text-sm font-medium text-gray-900 dark:text-white">Response</p>
+                    <p className="text-sm text-gray-700 dark:text-gray-300 whitespace-pre-line">{review.reply}</p>
+                  </div>
+                )}
+
+                {replyingTo === review.id && (
+                  <div className="mt-3 space-y-2">
+                    <textarea
+                      value={replyText}
+                      onChange={(e) => setReplyText(e.target.value)}
+                      rows={3}
+                      maxLength={1000}
+                      placeholder="Write a public reply..."
+                      className="block w-full rounded-md border-gray-300 dark:border-gray-600 shadow-sm text-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:text-white"
+                    />
+                    <div className="flex space-x-2">
+                      <button
+                        onClick={() => handleReply(review)}
+                        disabled={saving || !replyText.trim()}
+                        className="px-3 py-1 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 disabled:opacity-50"
+                      >
+                        {saving ? 'Saving...' : 'Post Reply'}
+                      </button>
+                      <button
+                        onClick={() => setReplyingTo(null)}
+                        className="px-3 py-1 text-sm text-gray-600 dark:text-gray-300 hover:underline"
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  </div>
+                )}
+
+                {replyingTo !== review.id && (review.can_reply || review.can_report) && (
+                  <div className="mt-2 flex space-x-4 text-sm">
+                    {review.can_reply && (
+                      <button onClick={() => startReply(review)} className="text-blue-600 dark:text-blue-400 hover:underline">
+                        {review.reply ? 'Edit reply' : 'Reply'}
+                      </button>
+                    )}
+                    {review.can_report && (
+                      <button onClick={() => handleReport(review)} className="text-gray-500 dark:text-gray-400 hover:underline">
+                        Report
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+            </div>
+          </li>
+        ))}
+      </ul>
+      {hasMore && (
+        <div className="text-center pt-2">
+          <button
+            onClick={onLoadMore}
+            disabled={loadingMore}
+            className="px-4 py-2 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50"
+          >
+            {loadingMore ? 'Loading...' : 'Show more reviews'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReviewList;
@@ -0,0 +1,274 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import Header from './Header';
+import MonthlyBarChart from './MonthlyBarChart';
+import config from '../config';
+
+type StatsRole = 'writer' | 'client';
+
+interface WriterStats {
+  role: 'writer';
+  from: string;
+  to: string;
+  summary: {
+    earnings: string;
+    lifetime_earnings: string;
+    completed_jobs: number;
+    average_turnaround_hours: number | null;
+    average_deadline_hours: number | null;
+    on_time_rate: number | null;
+    average_rating: number | null;
+    ratings: number;
+  };
+  months: {
+    month: string;
+    earnings: string;
+    completed: number;
+    on_time: number;
+    ratings: number;
+    average_rating: number | null;
+  }[];
+}
+
+interface ClientStats {
+  role: 'client';
+  from: string;
+  to: string;
+  summary: {
+    spending: string;
+    lifetime_spending: string;
+    completed_jobs: number;
+    requests: number;
+    filled_requests: number;
+    waiting_requests: number;
+    fill_rate: number | null;
+    average_time_to_accept_hours: number | null;
+  };
+  months: {
+    month: string;
+    spending: string;
+    completed: number;
+    requests: number;
+    filled: number;
+  }[];
+}
+
+type StatsResponse = WriterStats | ClientStats;
+
+// Quick picks for the date range, in months back from today
+const PRESETS: { label: string; months: number }[] = [
+  { label: '3 months', months: 3 },
+  { label: '6 months', months: 6 },
+  { label: '12 months', months: 12 },
+  { label: '24 months', months: 24 }
+];
+
+const inputClass = 'rounded-md border-gray-300 dark:border-gray-600 shadow-sm text-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:text-white';
+
+const formatAmount = (amount: string | number) => `₹${Number(amount).toFixed(2)}`;
+const formatPercent = (rate: number | null) => rate === null ? '—' : `${Math.round(rate * 100)}%`;
+
+// Hours as the largest sensible unit, e.g. "5.5 h" or "3.2 days"
+const formatDuration = (hours: number | null) => {
+  if (hours === null) return '—';
+  return Math.abs(hours) < 48 ? `${hours.toFixed(1)} h` : `${(hours / 24).toFixed(1)} days`;
+};
+
+const toDateInput = (date: Date) => date.toISOString().substring(0, 10);
+
+const presetRange = (months: number) => {
+  const today = new Date();
+  const from = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() - (months - 1), 1));
+  return { from: toDateInput(from), to: toDateInput(today) };
+};
+
+const Stats: React.FC = () => {
+  const [role, setRole] = useState<StatsRole | null>(null);
+  const [range, setRange] = useState(() => presetRange(12));
+  const [stats, setStats] = useState<StatsResponse | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchStats = useCallback(async () => {
+    const params = new URLSearchParams({ from: range.from, to: range.to });
+    // Until a side is picked the server goes by the user's own role
+    if (role) params.set('role', role);
+
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await fetch(`${config.apiUrl}/api/stats?${params.toString()}`, {
+        credentials: 'include'
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load your stats');
+      }
+
+      setStats(data);
+    } catch (error) {
+      console.error('Error fetching stats:', error);
+      setError(error instanceof Error ? error.message : 'Failed to load your stats');
+    } finally {
+      setLoading(false);
+    }
+  }, [role, range]);
+
+  useEffect(() => {
+    fetchStats();
+  }, [fetchStats]);
+
+  const activeRole = role ?? stats?.role ?? null;
+
+  const cards: { label: string; value: string; hint?: string }[] = !stats ? [] : stats.role === 'writer' ? [
+    { label: 'Earnings', value: formatAmount(stats.summary.earnings), hint: `${formatAmount(stats.summary.lifetime_earnings)} all time` },
+    { label: 'Completed jobs', value: String(stats.summary.completed_jobs) },
+    {
+      label: 'Average turnaround',
+      value: formatDuration(stats.summary.average_turnaround_hours),
+      hint: stats.summary.average_deadline_hours === null ? undefined : `Deadlines allowed ${formatDuration(stats.summary.average_deadline_hours)} on average`
+    },
+    { label: 'On time', value: formatPercent(stats.summary.on_time_rate), hint: 'Delivered by the deadline' },
+    {
+      label: 'Average rating',
+      value: stats.summary.average_rating === null ? '—' : `${stats.summary.average_rating.toFixed(2)} ★`,
+      hint: `${stats.summary.ratings} rating${stats.summary.ratings === 1 ? '' : 's'} in this period`
+    }
+  ] : [
+    { label: 'Spending', value: formatAmount(stats.summary.spending), hint: `${formatAmount(stats.summary.lifetime_spending)} all time` },
+    { label: 'Requests posted', value: String(stats.summary.requests), hint: `${stats.summary.completed_jobs} completed in this period` },
+    {
+      label: 'Fill rate',
+      value: formatPercent(stats.summary.fill_rate),
+      hint: stats.summary.waiting_requests > 0 ? `Not counting ${stats.summary.waiting_requests} still on the board` : 'Requests a writer took on'
+    },
+    { label: 'Average time to accept', value: formatDuration(stats.summary.average_time_to_accept_hours), hint: 'From posting to a writer starting' }
+  ];
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      <Header title="Your Stats" />
+
+      <main className="max-w-6xl mx-auto py-8 px-4 sm:px-6 lg:px-8 space-y-6">
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-4 flex flex-wrap items-end gap-4">
+          <div className="flex rounded-md shadow-sm">
+            {(['writer', 'client'] as StatsRole[]).map(option => (
+              <button
+                key={option}
+                onClick={() => setRole(option)}
+                className={`px-4 py-2 text-sm font-medium border border-gray-300 dark:border-gray-600 first:rounded-l-md last:rounded-r-md ${
+                  activeRole === option
+                    ? 'bg-blue-600 text-white border-blue-600'
+                    : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700'
+                }`}
+              >
+                {option === 'writer' ? 'As a writer' : 'As a client'}
+              </button>
+            ))}
+          </div>
+
+          <label className="text-sm text-gray-700 dark:text-gray-300">
+            From
+            <input
+              type="date"
+              value={range.from}
+              max={range.to}
+              onChange={(e) => e.target.value && setRange(prev => ({ ...prev, from: e.target.value }))}
+              className={`ml-2 ${inputClass}`}
+            />
+          </label>
+          <label className="text-sm text-gray-700 dark:text-gray-300">
+            To
+            <input
+              type="date"
+              value={range.to}
+              min={range.from}
+              onChange={(e) => e.target.value && setRange(prev => ({ ...prev, to: e.target.value }))}
+              className={`ml-2 ${inputClass}`}
+            />
+          </label>
+
+          <div className="flex flex-wrap gap-2">
+            {PRESETS.map(preset => (
+              <button
+                key={preset.label}
+                onClick={() => setRange(presetRange(preset.months))}
+                className="px-3 py-1 text-xs font-medium rounded-full border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700"
+              >
+                {preset.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+
+        <div className={`grid grid-cols-2 gap-4 ${cards.length > 4 ? 'md:grid-cols-5' : 'md:grid-cols-4'} ${loading ? 'opacity-50' : ''}`}>
+          {cards.map(card => (
+            <div key={card.label} className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-4">
+              <p className="text-sm text-gray-500 dark:text-gray-400">{card.label}</p>
+              <p className="mt-1 text-2xl font-semibold text-gray-900 dark:text-white">{card.value}</p>
+              {card.hint && <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">{card.hint}</p>}
+            </div>
+          ))}
+        </div>
+
+        {stats && (
+          <div className={`grid grid-cols-1 gap-4 md:grid-cols-2 ${loading ? 'opacity-50' : ''}`}>
+            {stats.role === 'writer' ? (
+              <>
+                <MonthlyBarChart
+                  title="Earnings per month"
+                  data={stats.months.map(month => ({ month: month.month, value: Number(month.earnings) }))}
+                  formatValue={formatAmount}
+                  barClassName="bg-green-500 dark:bg-green-400"
+                />
+                <MonthlyBarChart
+                  title="Average rating per month"
+                  data={stats.months.map(month => ({ month: month.month, value: month.average_rating }))}
+                  formatValue={(value) => `${value.toFixed(2)} ★`}
+                  max={5}
+                  barClassName="bg-yellow-400"
+                />
+                <MonthlyBarChart
+                  title="Completed jobs per month"
+                  data={stats.months.map(month => ({ month: month.month, value: month.completed }))}
+                />
+                <MonthlyBarChart
+                  title="On-time rate per month"
+                  data={stats.months.map(month => ({
+                    month: month.month,
+                    value: month.completed ? month.on_time / month.completed : null
+                  }))}
+                  formatValue={formatPercent}
+                  max={1}
+                  barClassName="bg-indigo-500 dark:bg-indigo-400"
+                />
+              </>
+            ) : (
+              <>
+                <MonthlyBarChart
+                  title="Spending per month"
+                  data={stats.months.map(month => ({ month: month.month, value: Number(month.spending) }))}
+                  formatValue={formatAmount}
+                  barClassName="bg-green-500 dark:bg-green-400"
+                />
+                <MonthlyBarChart
+                  title="Requests posted per month"
+                  data={stats.months.map(month => ({ month: month.month, value: month.requests }))}
+                />
+                <MonthlyBarChart
+                  title="Requests filled per month"
+                  data={stats.months.map(month => ({ month: month.month, value: month.filled }))}
+                  barClassName="bg-indigo-500 dark:bg-indigo-400"
+                />
+              </>
+            )}
+          </div>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default Stats;
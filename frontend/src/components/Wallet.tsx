@@ -0,0 +1,310 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import Header from './Header';
+import { useLiveEvent } from '../contexts/LiveEventsContext';
+import config from '../config';
+
+interface WalletSummary {
+  currency: string;
+  available: string;
+  held_in_escrow: string;
+  incoming: string;
+  pending_payouts: string;
+}
+
+type TransactionKind = 'deposit' | 'escrow_hold' | 'escrow_release' | 'escrow_refund' | 'payout_request' | 'payout_reversal';
+
+interface WalletTransaction {
+  id: number;
+  amount: string;
+  created_at: string;
+  kind: TransactionKind;
+  description: string | null;
+  course_name: string | null;
+}
+
+interface Payout {
+  id: number;
+  amount: string;
+  status: 'pending' | 'succeeded' | 'failed';
+  destination: string;
+  failure_reason: string | null;
+  created_at: string;
+}
+
+// How each movement shows up in the history
+const TRANSACTION_LABELS: Record<TransactionKind, string> = {
+  deposit: 'Funds added',
+  escrow_hold: 'Held in escrow',
+  escrow_release: 'Payment for completed work',
+  escrow_refund: 'Refunded from escrow',
+  payout_request: 'Payout',
+  payout_reversal: 'Payout returned'
+};
+
+const PAYOUT_STYLES: Record<Payout['status'], string> = {
+  pending: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200',
+  succeeded: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200',
+  failed: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200'
+};
+
+const inputClass = 'w-full rounded-md border-gray-300 dark:border-gray-600 shadow-sm text-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:text-white';
+
+const formatAmount = (amount: string | number) => `₹${Number(amount).toFixed(2)}`;
+
+const Wallet: React.FC = () => {
+  const [summary, setSummary] = useState<WalletSummary | null>(null);
+  const [transactions, setTransactions] = useState<WalletTransaction[]>([]);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [payouts, setPayouts] = useState<Payout[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [depositAmount, setDepositAmount] = useState('');
+  const [payoutAmount, setPayoutAmount] = useState('');
+  const [payoutDestination, setPayoutDestination] = useState('');
+  const [submitting, setSubmitting] = useState<'deposit' | 'payout' | null>(null);
+
+  const fetchTransactions = useCallback(async (cursor: string | null = null) => {
+    try {
+      const params = cursor ? `?cursor=${encodeURIComponent(cursor)}` : '';
+      const response = await fetch(`${config.apiUrl}/api/wallet/transactions${params}`, {
+        credentials: 'include'
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load transactions');
+      }
+
+      setTransactions(prev => cursor ? [...prev, ...data.transactions] : data.transactions);
+      setNextCursor(data.next_cursor);
+    } catch (error) {
+      console.error('Error fetching wallet transactions:', error);
+      setError(error instanceof Error ? error.message : 'Failed to load transactions');
+    }
+  }, []);
+
+  const fetchWallet = useCallback(async () => {
+    try {
+      const [summaryResponse, payoutsResponse] = await Promise.all([
+        fetch(`${config.apiUrl}/api/wallet`, { credentials: 'include' }),
+        fetch(`${config.apiUrl}/api/wallet/payouts`, { credentials: 'include' })
+      ]);
+
+      const summaryData = await summaryResponse.json();
+      const payoutsData = await payoutsResponse.json();
+      if (!summaryResponse.ok || !payoutsResponse.ok) {
+        throw new Error(summaryData.error || payoutsData.error || 'Failed to load your wallet');
+      }
+
+      setSummary(summaryData);
+      setPayouts(payoutsData.payouts);
+      await fetchTransactions();
+    } catch (error) {
+      console.error('Error fetching wallet:', error);
+      setError(error instanceof Error ? error.message : 'Failed to load your wallet');
+    } finally {
+      setLoading(false);
+    }
+  }, [fetchTransactions]);
+
+  useEffect(() => {
+    fetchWallet();
+  }, [fetchWallet]);
+
+  // Escrow moves whenever one of the user's assignments starts, finishes or is cancelled
+  useLiveEvent('assignment_updated', fetchWallet);
+
+  const submit = async (kind: 'deposit' | 'payout', path: string, body: object) => {
+    setSubmitting(kind);
+    setError(null);
+    try {
+      const response = await fetch(`${config.apiUrl}${path}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        credentials: 'include',
+        body: JSON.stringify(body)
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Something went wrong. Please try again.');
+      }
+
+      if (kind === 'payout' && data.payout.status === 'failed') {
+        alert(`The payout failed and the money is back in your wallet: ${data.payout.failure_reason}`);
+      }
+
+      await fetchWallet();
+      return true;
+    } catch (error) {
+      console.error(`Error submitting ${kind}:`, error);
+      setError(error instanceof Error ? error.message : 'Something went wrong. Please try again.');
+      return false;
+    } finally {
+      setSubmitting(null);
+    }
+  };
+
+  const handleDeposit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (await submit('deposit', '/api/wallet/deposits', { amount: depositAmount })) {
+      setDepositAmount('');
+    }
+  };
+
+  const handlePayout = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!window.confirm(`Withdraw ${formatAmount(payoutAmount)} to ${payoutDestination}?`)) return;
+    if (await submit('payout', '/api/wallet/payouts', { amount: payoutAmount, destination: payoutDestination })) {
+      setPayoutAmount('');
+    }
+  };
+
+  const balances: { label: string; value: string | undefined; hint: string }[] = [
+    { label: 'Available', value: summary?.available, hint: 'Ready to spend or withdraw' },
+    { label: 'Held in escrow', value: summary?.held_in_escrow, hint: 'For your assignments in progress' },
+    { label: 'Incoming', value: summary?.incoming, hint: 'Released to you when the client accepts' },
+    { label: 'Pending payouts', value: summary?.pending_payouts, hint: 'On the way to you' }
+  ];
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      <Header title="Wallet" />
+
+      <main className="max-w-5xl mx-auto py-8 px-4 sm:px-6 lg:px-8 space-y-6">
+        {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+
+        <div className="grid grid-cols-2 gap-4 md:grid-cols-4">
+          {balances.map(balance => (
+            <div key={balance.label} className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-4">
+              <p className="text-sm text-gray-500 dark:text-gray-400">{balance.label}</p>
+              <p className="mt-1 text-2xl font-semibold text-gray-900 dark:text-white">
+                {loading || balance.value === undefined ? '—' : formatAmount(balance.value)}
+              </p>
+              <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">{balance.hint}</p>
+            </div>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+          <form onSubmit={handleDeposit} className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-4 space-y-3">
+            <h2 className="text-lg font-medium text-gray-900 dark:text-white">Add funds</h2>
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              The price of an assignment is held in escrow from your wallet when a writer starts on it.
+            </p>
+            <input
+              type="number"
+              min="1"
+              step="0.01"
+              value={depositAmount}
+              onChange={(e) => setDepositAmount(e.target.value)}
+              placeholder="Amount in ₹"
+              className={inputClass}
+              required
+            />
+            <button
+              type="submit"
+              disabled={submitting !== null}
+              className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              {submitting === 'deposit' ? 'Adding...' : 'Add Funds'}
+            </button>
+          </form>
+
+          <form onSubmit={handlePayout} className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-4 space-y-3">
+            <h2 className="text-lg font-medium text-gray-900 dark:text-white">Withdraw</h2>
+            <input
+              type="number"
+              min="1"
+              step="0.01"
+              value={payoutAmount}
+              onChange={(e) => setPayoutAmount(e.target.value)}
+              placeholder="Amount in ₹"
+              className={inputClass}
+              required
+            />
+            <input
+              type="text"
+              value={payoutDestination}
+              onChange={(e) => setPayoutDestination(e.target.value)}
+              placeholder="UPI ID or bank account"
+              maxLength={255}
+              className={inputClass}
+              required
+            />
+            <button
+              type="submit"
+              disabled={submitting !== null}
+              className="px-4 py-2 bg-green-600 text-white text-sm font-medium rounded-md hover:bg-green-700 disabled:opacity-50"
+            >
+              {submitting === 'payout' ? 'Requesting...' : 'Request Payout'}
+            </button>
+          </form>
+        </div>
+
+        {payouts.length > 0 && (
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md">
+            <h2 className="px-4 pt-4 text-lg font-medium text-gray-900 dark:text-white">Payouts</h2>
+            <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+              {payouts.map(payout => (
+                <li key={payout.id} className="px-4 py-3 text-sm flex items-center justify-between">
+                  <div>
+                    <p className="text-gray-900 dark:text-white">{formatAmount(payout.amount)} to {payout.destination}</p>
+                    <p className="text-gray-500 dark:text-gray-400">
+                      {new Date(payout.created_at).toLocaleString()}
+                      {payout.failure_reason && ` · ${payout.failure_reason}`}
+                    </p>
+                  </div>
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${PAYOUT_STYLES[payout.status]}`}>
+                    {payout.status}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md">
+          <h2 className="px-4 pt-4 text-lg font-medium text-gray-900 dark:text-white">History</h2>
+          {!loading && transactions.length === 0 ? (
+            <p className="px-4 py-10 text-center text-gray-500 dark:text-gray-400">Nothing has moved through your wallet yet.</p>
+          ) : (
+            <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+              {transactions.map(transaction => (
+                <li key={transaction.id} className="px-4 py-3 text-sm flex items-center justify-between">
+                  <div>
+                    <p className="text-gray-900 dark:text-white">
+                      {TRANSACTION_LABELS[transaction.kind]}
+                      {transaction.course_name && <span className="text-gray-500 dark:text-gray-400"> · {transaction.course_name}</span>}
+                    </p>
+                    <p className="text-gray-500 dark:text-gray-400">
+                      {new Date(transaction.created_at).toLocaleString()}
+                      {transaction.description && ` · ${transaction.description}`}
+                    </p>
+                  </div>
+                  <span className={`font-medium ${Number(transaction.amount) < 0 ? 'text-red-600 dark:text-red-400' : 'text-green-600 dark:text-green-400'}`}>
+                    {Number(transaction.amount) < 0 ? '−' : '+'}{formatAmount(Math.abs(Number(transaction.amount)))}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+          {nextCursor && (
+            <div className="p-4 text-center">
+              <button
+                onClick={() => fetchTransactions(nextCursor)}
+                className="px-4 py-2 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700"
+              >
+                Load more
+              </button>
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default Wallet;
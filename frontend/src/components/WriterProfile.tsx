@@ -1,6 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 import Header from './Header';
+import PortfolioGallery, { PortfolioItem } from './PortfolioGallery';
+import ReviewList, { Review, RatingSummary, RatingHistogram } from './Reviews';
+import PriceSuggestion from './PriceSuggestion';
 import config from '../config';
 
 interface Writer {
@@ -9,9 +12,15 @@ interface Writer {
     rating: number | string;
     total_ratings: number;
     writer_status: 'active' | 'busy' | 'inactive';
+    vacation_until: string | null;
     university_stream: string;
-    whatsapp_number: string;
-    sample_work_image: string;
+    portfolio: {
+        description: string | null;
+        items: PortfolioItem[];
+    };
+    rating_summary: RatingSummary;
+    reviews: Review[];
+    reviews_next_cursor: string | null;
 }
 
 interface AssignmentRequest {
@@ -21,7 +30,6 @@ interface AssignmentRequest {
     num_pages: number;
     deadline: string;
     estimated_cost: number;
-    whatsapp_number: string;
 }
 
 const WriterProfile: React.FC = () => {
@@ -35,12 +43,14 @@ const WriterProfile: React.FC = () => {
         assignment_type: 'class_assignment',
         num_pages: 1,
         deadline: '',
-        estimated_cost: 50,
-        whatsapp_number: ''
+        estimated_cost: 50
     });
     const [submitting, setSubmitting] = useState(false);
     const [error, setError] = useState<string | null>(null);
     const [success, setSuccess] = useState<string | null>(null);
+    const [reviews, setReviews] = useState<Review[]>([]);
+    const [reviewsCursor, setReviewsCursor] = useState<string | null>(null);
+    const [loadingMoreReviews, setLoadingMoreReviews] = useState(false);
 
     useEffect(() => {
         const fetchWriterProfile = async () => {
@@ -49,8 +59,12 @@ const WriterProfile: React.FC = () => {
                 const response = await fetch(`${config.apiUrl}/api/writers/${id}`, {
                     credentials: 'include'
                 });
-                const data = await response.json();
-                setWriter(data);
+                if (response.ok) {
+                    const data = await response.json();
+                    setWriter(data);
+                    setReviews(data.reviews);
+                    setReviewsCursor(data.reviews_next_cursor);
+                }
                 setLoading(false);
             } catch (err) {
                 console.error('Error fetching writer:', err);
@@ -60,6 +74,25 @@ const WriterProfile: React.FC = () => {
         fetchWriterProfile();
     }, [id]);
 
+    const handleLoadMoreReviews = async () => {
+        if (!reviewsCursor) return;
+        setLoadingMoreReviews(true);
+        try {
+            const response = await fetch(`${config.apiUrl}/api/writers/${id}/reviews?cursor=${encodeURIComponent(reviewsCursor)}`, {
+                credentials: 'include'
+            });
+            if (response.ok) {
+                const data = await response.json();
+                setReviews(prev => [...prev, ...data.reviews]);
+                setReviewsCursor(data.next_cursor);
+            }
+        } catch (err) {
+            console.error('Error fetching reviews:', err);
+        } finally {
+            setLoadingMoreReviews(false);
+        }
+    };
+
     const validateForm = () => {
         // Validate field lengths based on database constraints
         if (formData.course_name.length > 255) {
@@ -110,7 +143,9 @@ const WriterProfile: React.FC = () => {
                 course_code: formData.course_code.substring(0, 50),
                 assignment_type: formData.assignment_type.substring(0, 100),
                 num_pages: parseInt(formData.num_pages.toString()),
-                estimated_cost: parseFloat(formData.estimated_cost.toString())
+                estimated_cost: parseFloat(formData.estimated_cost.toString()),
+                // Address the request to this writer only
+                target_writer_id: writer?.id
             };
             
             const response = await fetch(`${config.apiUrl}/api/assignment-requests`, {
@@ -123,27 +158,11 @@ const WriterProfile: React.FC = () => {
             });
 
             if (response.ok) {
-                let whatsappNumber = writer?.whatsapp_number || '';
-                
-                whatsappNumber = whatsappNumber.replace(/\D/g, '');
-                
-                if (!whatsappNumber.startsWith('+')) {
-                    if (!whatsappNumber.startsWith('91')) {
-                        whatsappNumber = '91' + whatsappNumber;
-                    }
-                }
-                
-                const message = encodeURIComponent(`Hi, I've submitted an assignment request for ${formData.course_name}. Let's discuss the details.`);
-                
-                setSuccess('Request submitted successfully! Connecting to WhatsApp...');
+                setSuccess(`Request sent to ${writer?.name}! You can follow their answer on My Assignments.`);
                 
                 setTimeout(() => {
-                    window.open(`https://wa.me/${whatsappNumber}?text=${message}`, '_blank');
-                    
-                    setTimeout(() => {
-                        navigate('/dashboard');
-                    }, 1000);
-                }, 500);
+                    navigate('/my-assignments');
+                }, 1500);
             } else {
                 const errorData = await response.json();
                 setError(errorData.error || 'Failed to submit request. Please try again.');
@@ -190,19 +209,10 @@ const WriterProfile: React.FC = () => {
                         <div className="bg-white dark:bg-gray-800 shadow-lg overflow-hidden">
                             <div className="mb-8">
                                 <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">Sample Work</h3>
-                                <div className="bg-gray-200 dark:bg-gray-700 rounded-lg overflow-hidden">
-                                    <img 
-                                        src={writer.sample_work_image || 'data:image/svg+xml;charset=UTF-8,%3Csvg%20width%3D%22400%22%20height%3D%22300%22%20xmlns%3D%22http%3A%2F%2Fwww.w3.org%2F2000%2Fsvg%22%20viewBox%3D%220%200%20400%20300%22%20preserveAspectRatio%3D%22none%22%3E%3Cdefs%3E%3Cstyle%20type%3D%22text%2Fcss%22%3E%23holder_189e96ddb7f%20text%20%7B%20fill%3A%23999%3Bfont-weight%3Anormal%3Bfont-family%3AArial%2C%20Helvetica%2C%20Open%20Sans%2C%20sans-serif%2C%20monospace%3Bfont-size%3A20pt%20%7D%20%3C%2Fstyle%3E%3C%2Fdefs%3E%3Cg%20id%3D%22holder_189e96ddb7f%22%3E%3Crect%20width%3D%22400%22%20height%3D%22300%22%20fill%3D%22%23eee%22%3E%3C%2Frect%3E%3Cg%3E%3Ctext%20x%3D%22120%22%20y%3D%22160%22%3ENo%20Sample%20Work%3C%2Ftext%3E%3C%2Fg%3E%3C%2Fg%3E%3C%2Fsvg%3E'} 
-                                        alt="Sample work" 
-                                        className="w-full object-cover"
-                                        style={{ maxHeight: '400px' }}
-                                        onError={(e) => {
-                                            const target = e.target as HTMLImageElement;
-                                            target.src = 'data:image/svg+xml;charset=UTF-8,%3Csvg%20width%3D%22400%22%20height%3D%22300%22%20xmlns%3D%22http%3A%2F%2Fwww.w3.org%2F2000%2Fsvg%22%20viewBox%3D%220%200%20400%20300%22%20preserveAspectRatio%3D%22none%22%3E%3Cdefs%3E%3Cstyle%20type%3D%22text%2Fcss%22%3E%23holder_189e96ddb7f%20text%20%7B%20fill%3A%23999%3Bfont-weight%3Anormal%3Bfont-family%3AArial%2C%20Helvetica%2C%20Open%20Sans%2C%20sans-serif%2C%20monospace%3Bfont-size%3A20pt%20%7D%20%3C%2Fstyle%3E%3C%2Fdefs%3E%3Cg%20id%3D%22holder_189e96ddb7f%22%3E%3Crect%20width%3D%22400%22%20height%3D%22300%22%20fill%3D%22%23eee%22%3E%3C%2Frect%3E%3Cg%3E%3Ctext%20x%3D%22120%22%20y%3D%22160%22%3EImage%20Not%20Found%3C%2Ftext%3E%3C%2Fg%3E%3C%2Fg%3E%3C%2Fsvg%3E';
-                                            target.onerror = null; // Prevent infinite error loop
-                                        }}
-                                    />
-                                </div>
+                                {writer.portfolio.description && (
+                                    <p className="text-gray-600 dark:text-gray-400 mb-4 whitespace-pre-line">{writer.portfolio.description}</p>
+                                )}
+                                <PortfolioGallery items={writer.portfolio.items} />
                             </div>
                             <div className="p-6">
                                 <div className="flex justify-between items-start mb-4">
@@ -220,22 +230,41 @@ const WriterProfile: React.FC = () => {
                                         <svg className="h-5 w-5 text-gray-500 dark:text-gray-400 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                                             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
                                         </svg>
-                                        <span className="text-gray-600 dark:text-gray-400">Status: {writer.writer_status}</span>
-                                    </div>
-                                    <div className="flex items-center">
-                                        <svg className="h-5 w-5 text-gray-500 dark:text-gray-400 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 5a2 2 0 012-2h3.28a1 1 0 01.948.684l1.498 4.493a1 1 0 01-.502 1.21l-2.257 1.13a11.042 11.042 0 005.516 5.516l1.13-2.257a1 1 0 011.21-.502l4.493 1.498a1 1 0 01.684.949V19a2 2 0 01-2 2h-1C9.716 21 3 14.284 3 6V5z" />
-                                        </svg>
-                                        <span className="text-gray-600 dark:text-gray-400">WhatsApp: {writer.whatsapp_number}</span>
+                                        <span className="text-gray-600 dark:text-gray-400">
+                                            Status: {writer.vacation_until && new Date(writer.vacation_until) > new Date()
+                                                ? `on vacation until ${new Date(writer.vacation_until).toLocaleDateString()}`
+                                                : writer.writer_status}
+                                        </span>
                                     </div>
                                 </div>
                             </div>
                         </div>
+
+                        {/* Reviews */}
+                        <div className="bg-white dark:bg-gray-800 shadow-lg p-6 mt-8">
+                            <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">Reviews</h3>
+                            {writer.rating_summary.total === 0 ? (
+                                <p className="text-gray-500 dark:text-gray-400">No reviews yet</p>
+                            ) : (
+                                <>
+                                    <div className="mb-4">
+                                        <RatingHistogram summary={writer.rating_summary} />
+                                    </div>
+                                    <ReviewList
+                                        reviews={reviews}
+                                        hasMore={!!reviewsCursor}
+                                        loadingMore={loadingMoreReviews}
+                                        onLoadMore={handleLoadMoreReviews}
+                                        onReviewChange={(review) => setReviews(prev => prev.map(r => r.id === review.id ? review : r))}
+                                    />
+                                </>
+                            )}
+                        </div>
                     </div>
 
                     {/* Assignment Request Form */}
                     <div className="bg-white dark:bg-gray-800 shadow-lg p-6">
-                        <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-6">Submit Assignment Request</h3>
+                        <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-6">Request {writer.name}</h3>
                         <form onSubmit={handleSubmit} className="space-y-6">
                             <div>
                                 <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Course Name</label>
@@ -325,23 +354,17 @@ const WriterProfile: React.FC = () => {
                                 <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
                                     Cost must be in multiples of ₹50
                                 </p>
-                            </div>
-
-                            <div>
-                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Your WhatsApp Number</label>
-                                <input
-                                    type="tel"
-                                    name="whatsapp_number"
-                                    value={formData.whatsapp_number}
-                                    onChange={handleChange}
-                                    required
-                                    placeholder="+91XXXXXXXXXX"
-                                    className="mt-1 block w-full rounded-md border-gray-300 dark:border-gray-600 shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:text-white"
+                                <PriceSuggestion
+                                    assignmentType={formData.assignment_type}
+                                    numPages={formData.num_pages}
+                                    deadline={formData.deadline}
+                                    price={Number(formData.estimated_cost)}
+                                    onUse={(price) => setFormData(prev => ({ ...prev, estimated_cost: price }))}
                                 />
                             </div>
 
                             <div className="text-sm text-gray-500 dark:text-gray-400 italic">
-                                <p>Note: Your request will be visible to writers for 7 days. After that, it will expire and no longer be visible in the marketplace.</p>
+                                <p>Note: Only {writer.name} will see this request. If they decline or don't answer within 48 hours, you can publish it to all writers from My Assignments.</p>
                             </div>
 
                             {error && <p className="text-red-500 dark:text-red-400">{error}</p>}
@@ -352,7 +375,7 @@ const WriterProfile: React.FC = () => {
                                 disabled={submitting}
                                 className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 dark:bg-blue-500 hover:bg-blue-700 dark:hover:bg-blue-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
                             >
-                                {submitting ? 'Submitting...' : 'Submit Request & Connect on WhatsApp'}
+                                {submitting ? 'Sending...' : `Send Request to ${writer.name}`}
                             </button>
                         </form>
                     </div>
@@ -0,0 +1,68 @@
+import React, { createContext, useState, useEffect, useContext, useRef } from 'react';
+import config from '../config';
+
+// Events pushed by GET /api/events
+export type LiveEventType =
+  | 'request_created'
+  | 'request_taken'
+  | 'request_cancelled'
+  | 'request_expired'
+  | 'assignment_updated'
+  | 'rating_created'
+  | 'dispute_message'
+  | 'notification_created';
+
+const LiveEventsContext = createContext<EventSource | null>(null);
+
+// Holds a single event stream for the whole app while the user is signed in
+export const LiveEventsProvider: React.FC<{ enabled: boolean; children: React.ReactNode }> = ({ enabled, children }) => {
+  const [source, setSource] = useState<EventSource | null>(null);
+
+  useEffect(() => {
+    if (!enabled || typeof EventSource === 'undefined') {
+      return;
+    }
+
+    // The browser reconnects on its own if the stream drops
+    const eventSource = new EventSource(`${config.apiUrl}/api/events`, { withCredentials: true });
+    setSource(eventSource);
+
+    return () => {
+      eventSource.close();
+      setSource(null);
+    };
+  }, [enabled]);
+
+  return (
+    <LiveEventsContext.Provider value={source}>
+      {children}
+    </LiveEventsContext.Provider>
+  );
+};
+
+// Call handler with the event's data every time the server pushes an event of this type
+export const useLiveEvent = <T,>(type: LiveEventType, handler: (data: T) => void) => {
+  const source = useContext(LiveEventsContext);
+  const handlerRef = useRef(handler);
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  }, [handler]);
+
+  useEffect(() => {
+    if (!source) {
+      return;
+    }
+
+    const listener = (event: Event) => {
+      try {
+        handlerRef.current(JSON.parse((event as MessageEvent).data));
+      } catch (error) {
+        console.error(`Error handling ${type} event:`, error);
+      }
+    };
+
+    source.addEventListener(type, listener);
+    return () => source.removeEventListener(type, listener);
+  }, [source, type]);
+};